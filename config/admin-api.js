@@ -0,0 +1,209 @@
+/**
+ * Admin REST API Module
+ *
+ * A JSON API for scripts and other tools, mounted at /admin/api. It covers
+ * what the dashboard and the Telegram commands can do:
+ *
+ *   GET    /rooms                      List rooms with status and timings
+ *   GET    /rooms/:roomId              One room
+ *   GET    /rooms/:roomId/messages     A room's messages
+ *   POST   /rooms/:roomId/approve      Let a knocking participant in
+ *   POST   /rooms/:roomId/reject       Turn a knock away ({ message } optional)
+ *   POST   /rooms/:roomId/messages     Send a message as the admin ({ text })
+ *   POST   /rooms/:roomId/kick         End an active conversation
+ *   POST   /rooms/:roomId/close        Clean up an ended room right away
+ *   GET    /service                    Service and sleep state
+ *   POST   /service                    Turn the service on or off ({ enabled })
+ *   POST   /sleep                      Block knocks for a while ({ minutes }, default 60)
+ *   DELETE /sleep                      Accept knocks again
+ *
+ * Every request needs an admin session: the dashboard cookie, or the token
+ * from POST /admin/login sent as "Authorization: Bearer <token>". Room
+ * actions follow the same ownership rules as the dashboard - a room that
+ * belongs to another admin is refused, an unassigned room is claimed.
+ * :roomId is the room's opaque ID from GET /rooms; "Room N" labels are
+ * display numbers only and can be reused once a room is cleaned up.
+ *
+ * The routes only translate HTTP to the operations server.js passes in,
+ * which are the same functions the Socket.IO handlers use. Failed
+ * operations return { ok: false, code, error }; the code picks the status.
+ */
+
+const express = require('express');
+const { getRequestSession } = require('./admin-auth');
+const { validateMessage, checkUserRateLimit } = require('./security');
+
+// ============================================================================
+// API CONFIGURATION
+// ============================================================================
+
+const ADMIN_API_CONFIG = {
+    MOUNT_PATH: '/admin/api',
+    BODY_LIMIT: '10kb',
+    DEFAULT_SLEEP_MINUTES: 60
+};
+
+/**
+ * ERROR_STATUS: HTTP status for each operation error code
+ */
+const ERROR_STATUS = {
+    invalid: 400,
+    forbidden: 403,
+    not_found: 404,
+    conflict: 409,
+    rate_limited: 429
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Send an operation result as JSON ({ ok: true, ... } or an error with its status)
+function sendResult(res, result) {
+    if (result.ok) {
+        return res.json(result);
+    }
+    const { code, error } = result;
+    return res.status(ERROR_STATUS[code] || 400).json({ ok: false, code, error });
+}
+
+// Room IDs in the URL are the opaque room IDs (roomId), not the room numbers shown to admins
+function parseRoomId(value) {
+    return /^[A-Za-z0-9_-]{1,32}$/.test(value) ? value : null;
+}
+
+// ============================================================================
+// ROUTER FACTORY
+// ============================================================================
+
+/**
+ * Create the admin API router
+ *
+ * Operations (all provided by server.js):
+ *   - listRooms(): Array of room summaries
+ *   - getRoom(roomId): { summary, messages } or null
+ *   - answerKnock(roomId, adminId, approve, message): Operation result
+ *   - postMessage(roomId, adminId, text): Operation result ({ message })
+ *   - kickRoom(roomId, adminId): Operation result
+ *   - closeRoom(roomId): Operation result
+ *   - getServiceState(): { enabled, sleepUntil }
+ *   - setServiceEnabled(enabled): Operation result ({ enabled })
+ *   - setSleep(minutes): Operation result ({ sleepUntil })
+ *   - clearSleep(): Operation result
+ *
+ * @param {object} operations - See above
+ * @returns {object} - Express router
+ */
+function createAdminApiRouter(operations) {
+    const router = express.Router();
+    router.use(express.json({ limit: ADMIN_API_CONFIG.BODY_LIMIT }));
+
+    // Every route needs an admin session
+    router.use((req, res, next) => {
+        const session = getRequestSession(req);
+        if (!session) {
+            return res.status(401).json({ ok: false, code: 'unauthorized', error: 'Unauthorized' });
+        }
+        req.adminId = session.sub;
+        next();
+    });
+
+    // Look the room up once for every /rooms/:roomId route
+    router.param('roomId', (req, res, next, value) => {
+        const roomId = parseRoomId(value);
+        const room = roomId === null ? null : operations.getRoom(roomId);
+        if (!room) {
+            return sendResult(res, { ok: false, code: 'not_found', error: `Room ${value} not found` });
+        }
+        req.roomId = roomId;
+        req.room = room;
+        next();
+    });
+
+    // ---- Rooms ----
+
+    router.get('/rooms', (req, res) => {
+        res.json({ ok: true, rooms: operations.listRooms() });
+    });
+
+    router.get('/rooms/:roomId', (req, res) => {
+        res.json({ ok: true, room: req.room.summary });
+    });
+
+    router.get('/rooms/:roomId/messages', (req, res) => {
+        res.json({ ok: true, roomId: req.roomId, messages: req.room.messages });
+    });
+
+    router.post('/rooms/:roomId/approve', (req, res) => {
+        sendResult(res, operations.answerKnock(req.roomId, req.adminId, true));
+    });
+
+    router.post('/rooms/:roomId/reject', (req, res) => {
+        const message = req.body?.message;
+        if (message !== undefined) {
+            const validation = validateMessage(message);
+            if (!validation.valid) {
+                return sendResult(res, { ok: false, code: 'invalid', error: validation.error });
+            }
+        }
+        sendResult(res, operations.answerKnock(req.roomId, req.adminId, false, message));
+    });
+
+    router.post('/rooms/:roomId/messages', (req, res) => {
+        const text = req.body?.text;
+        const validation = validateMessage(text);
+        if (!validation.valid) {
+            return sendResult(res, { ok: false, code: 'invalid', error: validation.error });
+        }
+
+        // Same per-minute message limit as a dashboard socket
+        const rateLimit = checkUserRateLimit(`admin-api-${req.adminId}`, 'message');
+        if (!rateLimit.allowed) {
+            return sendResult(res, { ok: false, code: 'rate_limited', error: 'Too many messages. Please slow down.' });
+        }
+
+        sendResult(res, operations.postMessage(req.roomId, req.adminId, text));
+    });
+
+    router.post('/rooms/:roomId/kick', (req, res) => {
+        sendResult(res, operations.kickRoom(req.roomId, req.adminId));
+    });
+
+    router.post('/rooms/:roomId/close', (req, res) => {
+        sendResult(res, operations.closeRoom(req.roomId));
+    });
+
+    // ---- Service and sleep ----
+
+    router.get('/service', (req, res) => {
+        res.json({ ok: true, ...operations.getServiceState() });
+    });
+
+    router.post('/service', (req, res) => {
+        if (typeof req.body?.enabled !== 'boolean') {
+            return sendResult(res, { ok: false, code: 'invalid', error: 'enabled must be true or false' });
+        }
+        sendResult(res, operations.setServiceEnabled(req.body.enabled));
+    });
+
+    router.post('/sleep', (req, res) => {
+        const minutes = req.body?.minutes === undefined
+            ? ADMIN_API_CONFIG.DEFAULT_SLEEP_MINUTES
+            : Number(req.body.minutes);
+        if (!Number.isInteger(minutes) || minutes <= 0) {
+            return sendResult(res, { ok: false, code: 'invalid', error: 'minutes must be a positive whole number' });
+        }
+        sendResult(res, operations.setSleep(minutes));
+    });
+
+    router.delete('/sleep', (req, res) => {
+        sendResult(res, operations.clearSleep());
+    });
+
+    return router;
+}
+
+module.exports = {
+    ADMIN_API_CONFIG,
+    createAdminApiRouter
+};
@@ -0,0 +1,339 @@
+/**
+ * Admin Authentication Module
+ *
+ * This module protects the admin dashboard and admin-only socket events.
+ * Each admin logs in once with their own password and receives a signed
+ * session token (stored in an HttpOnly cookie) naming their admin id. The
+ * same token is checked during the Socket.IO handshake, so every admin-only
+ * event knows which admin sent it.
+ *
+ * Credentials come from the admin roster (config/admins.js). In the
+ * one-host setup these are the original variables:
+ * - ADMIN_PASSWORD_HASH: scrypt hash created with `node config/admin-auth.js <password>`
+ * - ADMIN_SECRET: Plain shared secret (used if no hash is set)
+ *
+ * Other configuration (environment variables):
+ * - ADMIN_SESSION_SECRET: Key for signing session tokens (derived from the credentials if unset)
+ * - ADMIN_SESSION_HOURS: Session lifetime in hours (default: 12)
+ *
+ * Sessions survive restarts and deploys as long as the credentials stay the same.
+ * Logging out revokes the session's token until it expires; revocations are
+ * kept in memory, so a token saved before a logout works again after a restart.
+ */
+
+const crypto = require('crypto');
+const { getAdmins, getAdmin } = require('./admins');
+const { createLogger } = require('./logger');
+
+const log = createLogger('admin-auth');
+
+// ============================================================================
+// AUTH CONFIGURATION
+// ============================================================================
+
+const ADMIN_AUTH_CONFIG = {
+    COOKIE_NAME: 'anonymice_admin',
+    SESSION_HOURS: parseInt(process.env.ADMIN_SESSION_HOURS, 10) || 12,
+    SCRYPT_KEYLEN: 64
+};
+
+/**
+ * credentials: Map<adminId, credential>
+ * How each admin's password is checked
+ *   - { type: 'hash', salt, hash }  from passwordHash / ADMIN_PASSWORD_HASH
+ *   - { type: 'secret', secret }    from secret / ADMIN_SECRET
+ *   - { type: 'generated', secret } random, printed on startup (single admin, development only)
+ *   - { type: 'none' }              roster admin without a password - cannot log in
+ */
+const credentials = new Map(getAdmins().map(admin => [admin.id, loadCredential(admin)]));
+
+/**
+ * SESSION_KEY: HMAC key used to sign session tokens
+ * Derived from the credentials so tokens stay valid across restarts
+ */
+const SESSION_KEY = process.env.ADMIN_SESSION_SECRET ||
+    crypto.createHash('sha256')
+        .update('anonymice-admin-session:' + Array.from(credentials.entries())
+            .map(([adminId, credential]) => `${adminId}=${credential.hash || credential.secret || ''}`)
+            .join(','))
+        .digest('hex');
+
+/**
+ * revokedSessions: Map<nonce, expiresAt>
+ * Session tokens ended by logout, kept until they expire
+ */
+const revokedSessions = new Map();
+
+// Work out how an admin's password is checked
+function loadCredential(admin) {
+    if (admin.passwordHash) {
+        const [scheme, salt, hash] = admin.passwordHash.split(':');
+        if (scheme === 'scrypt' && salt && hash) {
+            return { type: 'hash', salt, hash };
+        }
+        log.error(`❌ Password hash for admin "${admin.id}" is not in scrypt:<salt>:<hash> format - ignoring it`);
+    }
+
+    if (admin.secret) {
+        return { type: 'secret', secret: admin.secret };
+    }
+
+    // Only the one-host setup gets a generated password, so local development still works
+    if (getAdmins().length === 1) {
+        return { type: 'generated', secret: crypto.randomBytes(12).toString('hex') };
+    }
+
+    log.error(`❌ Admin "${admin.id}" has no passwordHash or secret and cannot log in`);
+    return { type: 'none' };
+}
+
+// ============================================================================
+// PASSWORD CHECKING
+// ============================================================================
+
+/**
+ * Create an ADMIN_PASSWORD_HASH value for a password
+ *
+ * @param {string} password - The admin password
+ * @returns {string} - 'scrypt:<salt-hex>:<hash-hex>'
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, ADMIN_AUTH_CONFIG.SCRYPT_KEYLEN).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+// Compare two strings without leaking where they differ
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Check a login against the roster
+ *
+ * The admin id may be left out when the roster has a single admin.
+ *
+ * @param {string} adminId - Admin id from the login form
+ * @param {string} password - Password from the login form
+ * @returns {object|null} - The admin who logged in, or null
+ */
+function verifyLogin(adminId, password) {
+    if (!password || typeof password !== 'string') {
+        return null;
+    }
+
+    const admins = getAdmins();
+    const admin = adminId ? getAdmin(String(adminId).trim()) : (admins.length === 1 ? admins[0] : null);
+    if (!admin) {
+        return null;
+    }
+
+    const credential = credentials.get(admin.id);
+    if (credential.type === 'none') {
+        return null;
+    }
+    if (credential.type === 'hash') {
+        const hash = crypto.scryptSync(password, credential.salt, ADMIN_AUTH_CONFIG.SCRYPT_KEYLEN).toString('hex');
+        return safeEqual(hash, credential.hash) ? admin : null;
+    }
+
+    return safeEqual(password, credential.secret) ? admin : null;
+}
+
+// ============================================================================
+// SESSION TOKENS
+// ============================================================================
+
+// Sign a token payload with the session key
+function sign(encodedPayload) {
+    return crypto.createHmac('sha256', SESSION_KEY).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Issue a signed admin session token
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+ *
+ * @param {string} adminId - The admin the session belongs to
+ * @returns {object} - { token, expiresAt }
+ */
+function issueSessionToken(adminId) {
+    const expiresAt = Date.now() + ADMIN_AUTH_CONFIG.SESSION_HOURS * 60 * 60 * 1000;
+    const payload = Buffer.from(JSON.stringify({
+        sub: adminId,
+        exp: expiresAt,
+        nonce: crypto.randomBytes(8).toString('hex')
+    })).toString('base64url');
+
+    return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify an admin session token
+ *
+ * @param {string} token - Token from the cookie or handshake
+ * @returns {object|null} - Session payload ({ sub: adminId, exp }) or null if invalid/expired
+ */
+function verifySessionToken(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+        return null;
+    }
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        // The admin must still be on the roster, and the session must not have been logged out
+        if (!getAdmin(session.sub) || !session.exp || Date.now() >= session.exp || revokedSessions.has(session.nonce)) {
+            return null;
+        }
+        return session;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Revoke an admin session token (logout)
+ *
+ * The token stays revoked until it would have expired anyway.
+ *
+ * @param {string} token - Token from the cookie or Bearer header
+ * @returns {object|null} - The revoked session, or null if the token was not valid
+ */
+function revokeSessionToken(token) {
+    const session = verifySessionToken(token);
+    if (!session) {
+        return null;
+    }
+
+    // Forget revocations of tokens that have expired since
+    const now = Date.now();
+    for (const [nonce, exp] of revokedSessions) {
+        if (now >= exp) {
+            revokedSessions.delete(nonce);
+        }
+    }
+
+    revokedSessions.set(session.nonce, session.exp);
+    return session;
+}
+
+// ============================================================================
+// REQUEST HELPERS
+// ============================================================================
+
+// Parse a Cookie header into an object
+function parseCookies(cookieHeader) {
+    const cookies = {};
+    if (!cookieHeader) {
+        return cookies;
+    }
+
+    cookieHeader.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+// Get the session token from an HTTP request (Bearer token or cookie)
+function getRequestToken(req) {
+    const authHeader = req.headers['authorization'] || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.slice('Bearer '.length);
+    }
+    return parseCookies(req.headers.cookie)[ADMIN_AUTH_CONFIG.COOKIE_NAME];
+}
+
+// Get the admin session from an HTTP request (cookie or Bearer token)
+function getRequestSession(req) {
+    return verifySessionToken(getRequestToken(req));
+}
+
+// Log out the session an HTTP request was made with
+function revokeRequestSession(req) {
+    return revokeSessionToken(getRequestToken(req));
+}
+
+// Get the admin session from a Socket.IO handshake (auth.token or cookie)
+function getHandshakeSession(handshake) {
+    if (handshake.auth && handshake.auth.token) {
+        return verifySessionToken(handshake.auth.token);
+    }
+    return verifySessionToken(parseCookies(handshake.headers.cookie)[ADMIN_AUTH_CONFIG.COOKIE_NAME]);
+}
+
+// Build the Set-Cookie header value for a session token
+function buildSessionCookie(token, expiresAt, secure) {
+    const parts = [
+        `${ADMIN_AUTH_CONFIG.COOKIE_NAME}=${encodeURIComponent(token)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Expires=${new Date(expiresAt).toUTCString()}`
+    ];
+    if (secure) {
+        parts.push('Secure');
+    }
+    return parts.join('; ');
+}
+
+// Build the Set-Cookie header value that clears the session
+function buildClearedSessionCookie() {
+    return `${ADMIN_AUTH_CONFIG.COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+}
+
+// Describe the configured credentials for the startup log (never the secrets themselves)
+function describeCredential() {
+    return Array.from(credentials.entries()).map(([adminId, credential]) => {
+        switch (credential.type) {
+            case 'hash':
+                return `${adminId}: password hash`;
+            case 'secret':
+                return `${adminId}: shared secret`;
+            case 'generated':
+                return `${adminId}: generated password for this run: ${credential.secret} (set ADMIN_PASSWORD_HASH or ADMIN_SECRET to keep it stable)`;
+            default:
+                return `${adminId}: NO PASSWORD - cannot log in`;
+        }
+    }).join('; ');
+}
+
+module.exports = {
+    ADMIN_AUTH_CONFIG,
+    hashPassword,
+    verifyLogin,
+    issueSessionToken,
+    verifySessionToken,
+    revokeSessionToken,
+    parseCookies,
+    getRequestSession,
+    revokeRequestSession,
+    getHandshakeSession,
+    buildSessionCookie,
+    buildClearedSessionCookie,
+    describeCredential
+};
+
+// Usage: node config/admin-auth.js <password>  - prints an ADMIN_PASSWORD_HASH value
+if (require.main === module) {
+    const password = process.argv[2];
+    if (!password) {
+        console.error('Usage: node config/admin-auth.js <password>');
+        process.exit(1);
+    }
+    console.log(hashPassword(password));
+}
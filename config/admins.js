@@ -0,0 +1,208 @@
+/**
+ * Admin Roster and Room Assignment Module
+ *
+ * This module lists the admins who can host conversations and decides
+ * which admin owns each room. Every admin has their own dashboard login
+ * and their own Telegram chat for notifications.
+ *
+ * Roster sources (first one found wins):
+ * 1. ADMINS: JSON array in the environment
+ * 2. ADMINS_FILE: Path to a JSON file with the same array
+ * 3. Single admin built from the deployment profile, ADMIN_PASSWORD_HASH /
+ *    ADMIN_SECRET and TELEGRAM_CHAT_ID (the original one-host setup)
+ *
+ * Admin entry structure:
+ *   - id: string (short, unique - used in sessions and room ownership)
+ *   - name: string (display name shown to participants)
+ *   - label: string (short name for Telegram summaries, defaults to name)
+ *   - passwordHash: string ('scrypt:<salt>:<hash>', see config/admin-auth.js)
+ *   - secret: string (plain password, used if no passwordHash)
+ *   - telegramChatId: string|number (private chat with the bot)
+ *
+ * Assignment (ADMIN_ASSIGNMENT):
+ * - round-robin (default): Each knock is given to the next admin in the roster
+ * - claim: Knocks start unassigned; the first admin to act on the room owns it
+ *
+ * Rooms without an owner send their Telegram notifications to TELEGRAM_CHAT_ID
+ * (a shared team chat) and to every admin's chat for knocks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROFILE } = require('./profile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('admins');
+
+// ============================================================================
+// ROSTER CONFIGURATION
+// ============================================================================
+
+const ADMINS_CONFIG = {
+    ASSIGNMENT_MODE: process.env.ADMIN_ASSIGNMENT === 'claim' ? 'claim' : 'round-robin'
+};
+
+// Read the roster array from ADMINS or ADMINS_FILE, or null if neither is set
+function readRosterSource(env) {
+    try {
+        if (env.ADMINS) {
+            return JSON.parse(env.ADMINS);
+        }
+        if (env.ADMINS_FILE) {
+            return JSON.parse(fs.readFileSync(path.resolve(env.ADMINS_FILE), 'utf8'));
+        }
+    } catch (error) {
+        log.error(`❌ Could not read admin roster: ${error.message} - using the single default admin`);
+    }
+    return null;
+}
+
+/**
+ * Build the admin roster
+ *
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {Array<object>} - Admin entries (see structure above)
+ */
+function loadAdmins(env = process.env) {
+    const source = readRosterSource(env);
+
+    if (Array.isArray(source) && source.length > 0) {
+        const seen = new Set();
+        const admins = [];
+        source.forEach((entry, index) => {
+            if (!entry || !entry.id || !entry.name) {
+                log.error(`❌ Admin #${index + 1} needs an id and a name - skipping it`);
+                return;
+            }
+            const id = String(entry.id);
+            if (seen.has(id)) {
+                log.error(`❌ Duplicate admin id "${id}" - skipping it`);
+                return;
+            }
+            seen.add(id);
+            admins.push({
+                id,
+                name: entry.name,
+                label: entry.label || entry.name,
+                passwordHash: entry.passwordHash || null,
+                secret: entry.secret || null,
+                telegramChatId: entry.telegramChatId ? String(entry.telegramChatId) : null
+            });
+        });
+        if (admins.length > 0) {
+            return admins;
+        }
+    }
+
+    // One-host setup: the profile's admin with the legacy credential variables
+    return [{
+        id: 'admin',
+        name: PROFILE.adminName,
+        label: PROFILE.adminLabel,
+        passwordHash: env.ADMIN_PASSWORD_HASH || null,
+        secret: env.ADMIN_SECRET || null,
+        telegramChatId: env.TELEGRAM_CHAT_ID || null
+    }];
+}
+
+/**
+ * admins: Array<admin>
+ * The roster for this instance, loaded once at startup
+ */
+const admins = loadAdmins();
+
+/**
+ * roundRobinIndex: Position of the next admin to receive a knock
+ */
+let roundRobinIndex = 0;
+
+// ============================================================================
+// ROSTER LOOKUPS
+// ============================================================================
+
+// Get every admin in roster order
+function getAdmins() {
+    return admins;
+}
+
+// Get an admin by id, or null
+function getAdmin(adminId) {
+    return admins.find(admin => admin.id === adminId) || null;
+}
+
+// Find the admin whose Telegram chat a message came from, or null
+function findAdminByTelegramChat(chatId) {
+    if (chatId === undefined || chatId === null) {
+        return null;
+    }
+    return admins.find(admin => admin.telegramChatId === String(chatId)) || null;
+}
+
+// Get an admin's display name, or the profile's admin name for unknown/missing ids
+function getAdminName(adminId) {
+    const admin = getAdmin(adminId);
+    return admin ? admin.name : PROFILE.adminName;
+}
+
+// Get an admin's short label for Telegram, or the profile's label for unknown/missing ids
+function getAdminLabel(adminId) {
+    const admin = getAdmin(adminId);
+    return admin ? admin.label : PROFILE.adminLabel;
+}
+
+// Get the fields of an admin that are safe to send to browsers
+function toPublicAdmin(admin) {
+    return admin ? { id: admin.id, name: admin.name, label: admin.label } : null;
+}
+
+// ============================================================================
+// ROOM ASSIGNMENT
+// ============================================================================
+
+/**
+ * Pick the owner for a new knock
+ *
+ * @returns {string|null} - Admin id (round-robin) or null (claim mode)
+ */
+function pickAdminForKnock() {
+    if (ADMINS_CONFIG.ASSIGNMENT_MODE === 'claim') {
+        return null;
+    }
+
+    const admin = admins[roundRobinIndex % admins.length];
+    roundRobinIndex = (roundRobinIndex + 1) % admins.length;
+    return admin.id;
+}
+
+/**
+ * Check whether an admin may act on a room
+ *
+ * Unassigned rooms are open to every admin (acting on one claims it);
+ * assigned rooms only to their owner.
+ *
+ * @param {object} room - Room object from chatRooms
+ * @param {string} adminId - Admin trying to act
+ * @returns {object} - { allowed: true, claim: boolean } or { allowed: false, owner }
+ */
+function checkRoomAccess(room, adminId) {
+    if (!room.ownerId) {
+        return { allowed: true, claim: true };
+    }
+    if (room.ownerId === adminId) {
+        return { allowed: true, claim: false };
+    }
+    return { allowed: false, owner: getAdmin(room.ownerId) };
+}
+
+module.exports = {
+    ADMINS_CONFIG,
+    loadAdmins,
+    getAdmins,
+    getAdmin,
+    getAdminName,
+    getAdminLabel,
+    findAdminByTelegramChat,
+    toPublicAdmin,
+    pickAdminForKnock,
+    checkRoomAccess
+};
@@ -0,0 +1,132 @@
+/**
+ * Knock Admission Pipeline
+ *
+ * This module decides whether a knock is allowed in. Every knock runs
+ * through the same ordered list of checks, and the first failing check
+ * rejects the knock with a reason code the client can act on.
+ *
+ * Checks (in order):
+ * - rate_limited: Too many knocks from this IP or socket
+ * - invalid_name: Name fails message validation (length, suspicious content)
+ * - sleeping: Admin has enabled sleep mode
+ * - duplicate: Another pending knock already uses this name
+ *
+ * The checks run before the knock's room is created, so a rejected knock
+ * leaves nothing to undo. The pipeline has no Telegram or Socket.IO
+ * dependencies, so every outcome can be exercised by passing plain objects (see test/admission.test.js).
+ */
+
+const { validateMessage, validateRoomCreation } = require('./security');
+const { profileText } = require('./profile');
+
+// ============================================================================
+// REJECTION REASONS
+// ============================================================================
+
+/**
+ * ADMISSION_REJECTIONS: Reason codes sent to the client in `knock-rejected`
+ */
+const ADMISSION_REJECTIONS = {
+    RATE_LIMITED: 'rate_limited',
+    INVALID_NAME: 'invalid_name',
+    SLEEPING: 'sleeping',
+    DUPLICATE: 'duplicate'
+};
+
+// ============================================================================
+// ADMISSION CHECKS
+// ============================================================================
+
+// Reject knocks that exceed the IP or socket knock rate limits
+function checkKnockRateLimit(knock) {
+    const validation = validateRoomCreation(knock.ip, knock.socketId);
+    if (!validation.valid) {
+        return {
+            reason: ADMISSION_REJECTIONS.RATE_LIMITED,
+            message: validation.error,
+            resetTime: validation.resetTime
+        };
+    }
+    return null;
+}
+
+// Reject names that fail the same validation as chat messages
+function checkKnockName(knock) {
+    const validation = validateMessage(knock.name);
+    if (!validation.valid) {
+        return {
+            reason: ADMISSION_REJECTIONS.INVALID_NAME,
+            message: profileText('invalidName')
+        };
+    }
+    return null;
+}
+
+// Reject knocks while the sleep window is active
+function checkSleepWindow(knock, state) {
+    if (state.sleepUntil && knock.now < state.sleepUntil) {
+        return {
+            reason: ADMISSION_REJECTIONS.SLEEPING,
+            message: profileText('sleeping'),
+            sleepUntil: new Date(state.sleepUntil).toISOString()
+        };
+    }
+    return null;
+}
+
+// Reject a name that is already waiting in a pending room
+// Compared with the name as typed - the display name may carry a "#2" suffix
+function checkDuplicateKnock(knock, state) {
+    for (let [existingRoomId, room] of state.chatRooms) {
+        if (room.participant && room.participant.requestedName === knock.name && room.status === 'pending') {
+            return {
+                reason: ADMISSION_REJECTIONS.DUPLICATE,
+                message: profileText('duplicateKnock'),
+                existingRoomId
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * ADMISSION_CHECKS: Ordered list of checks run for every knock
+ * The rate limit check runs first so rejected knocks still count against the limit
+ */
+const ADMISSION_CHECKS = [
+    checkKnockRateLimit,
+    checkKnockName,
+    checkSleepWindow,
+    checkDuplicateKnock
+];
+
+/**
+ * Evaluate a knock against all admission checks
+ *
+ * @param {object} knock - { name, ip, socketId, now }
+ * @param {object} state - { chatRooms: Map, sleepUntil: number }
+ * @param {Array<Function>} checks - Checks to run (defaults to ADMISSION_CHECKS)
+ * @returns {object} - { admitted: true } or { admitted: false, reason, message, ... }
+ */
+function evaluateKnock(knock, state, checks = ADMISSION_CHECKS) {
+    const candidate = { now: Date.now(), ...knock };
+
+    for (const check of checks) {
+        const rejection = check(candidate, state);
+        if (rejection) {
+            return { admitted: false, ...rejection };
+        }
+    }
+
+    return { admitted: true };
+}
+
+module.exports = {
+    ADMISSION_REJECTIONS,
+    ADMISSION_CHECKS,
+    evaluateKnock,
+    checkKnockRateLimit,
+    checkKnockName,
+    checkSleepWindow,
+    checkDuplicateKnock
+};
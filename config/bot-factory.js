@@ -8,11 +8,13 @@
  * Key Features:
  * - Single bot for all conversations (unlimited)
  * - Conversation numbering for tracking
- * - Webhook management
  * - Bot lifecycle management
  */
 
-const axios = require('axios');
+const { enqueueTelegramCall } = require('./telegram-outbox');
+const { createLogger } = require('./logger');
+
+const log = createLogger('bot-factory');
 
 // ============================================================================
 // CONVERSATION TRACKING
@@ -25,7 +27,7 @@ const axios = require('axios');
  * for identification in Telegram notifications.
  * 
  * Conversation info structure:
- *   - roomId: number
+ *   - roomId: string
  *   - participantName: string
  *   - conversationNumber: number (sequential counter)
  *   - botToken: string
@@ -53,7 +55,7 @@ const MAIN_BOT = {
 // Create a new conversation (unlimited)
 async function createBotForRoom(roomId, participantName) {
     try {
-        console.log(`🤖 Creating conversation for Room ${roomId} (${participantName})`);
+        log.info(`🤖 Creating conversation for Room ${roomId}`, { participant: participantName });
         
         // Increment conversation counter
         conversationCounter++;
@@ -71,83 +73,59 @@ async function createBotForRoom(roomId, participantName) {
         // Store conversation info
         activeConversations.set(roomId, conversationInfo);
         
-        // Set webhook for the main bot (only once)
-        await setBotWebhook(MAIN_BOT.token, roomId);
-        
-        console.log(`✅ Conversation #${conversationCounter} created for Room ${roomId}: @${MAIN_BOT.username}`);
+        log.info(`✅ Conversation #${conversationCounter} created for Room ${roomId}: @${MAIN_BOT.username}`);
         return conversationInfo;
     } catch (error) {
-        console.error(`❌ Failed to create conversation for Room ${roomId}:`, error.message);
+        log.error(`❌ Failed to create conversation for Room ${roomId}:`, error.message);
         throw error;
     }
 }
 
-// Set webhook for a bot
-async function setBotWebhook(botToken, roomId) {
-    try {
-        // Use a single webhook endpoint for all conversations
-        const webhookUrl = `https://web-production-8d6b4.up.railway.app/admin-notifications`;
-        
-        const response = await axios.post(`https://api.telegram.org/bot${botToken}/setWebhook`, {
-            url: webhookUrl
-        });
-        
-        if (response.data.ok) {
-            console.log(`✅ Webhook set for bot in Room ${roomId}`);
-        } else {
-            console.error(`❌ Failed to set webhook for Room ${roomId}:`, response.data.description);
-        }
-    } catch (error) {
-        console.error(`❌ Webhook error for Room ${roomId}:`, error.message);
-    }
-}
-
-// Send message using a specific bot
-async function sendMessageWithBot(roomId, message) {
+// Send message using a specific bot (to the admin chat given, default TELEGRAM_CHAT_ID)
+// replyMarkup adds inline keyboard buttons (see config/telegram-keyboards.js)
+// meta is handed to outbox listeners (see config/telegram-outbox.js); throws if the message is never delivered
+async function sendMessageWithBot(roomId, message, chatId = process.env.TELEGRAM_CHAT_ID, replyMarkup = null, meta = {}) {
     const conversationInfo = activeConversations.get(roomId);
     if (!conversationInfo) {
         throw new Error(`No conversation found for Room ${roomId}`);
     }
     
-    try {
-        const response = await axios.post(`https://api.telegram.org/bot${MAIN_BOT.token}/sendMessage`, {
-            chat_id: process.env.TELEGRAM_CHAT_ID,
-            text: message,
-            parse_mode: 'HTML'
-        });
-        
-        if (response.data.ok) {
-            return {
-                success: true,
-                messageId: response.data.result.message_id,
-                conversationInfo: conversationInfo
-            };
-        } else {
-            throw new Error(`Send message failed: ${response.data.description}`);
-        }
-    } catch (error) {
-        console.error(`❌ Failed to send message with bot for Room ${roomId}:`, error.message);
-        throw error;
+    const delivery = await enqueueTelegramCall('sendMessage', {
+        chat_id: chatId,
+        text: message,
+        parse_mode: 'HTML',
+        ...(replyMarkup ? { reply_markup: replyMarkup } : {})
+    }, { roomId, ...meta });
+    
+    if (!delivery.ok) {
+        log.error(`❌ Failed to send message with bot for Room ${roomId}:`, delivery.description);
+        throw new Error(`Send message failed: ${delivery.description}`);
     }
+    
+    return {
+        success: true,
+        messageId: delivery.result.message_id,
+        conversationInfo: conversationInfo
+    };
 }
 
 // End conversation when room is cleaned
 async function deleteBotForRoom(roomId) {
     const conversationInfo = activeConversations.get(roomId);
     if (!conversationInfo) {
-        console.log(`⚠️ No conversation found for Room ${roomId} to end`);
+        log.warn(`⚠️ No conversation found for Room ${roomId} to end`);
         return;
     }
     
     try {
-        console.log(`🗑️ Ending conversation #${conversationInfo.conversationNumber} for Room ${roomId}`);
+        log.info(`🗑️ Ending conversation #${conversationInfo.conversationNumber} for Room ${roomId}`);
         
         // Remove conversation from active list
         activeConversations.delete(roomId);
         
-        console.log(`✅ Conversation ended successfully for Room ${roomId}`);
+        log.info(`✅ Conversation ended successfully for Room ${roomId}`);
     } catch (error) {
-        console.error(`❌ Error ending conversation for Room ${roomId}:`, error.message);
+        log.error(`❌ Error ending conversation for Room ${roomId}:`, error.message);
     }
 }
 
@@ -0,0 +1,205 @@
+/**
+ * Logging Module
+ *
+ * Structured, leveled logs with redaction. Each module gets its own logger:
+ *
+ *   const log = createLogger('telegram');
+ *   log.info('📱 Notification sent', { roomId, participant: name });
+ *
+ * Every entry is one JSON line: { time, level, module, msg, ...fields }.
+ * Participant content never belongs in `msg` - put it in a field, where
+ * redaction can see it:
+ * - Fields named like text, name, participant, sender, ip, token, secret,
+ *   cookie, headers, chat IDs or Telegram user data are replaced by "[redacted]"
+ *   (also inside nested objects and arrays)
+ * - Bot tokens, Bearer tokens and IPv4 addresses are masked in every string,
+ *   including `msg`
+ *
+ * installConsoleLogger() sends console.log/info/warn/error/debug through the
+ * same pipeline (module "console"), so older log calls are structured and
+ * masked too.
+ *
+ * Configuration (environment variables):
+ * - LOG_LEVEL: 'debug', 'info' (default), 'warn' or 'error'
+ * - LOG_FORMAT: 'json' (default) or 'pretty' (one readable line per entry, for local development)
+ * - LOG_REDACT: 'off' to log content unmasked (only honoured in dev mode)
+ * - DEV_MODE: 'true' (or NODE_ENV=development) enables dev mode
+ */
+
+const util = require('util');
+
+// ============================================================================
+// LOGGER CONFIGURATION
+// ============================================================================
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEV_MODE = process.env.DEV_MODE === 'true' || process.env.NODE_ENV === 'development';
+
+const LOGGER_CONFIG = {
+    LEVEL: LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+    FORMAT: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+    REDACT: !(DEV_MODE && process.env.LOG_REDACT === 'off'),
+    DEV_MODE,
+    MAX_DEPTH: 5,
+    REDACTED: '[redacted]'
+};
+
+/**
+ * REDACTED_KEYS: Field names whose values are never logged (compared in lower case)
+ */
+const REDACTED_KEYS = new Set([
+    'text', 'message', 'caption', 'name', 'participant', 'participantname', 'sender',
+    'ip', 'clientip', 'address', 'token', 'secret', 'password', 'authorization', 'cookie',
+    'headers', 'chatid', 'chat_id', 'from', 'chat', 'first_name', 'last_name', 'username'
+]);
+
+/**
+ * REDACTED_PATTERNS: Masked wherever they appear in a string
+ */
+const REDACTED_PATTERNS = [
+    { pattern: /\b\d{6,12}:[A-Za-z0-9_-]{30,}\b/g, replacement: '[bot-token]' },
+    { pattern: /Bearer\s+[A-Za-z0-9._~+/=-]+/gi, replacement: 'Bearer [token]' },
+    { pattern: /(?:::ffff:)?\b(?:\d{1,3}\.){3}\d{1,3}\b/g, replacement: '[ip]' }
+];
+
+// The real console, kept for writing once installConsoleLogger() has replaced it
+const consoleOutput = {
+    log: console.log.bind(console),
+    error: console.error.bind(console)
+};
+
+// ============================================================================
+// REDACTION
+// ============================================================================
+
+// Mask tokens and IPs in a string
+function redactString(value) {
+    if (!LOGGER_CONFIG.REDACT) {
+        return value;
+    }
+    return REDACTED_PATTERNS.reduce((text, { pattern, replacement }) => text.replace(pattern, replacement), value);
+}
+
+/**
+ * Make a value safe to log
+ *
+ * @param {*} value - Any value
+ * @param {number} depth - Nesting depth (objects deeper than MAX_DEPTH are summarised)
+ * @returns {*} - A JSON-friendly copy with sensitive fields and patterns masked
+ */
+function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return { error: redactString(value.message), stack: redactString(value.stack || '') };
+    }
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= LOGGER_CONFIG.MAX_DEPTH) {
+        return Array.isArray(value) ? `[array(${value.length})]` : '[object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, entry]) => {
+        if (LOGGER_CONFIG.REDACT && REDACTED_KEYS.has(key.toLowerCase()) && entry !== null && entry !== undefined && entry !== '') {
+            copy[key] = LOGGER_CONFIG.REDACTED;
+        } else {
+            copy[key] = redact(entry, depth + 1);
+        }
+    });
+    return copy;
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+/**
+ * Turn what a log call was given into fields
+ *
+ * log.info(msg, { fields }) is the normal form; an Error, or console-style
+ * extra arguments, are accepted too.
+ */
+function toFields(details) {
+    if (details.length === 0) {
+        return {};
+    }
+    if (details.length === 1) {
+        const [detail] = details;
+        if (detail instanceof Error) {
+            return { error: detail.message, stack: detail.stack };
+        }
+        if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+            return detail;
+        }
+        return { detail };
+    }
+    return { details };
+}
+
+function write(level, moduleName, msg, details) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOGGER_CONFIG.LEVEL]) {
+        return;
+    }
+
+    const fields = redact(toFields(details));
+    const text = redactString(typeof msg === 'string' ? msg : util.inspect(msg));
+    const output = level === 'error' || level === 'warn' ? consoleOutput.error : consoleOutput.log;
+
+    if (LOGGER_CONFIG.FORMAT === 'pretty') {
+        const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+        output(`${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} [${moduleName}] ${text}${extra}`);
+        return;
+    }
+
+    // Fields never overwrite the entry's own keys
+    const entry = { time: new Date().toISOString(), level, module: moduleName, msg: text };
+    Object.entries(fields).forEach(([key, value]) => {
+        if (!(key in entry)) {
+            entry[key] = value;
+        }
+    });
+    output(JSON.stringify(entry));
+}
+
+/**
+ * Create a logger for a module
+ *
+ * @param {string} moduleName - Shown in every entry, e.g. 'server' or 'telegram'
+ * @returns {object} - { debug, info, warn, error }, each (msg, fields)
+ */
+function createLogger(moduleName) {
+    return {
+        debug: (msg, ...details) => write('debug', moduleName, msg, details),
+        info: (msg, ...details) => write('info', moduleName, msg, details),
+        warn: (msg, ...details) => write('warn', moduleName, msg, details),
+        error: (msg, ...details) => write('error', moduleName, msg, details)
+    };
+}
+
+/**
+ * Send console.* through the logger (call once at startup)
+ *
+ * Extra console arguments become fields, so console.log('x', obj) still works.
+ */
+function installConsoleLogger() {
+    const logger = createLogger('console');
+    console.log = logger.info;
+    console.info = logger.info;
+    console.warn = logger.warn;
+    console.error = logger.error;
+    console.debug = logger.debug;
+}
+
+module.exports = {
+    LOGGER_CONFIG,
+    createLogger,
+    installConsoleLogger,
+    redact
+};
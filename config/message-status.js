@@ -0,0 +1,93 @@
+/**
+ * Message Status Module
+ *
+ * Every message gets a random ID, and every message written by the
+ * participant or an admin carries a delivery status that only moves forward:
+ * - sent: The server stored it (the sender's send-message acknowledgement)
+ * - delivered: It reached the other side - a socket in the participant's chat
+ *   or on an admin dashboard acknowledged it, or (for participant messages)
+ *   its Telegram notification went out
+ * - read: The other side had the chat window or the room's tile in focus
+ *
+ * System messages (welcome, bye, nudge) have no status.
+ *
+ * Configuration (environment variables):
+ * - MESSAGE_ACK_TIMEOUT_MS: How long the server waits for the other side's
+ *   sockets to acknowledge a message (default 5000)
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// MESSAGE STATUS CONFIGURATION
+// ============================================================================
+
+const MESSAGE_STATUS_CONFIG = {
+    ID_BYTES: 9,
+    ACK_TIMEOUT_MS: parseInt(process.env.MESSAGE_ACK_TIMEOUT_MS, 10) || 5000
+};
+
+/**
+ * MESSAGE_STATES: Delivery status of a message, in the order it moves through them
+ */
+const MESSAGE_STATES = {
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    READ: 'read'
+};
+
+const STATE_ORDER = [MESSAGE_STATES.SENT, MESSAGE_STATES.DELIVERED, MESSAGE_STATES.READ];
+
+// ============================================================================
+// MESSAGE IDS AND STATES
+// ============================================================================
+
+// Random message ID (Date.now() repeats when two messages arrive in the same millisecond)
+function createMessageId() {
+    return crypto.randomBytes(MESSAGE_STATUS_CONFIG.ID_BYTES).toString('base64url');
+}
+
+// System messages, and messages saved before statuses existed, have none
+function hasMessageStatus(message) {
+    return Boolean(message && message.status);
+}
+
+/**
+ * Move a message to a later status
+ *
+ * @param {object} message - Message from room.messages
+ * @param {string} status - One of MESSAGE_STATES
+ * @returns {boolean} - true if the status changed (an earlier or equal status is ignored)
+ */
+function advanceMessageStatus(message, status) {
+    if (!hasMessageStatus(message)) {
+        return false;
+    }
+    if (STATE_ORDER.indexOf(status) <= STATE_ORDER.indexOf(message.status)) {
+        return false;
+    }
+    message.status = status;
+    return true;
+}
+
+/**
+ * Move every message one side wrote to a later status
+ *
+ * @param {Array<object>} messages - room.messages
+ * @param {boolean} fromAdmin - true for admin messages, false for participant messages
+ * @param {string} status - One of MESSAGE_STATES
+ * @returns {Array<string>} - IDs of the messages that changed
+ */
+function advanceMessagesFrom(messages, fromAdmin, status) {
+    return messages
+        .filter(message => Boolean(message.isAdmin) === fromAdmin && advanceMessageStatus(message, status))
+        .map(message => message.id);
+}
+
+module.exports = {
+    MESSAGE_STATUS_CONFIG,
+    MESSAGE_STATES,
+    createMessageId,
+    advanceMessageStatus,
+    advanceMessagesFrom
+};
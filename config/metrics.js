@@ -0,0 +1,280 @@
+/**
+ * Metrics Module
+ *
+ * Counters and histograms for Prometheus, served as plain text at /metrics.
+ * The handlers that already do the work update them (knock decisions,
+ * messages, Telegram outbox calls, rate limits); gauges such as room counts
+ * and socket connections are read from server.js state at scrape time.
+ *
+ * Metrics:
+ *   anonymice_rooms{status}                              Rooms by lifecycle state
+ *   anonymice_knocks_total{outcome}                      Knocks accepted or rejected by an admin
+ *   anonymice_knock_admission_rejections_total{reason}   Knocks refused before reaching an admin
+ *   anonymice_knocks_pending                             Knocks waiting for an admin
+ *   anonymice_knocks_queued                              Knocks waiting for a free room
+ *   anonymice_knock_approval_seconds                     Time from knock to approval (histogram)
+ *   anonymice_messages_total{sender}                     Messages posted (participant or admin)
+ *   anonymice_messages_last_minute                       Messages posted in the last 60 seconds
+ *   anonymice_telegram_request_duration_seconds{method}  Bot API call latency per attempt (histogram)
+ *   anonymice_telegram_requests_total{method,result}     Bot API attempts (ok, error, rate_limited)
+ *   anonymice_telegram_failures_total{method}            Bot API calls given up on
+ *   anonymice_rate_limit_rejections_total{type}          Requests refused by config/security.js
+ *   anonymice_socket_connections{type}                   Open Socket.IO connections
+ *
+ * The endpoint is off unless METRICS_TOKEN is set; scrapers send it as
+ * "Authorization: Bearer <token>".
+ *
+ * Configuration (environment variables):
+ * - METRICS_TOKEN: Token required to read /metrics (unset: endpoint disabled)
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+// ============================================================================
+// METRICS CONFIGURATION
+// ============================================================================
+
+const METRICS_CONFIG = {
+    TOKEN: process.env.METRICS_TOKEN || null,
+    PREFIX: 'anonymice_',
+    MESSAGE_WINDOW_MS: 60 * 1000,
+    LATENCY_BUCKETS: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],            // Seconds
+    APPROVAL_BUCKETS: [5, 15, 30, 60, 120, 300, 600, 1800, 3600]        // Seconds
+};
+
+/**
+ * metrics: Map<name, metric> in registration order
+ *
+ * Metric structure:
+ *   - type: 'counter' | 'gauge' | 'histogram'
+ *   - help: string
+ *   - values: Map<labelKey, { labels, value }> (counters)
+ *   - series: Map<labelKey, { labels, buckets: Array<number>, sum, count }> (histograms)
+ *   - buckets: Array<number> (histograms)
+ *   - collect: () => Array<{ labels, value }> (gauges, read at scrape time)
+ */
+const metrics = new Map();
+
+// Timestamps of recent messages, for anonymice_messages_last_minute
+const recentMessages = [];
+
+// ============================================================================
+// METRIC TYPES
+// ============================================================================
+
+function labelKey(labels) {
+    return JSON.stringify(labels);
+}
+
+function defineCounter(name, help) {
+    metrics.set(name, { type: 'counter', help, values: new Map() });
+}
+
+function defineHistogram(name, help, buckets) {
+    metrics.set(name, { type: 'histogram', help, buckets, series: new Map() });
+}
+
+/**
+ * Register a gauge that is read when /metrics is scraped
+ *
+ * @param {string} name - Metric name without the anonymice_ prefix
+ * @param {string} help - One-line description
+ * @param {Function} collect - () => number, or () => Array<{ labels, value }>
+ */
+function registerGauge(name, help, collect) {
+    metrics.set(name, { type: 'gauge', help, collect });
+}
+
+function incrementCounter(name, labels = {}, amount = 1) {
+    const metric = metrics.get(name);
+    const key = labelKey(labels);
+    if (!metric.values.has(key)) {
+        metric.values.set(key, { labels, value: 0 });
+    }
+    metric.values.get(key).value += amount;
+}
+
+function observeHistogram(name, labels, value) {
+    const metric = metrics.get(name);
+    const key = labelKey(labels);
+    if (!metric.series.has(key)) {
+        metric.series.set(key, { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const series = metric.series.get(key);
+    metric.buckets.forEach((bound, index) => {
+        if (value <= bound) {
+            series.buckets[index]++;
+        }
+    });
+    series.sum += value;
+    series.count++;
+}
+
+defineCounter('knocks_total', 'Knocks accepted or rejected by an admin');
+defineCounter('knock_admission_rejections_total', 'Knocks refused by the admission checks before reaching an admin');
+defineHistogram('knock_approval_seconds', 'Time from knock to approval', METRICS_CONFIG.APPROVAL_BUCKETS);
+defineCounter('messages_total', 'Messages posted in conversations');
+registerGauge('messages_last_minute', 'Messages posted in the last 60 seconds', () => {
+    pruneRecentMessages();
+    return recentMessages.length;
+});
+defineHistogram('telegram_request_duration_seconds', 'Telegram Bot API call latency per attempt', METRICS_CONFIG.LATENCY_BUCKETS);
+defineCounter('telegram_requests_total', 'Telegram Bot API call attempts');
+defineCounter('telegram_failures_total', 'Telegram Bot API calls given up on');
+defineCounter('rate_limit_rejections_total', 'Requests refused by the rate limiter');
+
+// ============================================================================
+// RECORDING - Called from the handlers
+// ============================================================================
+
+/**
+ * Count an admin's decision on a knock
+ *
+ * @param {string} outcome - 'accepted' or 'rejected'
+ */
+function recordKnockOutcome(outcome) {
+    incrementCounter('knocks_total', { outcome });
+}
+
+// Count a knock refused by an admission check (see config/admission.js)
+function recordAdmissionRejection(reason) {
+    incrementCounter('knock_admission_rejections_total', { reason });
+}
+
+// Record how long a knock waited before it was approved
+function recordKnockApproval(room) {
+    if (room.created && room.activatedAt) {
+        observeHistogram('knock_approval_seconds', {}, Math.max(0, room.activatedAt - room.created) / 1000);
+    }
+}
+
+/**
+ * Count a message posted in a conversation
+ *
+ * @param {string} sender - 'participant' or 'admin'
+ */
+function recordMessage(sender) {
+    incrementCounter('messages_total', { sender });
+    recentMessages.push(Date.now());
+    pruneRecentMessages();
+}
+
+function pruneRecentMessages() {
+    const cutoff = Date.now() - METRICS_CONFIG.MESSAGE_WINDOW_MS;
+    while (recentMessages.length > 0 && recentMessages[0] < cutoff) {
+        recentMessages.shift();
+    }
+}
+
+/**
+ * Record one Telegram Bot API attempt
+ *
+ * @param {string} method - Bot API method
+ * @param {number} durationMs - How long the attempt took
+ * @param {string} result - 'ok', 'error' or 'rate_limited'
+ */
+function recordTelegramRequest(method, durationMs, result) {
+    observeHistogram('telegram_request_duration_seconds', { method }, durationMs / 1000);
+    incrementCounter('telegram_requests_total', { method, result });
+}
+
+// Count a Telegram call the outbox gave up on
+function recordTelegramFailure(method) {
+    incrementCounter('telegram_failures_total', { method });
+}
+
+// Count a request refused by the rate limiter (type: 'knock', 'message', 'webhook', ...)
+function recordRateLimitRejection(type) {
+    incrementCounter('rate_limit_rejections_total', { type });
+}
+
+// ============================================================================
+// EXPOSITION
+// ============================================================================
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatSample(name, labels, value) {
+    return `${name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`;
+}
+
+/**
+ * Render every metric in the Prometheus text format (version 0.0.4)
+ *
+ * @returns {string}
+ */
+function renderMetrics() {
+    const lines = [];
+    for (const [shortName, metric] of metrics) {
+        const name = METRICS_CONFIG.PREFIX + shortName;
+        lines.push(`# HELP ${name} ${metric.help}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+
+        if (metric.type === 'counter') {
+            metric.values.forEach(({ labels, value }) => lines.push(formatSample(name, labels, value)));
+        } else if (metric.type === 'gauge') {
+            let samples;
+            try {
+                const collected = metric.collect();
+                samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+            } catch (error) {
+                log.error(`❌ Could not collect metric ${name}:`, error.message);
+                samples = [];
+            }
+            samples.forEach(({ labels, value }) => lines.push(formatSample(name, labels, value)));
+        } else {
+            metric.series.forEach(series => {
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(formatSample(`${name}_bucket`, { ...series.labels, le: bound }, series.buckets[index]));
+                });
+                lines.push(formatSample(`${name}_bucket`, { ...series.labels, le: '+Inf' }, series.count));
+                lines.push(formatSample(`${name}_sum`, series.labels, series.sum));
+                lines.push(formatSample(`${name}_count`, series.labels, series.count));
+            });
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Check the scraper's token
+ *
+ * @param {object} req - Express request
+ * @returns {boolean} - false when the token is wrong or METRICS_TOKEN is not set
+ */
+function isMetricsRequestAuthorized(req) {
+    if (!METRICS_CONFIG.TOKEN) {
+        return false;
+    }
+    const authHeader = req.headers['authorization'] || '';
+    const provided = Buffer.from(authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length) : '');
+    const expected = Buffer.from(METRICS_CONFIG.TOKEN);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+    METRICS_CONFIG,
+    registerGauge,
+    recordKnockOutcome,
+    recordAdmissionRejection,
+    recordKnockApproval,
+    recordMessage,
+    recordTelegramRequest,
+    recordTelegramFailure,
+    recordRateLimitRejection,
+    renderMetrics,
+    isMetricsRequestAuthorized
+};
@@ -0,0 +1,96 @@
+/**
+ * Participant Identity Module
+ *
+ * Participants choose their own names, so two people can both knock as
+ * "Alex". Each participant gets an identity when their room is created:
+ *
+ * - id: random and never reused - participantRooms and every server-side
+ *   lookup use it, never the name
+ * - name: the display name, unique among current rooms. The second "Alex"
+ *   is shown as "Alex #2" (compared without case, so "alex" is too)
+ * - requestedName: the name as typed, for the admission checks
+ *
+ * A display name is freed when its room is cleaned up.
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// IDENTITY CONFIGURATION
+// ============================================================================
+
+const PARTICIPANT_IDENTITY_CONFIG = {
+    ID_BYTES: 9
+};
+
+// ============================================================================
+// IDENTITIES
+// ============================================================================
+
+function normalizeName(name) {
+    return String(name).trim().toLowerCase();
+}
+
+/**
+ * Pick a display name no current participant is shown as
+ *
+ * @param {string} requestedName - The name from the knock
+ * @param {Iterable<object>} rooms - Current rooms (chatRooms.values())
+ * @returns {string} - requestedName, or "requestedName #N" with the lowest free N (from 2)
+ */
+function disambiguateName(requestedName, rooms) {
+    const takenNames = new Set();
+    for (const room of rooms) {
+        if (room.participant && room.participant.name) {
+            takenNames.add(normalizeName(room.participant.name));
+        }
+    }
+
+    if (!takenNames.has(normalizeName(requestedName))) {
+        return requestedName;
+    }
+    let suffix = 2;
+    while (takenNames.has(normalizeName(`${requestedName} #${suffix}`))) {
+        suffix++;
+    }
+    return `${requestedName} #${suffix}`;
+}
+
+/**
+ * Create the identity for a new room's participant
+ *
+ * @param {string} requestedName - The name from the knock
+ * @param {Iterable<object>} rooms - Current rooms (chatRooms.values()), not including the new one
+ * @returns {object} - { id, name, requestedName } for room.participant
+ */
+function createParticipant(requestedName, rooms) {
+    return {
+        id: crypto.randomBytes(PARTICIPANT_IDENTITY_CONFIG.ID_BYTES).toString('base64url'),
+        name: disambiguateName(requestedName, rooms),
+        requestedName
+    };
+}
+
+/**
+ * Give a participant saved before identities existed an ID (migration for old data)
+ * Their name stays as it is; it was unique enough for the room it was saved with.
+ *
+ * @param {object} participant - room.participant from saved chat data
+ * @returns {object} - The same participant, with id and requestedName set
+ */
+function ensureParticipantIdentity(participant) {
+    if (!participant.id) {
+        participant.id = crypto.randomBytes(PARTICIPANT_IDENTITY_CONFIG.ID_BYTES).toString('base64url');
+    }
+    if (!participant.requestedName) {
+        participant.requestedName = participant.name;
+    }
+    return participant;
+}
+
+module.exports = {
+    PARTICIPANT_IDENTITY_CONFIG,
+    createParticipant,
+    disambiguateName,
+    ensureParticipantIdentity
+};
@@ -0,0 +1,69 @@
+/**
+ * Participant Session Module
+ *
+ * Room numbers are small and reused, and names are chosen by the
+ * participant, so neither proves who is joining a room. When a participant
+ * is let in (room-assigned or knock-approved), they get a random session
+ * token; join-room only admits a socket that presents it.
+ *
+ * - The token is 32 random bytes (base64url), sent to the knocking socket only
+ * - The room keeps a SHA-256 hash of it (room.participantTokenHash), so saved
+ *   chat data, the dashboard and the admin API never hold a usable token
+ * - The token does not depend on the socket ID, so a reconnect after a
+ *   network drop resumes the same room from a new socket
+ *
+ * The browser keeps the token in sessionStorage (never in the URL).
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// SESSION CONFIGURATION
+// ============================================================================
+
+const PARTICIPANT_SESSION_CONFIG = {
+    TOKEN_BYTES: 32
+};
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+function hashParticipantToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a new session token for a room's participant
+ * Replaces any earlier token, so only the newest one can join.
+ *
+ * @param {object} room - Room object from chatRooms
+ * @returns {string} - The token to send to the participant
+ */
+function issueParticipantToken(room) {
+    const token = crypto.randomBytes(PARTICIPANT_SESSION_CONFIG.TOKEN_BYTES).toString('base64url');
+    room.participantTokenHash = hashParticipantToken(token);
+    return token;
+}
+
+/**
+ * Check a participant's session token against a room
+ *
+ * @param {object} room - Room object from chatRooms
+ * @param {string} token - Token sent with join-room
+ * @returns {boolean} - false when the token is missing or wrong, or the room has none
+ */
+function verifyParticipantToken(room, token) {
+    if (!room.participantTokenHash || typeof token !== 'string' || token.length === 0) {
+        return false;
+    }
+    const provided = Buffer.from(hashParticipantToken(token), 'hex');
+    const expected = Buffer.from(room.participantTokenHash, 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+    PARTICIPANT_SESSION_CONFIG,
+    issueParticipantToken,
+    verifyParticipantToken
+};
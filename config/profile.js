@@ -0,0 +1,152 @@
+/**
+ * Deployment Profile Module
+ *
+ * This module holds everything that changes from one host's instance to
+ * another: the admin's display name, the short label used in summaries,
+ * the timezone/locale for timestamps, and every system text participants
+ * see. Server, Telegram and dashboard code read these values from here
+ * instead of hardcoding them.
+ *
+ * Sources (later ones override earlier ones):
+ * 1. DEFAULT_PROFILE below
+ * 2. JSON file at PROFILE_FILE (e.g. PROFILE_FILE=./profiles/priya.json)
+ *    - may set any top-level field and any subset of `texts`
+ * 3. Environment variables:
+ *    - ADMIN_DISPLAY_NAME: Full name shown to participants
+ *    - ADMIN_SHORT_LABEL: Short name used in Telegram summaries
+ *    - PROFILE_TIMEZONE: IANA timezone for timestamps (e.g. Europe/London)
+ *    - PROFILE_LOCALE: Locale for timestamps (e.g. en-GB)
+ *
+ * Texts can use {name} (participant name) and {adminName} placeholders.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('profile');
+
+// ============================================================================
+// DEFAULT PROFILE
+// ============================================================================
+
+const DEFAULT_PROFILE = {
+    adminName: 'Rajendran D',
+    adminLabel: 'Rajendran',
+    timezone: 'Asia/Kolkata',
+    locale: 'en-IN',
+    texts: {
+        // Knock flow
+        knockReceived: 'Knock received! Waiting for admin approval...',
+        knockProcessing: 'Knock received! Processing...',
+        knockApproved: 'You have been approved! Welcome to the chat.',
+        knockRejected: 'Your request has been rejected.',
+        adminAway: 'The admin is currently away. Please try again later.',
+        noRoomsAvailable: 'All rooms are busy and the waiting line is full. Please try again later.',
+        invalidName: 'Please choose a different name.',
+        sleeping: 'The admin is resting right now. Please knock again later.',
+        duplicateKnock: 'A knock with this name is already waiting for approval.',
+
+        // Conversation
+        welcome: 'Welcome {name}! You can now chat with {adminName}.',
+        nudge: "Hello! I'm here and ready to help. What would you like to discuss?",
+
+        // Conversation endings (see config/room-lifecycle.js)
+        participantLeft: '{name} has left the chat room.',
+        inactive: 'You have been inactive for 5 minutes. The conversation has been closed.',
+        adminEnded: 'The admin is not able to continue this conversation any longer. Thank you for chatting!',
+
+        // Service on/off broadcasts
+        serviceShutdown: 'The Cat Has Left The House. Sorry. No More Play!',
+        serviceRestored: 'The Cat is back! You can continue chatting now.'
+    }
+};
+
+// ============================================================================
+// PROFILE LOADING
+// ============================================================================
+
+// Read the optional profile file named by PROFILE_FILE
+function readProfileFile(filePath) {
+    if (!filePath) {
+        return {};
+    }
+
+    const resolvedPath = path.resolve(filePath);
+    try {
+        const fileProfile = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        log.info(`🪪 Loaded deployment profile from ${resolvedPath}`);
+        return fileProfile;
+    } catch (error) {
+        // A broken profile must not take the service down - fall back to defaults
+        log.error(`❌ Could not read deployment profile ${resolvedPath}: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Build the deployment profile from defaults, the profile file and env vars
+ *
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} - Frozen profile { adminName, adminLabel, timezone, locale, texts }
+ */
+function loadProfile(env = process.env) {
+    const fileProfile = readProfileFile(env.PROFILE_FILE);
+
+    const profile = {
+        adminName: env.ADMIN_DISPLAY_NAME || fileProfile.adminName || DEFAULT_PROFILE.adminName,
+        adminLabel: env.ADMIN_SHORT_LABEL || fileProfile.adminLabel || DEFAULT_PROFILE.adminLabel,
+        timezone: env.PROFILE_TIMEZONE || fileProfile.timezone || DEFAULT_PROFILE.timezone,
+        locale: env.PROFILE_LOCALE || fileProfile.locale || DEFAULT_PROFILE.locale,
+        texts: { ...DEFAULT_PROFILE.texts, ...(fileProfile.texts || {}) }
+    };
+
+    Object.freeze(profile.texts);
+    return Object.freeze(profile);
+}
+
+/**
+ * PROFILE: The profile for this instance, loaded once at startup
+ */
+const PROFILE = loadProfile();
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+/**
+ * Get a participant-facing system text with placeholders filled in
+ *
+ * @param {string} key - Key in PROFILE.texts (e.g. 'welcome')
+ * @param {object} values - Placeholder values (e.g. { name: 'Alex' })
+ * @returns {string} - The text; {adminName} is always available
+ */
+function profileText(key, values = {}) {
+    const template = PROFILE.texts[key];
+    if (template === undefined) {
+        throw new Error(`Unknown profile text: ${key}`);
+    }
+
+    const allValues = { adminName: PROFILE.adminName, ...values };
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        allValues[name] !== undefined ? String(allValues[name]) : match
+    );
+}
+
+// Get the fields the browser pages need (no texts that only the server uses)
+function getPublicProfile() {
+    return {
+        adminName: PROFILE.adminName,
+        adminLabel: PROFILE.adminLabel,
+        timezone: PROFILE.timezone,
+        locale: PROFILE.locale
+    };
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROFILE,
+    loadProfile,
+    profileText,
+    getPublicProfile
+};
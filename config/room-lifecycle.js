@@ -0,0 +1,190 @@
+/**
+ * Room Lifecycle Module
+ *
+ * This module defines how a chat room moves through its life and how a
+ * conversation ends. Every room follows the same state machine:
+ *
+ *   pending ──approve──▶ active ──end──▶ ending ──cleanup──▶ closed
+ *      │                                                       ▲
+ *      └──────────────reject / disconnect──────────────────────┘
+ *
+ * - pending: Knock received, waiting for the admin
+ * - active: Admin approved, participant and admin are chatting
+ * - ending: Conversation is over; transcript stays visible until cleanup
+ * - closed: Room removed, room number free for reuse
+ *
+ * A conversation always ends with an explicit end reason. The reason picks
+ * the bye message (a deployment profile text); the summary sent to Telegram
+ * is built the same way for every reason. Adding a new way to end a
+ * conversation only needs a new entry in END_REASONS and END_REASON_TEXTS.
+ *
+ * The module has no Telegram or Socket.IO dependencies.
+ */
+
+const { profileText } = require('./profile');
+const { getAdminLabel } = require('./admins');
+const { createConversationTimeFormatter } = require('./time-format');
+const { escapeHtml } = require('./telegram-format');
+const { createMessageId } = require('./message-status');
+
+// ============================================================================
+// LIFECYCLE CONFIGURATION
+// ============================================================================
+
+const ROOM_LIFECYCLE_CONFIG = {
+    CLEANUP_DELAY_MS: 30000     // Keep an ended room around so the admin can read the transcript
+};
+
+/**
+ * ROOM_STATES: Every status a room can have
+ */
+const ROOM_STATES = {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    ENDING: 'ending',
+    CLOSED: 'closed'
+};
+
+/**
+ * ROOM_TRANSITIONS: Allowed next states for each state
+ */
+const ROOM_TRANSITIONS = {
+    [ROOM_STATES.PENDING]: [ROOM_STATES.ACTIVE, ROOM_STATES.CLOSED],
+    [ROOM_STATES.ACTIVE]: [ROOM_STATES.ENDING],
+    [ROOM_STATES.ENDING]: [ROOM_STATES.CLOSED],
+    [ROOM_STATES.CLOSED]: []
+};
+
+// ============================================================================
+// END REASONS
+// ============================================================================
+
+/**
+ * END_REASONS: Why a conversation ended (sent to the admin with the bye message)
+ */
+const END_REASONS = {
+    PARTICIPANT_LEFT: 'participant_left',   // Participant clicked Leave
+    DISCONNECTED: 'disconnected',           // Participant did not reconnect within the grace period
+    INACTIVE: 'inactive',                   // No activity for 5 minutes
+    ADMIN_CLOSED: 'admin_closed',           // Admin used /close or /kick in Telegram
+    ADMIN_STOPPED: 'admin_stopped',         // Admin clicked Stop Chat on the dashboard
+    ADMIN_API: 'admin_api'                  // Admin kicked the participant through the admin API
+};
+
+/**
+ * END_REASON_TEXTS: Deployment profile text used as the bye message for each end reason
+ */
+const END_REASON_TEXTS = {
+    [END_REASONS.PARTICIPANT_LEFT]: 'participantLeft',
+    [END_REASONS.DISCONNECTED]: 'participantLeft',
+    [END_REASONS.INACTIVE]: 'inactive',
+    [END_REASONS.ADMIN_CLOSED]: 'adminEnded',
+    [END_REASONS.ADMIN_STOPPED]: 'adminEnded',
+    [END_REASONS.ADMIN_API]: 'adminEnded'
+};
+
+// ============================================================================
+// STATE TRANSITIONS
+// ============================================================================
+
+/**
+ * Move a room to a new state
+ *
+ * Sets room.status and records when the room entered the state
+ * (activatedAt, endedAt, closedAt). Illegal transitions leave the room
+ * unchanged.
+ *
+ * @param {object} room - Room object from chatRooms
+ * @param {string} nextState - One of ROOM_STATES
+ * @param {number} now - Current time (defaults to Date.now())
+ * @returns {object} - { ok: true, from, to } or { ok: false, error }
+ */
+function transitionRoom(room, nextState, now = Date.now()) {
+    const currentState = room.status;
+    const allowed = ROOM_TRANSITIONS[currentState];
+
+    if (!allowed) {
+        return { ok: false, error: `Unknown room state: ${currentState}` };
+    }
+    if (!allowed.includes(nextState)) {
+        return { ok: false, error: `Cannot move room from ${currentState} to ${nextState}` };
+    }
+
+    room.status = nextState;
+    switch (nextState) {
+        case ROOM_STATES.ACTIVE:
+            room.activatedAt = now;
+            break;
+        case ROOM_STATES.ENDING:
+            room.endedAt = now;
+            break;
+        case ROOM_STATES.CLOSED:
+            room.closedAt = now;
+            break;
+    }
+
+    return { ok: true, from: currentState, to: nextState };
+}
+
+// ============================================================================
+// CONVERSATION ENDING
+// ============================================================================
+
+/**
+ * Create the bye message added to a room when its conversation ends
+ *
+ * @param {string} reason - One of END_REASONS
+ * @param {string} participantName - Participant's display name
+ * @returns {object} - Message object (sender 'System')
+ */
+function createByeMessage(reason, participantName) {
+    const textKey = END_REASON_TEXTS[reason];
+    if (!textKey) {
+        throw new Error(`Unknown end reason: ${reason}`);
+    }
+
+    return {
+        id: createMessageId(),
+        text: profileText(textKey, { name: participantName }),
+        sender: 'System',
+        timestamp: new Date().toISOString(),
+        isAdmin: false
+    };
+}
+
+/**
+ * Build the conversation summary appended to the final Telegram message
+ *
+ * Only messages written by the participant or an admin are included;
+ * every 'System' message (welcome, bye, join notices) is left out. Admin
+ * messages are labelled with the short label of the admin who wrote them.
+ *
+ * @param {Array<object>} messages - Room message history
+ * @returns {string} - Summary text (Telegram HTML, message texts escaped), or '' if nothing was said
+ */
+function buildConversationSummary(messages) {
+    const conversation = (messages || []).filter(msg => msg.sender !== 'System');
+    if (conversation.length === 0) {
+        return '';
+    }
+
+    // Times include the date when the conversation spans several days
+    const formatMessageTime = createConversationTimeFormatter(conversation);
+
+    let summary = '\n\n📜 <b>Final Conversation Summary:</b>\n';
+    conversation.forEach(msg => {
+        const sender = msg.isAdmin ? getAdminLabel(msg.adminId) : msg.sender;
+        summary += `${escapeHtml(sender)} (${formatMessageTime(msg.timestamp)}): ${escapeHtml(msg.text)}\n`;
+    });
+    return summary;
+}
+
+module.exports = {
+    ROOM_LIFECYCLE_CONFIG,
+    ROOM_STATES,
+    ROOM_TRANSITIONS,
+    END_REASONS,
+    transitionRoom,
+    createByeMessage,
+    buildConversationSummary
+};
@@ -15,6 +15,7 @@
  */
 
 const crypto = require('crypto');
+const { recordRateLimitRejection } = require('./metrics');
 
 // ============================================================================
 // RATE LIMITING STORAGE
@@ -76,6 +77,7 @@ function checkRateLimit(ip, type = 'general') {
     }
     
     if (limit.requests >= SECURITY_CONFIG.MAX_REQUESTS_PER_MINUTE) {
+        recordRateLimitRejection(type);
         return { allowed: false, remaining: 0, resetTime: limit.resetTime };
     }
     
@@ -115,6 +117,7 @@ function checkUserRateLimit(socketId, type = 'message') {
     }
     
     if (limit.requests >= maxRequests) {
+        recordRateLimitRejection(type);
         return { allowed: false, remaining: 0, resetTime: limit.resetTime };
     }
     
@@ -187,12 +190,25 @@ function validateWebhookRequest(req) {
         return { valid: false, error: 'Webhook payload too large' };
     }
     
-    // Check for valid Telegram webhook structure
-    if (!req.body || !req.body.message) {
+    return validateTelegramUpdate(req.body);
+}
+
+// Validate the structure of a Telegram update (from the webhook or from getUpdates)
+function validateTelegramUpdate(update) {
+    if (!update || (!update.message && !update.callback_query)) {
         return { valid: false, error: 'Invalid webhook structure' };
     }
     
-    const message = req.body.message;
+    // Inline keyboard button press
+    if (update.callback_query) {
+        const callbackQuery = update.callback_query;
+        if (!callbackQuery.id || typeof callbackQuery.data !== 'string' || !callbackQuery.message) {
+            return { valid: false, error: 'Invalid callback query format' };
+        }
+        return { valid: true };
+    }
+    
+    const message = update.message;
     if (!message.text || typeof message.text !== 'string') {
         return { valid: false, error: 'Invalid message format' };
     }
@@ -227,8 +243,8 @@ function cleanupRateLimits() {
     }
 }
 
-// Auto-cleanup every 5 minutes
-setInterval(cleanupRateLimits, 5 * 60 * 1000);
+// Auto-cleanup every 5 minutes (the timer alone does not keep the process running)
+setInterval(cleanupRateLimits, 5 * 60 * 1000).unref();
 
 module.exports = {
     SECURITY_CONFIG,
@@ -237,6 +253,7 @@ module.exports = {
     validateMessage,
     validateRoomCreation,
     validateWebhookRequest,
+    validateTelegramUpdate,
     getClientIP,
     cleanupRateLimits
 };
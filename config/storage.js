@@ -0,0 +1,329 @@
+/**
+ * Chat Data Persistence Module
+ *
+ * This module stores chat rooms and participant mappings on disk so active
+ * conversations survive a server restart. Two backends share one interface:
+ *
+ * - json: One JSON snapshot file, written atomically (temp file + rename)
+ * - journal: Append-only JSON-lines file, replayed at startup and compacted
+ *
+ * Storage interface (returned by every backend):
+ *   - load(): { data, quarantined } - data is { chatRooms, participantRooms } or null
+ *   - save(getSnapshot): Schedule a debounced write of the latest snapshot
+ *   - flush(): Write any pending snapshot now (returns a Promise)
+ *
+ * Writes are batched: save() can be called after every message, but the
+ * snapshot is only written once the debounce window passes. A corrupt or
+ * partially written file is moved aside (quarantined) and reported instead
+ * of being silently discarded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('storage');
+
+// ============================================================================
+// STORAGE CONFIGURATION
+// ============================================================================
+
+const STORAGE_CONFIG = {
+    BACKEND: process.env.STORAGE_BACKEND || 'json',                              // 'json' or 'journal'
+    DEBOUNCE_MS: parseInt(process.env.STORAGE_DEBOUNCE_MS, 10) || 500,           // Quiet time before a write
+    MAX_WAIT_MS: parseInt(process.env.STORAGE_MAX_WAIT_MS, 10) || 5000,          // Longest a write can be delayed
+    JOURNAL_COMPACT_ENTRIES: 500                                                // Compact journal after this many entries
+};
+
+// ============================================================================
+// SHARED HELPERS
+// ============================================================================
+
+// Write a file atomically: write a temp file next to it, then rename over it
+async function writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    await fs.promises.writeFile(tempPath, contents);
+    await fs.promises.rename(tempPath, filePath);
+}
+
+// Move an unreadable file aside so it can be inspected later
+function quarantineFile(filePath, error) {
+    const quarantinePath = `${filePath}.corrupt-${Date.now()}`;
+    try {
+        fs.renameSync(filePath, quarantinePath);
+        log.error(`🚨 Quarantined unreadable data file ${filePath} -> ${quarantinePath}: ${error.message}`);
+    } catch (renameError) {
+        log.error(`🚨 Could not quarantine ${filePath}:`, renameError.message);
+        return null;
+    }
+    return { path: quarantinePath, error: error.message };
+}
+
+/**
+ * Create a debounced writer
+ *
+ * Calls to schedule() within the debounce window are collapsed into one
+ * write. Writes never overlap; a write requested while another is running
+ * starts after it finishes, with the newest snapshot.
+ *
+ * @param {Function} write - async (snapshot) => void
+ * @returns {object} - { schedule(getSnapshot), flush() }
+ */
+function createDebouncedWriter(write) {
+    let getLatestSnapshot = null;
+    let timer = null;
+    let firstScheduledAt = 0;
+    let writing = Promise.resolve();
+
+    function runWrite() {
+        clearTimeout(timer);
+        timer = null;
+        firstScheduledAt = 0;
+
+        if (!getLatestSnapshot) {
+            return writing;
+        }
+        const getSnapshot = getLatestSnapshot;
+        getLatestSnapshot = null;
+
+        writing = writing
+            .then(() => write(getSnapshot()))
+            .catch(error => log.error('❌ Error saving chat data:', error.message));
+        return writing;
+    }
+
+    function schedule(getSnapshot) {
+        getLatestSnapshot = getSnapshot;
+        const now = Date.now();
+        if (!firstScheduledAt) {
+            firstScheduledAt = now;
+        }
+
+        clearTimeout(timer);
+        const waited = now - firstScheduledAt;
+        const delay = Math.max(0, Math.min(STORAGE_CONFIG.DEBOUNCE_MS, STORAGE_CONFIG.MAX_WAIT_MS - waited));
+        timer = setTimeout(runWrite, delay);
+    }
+
+    return { schedule, flush: runWrite };
+}
+
+// ============================================================================
+// JSON FILE BACKEND
+// ============================================================================
+
+/**
+ * Create a storage backend that keeps one JSON snapshot file
+ *
+ * @param {string} filePath - Path to the snapshot file (e.g. chat_data.json)
+ * @returns {object} - Storage interface
+ */
+function createJsonFileStorage(filePath) {
+    const writer = createDebouncedWriter(async (snapshot) => {
+        await writeFileAtomic(filePath, JSON.stringify(snapshot, null, 2));
+    });
+
+    function load() {
+        if (!fs.existsSync(filePath)) {
+            return { data: null, quarantined: null };
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!data || typeof data !== 'object') {
+                throw new Error('Snapshot is not an object');
+            }
+            return { data, quarantined: null };
+        } catch (error) {
+            return { data: null, quarantined: quarantineFile(filePath, error) };
+        }
+    }
+
+    return {
+        name: 'json',
+        load,
+        save: writer.schedule,
+        flush: writer.flush
+    };
+}
+
+// ============================================================================
+// APPEND-ONLY JOURNAL BACKEND
+// ============================================================================
+
+/**
+ * Create a storage backend that appends changes to a JSON-lines journal
+ *
+ * Each save compares the snapshot with what was last written and appends
+ * only the differences:
+ *   - { op: 'put', roomId, room }          - room created or changed
+ *   - { op: 'del', roomId }                - room removed
+ *   - { op: 'map', participantRooms }      - participant mappings changed
+ *   - { op: 'snapshot', chatRooms, participantRooms } - compacted state
+ *
+ * At startup the journal is replayed in order. A torn last line (crash
+ * mid-append) is dropped; corruption earlier in the file quarantines the
+ * journal but keeps every room recovered before the bad entry.
+ *
+ * @param {string} filePath - Path to the journal file (e.g. chat_data.journal)
+ * @returns {object} - Storage interface
+ */
+function createJournalStorage(filePath) {
+    // Last written JSON per room, used to work out what changed
+    let writtenRooms = new Map();
+    let writtenMappings = '[]';
+    let entryCount = 0;
+
+    async function compact(snapshot) {
+        const entry = { op: 'snapshot', ...snapshot };
+        await writeFileAtomic(filePath, JSON.stringify(entry) + '\n');
+        writtenRooms = new Map(snapshot.chatRooms.map(([roomId, room]) => [roomId, JSON.stringify(room)]));
+        writtenMappings = JSON.stringify(snapshot.participantRooms);
+        entryCount = 1;
+        log.info(`🗜️ Journal compacted (${snapshot.chatRooms.length} rooms)`);
+    }
+
+    const writer = createDebouncedWriter(async (snapshot) => {
+        if (entryCount >= STORAGE_CONFIG.JOURNAL_COMPACT_ENTRIES) {
+            await compact(snapshot);
+            return;
+        }
+
+        const at = snapshot.timestamp;
+        const lines = [];
+        const currentIds = new Set();
+
+        for (const [roomId, room] of snapshot.chatRooms) {
+            currentIds.add(roomId);
+            const json = JSON.stringify(room);
+            if (writtenRooms.get(roomId) !== json) {
+                lines.push({ op: 'put', roomId, room, at });
+            }
+        }
+        for (const roomId of writtenRooms.keys()) {
+            if (!currentIds.has(roomId)) {
+                lines.push({ op: 'del', roomId, at });
+            }
+        }
+        const mappings = JSON.stringify(snapshot.participantRooms);
+        if (mappings !== writtenMappings) {
+            lines.push({ op: 'map', participantRooms: snapshot.participantRooms, at });
+        }
+
+        if (lines.length === 0) {
+            return;
+        }
+
+        await fs.promises.appendFile(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+        entryCount += lines.length;
+        writtenRooms = new Map(snapshot.chatRooms.map(([roomId, room]) => [roomId, JSON.stringify(room)]));
+        writtenMappings = mappings;
+    });
+
+    function load() {
+        if (!fs.existsSync(filePath)) {
+            return { data: null, quarantined: null };
+        }
+
+        const rooms = new Map();
+        let participantRooms = [];
+        let quarantined = null;
+        let tornTail = false;
+
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        // A journal always ends with '\n', so the last element is '' when intact
+        const lastIndex = lines.length - 1;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                if (i === lastIndex) {
+                    // Crash mid-append: only the final line is incomplete
+                    tornTail = true;
+                    log.warn(`⚠️ Dropping torn last journal entry in ${filePath}`);
+                } else {
+                    quarantined = quarantineFile(filePath, new Error(`Line ${i + 1}: ${error.message}`));
+                }
+                break;
+            }
+
+            switch (entry.op) {
+                case 'snapshot':
+                    rooms.clear();
+                    (entry.chatRooms || []).forEach(([roomId, room]) => rooms.set(roomId, room));
+                    participantRooms = entry.participantRooms || [];
+                    break;
+                case 'put':
+                    rooms.set(entry.roomId, entry.room);
+                    break;
+                case 'del':
+                    rooms.delete(entry.roomId);
+                    break;
+                case 'map':
+                    participantRooms = entry.participantRooms || [];
+                    break;
+                default:
+                    log.warn(`⚠️ Skipping unknown journal entry at line ${i + 1}: ${entry.op}`);
+            }
+        }
+
+        const data = {
+            chatRooms: Array.from(rooms.entries()),
+            participantRooms
+        };
+
+        // Rewrite a clean journal from what was recovered
+        if (quarantined || tornTail) {
+            writer.schedule(() => ({ ...data, timestamp: new Date().toISOString() }));
+            entryCount = STORAGE_CONFIG.JOURNAL_COMPACT_ENTRIES;
+        } else {
+            writtenRooms = new Map(data.chatRooms.map(([roomId, room]) => [roomId, JSON.stringify(room)]));
+            writtenMappings = JSON.stringify(participantRooms);
+            entryCount = lines.filter(line => line.trim()).length;
+        }
+
+        return { data, quarantined };
+    }
+
+    return {
+        name: 'journal',
+        load,
+        save: writer.schedule,
+        flush: writer.flush
+    };
+}
+
+// ============================================================================
+// BACKEND SELECTION
+// ============================================================================
+
+/**
+ * Create the configured storage backend
+ *
+ * @param {string} dataDir - Directory that holds the data files
+ * @param {string} backend - 'json' or 'journal' (defaults to STORAGE_BACKEND)
+ * @returns {object} - Storage interface
+ */
+function createStorage(dataDir, backend = STORAGE_CONFIG.BACKEND) {
+    switch (backend) {
+        case 'journal':
+            return createJournalStorage(path.join(dataDir, 'chat_data.journal'));
+        case 'json':
+            return createJsonFileStorage(path.join(dataDir, 'chat_data.json'));
+        default:
+            throw new Error(`Unknown storage backend: ${backend} (expected 'json' or 'journal')`);
+    }
+}
+
+module.exports = {
+    STORAGE_CONFIG,
+    writeFileAtomic,
+    createStorage,
+    createJsonFileStorage,
+    createJournalStorage
+};
@@ -0,0 +1,64 @@
+/**
+ * Telegram Bot API Endpoint Module
+ *
+ * Every Telegram call in the server (config/telegram.js, config/bot-factory.js,
+ * config/telegram-transport.js) builds its URL here, so the whole app can be
+ * pointed at a different Bot API server with one setting:
+ *
+ * - A self-hosted Bot API server (https://github.com/tdlib/telegram-bot-api)
+ * - The in-process fake in tools/fake-telegram-api.js, to run the knock →
+ *   approve → chat → kick → summary flow offline and check every Telegram call
+ *
+ * Configuration (environment variables):
+ * - TELEGRAM_API_BASE: Bot API base URL (default: https://api.telegram.org)
+ */
+
+// ============================================================================
+// API CONFIGURATION
+// ============================================================================
+
+const TELEGRAM_API_CONFIG = {
+    DEFAULT_BASE_URL: 'https://api.telegram.org'
+};
+
+// Base URL in use, without a trailing slash
+let apiBaseUrl = normalizeBaseUrl(process.env.TELEGRAM_API_BASE || TELEGRAM_API_CONFIG.DEFAULT_BASE_URL);
+
+function normalizeBaseUrl(baseUrl) {
+    return String(baseUrl).replace(/\/+$/, '');
+}
+
+// ============================================================================
+// URL BUILDING
+// ============================================================================
+
+/**
+ * Get the method URL prefix for a bot, e.g. https://api.telegram.org/bot<token>
+ *
+ * Read on every call, so a base URL set with setTelegramApiBase() applies
+ * to modules that were loaded before it.
+ *
+ * @param {string} token - Bot token (defaults to TELEGRAM_BOT_TOKEN)
+ * @returns {string}
+ */
+function getBotApiUrl(token = process.env.TELEGRAM_BOT_TOKEN) {
+    return `${apiBaseUrl}/bot${token}`;
+}
+
+// Point every Telegram call at another Bot API server (null restores the default)
+function setTelegramApiBase(baseUrl) {
+    apiBaseUrl = normalizeBaseUrl(baseUrl || process.env.TELEGRAM_API_BASE || TELEGRAM_API_CONFIG.DEFAULT_BASE_URL);
+    return apiBaseUrl;
+}
+
+// Get the base URL in use
+function getTelegramApiBase() {
+    return apiBaseUrl;
+}
+
+module.exports = {
+    TELEGRAM_API_CONFIG,
+    getBotApiUrl,
+    setTelegramApiBase,
+    getTelegramApiBase
+};
@@ -0,0 +1,170 @@
+/**
+ * Telegram Webhook Authentication Module
+ *
+ * This module decides whether an incoming Telegram update may act as the
+ * admin. Two checks have to pass:
+ *
+ * 1. Secret token: The webhook is registered with a `secret_token`, and
+ *    Telegram echoes it back in the X-Telegram-Bot-Api-Secret-Token header.
+ *    Requests without the right header did not come from Telegram.
+ * 2. Allow-list: The update's from.id and chat.id must both be allowed.
+ *    This stops other Telegram users who message the bot from approving
+ *    knocks, kicking rooms or chatting as the admin.
+ *
+ * Every rejected update is written to an in-memory audit log.
+ *
+ * Configuration (environment variables):
+ * - TELEGRAM_WEBHOOK_SECRET: Secret token for setWebhook (derived from the bot token if unset)
+ * - TELEGRAM_ALLOWED_IDS: Comma-separated user/chat IDs (default: TELEGRAM_CHAT_ID)
+ *
+ * Every admin's own Telegram chat (config/admins.js) is always allowed.
+ */
+
+const crypto = require('crypto');
+const { getAdmins } = require('./admins');
+const { createLogger } = require('./logger');
+
+const log = createLogger('telegram-auth');
+
+// ============================================================================
+// AUTH CONFIGURATION
+// ============================================================================
+
+const TELEGRAM_AUTH_CONFIG = {
+    SECRET_HEADER: 'x-telegram-bot-api-secret-token',
+    MAX_AUDIT_ENTRIES: 100
+};
+
+/**
+ * WEBHOOK_SECRET: Value sent as secret_token when registering the webhook
+ * Derived from the bot token when not configured, so registration and
+ * verification always agree without extra setup.
+ * Telegram only allows A-Z, a-z, 0-9, _ and - (1-256 characters).
+ */
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET ||
+    crypto.createHash('sha256')
+        .update(`anonymice-webhook:${process.env.TELEGRAM_BOT_TOKEN || ''}`)
+        .digest('hex');
+
+/**
+ * allowedIds: Set<string>
+ * Telegram user and chat IDs allowed to act as the admin
+ */
+const allowedIds = new Set(
+    (process.env.TELEGRAM_ALLOWED_IDS || process.env.TELEGRAM_CHAT_ID || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean)
+        .concat(getAdmins().map(admin => admin.telegramChatId).filter(Boolean))
+);
+
+/**
+ * webhookAuditLog: Array<auditEntry>
+ *
+ * Most recent rejected webhook requests, newest last.
+ *
+ * Audit entry structure:
+ *   - at: ISO timestamp
+ *   - reason: 'bad_secret' | 'unauthorized_sender'
+ *   - ip: string
+ *   - fromId: number|null
+ *   - chatId: number|null
+ *   - username: string|null
+ *   - text: string|null (first 100 characters)
+ */
+const webhookAuditLog = [];
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+// Get the secret token to register with setWebhook
+function getWebhookSecret() {
+    return WEBHOOK_SECRET;
+}
+
+/**
+ * Check the X-Telegram-Bot-Api-Secret-Token header of a webhook request
+ *
+ * @param {object} req - Express request
+ * @returns {boolean} - true if the header matches the registered secret
+ */
+function verifyWebhookSecret(req) {
+    const provided = req.headers[TELEGRAM_AUTH_CONFIG.SECRET_HEADER];
+    if (!provided || typeof provided !== 'string') {
+        return false;
+    }
+
+    const providedBuffer = Buffer.from(provided);
+    const expectedBuffer = Buffer.from(WEBHOOK_SECRET);
+    return providedBuffer.length === expectedBuffer.length &&
+        crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Check that a Telegram message comes from an allowed user in an allowed chat
+ *
+ * @param {object} message - Telegram message object
+ * @returns {boolean} - true if both from.id and chat.id are allow-listed
+ */
+function isAuthorizedSender(message) {
+    if (!message || !message.from || !message.chat) {
+        return false;
+    }
+    return allowedIds.has(String(message.from.id)) && allowedIds.has(String(message.chat.id));
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * Record a rejected webhook request
+ *
+ * @param {string} reason - 'bad_secret' or 'unauthorized_sender'
+ * @param {string} ip - Client IP address
+ * @param {object} message - Telegram message object (may be missing)
+ * @returns {object} - The audit entry
+ */
+function recordWebhookRejection(reason, ip, message) {
+    const entry = {
+        at: new Date().toISOString(),
+        reason,
+        ip,
+        fromId: message && message.from ? message.from.id : null,
+        chatId: message && message.chat ? message.chat.id : null,
+        username: message && message.from ? (message.from.username || null) : null,
+        text: message && typeof message.text === 'string' ? message.text.substring(0, 100) : null
+    };
+
+    webhookAuditLog.push(entry);
+    if (webhookAuditLog.length > TELEGRAM_AUTH_CONFIG.MAX_AUDIT_ENTRIES) {
+        webhookAuditLog.shift();
+    }
+
+    log.warn(`🚨 Rejected Telegram webhook (${reason})`, { ip, from: entry.fromId, chatId: entry.chatId });
+    return entry;
+}
+
+// Get a copy of the audit log (newest last)
+function getWebhookAuditLog() {
+    return webhookAuditLog.slice();
+}
+
+// Describe the allow-list for the startup log
+function describeAllowList() {
+    if (allowedIds.size === 0) {
+        return 'EMPTY - every Telegram sender will be rejected (set TELEGRAM_ALLOWED_IDS or TELEGRAM_CHAT_ID)';
+    }
+    return `${allowedIds.size} allowed ID(s)`;
+}
+
+module.exports = {
+    TELEGRAM_AUTH_CONFIG,
+    getWebhookSecret,
+    verifyWebhookSecret,
+    isAuthorizedSender,
+    recordWebhookRejection,
+    getWebhookAuditLog,
+    describeAllowList
+};
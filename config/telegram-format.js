@@ -0,0 +1,202 @@
+/**
+ * Telegram Message Formatting Module
+ *
+ * Every Telegram message is sent with parse_mode: 'HTML', so text that did
+ * not come from us (participant names and messages, admin labels, error
+ * texts) must be escaped before it is interpolated, or a stray '<' makes
+ * Telegram reject the whole message.
+ *
+ * Telegram also rejects messages longer than 4096 characters. This module
+ * keeps notifications and summaries under that limit:
+ * - Conversation notifications show the last TELEGRAM_HISTORY_TURNS messages,
+ *   after a "…earlier messages omitted" marker
+ * - Final summaries are split over several messages, or sent as a .txt
+ *   document (TELEGRAM_SUMMARY_MODE)
+ *
+ * Lengths are counted the way Telegram counts them: tags do not count, an
+ * entity such as &lt; counts as one character, and characters are UTF-16
+ * code units. Tags must open and close on the same line - messages are only
+ * split between lines, and a line is only cut when it is too long on its own.
+ *
+ * Configuration (environment variables):
+ * - TELEGRAM_HISTORY_TURNS: Messages shown in a conversation notification (default: 20)
+ * - TELEGRAM_SUMMARY_MODE: 'split' (default) or 'document' for long final summaries
+ */
+
+// ============================================================================
+// FORMAT CONFIGURATION
+// ============================================================================
+
+const TELEGRAM_FORMAT_CONFIG = {
+    MAX_LENGTH: 4096,                 // Telegram's limit for message text
+    MAX_CAPTION_LENGTH: 1024,         // Telegram's limit for document captions
+    HISTORY_TURNS: parseInt(process.env.TELEGRAM_HISTORY_TURNS, 10) || 20,
+    SUMMARY_MODE: process.env.TELEGRAM_SUMMARY_MODE === 'document' ? 'document' : 'split',
+    OMITTED_MARKER: '<i>…earlier messages omitted</i>\n'
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+const HTML_UNESCAPES = { amp: '&', lt: '<', gt: '>', quot: '"' };
+
+// A tag or an entity at the start of a string
+const TAG_PATTERN = /^<\/?[a-zA-Z][^>]*>/;
+const ENTITY_PATTERN = /^&(?:amp|lt|gt|quot|#\d+|#x[0-9a-fA-F]+);/;
+
+// ============================================================================
+// ESCAPING
+// ============================================================================
+
+/**
+ * Escape text for a parse_mode: 'HTML' message
+ *
+ * @param {*} text - Text to escape (null and undefined become '')
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Turn an HTML message back into plain text (tags removed, entities decoded)
+ *
+ * @param {string} html - Message text in Telegram HTML
+ * @returns {string}
+ */
+function toPlainText(html) {
+    return String(html)
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|quot|#\d+|#x[0-9a-fA-F]+);/g, (entity, name) => {
+            if (name[0] !== '#') {
+                return HTML_UNESCAPES[name];
+            }
+            const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        });
+}
+
+// Length of a message as Telegram counts it
+function getTelegramLength(html) {
+    return toPlainText(html).length;
+}
+
+// ============================================================================
+// TRUNCATION AND SPLITTING
+// ============================================================================
+
+/**
+ * Cut HTML text down to a number of visible characters
+ *
+ * Never cuts inside a tag, an entity or a surrogate pair.
+ *
+ * @param {string} html - Text to cut
+ * @param {number} maxLength - Visible characters to keep
+ * @returns {string}
+ */
+function cutHtml(html, maxLength) {
+    let visible = 0;
+    let index = 0;
+    while (index < html.length) {
+        const rest = html.slice(index);
+        const tag = rest.match(TAG_PATTERN);
+        if (tag) {
+            index += tag[0].length;
+            continue;
+        }
+
+        const entity = rest.match(ENTITY_PATTERN);
+        const code = html.charCodeAt(index);
+        const isSurrogatePair = code >= 0xD800 && code <= 0xDBFF && index + 1 < html.length;
+        const width = entity ? toPlainText(entity[0]).length : (isSurrogatePair ? 2 : 1);
+        if (visible + width > maxLength) {
+            break;
+        }
+        visible += width;
+        index += entity ? entity[0].length : width;
+    }
+    return html.slice(0, index);
+}
+
+/**
+ * Make sure a message fits, cutting it off with '…' if it does not
+ *
+ * @param {string} html - Message text
+ * @param {number} maxLength - Limit (default: Telegram's message limit)
+ * @returns {string}
+ */
+function truncateMessage(html, maxLength = TELEGRAM_FORMAT_CONFIG.MAX_LENGTH) {
+    if (getTelegramLength(html) <= maxLength) {
+        return html;
+    }
+    return `${cutHtml(html, maxLength - 1)}…`;
+}
+
+/**
+ * Keep the last turns of a conversation
+ *
+ * @param {Array<string>} lines - History lines (one per message, each ending in '\n')
+ * @param {number} maxTurns - Lines to keep (default: TELEGRAM_HISTORY_TURNS)
+ * @returns {string} - The kept lines, after the omitted marker if any were dropped
+ */
+function formatRecentHistory(lines, maxTurns = TELEGRAM_FORMAT_CONFIG.HISTORY_TURNS) {
+    if (lines.length <= maxTurns) {
+        return lines.join('');
+    }
+    return TELEGRAM_FORMAT_CONFIG.OMITTED_MARKER + lines.slice(-maxTurns).join('');
+}
+
+/**
+ * Split a message into parts that each fit in one Telegram message
+ *
+ * Parts are split between lines; a line too long for one message is cut
+ * into pieces.
+ *
+ * @param {string} html - Message text
+ * @param {number} maxLength - Limit per part (default: Telegram's message limit)
+ * @returns {Array<string>} - One or more parts
+ */
+function splitMessage(html, maxLength = TELEGRAM_FORMAT_CONFIG.MAX_LENGTH) {
+    if (getTelegramLength(html) <= maxLength) {
+        return [html];
+    }
+
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+
+    const pushCurrent = () => {
+        if (current.trim()) {
+            parts.push(current.replace(/\n+$/, ''));
+        }
+        current = '';
+        currentLength = 0;
+    };
+
+    html.split(/(?<=\n)/).forEach(line => {
+        let lineLength = getTelegramLength(line);
+        if (currentLength + lineLength > maxLength) {
+            pushCurrent();
+        }
+        // Cut lines that do not fit in a message of their own
+        while (lineLength > maxLength) {
+            const piece = cutHtml(line, maxLength);
+            parts.push(piece);
+            line = line.slice(piece.length);
+            lineLength = getTelegramLength(line);
+        }
+        current += line;
+        currentLength += lineLength;
+    });
+    pushCurrent();
+
+    return parts;
+}
+
+module.exports = {
+    TELEGRAM_FORMAT_CONFIG,
+    escapeHtml,
+    toPlainText,
+    getTelegramLength,
+    truncateMessage,
+    formatRecentHistory,
+    splitMessage
+};
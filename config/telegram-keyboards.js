@@ -0,0 +1,122 @@
+/**
+ * Telegram Inline Keyboard Module
+ *
+ * This module builds the buttons attached to Telegram notifications and
+ * reads them back when the admin taps one. A button press arrives at
+ * /admin-notifications as a callback_query update carrying the button's
+ * callback data, so the action never depends on reply-threading or on
+ * matching the participant's name.
+ *
+ * Callback data format: '<action code>:<roomId>:<room stamp>'
+ * - action code: One letter per action (see BUTTON_ACTIONS)
+ * - roomId: The room the notification was sent for (opaque, never reused)
+ * - room stamp: The room's creation time in base 36, checked again when
+ *   the button is pressed
+ *
+ * Telegram limits callback data to 64 bytes; this format stays far below.
+ */
+
+// ============================================================================
+// BUTTON DEFINITIONS
+// ============================================================================
+
+/**
+ * BUTTON_ACTIONS: Every action a button can trigger
+ *   - code: Letter used in the callback data
+ *   - label: Button text
+ *   - toast: Short confirmation shown to the admin after the tap
+ */
+const BUTTON_ACTIONS = {
+    approve: { code: 'a', label: '✅ Approve', toast: '✅ Approved' },
+    reject: { code: 'r', label: '❌ Reject', toast: '❌ Rejected' },
+    away: { code: 'w', label: '💤 Away', toast: '💤 Away message sent' },
+    nudge: { code: 'n', label: '👋 Nudge', toast: '👋 Nudge sent' },
+    kick: { code: 'k', label: '🚪 Close', toast: '🚪 Conversation closed' }
+};
+
+// Reverse lookup: action code -> action name
+const ACTIONS_BY_CODE = Object.fromEntries(
+    Object.entries(BUTTON_ACTIONS).map(([action, definition]) => [definition.code, action])
+);
+
+// ============================================================================
+// CALLBACK DATA
+// ============================================================================
+
+// Get the stamp that ties a button to the room it was sent for (checked again when it is pressed)
+function getRoomStamp(room) {
+    return Number(room.created || 0).toString(36);
+}
+
+// Encode an action for one room into callback data
+function encodeCallbackData(action, roomId, stamp) {
+    return `${BUTTON_ACTIONS[action].code}:${roomId}:${stamp}`;
+}
+
+/**
+ * Decode the callback data of a pressed button
+ *
+ * @param {string} data - callback_query.data
+ * @returns {object|null} - { action, roomId, stamp } or null if it is not one of ours
+ */
+function parseCallbackData(data) {
+    if (typeof data !== 'string') {
+        return null;
+    }
+
+    const [code, roomId, stamp] = data.split(':');
+    const action = ACTIONS_BY_CODE[code];
+    if (!action || !roomId || !stamp) {
+        return null;
+    }
+    return { action, roomId, stamp };
+}
+
+// ============================================================================
+// KEYBOARDS
+// ============================================================================
+
+// Build one inline keyboard row for a room
+function buildRow(actions, roomId, stamp) {
+    return actions.map(action => ({
+        text: BUTTON_ACTIONS[action].label,
+        callback_data: encodeCallbackData(action, roomId, stamp)
+    }));
+}
+
+/**
+ * Build the keyboard for a knock notification (Approve / Reject / Away)
+ *
+ * @param {string} roomId - The room ID
+ * @param {object} room - Room object from chatRooms (for the stamp)
+ * @returns {object} - Telegram reply_markup
+ */
+function buildKnockKeyboard(roomId, room) {
+    return { inline_keyboard: [buildRow(['approve', 'reject', 'away'], roomId, getRoomStamp(room))] };
+}
+
+/**
+ * Build the keyboard for a conversation notification (Nudge / Close)
+ *
+ * @param {string} roomId - The room ID
+ * @param {object} room - Room object from chatRooms (for the stamp)
+ * @returns {object} - Telegram reply_markup
+ */
+function buildConversationKeyboard(roomId, room) {
+    return { inline_keyboard: [buildRow(['nudge', 'kick'], roomId, getRoomStamp(room))] };
+}
+
+// Get the confirmation shown to the admin after a button press
+function getButtonToast(action) {
+    return BUTTON_ACTIONS[action] ? BUTTON_ACTIONS[action].toast : 'Done';
+}
+
+module.exports = {
+    BUTTON_ACTIONS,
+    getRoomStamp,
+    encodeCallbackData,
+    parseCallbackData,
+    buildKnockKeyboard,
+    buildConversationKeyboard,
+    getButtonToast
+};
@@ -0,0 +1,416 @@
+/**
+ * Telegram Outbox Module
+ *
+ * Every Bot API call the server makes (sendMessage, editMessageText,
+ * sendDocument, deleteMessage, answerCallbackQuery) goes through this outbox
+ * instead of calling axios directly, so a notification is not lost to a
+ * network blip or a rate limit.
+ *
+ * How delivery works:
+ * - One queue per chat, worked through in order, one call at a time.
+ *   Ordering within a chat is kept (a delete always runs before the send
+ *   queued after it), so no hand-tuned sleeps are needed between calls.
+ * - Button answers (answerCallbackQuery) have no chat_id; they get a queue
+ *   per chat the button was pressed in (meta.chatId), next to that chat's
+ *   own queue, so they never wait behind card edits or another admin's backoff.
+ * - 429 Too Many Requests: the chat's queue pauses for Telegram's `retry_after`
+ *   and the call is retried (rate limits do not use up attempts)
+ * - Network errors and 5xx: retried with exponential backoff
+ *   (1s, 2s, 4s, ... up to 60s) until TELEGRAM_MAX_ATTEMPTS is reached
+ * - Other 4xx errors (bad request, message not found): not retried
+ *
+ * A file to upload is passed as a param of the form { filename, content,
+ * contentType } (text content, so it can be saved with the call); calls
+ * with a file are sent as multipart/form-data.
+ *
+ * Unsent calls are saved to telegram_outbox.json and resumed after a restart
+ * (at-least-once: a call that was in flight during a crash may be sent twice).
+ * Listeners registered with addOutboxListener() hear about every delivered
+ * and failed call, including resumed ones whose original caller is gone.
+ *
+ * Configuration (environment variables):
+ * - TELEGRAM_MAX_ATTEMPTS: Attempts per call before giving up (default: 6)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getBotApiUrl } = require('./telegram-api');
+const { writeFileAtomic } = require('./storage');
+const { recordTelegramRequest, recordTelegramFailure } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('telegram-outbox');
+
+// ============================================================================
+// OUTBOX CONFIGURATION
+// ============================================================================
+
+const TELEGRAM_OUTBOX_CONFIG = {
+    MAX_ATTEMPTS: parseInt(process.env.TELEGRAM_MAX_ATTEMPTS, 10) || 6,
+    BASE_DELAY_MS: 1000,              // First retry delay, doubled after every failure
+    MAX_DELAY_MS: 60 * 1000,          // Longest retry delay
+    REQUEST_TIMEOUT_MS: 10 * 1000,    // Per-call HTTP timeout
+    RECENT_FAILURES: 20,              // Failed calls kept for getOutboxState()
+    FILE: 'telegram_outbox.json'
+};
+
+// Queue key (prefix) for calls that do not belong to a chat (e.g. answerCallbackQuery)
+const NO_CHAT = '-';
+
+/**
+ * chatQueues: Map<chatKey, queue>
+ *
+ * Queue structure:
+ *   - items: Array<item> (first item is the one being worked on)
+ *   - pausedUntil: epoch ms (retry_after or backoff)
+ *   - running: boolean (a worker is draining this queue)
+ *
+ * Item structure:
+ *   - id: string
+ *   - method: Bot API method
+ *   - params: Call parameters
+ *   - meta: Caller data passed back to listeners (e.g. { kind: 'knock', roomId })
+ *   - status: 'queued' | 'sending' | 'delivered' | 'failed'
+ *   - attempts: number
+ *   - lastError: string|null
+ *   - createdAt: epoch ms
+ */
+const chatQueues = new Map();
+
+// Callers waiting for an item: Map<itemId, resolve>
+const waitingCallers = new Map();
+
+// { delivered(item, result), failed(item, error) } listeners
+const listeners = [];
+
+const stats = { delivered: 0, failed: 0, retried: 0, rateLimited: 0 };
+const recentFailures = [];
+
+let nextItemId = 1;
+let outboxPath = null;
+let saving = Promise.resolve();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// QUEUEING
+// ============================================================================
+
+/**
+ * Queue a Bot API call
+ *
+ * @param {string} method - Bot API method, e.g. 'sendMessage'
+ * @param {object} params - Call parameters
+ * @param {object} meta - Passed to listeners; { persist: false } keeps the call out of the outbox file,
+ *   { chatId } picks the queue of a call without a chat_id
+ * @returns {Promise<object>} - { ok: true, result, item } or { ok: false, errorCode, description, item } (never rejects)
+ */
+function enqueueTelegramCall(method, params, meta = {}) {
+    const item = {
+        id: `${Date.now().toString(36)}-${nextItemId++}`,
+        method,
+        params,
+        meta,
+        status: 'queued',
+        attempts: 0,
+        lastError: null,
+        createdAt: Date.now()
+    };
+
+    const delivery = new Promise(resolve => waitingCallers.set(item.id, resolve));
+    addToQueue(item);
+    saveOutbox();
+    return delivery;
+}
+
+// The chat's own queue, or the chat's queue for calls without a chat_id
+function getChatKey(item) {
+    if (item.params && item.params.chat_id !== undefined && item.params.chat_id !== null) {
+        return String(item.params.chat_id);
+    }
+    return item.meta && item.meta.chatId !== undefined && item.meta.chatId !== null ? `${NO_CHAT}${item.meta.chatId}` : NO_CHAT;
+}
+
+function addToQueue(item) {
+    const chatKey = getChatKey(item);
+    if (!chatQueues.has(chatKey)) {
+        chatQueues.set(chatKey, { items: [], pausedUntil: 0, running: false });
+    }
+    chatQueues.get(chatKey).items.push(item);
+    drainQueue(chatKey);
+}
+
+// Work through one chat's queue in order
+async function drainQueue(chatKey) {
+    const queue = chatQueues.get(chatKey);
+    if (!queue || queue.running) {
+        return;
+    }
+    queue.running = true;
+
+    while (queue.items.length > 0) {
+        const wait = queue.pausedUntil - Date.now();
+        if (wait > 0) {
+            await sleep(wait);
+        }
+
+        const item = queue.items[0];
+        const outcome = await attemptDelivery(item);
+        if (outcome.retryInMs !== undefined) {
+            queue.pausedUntil = Date.now() + outcome.retryInMs;
+            continue;
+        }
+
+        queue.items.shift();
+        finishItem(item, outcome);
+    }
+
+    queue.running = false;
+    chatQueues.delete(chatKey);
+}
+
+/**
+ * Make one attempt at a call
+ *
+ * @returns {Promise<object>} - { ok: true, result } | { ok: false, errorCode, description } | { retryInMs }
+ */
+async function attemptDelivery(item) {
+    item.status = 'sending';
+    item.attempts++;
+    const startedAt = Date.now();
+
+    try {
+        const response = await axios.post(`${getBotApiUrl()}/${item.method}`, toRequestBody(item.params), {
+            timeout: TELEGRAM_OUTBOX_CONFIG.REQUEST_TIMEOUT_MS
+        });
+        const ok = Boolean(response.data && response.data.ok);
+        recordTelegramRequest(item.method, Date.now() - startedAt, ok ? 'ok' : 'error');
+        if (ok) {
+            return { ok: true, result: response.data.result };
+        }
+        return { ok: false, errorCode: response.status, description: response.data?.description || 'Unexpected response' };
+    } catch (error) {
+        const data = error.response?.data || {};
+        const errorCode = data.error_code || error.response?.status || null;
+        const description = data.description || error.message;
+        item.status = 'queued';
+        item.lastError = description;
+        recordTelegramRequest(item.method, Date.now() - startedAt, errorCode === 429 ? 'rate_limited' : 'error');
+
+        // Rate limited: wait as long as Telegram asks, without using up an attempt
+        if (errorCode === 429) {
+            const retryAfterS = data.parameters?.retry_after || 1;
+            item.attempts--;
+            stats.rateLimited++;
+            log.warn(`⏳ Telegram rate limit on ${item.method} - retrying in ${retryAfterS}s`, { chatId: getChatKey(item) });
+            return { retryInMs: retryAfterS * 1000 };
+        }
+
+        // Bad request, forbidden, not found... retrying will not help
+        if (errorCode && errorCode < 500) {
+            return { ok: false, errorCode, description };
+        }
+
+        if (item.attempts >= TELEGRAM_OUTBOX_CONFIG.MAX_ATTEMPTS) {
+            return { ok: false, errorCode, description: `${description} (gave up after ${item.attempts} attempts)` };
+        }
+
+        const delay = Math.min(
+            TELEGRAM_OUTBOX_CONFIG.BASE_DELAY_MS * 2 ** (item.attempts - 1),
+            TELEGRAM_OUTBOX_CONFIG.MAX_DELAY_MS
+        );
+        stats.retried++;
+        log.info(`🔄 Telegram ${item.method} failed (${description}) - attempt ${item.attempts}/${TELEGRAM_OUTBOX_CONFIG.MAX_ATTEMPTS}, retrying in ${delay}ms`);
+        return { retryInMs: delay };
+    }
+}
+
+// A param holding a file to upload
+function isUpload(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.filename === 'string' && 'content' in value;
+}
+
+// Params with a file become multipart/form-data; the rest are sent as JSON
+function toRequestBody(params) {
+    if (!Object.values(params).some(isUpload)) {
+        return params;
+    }
+
+    const form = new FormData();
+    Object.entries(params).forEach(([key, value]) => {
+        if (isUpload(value)) {
+            form.append(key, new Blob([value.content], { type: value.contentType || 'application/octet-stream' }), value.filename);
+        } else if (value !== undefined && value !== null) {
+            form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+    });
+    return form;
+}
+
+// Record the outcome, tell listeners and the waiting caller
+function finishItem(item, outcome) {
+    item.status = outcome.ok ? 'delivered' : 'failed';
+
+    if (outcome.ok) {
+        stats.delivered++;
+    } else {
+        stats.failed++;
+        recordTelegramFailure(item.method);
+        item.lastError = outcome.description;
+        recentFailures.push({
+            id: item.id,
+            method: item.method,
+            chatId: item.params.chat_id ?? null,
+            meta: item.meta,
+            errorCode: outcome.errorCode,
+            error: outcome.description,
+            attempts: item.attempts,
+            failedAt: new Date().toISOString()
+        });
+        if (recentFailures.length > TELEGRAM_OUTBOX_CONFIG.RECENT_FAILURES) {
+            recentFailures.shift();
+        }
+        log.error(`❌ Telegram ${item.method} failed: ${outcome.description}`, { chatId: getChatKey(item) });
+    }
+
+    listeners.forEach(listener => {
+        try {
+            if (outcome.ok && listener.delivered) {
+                listener.delivered(item, outcome.result);
+            } else if (!outcome.ok && listener.failed) {
+                listener.failed(item, outcome);
+            }
+        } catch (error) {
+            log.error('❌ Telegram outbox listener failed:', error.message);
+        }
+    });
+
+    const resolve = waitingCallers.get(item.id);
+    if (resolve) {
+        waitingCallers.delete(item.id);
+        resolve({ ...outcome, item });
+    }
+
+    saveOutbox();
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+// Save every unfinished call (in the background; saves never overlap)
+function saveOutbox() {
+    if (!outboxPath) {
+        return;
+    }
+
+    const unsent = [];
+    for (const queue of chatQueues.values()) {
+        queue.items
+            .filter(item => item.meta.persist !== false)
+            .forEach(({ id, method, params, meta, attempts, createdAt }) => {
+                unsent.push({ id, method, params, meta, attempts, createdAt });
+            });
+    }
+
+    const contents = JSON.stringify({ items: unsent, savedAt: new Date().toISOString() });
+    saving = saving
+        .then(() => writeFileAtomic(outboxPath, contents))
+        .catch(error => log.error('❌ Could not save Telegram outbox:', error.message));
+}
+
+/**
+ * Start persisting the outbox and resume calls left over from the last run
+ *
+ * Call once at startup, after the listeners are registered, so resumed
+ * calls are reported to them. Calls that no longer apply (e.g. a knock
+ * notification for a room that did not survive the restart) can be
+ * dropped with `keep`.
+ *
+ * @param {string} dataDir - Directory for telegram_outbox.json
+ * @param {Function} keep - (item) => boolean, false drops a saved call
+ * @returns {number} - Number of resumed calls
+ */
+function startTelegramOutbox(dataDir, keep = () => true) {
+    outboxPath = path.join(dataDir, TELEGRAM_OUTBOX_CONFIG.FILE);
+
+    let saved = [];
+    try {
+        saved = JSON.parse(fs.readFileSync(outboxPath, 'utf8')).items || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.error(`❌ Could not read Telegram outbox ${outboxPath}: ${error.message} - starting empty`);
+        }
+    }
+
+    const resumed = saved.filter(entry => keep(entry));
+    if (resumed.length < saved.length) {
+        log.info(`🗑️ Dropped ${saved.length - resumed.length} saved Telegram call(s) that no longer apply`);
+    }
+
+    resumed.forEach(entry => {
+        addToQueue({ ...entry, meta: { ...entry.meta, resumed: true }, status: 'queued', lastError: null });
+    });
+    if (resumed.length > 0) {
+        log.info(`📮 Resuming ${resumed.length} unsent Telegram call(s) from the last run`);
+    }
+
+    saveOutbox();
+    return resumed.length;
+}
+
+// Wait for the last outbox save to finish (before the process exits)
+function flushTelegramOutbox() {
+    return saving;
+}
+
+// ============================================================================
+// LISTENERS AND STATE
+// ============================================================================
+
+/**
+ * Hear about every finished call
+ *
+ * @param {object} listener - { delivered(item, result), failed(item, { errorCode, description }) }
+ */
+function addOutboxListener(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Get the delivery state for dashboards and /status
+ *
+ * @returns {object} - { queued, chats: [{ chatId, queued, pausedUntil, lastError }], delivered, failed, retried, rateLimited, recentFailures }
+ */
+function getOutboxState() {
+    const chats = [];
+    let queued = 0;
+    for (const [chatKey, queue] of chatQueues) {
+        queued += queue.items.length;
+        chats.push({
+            chatId: chatKey,
+            queued: queue.items.length,
+            pausedUntil: queue.pausedUntil > Date.now() ? new Date(queue.pausedUntil).toISOString() : null,
+            lastError: queue.items[0] ? queue.items[0].lastError : null
+        });
+    }
+
+    return {
+        queued,
+        chats,
+        ...stats,
+        recentFailures: recentFailures.slice()
+    };
+}
+
+module.exports = {
+    TELEGRAM_OUTBOX_CONFIG,
+    enqueueTelegramCall,
+    startTelegramOutbox,
+    flushTelegramOutbox,
+    addOutboxListener,
+    getOutboxState
+};
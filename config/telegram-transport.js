@@ -0,0 +1,218 @@
+/**
+ * Telegram Update Transport Module
+ *
+ * This module decides how admin replies reach the server. Telegram offers
+ * two ways to receive updates, and both feed the same update pipeline in
+ * server.js:
+ *
+ * - webhook: Telegram POSTs every update to PUBLIC_BASE_URL + /admin-notifications.
+ *   The webhook is registered once at startup (not on every knock).
+ * - polling: The server asks Telegram for new updates with getUpdates
+ *   long-polling. Works behind NAT and on localhost, so no public URL is needed.
+ *
+ * Every update has an increasing update_id. The highest processed ID is
+ * saved to disk (telegram_offset.json), so an update is never processed
+ * twice - not when Telegram redelivers a webhook call, and not after a
+ * restart in polling mode.
+ *
+ * Configuration (environment variables):
+ * - TELEGRAM_TRANSPORT: 'webhook' or 'polling' (default: webhook if PUBLIC_BASE_URL is set, else polling)
+ * - PUBLIC_BASE_URL: Public URL of this server, e.g. https://chat.example.com
+ * - TELEGRAM_POLL_TIMEOUT: Long-polling timeout in seconds (default: 30)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getWebhookSecret } = require('./telegram-auth');
+const { writeFileAtomic } = require('./storage');
+const { getBotApiUrl } = require('./telegram-api');
+const { createLogger } = require('./logger');
+
+const log = createLogger('telegram-transport');
+
+// ============================================================================
+// TRANSPORT CONFIGURATION
+// ============================================================================
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+const TELEGRAM_TRANSPORT_CONFIG = {
+    MODE: process.env.TELEGRAM_TRANSPORT || (PUBLIC_BASE_URL ? 'webhook' : 'polling'),
+    PUBLIC_BASE_URL,
+    WEBHOOK_PATH: '/admin-notifications',
+    POLL_TIMEOUT_S: parseInt(process.env.TELEGRAM_POLL_TIMEOUT, 10) || 30,
+    RETRY_DELAY_MS: 5000,                                   // Wait after a failed getUpdates call
+    ALLOWED_UPDATES: ['message', 'callback_query'],         // Typed replies and inline keyboard presses
+    OFFSET_FILE: 'telegram_offset.json'
+};
+
+// ============================================================================
+// TRANSPORT FACTORY
+// ============================================================================
+
+/**
+ * Create the Telegram update transport
+ *
+ * Transport interface:
+ *   - claimUpdate(updateId): true if the update is new (and marks it processed), false if already seen
+ *   - start(onUpdate): Register the webhook or start polling; polled updates are passed to onUpdate
+ *   - stop(): Stop polling
+ *   - describe(): One-line description for the startup log
+ *
+ * @param {string} dataDir - Directory for the saved update offset
+ * @returns {object} - Transport (see interface above)
+ */
+function createTelegramTransport(dataDir) {
+    const offsetPath = path.join(dataDir, TELEGRAM_TRANSPORT_CONFIG.OFFSET_FILE);
+    let lastUpdateId = loadOffset(offsetPath);
+    let saving = Promise.resolve();
+    let polling = false;
+
+    // Save the offset in the background; saves never overlap
+    function saveOffset() {
+        const contents = JSON.stringify({ lastUpdateId, savedAt: new Date().toISOString() });
+        saving = saving
+            .then(() => writeFileAtomic(offsetPath, contents))
+            .catch(error => log.error('❌ Could not save Telegram update offset:', error.message));
+    }
+
+    function claimUpdate(updateId) {
+        // Hand-made test requests have no update_id - nothing to deduplicate
+        if (typeof updateId !== 'number') {
+            return true;
+        }
+        if (updateId <= lastUpdateId) {
+            log.info(`⏭️ Skipping Telegram update ${updateId} (already processed up to ${lastUpdateId})`);
+            return false;
+        }
+        lastUpdateId = updateId;
+        saveOffset();
+        return true;
+    }
+
+    async function pollLoop(onUpdate) {
+        while (polling) {
+            let updates = [];
+            try {
+                const response = await axios.post(`${getBotApiUrl()}/getUpdates`, {
+                    offset: lastUpdateId + 1,
+                    timeout: TELEGRAM_TRANSPORT_CONFIG.POLL_TIMEOUT_S,
+                    allowed_updates: TELEGRAM_TRANSPORT_CONFIG.ALLOWED_UPDATES
+                }, {
+                    timeout: (TELEGRAM_TRANSPORT_CONFIG.POLL_TIMEOUT_S + 10) * 1000
+                });
+                updates = response.data && response.data.ok ? response.data.result : [];
+            } catch (error) {
+                log.error('❌ Telegram getUpdates failed:', error.response?.data?.description || error.message);
+                await new Promise(resolve => setTimeout(resolve, TELEGRAM_TRANSPORT_CONFIG.RETRY_DELAY_MS));
+                continue;
+            }
+
+            // Process one update at a time, in order
+            for (const update of updates) {
+                if (!polling) {
+                    break;
+                }
+                if (!claimUpdate(update.update_id)) {
+                    continue;
+                }
+                try {
+                    await onUpdate(update);
+                } catch (error) {
+                    // A failing update is skipped instead of being retried forever
+                    log.error(`❌ Telegram update ${update.update_id} failed:`, error.message);
+                }
+            }
+        }
+    }
+
+    async function start(onUpdate) {
+        if (!process.env.TELEGRAM_BOT_TOKEN) {
+            log.warn('⚠️ TELEGRAM_BOT_TOKEN is not set - not receiving admin replies from Telegram');
+            return;
+        }
+
+        if (TELEGRAM_TRANSPORT_CONFIG.MODE === 'webhook') {
+            if (TELEGRAM_TRANSPORT_CONFIG.PUBLIC_BASE_URL) {
+                await registerWebhook();
+                return;
+            }
+            log.error('❌ TELEGRAM_TRANSPORT=webhook needs PUBLIC_BASE_URL - falling back to polling');
+        }
+
+        // getUpdates is refused while a webhook is registered
+        await deleteWebhook();
+        polling = true;
+        pollLoop(onUpdate);
+        log.info(`📡 Polling Telegram for updates (from update ${lastUpdateId + 1})`);
+    }
+
+    function stop() {
+        polling = false;
+    }
+
+    function describe() {
+        if (TELEGRAM_TRANSPORT_CONFIG.MODE === 'webhook' && TELEGRAM_TRANSPORT_CONFIG.PUBLIC_BASE_URL) {
+            return `webhook at ${TELEGRAM_TRANSPORT_CONFIG.PUBLIC_BASE_URL}${TELEGRAM_TRANSPORT_CONFIG.WEBHOOK_PATH}`;
+        }
+        return `long polling (getUpdates, ${TELEGRAM_TRANSPORT_CONFIG.POLL_TIMEOUT_S}s timeout)`;
+    }
+
+    return { claimUpdate, start, stop, describe };
+}
+
+// ============================================================================
+// TELEGRAM API CALLS
+// ============================================================================
+
+// Read the saved update offset (0 if none was saved yet)
+function loadOffset(offsetPath) {
+    try {
+        const saved = JSON.parse(fs.readFileSync(offsetPath, 'utf8'));
+        return Number(saved.lastUpdateId) || 0;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.error(`❌ Could not read Telegram update offset ${offsetPath}: ${error.message} - starting from 0`);
+        }
+        return 0;
+    }
+}
+
+// Register the webhook (once, at startup)
+async function registerWebhook() {
+    const webhookUrl = `${TELEGRAM_TRANSPORT_CONFIG.PUBLIC_BASE_URL}${TELEGRAM_TRANSPORT_CONFIG.WEBHOOK_PATH}`;
+    try {
+        // Telegram echoes secret_token back in X-Telegram-Bot-Api-Secret-Token,
+        // which /admin-notifications verifies on every request.
+        // One connection at a time keeps updates in update_id order.
+        const response = await axios.post(`${getBotApiUrl()}/setWebhook`, {
+            url: webhookUrl,
+            secret_token: getWebhookSecret(),
+            allowed_updates: TELEGRAM_TRANSPORT_CONFIG.ALLOWED_UPDATES,
+            max_connections: 1
+        });
+
+        if (response.data.ok) {
+            log.info(`✅ Telegram webhook registered: ${webhookUrl}`);
+        } else {
+            log.error('❌ Failed to register Telegram webhook:', response.data.description);
+        }
+    } catch (error) {
+        log.error('❌ Telegram webhook registration error:', error.response?.data?.description || error.message);
+    }
+}
+
+// Remove the webhook so getUpdates can be used
+async function deleteWebhook() {
+    try {
+        await axios.post(`${getBotApiUrl()}/deleteWebhook`, { drop_pending_updates: false });
+    } catch (error) {
+        log.error('❌ Could not remove Telegram webhook:', error.response?.data?.description || error.message);
+    }
+}
+
+module.exports = {
+    TELEGRAM_TRANSPORT_CONFIG,
+    createTelegramTransport
+};
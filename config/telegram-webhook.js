@@ -7,46 +7,120 @@
  * 
  * Key Features:
  * - Context tracking: Knows which room a Telegram reply refers to
- * - Slash commands: /approve, /reject, /kick, /nudge, /status, /sleep
- * - Fallback matching: Finds room by participant name if context is lost
+ * - Inline buttons: Button presses (callback_query) name their room directly
+ * - Slash commands: /approve, /reject, /kick, /nudge, /typing, /status, /sleep
+ * - Fallback matching: Finds the room a replied-to message was sent for if it has no context
+ * - Replies only: Plain text must be a threaded reply - text that replies to
+ *   nothing gets the help text instead of going to whichever room wrote last
  * - Queue system: Tracks pending knocks and active message contexts
+ * - Multi-admin: Contexts belong to the Telegram chat they were sent to, so
+ *   each admin's replies only match notifications in their own chat
  */
 
 const axios = require('axios');
+const { isAuthorizedSender } = require('./telegram-auth');
+const { profileText } = require('./profile');
+const { findAdminByTelegramChat } = require('./admins');
+const { parseCallbackData } = require('./telegram-keyboards');
+const { addOutboxListener } = require('./telegram-outbox');
+const { createLogger } = require('./logger');
+
+const log = createLogger('telegram-webhook');
 
 // ============================================================================
 // CONTEXT TRACKING - Maps Telegram messages to chat rooms
 // ============================================================================
 
 /**
- * activeRoomContexts: Map<replyMessageId, context>
+ * activeRoomContexts: Map<'chatId:replyMessageId', context>
  * 
  * Tracks active message contexts. When admin replies to a message in Telegram,
- * we use the reply message ID to find which room the reply is for.
+ * we use the chat and reply message ID to find which room the reply is for.
+ * Message IDs are only unique within one chat, hence the chat in the key.
  * 
  * Context structure:
  *   - type: 'message'
- *   - roomId: number
+ *   - roomId: string
  *   - participantName: string
  *   - replyMessageId: number (Telegram message ID)
+ *   - chatId: string (Telegram chat the notification was sent to)
  */
 let activeRoomContexts = new Map();
 
 /**
- * pendingKnocks: Map<roomId, context>
+ * pendingKnocks: Map<'roomId:chatId', context>
  * 
  * Tracks pending knock requests. When a user knocks, we store context
- * so we know which room to approve/reject when admin responds.
+ * so we know which room to approve/reject when admin responds. An
+ * unassigned knock is sent to several admin chats and has one context
+ * per chat.
  * 
  * Context structure:
  *   - type: 'knock'
- *   - roomId: number
+ *   - roomId: string
  *   - participantName: string
  *   - socketId: string (Socket.IO socket ID)
  *   - replyMessageId: number (Telegram message ID of knock notification)
+ *   - chatId: string (Telegram chat the notification was sent to)
  */
 let pendingKnocks = new Map();
 
+/**
+ * roomMessages: Map<'chatId:messageId', roomId> (oldest first)
+ * 
+ * The room each delivered Telegram message was sent for (outbox meta.roomId).
+ * /nudge, /kick and /typing use it for a reply to a message that has no
+ * context of its own, such as a knock notification after the knock was
+ * answered. Only the last ROOM_MESSAGES_KEEP messages are kept.
+ */
+const ROOM_MESSAGES_KEEP = 500;
+const roomMessages = new Map();
+
+addOutboxListener({
+    delivered(item, result) {
+        if (!item.meta.roomId || !result || !result.message_id) {
+            return;
+        }
+        roomMessages.set(contextKey(String(item.params.chat_id), result.message_id), item.meta.roomId);
+        while (roomMessages.size > ROOM_MESSAGES_KEEP) {
+            roomMessages.delete(roomMessages.keys().next().value);
+        }
+    }
+});
+
+// Build a context map key from two parts
+function contextKey(first, second) {
+    return `${first}:${second}`;
+}
+
+// Find the pending knock whose notification is the given message in the given chat
+function findKnockByReply(chatId, replyMessageId) {
+    for (let knockContext of pendingKnocks.values()) {
+        if (knockContext.chatId === chatId && knockContext.replyMessageId === replyMessageId) {
+            return knockContext;
+        }
+    }
+    return null;
+}
+
+// Get the contexts of a map that belong to one chat, oldest first
+function contextsInChat(contexts, chatId) {
+    return Array.from(contexts.values()).filter(context => context.chatId === chatId);
+}
+
+// Find the current context of the room a message was sent for (newest message context, else its knock)
+function findContextByRoomMessage(chatId, messageId) {
+    const roomId = roomMessages.get(contextKey(chatId, messageId));
+    if (!roomId) {
+        return null;
+    }
+    const roomContexts = contextsInChat(activeRoomContexts, chatId).filter(context => context.roomId === roomId);
+    if (roomContexts.length > 0) {
+        return roomContexts.pop();
+    }
+    return pendingKnocks.get(contextKey(roomId, chatId)) || null;
+}
+
 /**
  * Handle incoming Telegram messages from admin
  * 
@@ -57,16 +131,81 @@ let pendingKnocks = new Map();
  * 3. Routes to appropriate handler
  * 4. Returns response object for server to process
  * 
+ * Every response carries the chat it came from (chatId) and the admin who
+ * sent it (adminId, null if the chat belongs to no admin in the roster).
+ * 
  * @param {object} message - Telegram message object
  * @returns {object} - Response object with action and context
  */
 function handleTelegramMessage(message) {
+    // Only allow-listed Telegram users in allow-listed chats may act as the admin
+    if (!isAuthorizedSender(message)) {
+        return {
+            success: false,
+            action: 'unauthorized',
+            message: 'Sender is not allowed to control this bot.'
+        };
+    }
+
+    return attachSender(routeTelegramMessage(message), message);
+}
+
+/**
+ * Handle a tap on an inline keyboard button (callback_query update)
+ * 
+ * The button's callback data names the action and the room, so no reply
+ * context lookup is needed. The server still checks that the
+ * room is the one the button was made for (see config/telegram-keyboards.js).
+ * 
+ * @param {object} callbackQuery - Telegram callback_query object
+ * @returns {object} - Response object like handleTelegramMessage, plus stamp and callbackQueryId
+ */
+function handleTelegramCallback(callbackQuery) {
+    // The pressed button sits on a message in the chat the press came from
+    const sender = {
+        from: callbackQuery.from,
+        chat: callbackQuery.message ? callbackQuery.message.chat : null
+    };
+    if (!isAuthorizedSender(sender)) {
+        return {
+            success: false,
+            action: 'unauthorized',
+            message: 'Sender is not allowed to control this bot.'
+        };
+    }
+
+    const button = parseCallbackData(callbackQuery.data);
+    const response = button
+        ? {
+            success: true,
+            action: button.action,
+            roomId: button.roomId,
+            stamp: button.stamp,
+            // Shown to the participant for reject/away
+            message: button.action === 'reject' ? profileText('knockRejected') : (button.action === 'away' ? profileText('adminAway') : '')
+        }
+        : { success: false, message: 'This button is no longer supported.' };
+    response.callbackQueryId = callbackQuery.id;
+    return attachSender(response, sender);
+}
+
+// Add the chat a message came from and the roster admin who sent it to a response
+// Private chats share their ID with the user; in a group chat the sender identifies the admin
+function attachSender(response, message) {
+    const admin = findAdminByTelegramChat(message.chat.id) || findAdminByTelegramChat(message.from.id);
+    response.chatId = String(message.chat.id);
+    response.adminId = admin ? admin.id : null;
+    return response;
+}
+
+// Find the room context for an authorized message and decide the action
+function routeTelegramMessage(message) {
     const text = message.text;
-    const chatId = message.chat.id;
+    const chatId = String(message.chat.id);
     
-    console.log('📱 Received Telegram message:', text);
-    console.log('📱 Pending knocks:', Array.from(pendingKnocks.keys()));
-    console.log('📱 Active contexts:', Array.from(activeRoomContexts.keys()));
+    log.info('📱 Received Telegram message', { text });
+    log.debug('📱 Pending knocks', { replyMessageIds: Array.from(pendingKnocks.keys()) });
+    log.debug('📱 Active contexts', { roomIds: Array.from(activeRoomContexts.keys()) });
     
     // Check for global slash commands first (work from anywhere, not just replies)
     if (text && text.startsWith('/')) {
@@ -77,15 +216,15 @@ function handleTelegramMessage(message) {
         if (command === '/nudge' || command === '/n') {
             if (message.reply_to_message) {
                 const replyToMessageId = message.reply_to_message.message_id;
-                console.log('📱 /nudge command on reply to message ID:', replyToMessageId);
+                log.info('📱 /nudge command on reply to message ID:', replyToMessageId);
                 
                 // Try to find context from any source
                 let context = null;
                 
                 // Check active message contexts first
-                context = activeRoomContexts.get(replyToMessageId);
+                context = activeRoomContexts.get(contextKey(chatId, replyToMessageId));
                 if (context) {
-                    console.log('📱 Found message context for /nudge:', context);
+                    log.debug('📱 Found message context for /nudge', context);
                     return {
                         success: true,
                         action: 'nudge',
@@ -95,47 +234,28 @@ function handleTelegramMessage(message) {
                 }
                 
                 // Check pending knocks
-                for (let [roomId, knockContext] of pendingKnocks) {
-                    if (knockContext.replyMessageId === replyToMessageId) {
-                        console.log('📱 Found knock context for /nudge:', knockContext);
-                        return {
-                            success: true,
-                            action: 'nudge',
-                            context: knockContext,
-                            message: 'Nudge sent to user'
-                        };
-                    }
+                const knockContext = findKnockByReply(chatId, replyToMessageId);
+                if (knockContext) {
+                    log.debug('📱 Found knock context for /nudge', knockContext);
+                    return {
+                        success: true,
+                        action: 'nudge',
+                        context: knockContext,
+                        message: 'Nudge sent to user'
+                    };
                 }
                 
-                // If no specific context found, try to find any active room context for this user
+                // Otherwise use the room the replied-to message was sent for
                 // This allows nudging from any message in the conversation
-                const replyText = message.reply_to_message.text || '';
-                console.log('📱 No specific context found, searching by reply text:', replyText);
-                
-                // Look for user name patterns in the reply text to identify the room
-                for (let [contextId, context] of activeRoomContexts) {
-                    if (context.participantName && replyText.includes(context.participantName)) {
-                        console.log('📱 Found user context by name match for /nudge:', context);
-                        return {
-                            success: true,
-                            action: 'nudge',
-                            context: context,
-                            message: 'Nudge sent to user'
-                        };
-                    }
-                }
-                
-                // Also check pending knocks for name matches
-                for (let [roomId, knockContext] of pendingKnocks) {
-                    if (knockContext.participantName && replyText.includes(knockContext.participantName)) {
-                        console.log('📱 Found pending knock context by name match for /nudge:', knockContext);
-                        return {
-                            success: true,
-                            action: 'nudge',
-                            context: knockContext,
-                            message: 'Nudge sent to user'
-                        };
-                    }
+                const roomContext = findContextByRoomMessage(chatId, replyToMessageId);
+                if (roomContext) {
+                    log.debug('📱 Found room context by message for /nudge', roomContext);
+                    return {
+                        success: true,
+                        action: 'nudge',
+                        context: roomContext,
+                        message: 'Nudge sent to user'
+                    };
                 }
                 
                 return {
@@ -155,12 +275,12 @@ function handleTelegramMessage(message) {
         if (command.startsWith('/kick') || command === '/k') {
             if (message.reply_to_message) {
                 const replyToMessageId = message.reply_to_message.message_id;
-                console.log('📱 /kick command on reply to message ID:', replyToMessageId);
+                log.info('📱 /kick command on reply to message ID:', replyToMessageId);
                 
                 // Try to find context from any source
-                let context = activeRoomContexts.get(replyToMessageId);
+                let context = activeRoomContexts.get(contextKey(chatId, replyToMessageId));
                 if (context) {
-                    console.log('📱 Found message context for /kick:', context);
+                    log.debug('📱 Found message context for /kick', context);
                     return {
                         success: true,
                         action: 'kick',
@@ -169,47 +289,28 @@ function handleTelegramMessage(message) {
                     };
                 }
                 
-                for (let [roomId, knockContext] of pendingKnocks) {
-                    if (knockContext.replyMessageId === replyToMessageId) {
-                        console.log('📱 Found knock context for /kick:', knockContext);
-                        return {
-                            success: true,
-                            action: 'kick',
-                            context: knockContext,
-                            message: 'Conversation closed by admin'
-                        };
-                    }
+                const knockContext = findKnockByReply(chatId, replyToMessageId);
+                if (knockContext) {
+                    log.debug('📱 Found knock context for /kick', knockContext);
+                    return {
+                        success: true,
+                        action: 'kick',
+                        context: knockContext,
+                        message: 'Conversation closed by admin'
+                    };
                 }
                 
-                // If no specific context found, try to find any active room context for this user
+                // Otherwise use the room the replied-to message was sent for
                 // This allows kicking from any message in the conversation
-                const replyText = message.reply_to_message.text || '';
-                console.log('📱 No specific context found, searching by reply text:', replyText);
-                
-                // Look for user name patterns in the reply text to identify the room
-                for (let [contextId, context] of activeRoomContexts) {
-                    if (context.participantName && replyText.includes(context.participantName)) {
-                        console.log('📱 Found user context by name match for /kick:', context);
-                        return {
-                            success: true,
-                            action: 'kick',
-                            context: context,
-                            message: 'Conversation closed by admin'
-                        };
-                    }
-                }
-                
-                // Also check pending knocks for name matches
-                for (let [roomId, knockContext] of pendingKnocks) {
-                    if (knockContext.participantName && replyText.includes(knockContext.participantName)) {
-                        console.log('📱 Found pending knock context by name match for /kick:', knockContext);
-                        return {
-                            success: true,
-                            action: 'kick',
-                            context: knockContext,
-                            message: 'Conversation closed by admin'
-                        };
-                    }
+                const roomContext = findContextByRoomMessage(chatId, replyToMessageId);
+                if (roomContext) {
+                    log.debug('📱 Found room context by message for /kick', roomContext);
+                    return {
+                        success: true,
+                        action: 'kick',
+                        context: roomContext,
+                        message: 'Conversation closed by admin'
+                    };
                 }
                 
                 return {
@@ -261,7 +362,32 @@ function handleTelegramMessage(message) {
             }
         }
 
-        // (removed) /typing command
+        // Handle /typing command - shows "typing…" in the participant's chat
+        // Also support single letter shortcut: /t
+        if (command === '/typing' || command === '/t') {
+            if (!message.reply_to_message) {
+                return {
+                    success: false,
+                    message: 'Please reply to a message from the conversation you are answering.'
+                };
+            }
+            const replyToMessageId = message.reply_to_message.message_id;
+            const context = activeRoomContexts.get(contextKey(chatId, replyToMessageId)) ||
+                findContextByRoomMessage(chatId, replyToMessageId);
+            if (context) {
+                log.debug('📱 Found room context for /typing', context);
+                return {
+                    success: true,
+                    action: 'typing',
+                    context: context,
+                    message: 'Typing indicator shown to user'
+                };
+            }
+            return {
+                success: false,
+                message: 'Could not find room context for this message. Make sure you are replying to a message from an active conversation.'
+            };
+        }
 
         // Handle /approve, /reject, /away (must reply to a knock notification)
         // Also support single letter shortcuts: /a, /r, /away
@@ -271,21 +397,21 @@ function handleTelegramMessage(message) {
             }
             const replyToMessageId = message.reply_to_message.message_id;
             // Only consider pending knocks for these commands
-            for (let [roomId, knockContext] of pendingKnocks) {
-                if (knockContext.replyMessageId === replyToMessageId) {
-                    // Map single letter commands to full actions
-                    let action = command.slice(1); // remove leading '/'
-                    if (action === 'a') action = 'approve';
-                    if (action === 'r') action = 'reject';
-                    return {
-                        success: true,
-                        action,
-                        roomId,
-                        participantName: knockContext.participantName,
-                        socketId: knockContext.socketId,
-                        message: action === 'approve' ? 'User approved and entering chat room' : (action === 'reject' ? 'User rejected' : 'Admin is away, try later')
-                    };
-                }
+            const knockContext = findKnockByReply(chatId, replyToMessageId);
+            if (knockContext) {
+                // Map single letter commands to full actions
+                let action = command.slice(1); // remove leading '/'
+                if (action === 'a') action = 'approve';
+                if (action === 'r') action = 'reject';
+                return {
+                    success: true,
+                    action,
+                    roomId: knockContext.roomId,
+                    participantName: knockContext.participantName,
+                    socketId: knockContext.socketId,
+                    // Shown to the participant for reject/away
+                    message: action === 'approve' ? 'User approved and entering chat room' : (action === 'reject' ? profileText('knockRejected') : profileText('adminAway'))
+                };
             }
             return { success: false, message: 'Could not find knock context. Please reply directly to the knock notification.' };
         }
@@ -294,47 +420,40 @@ function handleTelegramMessage(message) {
     // Check if this is a reply to a specific message
     if (message.reply_to_message) {
         const replyToMessageId = message.reply_to_message.message_id;
-        console.log('📱 This is a reply to message ID:', replyToMessageId);
+        log.info('📱 This is a reply to message ID:', replyToMessageId);
         
         // Find context by reply message ID
-        console.log('📱 Searching pending knocks for reply message ID:', replyToMessageId);
-        console.log('📱 Available pending knocks:', Array.from(pendingKnocks.entries()));
-        for (let [roomId, context] of pendingKnocks) {
-            console.log('📱 Checking pending knock context:', context.replyMessageId, 'vs', replyToMessageId);
-            if (context.replyMessageId === replyToMessageId) {
-                console.log('📱 Found knock context for reply:', context);
-                return handleKnockResponse(text, context);
-            }
+        log.info('📱 Searching pending knocks for reply message ID:', replyToMessageId);
+        log.debug('📱 Available pending knocks', { replyMessageIds: Array.from(pendingKnocks.keys()) });
+        const knockContext = findKnockByReply(chatId, replyToMessageId);
+        if (knockContext) {
+            log.debug('📱 Found knock context for reply', knockContext);
+            return handleKnockResponse(text, knockContext);
         }
         
-        // Check active message contexts using reply message ID as key
-        console.log('📱 Searching active message contexts for reply message ID:', replyToMessageId);
-        const messageContext = activeRoomContexts.get(replyToMessageId);
+        // Check active message contexts using chat and reply message ID as key
+        log.info('📱 Searching active message contexts for reply message ID:', replyToMessageId);
+        const messageContext = activeRoomContexts.get(contextKey(chatId, replyToMessageId));
         if (messageContext) {
-            console.log('📱 Found message context for reply:', messageContext);
+            log.debug('📱 Found message context for reply', messageContext);
             return handleMessageResponse(text, messageContext);
         }
+        
+        // Otherwise use the room the replied-to message was sent for
+        const roomContext = findContextByRoomMessage(chatId, replyToMessageId);
+        if (roomContext) {
+            log.debug('📱 Found room context by message for reply', roomContext);
+            return roomContext.type === 'knock'
+                ? handleKnockResponse(text, roomContext)
+                : handleMessageResponse(text, roomContext);
+        }
     }
     
-    // If not a reply, try to find the most recent message context as fallback
-    if (activeRoomContexts.size > 0) {
-        const mostRecentMessage = Array.from(activeRoomContexts.values()).pop();
-        console.log('📱 Using most recent message context as fallback:', mostRecentMessage);
-        return handleMessageResponse(text, mostRecentMessage);
-    }
-    
-    // If no message context, try most recent knock context
-    if (pendingKnocks.size > 0) {
-        const mostRecentKnock = Array.from(pendingKnocks.values()).pop();
-        console.log('📱 Using most recent knock context as fallback:', mostRecentKnock);
-        return handleKnockResponse(text, mostRecentKnock);
-    }
-    
-    // If no context at all, return error
-    console.log('📱 No context found - user must reply to specific message');
+    // Text that replies to nothing (or to a room that is gone) is never guessed onto a room
+    log.info('📱 No context found - user must reply to specific message');
     return {
         success: false,
-        message: 'Please reply to the specific notification you want to respond to. Use the "Reply" button in Telegram on the notification message.'
+        message: 'Please reply to the specific notification you want to respond to. Use the "Reply" button in Telegram on the notification message, or the buttons under it.'
     };
 }
 
@@ -367,41 +486,47 @@ function handleMessageResponse(response, context) {
 }
 
 // Set active room context for knock or message
+// Contexts without a chatId belong to the default chat (TELEGRAM_CHAT_ID)
 function setActiveRoomContext(context) {
+    context.chatId = String(context.chatId || process.env.TELEGRAM_CHAT_ID);
     if (context.type === 'knock') {
-        pendingKnocks.set(context.roomId, context);
-        console.log('📱 Knock context set for room:', context.roomId);
-        console.log('📱 Reply message ID stored:', context.replyMessageId);
-        console.log('📱 Context details:', JSON.stringify(context, null, 2));
+        pendingKnocks.set(contextKey(context.roomId, context.chatId), context);
+        log.info(`📱 Knock context set for room ${context.roomId}`, { replyMessageId: context.replyMessageId });
+        log.debug('📱 Context details', context);
     } else if (context.type === 'message') {
-        // Use reply message ID as key to prevent overwriting
-        activeRoomContexts.set(context.replyMessageId, context);
-        console.log('📱 Message context set with reply ID:', context.replyMessageId);
-        console.log('📱 Room ID:', context.roomId);
-        console.log('📱 Context details:', JSON.stringify(context, null, 2));
+        // Use chat and reply message ID as key to prevent overwriting
+        activeRoomContexts.set(contextKey(context.chatId, context.replyMessageId), context);
+        log.info(`📱 Message context set for room ${context.roomId}`, { replyMessageId: context.replyMessageId });
+        log.debug('📱 Context details', context);
     }
 }
 
 // Clear active room context
 function clearActiveRoomContext(roomId = null) {
     if (roomId) {
-        pendingKnocks.delete(roomId);
-        // Clear all message contexts for this room
-        for (let [replyId, context] of activeRoomContexts) {
+        // Clear the knock contexts (one per chat) and all message contexts for this room
+        for (let [key, context] of pendingKnocks) {
+            if (context.roomId === roomId) {
+                pendingKnocks.delete(key);
+            }
+        }
+        for (let [key, context] of activeRoomContexts) {
             if (context.roomId === roomId) {
-                activeRoomContexts.delete(replyId);
+                activeRoomContexts.delete(key);
             }
         }
-        console.log('📱 Context cleared for room:', roomId);
+        log.info('📱 Context cleared for room:', roomId);
     } else {
         pendingKnocks.clear();
         activeRoomContexts.clear();
-        console.log('📱 All contexts cleared');
+        roomMessages.clear();
+        log.info('📱 All contexts cleared');
     }
 }
 
 module.exports = {
     handleTelegramMessage,
+    handleTelegramCallback,
     setActiveRoomContext,
     clearActiveRoomContext
 };
@@ -8,25 +8,50 @@
  * - Tracking message IDs for cleanup
  * 
  * Key Features:
- * - Automatic deletion of old messages during conversation
+ * - One live conversation card per room, edited in place (or delete-and-resend)
  * - Final summary that replaces all intermediate messages
  * - Queue system to prevent concurrent message conflicts
+ * - Per-room chat routing: each room's notifications go to its owner's chat
+ * - Inline keyboard buttons on notifications (see config/telegram-keyboards.js)
+ * - Participant text is HTML-escaped and every message kept under Telegram's
+ *   4096 character limit (see config/telegram-format.js)
+ * - Every call goes through the outbox (config/telegram-outbox.js): per-chat
+ *   ordering, retries with backoff, 429 retry_after, resumed after restarts
  */
 
-const axios = require('axios');
+const { getAdminLabel } = require('./admins');
+const { formatTime, createConversationTimeFormatter } = require('./time-format');
+const { enqueueTelegramCall, addOutboxListener } = require('./telegram-outbox');
+const {
+    TELEGRAM_FORMAT_CONFIG,
+    escapeHtml,
+    toPlainText,
+    getTelegramLength,
+    truncateMessage,
+    formatRecentHistory,
+    splitMessage
+} = require('./telegram-format');
+const { createLogger } = require('./logger');
+
+const log = createLogger('telegram');
 
 // ============================================================================
 // TELEGRAM API CONFIGURATION
 // ============================================================================
 
-// Telegram Bot Token - Get from @BotFather on Telegram
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'YOUR_BOT_TOKEN_HERE';
-
-// Telegram Chat ID - Your personal chat ID where notifications are sent
+// Telegram Chat ID - Default chat for notifications (rooms without an owner chat)
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID || 'YOUR_CHAT_ID_HERE';
 
-// Telegram API base URL for making requests
-const TELEGRAM_API_URL = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}`;
+// Bot token and API base URL come from config/telegram-api.js (used by the outbox)
+
+/**
+ * TELEGRAM_CARD_CONFIG: How participant messages are shown (TELEGRAM_CARD_MODE)
+ * - edit (default): One conversation card per room, updated with editMessageText
+ * - resend: The previous notification is deleted and a new one is sent
+ */
+const TELEGRAM_CARD_CONFIG = {
+    MODE: process.env.TELEGRAM_CARD_MODE === 'resend' ? 'resend' : 'edit'
+};
 
 // ============================================================================
 // MESSAGE QUEUE AND TRACKING
@@ -47,9 +72,10 @@ const TELEGRAM_API_URL = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}`;
 const pendingRoomOperations = new Map();
 
 /**
- * roomTelegramMessageIds: Map<roomId, [messageId1, messageId2, ...]>
+ * roomTelegramMessageIds: Map<roomId, [{ messageId, chatId }, ...]>
  * 
- * Tracks all Telegram message IDs sent for each room.
+ * Tracks all Telegram message IDs sent for each room, with the chat each
+ * one was sent to ({ messageId, chatId }).
  * Used for final cleanup - when conversation ends, we delete all
  * intermediate messages and send only the final summary.
  * 
@@ -57,122 +83,206 @@ const pendingRoomOperations = new Map();
  */
 const roomTelegramMessageIds = new Map();
 
+/**
+ * roomTelegramChats: Map<roomId, chatId>
+ * 
+ * Telegram chat of the admin who owns each room. Rooms without an entry
+ * use TELEGRAM_CHAT_ID. Updated when a room is assigned or handed off.
+ */
+const roomTelegramChats = new Map();
+
+/**
+ * roomNumbers: Map<roomId, number>
+ * 
+ * Display number of each room. Room IDs are opaque and never reused; the
+ * number ("Room 3") is what admins see in notifications.
+ */
+const roomNumbers = new Map();
+
+/**
+ * roomCards: Map<roomId, card> (edit mode)
+ * 
+ * The conversation card currently being edited for each room.
+ * 
+ * Card structure:
+ *   - messageId: number (stays the same across edits, so reply contexts stay valid)
+ *   - chatId: string
+ *   - startLine: number (first history line on the card; > 0 after a rollover)
+ *   - lineCount: number (history lines on the card after the last update)
+ */
+const roomCards = new Map();
+
+// Route a room's notifications to a chat (null routes them back to TELEGRAM_CHAT_ID)
+function setRoomTelegramChat(roomId, chatId) {
+    if (chatId) {
+        roomTelegramChats.set(roomId, String(chatId));
+    } else {
+        roomTelegramChats.delete(roomId);
+    }
+}
+
+// Get the chat a room's notifications are sent to
+function getRoomTelegramChat(roomId) {
+    return roomTelegramChats.get(roomId) || TELEGRAM_CHAT_ID;
+}
+
+// Set the number a room is shown as in notifications
+function setRoomNumber(roomId, number) {
+    roomNumbers.set(roomId, number);
+}
+
+// "Room 3" for notifications (the opaque ID if the room has no number)
+function getRoomLabel(roomId) {
+    return `Room ${roomNumbers.has(roomId) ? roomNumbers.get(roomId) : roomId}`;
+}
+
+// Forget everything kept for a room once it has been cleaned up
+function forgetRoomTelegramState(roomId) {
+    roomTelegramMessageIds.delete(roomId);
+    roomTelegramChats.delete(roomId);
+    roomNumbers.delete(roomId);
+    roomCards.delete(roomId);
+}
+
+// Remember a sent message so the final summary can delete it from the right chat
+function trackRoomMessage(roomId, messageId, chatId) {
+    if (!roomTelegramMessageIds.has(roomId)) {
+        roomTelegramMessageIds.set(roomId, []);
+    }
+    roomTelegramMessageIds.get(roomId).push({ messageId, chatId });
+}
+
+// Conversation notifications resumed after a restart have no caller waiting
+// for them - track them here so the final summary still deletes them
+addOutboxListener({
+    delivered(item, result) {
+        if (item.meta.resumed && item.meta.kind === 'conversation') {
+            trackRoomMessage(item.meta.roomId, result.message_id, String(item.params.chat_id));
+        }
+    }
+});
+
 /**
  * Send a message to Telegram
  * 
  * This is the core function for sending messages via the Telegram Bot API.
+ * The message is queued in the outbox and retried until it is delivered
+ * or the outbox gives up.
  * 
  * @param {string} message - The message text to send (supports HTML)
  * @param {object} options - Additional Telegram API options (reply_to_message_id, etc.)
+ * @param {object} meta - Outbox metadata passed to outbox listeners (e.g. { kind: 'knock', roomId })
+ * @returns {object|null} - Telegram API response ({ ok: true, result }) or null if it was never delivered
+ */
+async function sendTelegramMessage(message, options = {}, meta = {}) {
+    const payload = {
+        chat_id: TELEGRAM_CHAT_ID,
+        text: message,
+        parse_mode: 'HTML',
+        ...options
+    };
+
+    const delivery = await enqueueTelegramCall('sendMessage', payload, meta);
+    if (!delivery.ok) {
+        log.error('❌ Telegram message failed:', delivery.description);
+        return null;
+    }
+
+    log.info(`✅ Telegram message sent. Message ID: ${delivery.result.message_id}`, { chatId: delivery.result.chat?.id });
+    return { ok: true, result: delivery.result };
+}
+
+/**
+ * Send a text file to Telegram as a document
+ * 
+ * @param {object} file - { filename, content, contentType }, e.g. a rendered transcript
+ * @param {string} caption - Caption under the file (supports HTML, cut to 1024 characters)
+ * @param {object} options - Additional Telegram API options (chat_id, etc.)
+ * @param {object} meta - Outbox metadata passed to outbox listeners
+ * @returns {object|null} - Telegram API response ({ ok: true, result }) or null if it was never delivered
+ */
+async function sendTelegramDocument(file, caption = '', options = {}, meta = {}) {
+    const payload = {
+        chat_id: TELEGRAM_CHAT_ID,
+        document: { contentType: 'text/plain; charset=utf-8', ...file },
+        caption: truncateMessage(caption, TELEGRAM_FORMAT_CONFIG.MAX_CAPTION_LENGTH),
+        parse_mode: 'HTML',
+        ...options
+    };
+
+    const delivery = await enqueueTelegramCall('sendDocument', payload, meta);
+    if (!delivery.ok) {
+        log.error('❌ Telegram document failed:', delivery.description);
+        return null;
+    }
+
+    log.info(`✅ Telegram document sent. Message ID: ${delivery.result.message_id}`, { chatId: delivery.result.chat?.id });
+    return { ok: true, result: delivery.result };
+}
+
+/**
+ * Answer an inline keyboard button press
+ * 
+ * Telegram shows a loading spinner on the button until the press is
+ * answered; the text appears as a short toast (or an alert).
+ * 
+ * @param {string} callbackQueryId - callback_query.id
+ * @param {string} text - Confirmation or error text (up to 200 characters)
+ * @param {boolean} showAlert - Show an alert the admin must dismiss instead of a toast
+ * @param {string|number|null} chatId - Chat the button was pressed in (keeps its answers out of other chats' backoff)
  * @returns {object|null} - Telegram API response or null on error
  */
-async function sendTelegramMessage(message, options = {}) {
-    try {
-        const payload = {
-            chat_id: TELEGRAM_CHAT_ID,
-            text: message,
-            parse_mode: 'HTML',
-            ...options
-        };
-
-        const response = await axios.post(`${TELEGRAM_API_URL}/sendMessage`, payload);
-        
-        // Log the full response structure for debugging
-        if (response.data && response.data.ok && response.data.result) {
-            console.log('✅ Telegram message sent. Message ID:', response.data.result.message_id, 'Chat ID:', response.data.result.chat?.id);
-        } else {
-            console.error('⚠️ Unexpected Telegram response structure:', JSON.stringify(response.data, null, 2));
-        }
-        
-        return response.data;
-    } catch (error) {
-        console.error('❌ Telegram message failed:', error.response?.data || error.message);
+async function answerCallbackQuery(callbackQueryId, text, showAlert = false, chatId = null) {
+    // Telegram forgets a button press after a few seconds, so never resume it after a restart
+    const delivery = await enqueueTelegramCall('answerCallbackQuery', {
+        callback_query_id: callbackQueryId,
+        text: text ? text.substring(0, 200) : undefined,
+        show_alert: showAlert
+    }, { persist: false, chatId });
+
+    if (!delivery.ok) {
+        log.error('❌ Answering button press failed:', delivery.description);
         return null;
     }
+    return { ok: true, result: delivery.result };
 }
 
 /**
- * Delete a Telegram message with retry logic
+ * Delete a Telegram message
  * 
- * This function handles message deletion with:
- * - Retry logic for network errors
- * - Graceful handling of already-deleted messages
- * - Handling of messages too old to delete (48 hour limit)
+ * Retries (network errors, rate limits) are handled by the outbox.
+ * A message that is already gone counts as deleted; one that is too old
+ * to delete (48 hour limit) is reported as a failure.
  * 
  * @param {number} messageId - The Telegram message ID to delete
- * @param {number} retries - Number of retry attempts (default: 2)
- * @returns {object|null} - Telegram API response or null on error
+ * @param {string} chatId - Chat the message is in (default: TELEGRAM_CHAT_ID)
+ * @returns {object|null} - { ok: true } or null if it could not be deleted
  */
-async function deleteTelegramMessage(messageId, retries = 2) {
+async function deleteTelegramMessage(messageId, chatId = TELEGRAM_CHAT_ID) {
     if (!messageId) {
-        console.error('❌ deleteTelegramMessage called with null/undefined messageId');
+        log.error('❌ deleteTelegramMessage called with null/undefined messageId');
         return null;
     }
     
-    console.log(`🗑️ [DELETE] Attempting to delete message ${messageId} from chat ${TELEGRAM_CHAT_ID}`);
+    log.info(`🗑️ [DELETE] Deleting message ${messageId}`, { chatId });
+    const delivery = await enqueueTelegramCall('deleteMessage', { chat_id: chatId, message_id: messageId });
     
-    for (let attempt = 0; attempt <= retries; attempt++) {
-        try {
-            const response = await axios.post(`${TELEGRAM_API_URL}/deleteMessage`, {
-                chat_id: TELEGRAM_CHAT_ID,
-                message_id: messageId
-            }, {
-                timeout: 5000 // 5 second timeout
-            });
-            
-            if (response.data && response.data.ok) {
-                console.log(`✅ [DELETE] Successfully deleted message ${messageId} (attempt ${attempt + 1})`);
-                return response.data;
-            } else {
-                console.log(`⚠️ [DELETE] Delete API returned ok: false for message ${messageId}:`, response.data);
-                return response.data;
-            }
-        } catch (error) {
-            const errorCode = error.response?.data?.error_code;
-            const errorDescription = error.response?.data?.description || '';
-            
-            console.log(`⚠️ [DELETE] Attempt ${attempt + 1}/${retries + 1} failed for message ${messageId}:`, {
-                errorCode,
-                errorDescription,
-                status: error.response?.status,
-                message: error.message
-            });
-            
-            // Message already deleted or not found - this is fine
-            if (errorCode === 400 && (
-                errorDescription.includes('message to delete not found') ||
-                errorDescription.includes('message can\'t be deleted')
-            )) {
-                console.log(`ℹ️ [DELETE] Message ${messageId} already deleted or not found - treating as success`);
-                return { ok: true }; // Return success since message is gone
-            }
-            
-            // Bad request - message might be too old (48 hours limit)
-            if (errorCode === 400) {
-                console.log(`⚠️ [DELETE] Cannot delete message ${messageId} (may be too old or invalid): ${errorDescription}`);
-                return null;
-            }
-            
-            // Retry on network errors
-            if (attempt < retries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || !error.response)) {
-                const delay = 500 * (attempt + 1);
-                console.log(`🔄 [DELETE] Retrying deletion in ${delay}ms (attempt ${attempt + 1}/${retries + 1})...`);
-                await new Promise(resolve => setTimeout(resolve, delay)); // Exponential backoff
-                continue;
-            }
-            
-            // Log other errors
-            console.error(`❌ [DELETE] Failed to delete Telegram message ${messageId}:`, {
-                errorCode,
-                errorDescription,
-                status: error.response?.status,
-                message: error.message
-            });
-            return null;
-        }
+    if (delivery.ok) {
+        log.info(`✅ [DELETE] Deleted message ${messageId}`);
+        return { ok: true };
+    }
+    
+    // Message already deleted or not found - this is fine
+    const description = delivery.description || '';
+    if (delivery.errorCode === 400 && (
+        description.includes('message to delete not found') ||
+        description.includes('message can\'t be deleted')
+    )) {
+        log.info(`ℹ️ [DELETE] Message ${messageId} already deleted or not found - treating as success`);
+        return { ok: true };
     }
     
-    console.error(`❌ [DELETE] All retry attempts failed for message ${messageId}`);
+    log.warn(`⚠️ [DELETE] Cannot delete message ${messageId} (may be too old or invalid): ${description}`);
     return null;
 }
 
@@ -183,178 +293,291 @@ async function deleteTelegramMessage(messageId, retries = 2) {
  * to the admin with options to approve/reject.
  * 
  * @param {string} participantName - Name of the person knocking
- * @param {number} roomId - The room ID assigned to this knock
+ * @param {string} roomId - The room ID assigned to this knock
+ * @param {string} chatId - Chat to notify (default: the room's chat)
+ * @param {string|null} ownerId - Admin the room is assigned to (null: unassigned)
+ * @param {object|null} replyMarkup - Inline keyboard (Approve / Reject / Away)
  * @returns {object} - { success: boolean, messageId: number, result: object }
  */
-async function sendKnockNotification(participantName, roomId) {
-    const time = new Date().toLocaleTimeString('en-IN', { 
-        timeZone: 'Asia/Kolkata',
-        hour12: true, 
-        hour: '2-digit', 
-        minute: '2-digit' 
-    });
+async function sendKnockNotification(participantName, roomId, chatId = getRoomTelegramChat(roomId), ownerId = null, replyMarkup = null) {
+    const time = formatTime(new Date());
+    const assignment = ownerId
+        ? `👤 Assigned to ${escapeHtml(getAdminLabel(ownerId))}`
+        : `👥 Unassigned - the first admin to respond takes it`;
     
-    const message = `🔔 ${participantName} from Room ${roomId} (${time})\n\n` +
-                   `Reply with:\n` +
+    const message = `🔔 ${escapeHtml(participantName)} from ${getRoomLabel(roomId)} (${time})\n${assignment}\n\n` +
+                   `Tap a button below, or reply with:\n` +
                    `• <code>approve</code> - Let them in\n` +
                    `• <code>reject</code> - Reject them\n` +
                    `• <code>away</code> - Send "away" message\n` +
                    `• <code>nudge</code> - Send gentle prompt (after approval)\n` +
                    `• Any other text - Custom message`;
 
-    const result = await sendTelegramMessage(message);
+    const result = await sendTelegramMessage(
+        message,
+        { chat_id: chatId, ...(replyMarkup ? { reply_markup: replyMarkup } : {}) },
+        { kind: 'knock', roomId, participantName }
+    );
     
     // Return the message ID for context tracking
     return {
         success: result ? true : false,
-        messageId: result ? result.message_id : null,
+        messageId: result ? result.result.message_id : null,
         result: result
     };
 }
 
+/**
+ * Build the conversation history lines shown in a notification
+ * 
+ * Welcome messages are left out, system messages are shown in brackets.
+ * Names and message texts are HTML-escaped.
+ * 
+ * @param {Array} chatHistory - Full conversation history
+ * @returns {Array<string>} - One line per message, each ending in '\n'
+ */
+function buildHistoryLines(chatHistory) {
+    if (!chatHistory || chatHistory.length === 0) {
+        return [];
+    }
+    
+    // Filter out welcome messages and build clean history
+    const filteredHistory = chatHistory.filter(msg => 
+        !msg.text.includes('Welcome to the chat room') && 
+        !msg.text.includes('You have joined the chat room')
+    );
+    
+    // Times include the date when the conversation spans several days
+    const formatMessageTime = createConversationTimeFormatter(filteredHistory);
+    return filteredHistory.map(msg => {
+        if (msg.sender === 'System') {
+            return `[${escapeHtml(msg.text)}]\n`; // No time and colon for system messages
+        }
+        const sender = msg.isAdmin ? getAdminLabel(msg.adminId) : msg.sender;
+        return `${escapeHtml(sender)} (${formatMessageTime(msg.timestamp)}): ${escapeHtml(msg.text)}\n`;
+    });
+}
+
+// Build a notification from the history lines, starting at startLine
+// (only the last TELEGRAM_HISTORY_TURNS lines are shown)
+function buildConversationText(participantName, roomId, lines, startLine = 0) {
+    const header = `${escapeHtml(participantName)} from ${getRoomLabel(roomId)}${startLine > 0 ? ' (continued)' : ''}`;
+    const historyText = formatRecentHistory(lines.slice(startLine));
+    return historyText ? `${header}\n\n${historyText}` : header;
+}
+
+/**
+ * Build the text for a new conversation card that fits in one message
+ * 
+ * Leading lines are dropped until the card fits; a single line that is
+ * too long on its own is cut off.
+ * 
+ * @returns {object} - { text, startLine }
+ */
+function fitConversationCard(participantName, roomId, lines, startLine) {
+    let text = buildConversationText(participantName, roomId, lines, startLine);
+    while (getTelegramLength(text) > TELEGRAM_FORMAT_CONFIG.MAX_LENGTH && startLine < lines.length - 1) {
+        startLine++;
+        text = buildConversationText(participantName, roomId, lines, startLine);
+    }
+    return { text: truncateMessage(text), startLine };
+}
+
 /**
  * Send user message notification with full conversation history
  * 
  * This function sends a notification to admin when a user sends a message.
- * It includes the full conversation history and automatically deletes
- * the previous notification to keep Telegram chat clean.
+ * It includes the full conversation history, shown in one of two ways
+ * (TELEGRAM_CARD_MODE):
+ * - edit: The room's conversation card is edited in place. Its message ID
+ *   stays the same, so replies to it keep working.
+ * - resend: The previous notification is deleted and a new one is sent.
  * 
  * Key features:
- * - Deletes previous message if lastMessageId is provided
  * - Queues operations per room to prevent race conditions
  * - Tracks message IDs for final cleanup
  * - Includes full conversation history in notification
  * 
  * @param {string} participantName - Name of the participant sending message
- * @param {number} roomId - The room ID
+ * @param {string} roomId - The room ID
  * @param {string} message - The new message text
  * @param {Array} chatHistory - Full conversation history
- * @param {number|null} lastMessageId - Previous Telegram message ID to delete
- * @returns {object} - { success: boolean, messageId: number, result: object }
+ * @param {number|null} lastMessageId - Previous Telegram message ID (deleted in resend mode, edited after a restart in edit mode)
+ * @param {object|null} replyMarkup - Inline keyboard (Nudge / Close)
+ * @returns {object} - { success: boolean, messageId: number, chatId: string, result: object }
  */
-async function sendUserMessageNotification(participantName, roomId, message, chatHistory = [], lastMessageId = null) {
+async function sendUserMessageNotification(participantName, roomId, message, chatHistory = [], lastMessageId = null, replyMarkup = null) {
     // Wait for any pending operation for this room to complete
     // This prevents race conditions when multiple messages arrive quickly
     if (pendingRoomOperations.has(roomId)) {
-        console.log(`⏳ Waiting for pending operation for Room ${roomId}...`);
+        log.info(`⏳ Waiting for pending operation for Room ${roomId}...`);
         try {
             await pendingRoomOperations.get(roomId);
         } catch (error) {
-            console.error(`⚠️ Previous operation for Room ${roomId} failed:`, error);
+            log.error(`⚠️ Previous operation for Room ${roomId} failed:`, error);
         }
     }
     
     // Create a promise for this operation
-    const operationPromise = (async () => {
-        // Delete previous message if it exists (to avoid repetitive content)
-        // Do this FIRST and wait for it to complete before sending new message
-        if (lastMessageId) {
-            console.log(`🗑️ [Room ${roomId}] Attempting to delete previous message ${lastMessageId}...`);
-            
-            // First, remove from tracking array (we're about to delete it)
-            if (roomTelegramMessageIds.has(roomId)) {
-                const messageIds = roomTelegramMessageIds.get(roomId);
-                const index = messageIds.indexOf(lastMessageId);
-                if (index > -1) {
-                    messageIds.splice(index, 1);
-                    console.log(`🗑️ [Room ${roomId}] Removed message ID ${lastMessageId} from tracking array`);
-                }
+    const operationPromise = TELEGRAM_CARD_CONFIG.MODE === 'edit'
+        ? updateConversationCard(participantName, roomId, chatHistory, lastMessageId, replyMarkup)
+        : resendConversationNotification(participantName, roomId, chatHistory, lastMessageId, replyMarkup);
+    
+    // Store the promise and clean it up when done
+    pendingRoomOperations.set(roomId, operationPromise);
+    
+    try {
+        const result = await operationPromise;
+        return result;
+    } finally {
+        // Remove from pending operations after a short delay to allow any immediate follow-up
+        setTimeout(() => {
+            if (pendingRoomOperations.get(roomId) === operationPromise) {
+                pendingRoomOperations.delete(roomId);
             }
+        }, 1000);
+    }
+}
+
+/**
+ * Edit mode: update the room's conversation card in place
+ * 
+ * A new card is sent when the room has none yet, when the room was handed
+ * off to another chat, when the card is gone, or when the history no longer
+ * fits in one message (rollover: the new card continues where the old one
+ * ended, and the old card stays as it is).
+ */
+async function updateConversationCard(participantName, roomId, chatHistory, lastMessageId, replyMarkup) {
+    const chatId = getRoomTelegramChat(roomId);
+    const lines = buildHistoryLines(chatHistory);
+    const markup = replyMarkup ? { reply_markup: replyMarkup } : {};
+    
+    // After a restart only the room's saved message ID is left - keep using that card
+    let card = roomCards.get(roomId);
+    if (!card && lastMessageId) {
+        card = { messageId: lastMessageId, chatId, startLine: 0, lineCount: 0 };
+        roomCards.set(roomId, card);
+        trackRoomMessage(roomId, lastMessageId, chatId);
+    }
+    
+    let startLine = 0;
+    if (card && card.chatId === chatId) {
+        const text = buildConversationText(participantName, roomId, lines, card.startLine);
+        
+        if (getTelegramLength(text) <= TELEGRAM_FORMAT_CONFIG.MAX_LENGTH) {
+            const delivery = await enqueueTelegramCall('editMessageText', {
+                chat_id: chatId,
+                message_id: card.messageId,
+                text,
+                parse_mode: 'HTML',
+                ...markup
+            }, { kind: 'conversation-edit', roomId });
             
-            // Now try to delete it
-            const deleteResult = await deleteTelegramMessage(lastMessageId);
+            // Unchanged text (e.g. a resumed edit that already went through) is fine
+            const description = delivery.description || '';
+            if (delivery.ok || description.includes('message is not modified')) {
+                card.lineCount = lines.length;
+                log.info(`✏️ [Room ${roomId}] Updated conversation card ${card.messageId}`);
+                return {
+                    success: true,
+                    messageId: card.messageId,
+                    chatId,
+                    result: delivery.ok ? { ok: true, result: delivery.result } : null
+                };
+            }
             
-            if (deleteResult && deleteResult.ok) {
-                console.log(`✅ [Room ${roomId}] Successfully deleted message ${lastMessageId}`);
-            } else {
-                console.log(`⚠️ [Room ${roomId}] Could not delete message ${lastMessageId} (may be too old or already deleted)`);
+            if (delivery.errorCode !== 400) {
+                log.error(`❌ [Room ${roomId}] Could not update conversation card ${card.messageId}: ${description}`);
+                return { success: false, messageId: null, chatId, result: null };
             }
             
-            // Small delay to ensure Telegram processes the deletion
-            // This helps prevent race conditions where new message arrives before deletion completes
-            await new Promise(resolve => setTimeout(resolve, 400)); // 400ms delay for better reliability
+            // Deleted in Telegram or too old to edit - start a new card
+            log.warn(`⚠️ [Room ${roomId}] Conversation card ${card.messageId} cannot be edited (${description}) - sending a new one`);
         } else {
-            console.log(`ℹ️ [Room ${roomId}] No previous message to delete (first message)`);
+            startLine = card.lineCount;
+            log.info(`📄 [Room ${roomId}] Conversation card ${card.messageId} is full - continuing in a new message`);
         }
+    }
+    
+    const fitted = fitConversationCard(participantName, roomId, lines, startLine);
+    const result = await sendTelegramMessage(fitted.text, { chat_id: chatId, ...markup }, { kind: 'conversation', roomId });
+    const messageId = result?.result?.message_id;
+    
+    if (messageId) {
+        trackRoomMessage(roomId, messageId, chatId);
+        roomCards.set(roomId, { messageId, chatId, startLine: fitted.startLine, lineCount: lines.length });
+        log.info(`📝 [Room ${roomId}] New conversation card ${messageId}`);
+    } else {
+        log.error(`❌ [Room ${roomId}] Failed to send conversation card`);
+    }
+    
+    return {
+        success: Boolean(messageId),
+        messageId: messageId || null,
+        chatId,
+        result: result
+    };
+}
+
+// Resend mode: delete the previous notification, then send a new one
+async function resendConversationNotification(participantName, roomId, chatHistory, lastMessageId, replyMarkup) {
+    // Delete previous message if it exists (to avoid repetitive content)
+    // Do this FIRST and wait for it to complete before sending new message
+    if (lastMessageId) {
+        log.info(`🗑️ [Room ${roomId}] Attempting to delete previous message ${lastMessageId}...`);
         
-        // Build conversation history
-        let historyText = '';
-        if (chatHistory && chatHistory.length > 0) {
-            // Filter out welcome messages and build clean history
-            const filteredHistory = chatHistory.filter(msg => 
-                !msg.text.includes('Welcome to the chat room') && 
-                !msg.text.includes('You have joined the chat room')
-            );
-            
-            if (filteredHistory.length > 0) {
-                historyText = '\n\n';
-                filteredHistory.forEach(msg => {
-                    let sender;
-                    if (msg.isAdmin) {
-                        sender = 'Rajendran';
-                    } else if (msg.sender === 'System') {
-                        sender = `[${msg.text}]`;
-                        historyText += `${sender}\n`;
-                        return; // Skip the time and colon for system messages
-                    } else {
-                        sender = msg.sender;
-                    }
-                    
-                    // Format time as HH:MM AM/PM in IST
-                    const time = new Date(msg.timestamp).toLocaleTimeString('en-IN', { 
-                        timeZone: 'Asia/Kolkata',
-                        hour12: true, 
-                        hour: '2-digit', 
-                        minute: '2-digit' 
-                    });
-                    
-                    if (msg.sender !== 'System') {
-                        historyText += `${sender} (${time}): ${msg.text}\n`;
-                    }
-                });
+        // First, remove from tracking array (we're about to delete it)
+        // The tracked entry knows its chat - the room may have been handed off since
+        let lastMessageChatId = getRoomTelegramChat(roomId);
+        if (roomTelegramMessageIds.has(roomId)) {
+            const messageIds = roomTelegramMessageIds.get(roomId);
+            const index = messageIds.findIndex(entry => entry.messageId === lastMessageId);
+            if (index > -1) {
+                lastMessageChatId = messageIds[index].chatId;
+                messageIds.splice(index, 1);
+                log.info(`🗑️ [Room ${roomId}] Removed message ID ${lastMessageId} from tracking array`);
             }
         }
         
-        const notification = `${participantName} from Room ${roomId}${historyText}`;
-
-        const result = await sendTelegramMessage(notification);
-        
-        // Track this message ID for final cleanup
-        // Telegram API returns: { ok: true, result: { message_id: 123, chat: {...}, ... } }
-        const messageId = result?.result?.message_id || result?.message_id;
+        // Now try to delete it
+        const deleteResult = await deleteTelegramMessage(lastMessageId, lastMessageChatId);
         
-        if (messageId) {
-            if (!roomTelegramMessageIds.has(roomId)) {
-                roomTelegramMessageIds.set(roomId, []);
-            }
-            roomTelegramMessageIds.get(roomId).push(messageId);
-            console.log(`📝 [Room ${roomId}] Tracking new message ID ${messageId} (total tracked: ${roomTelegramMessageIds.get(roomId).length})`);
+        if (deleteResult && deleteResult.ok) {
+            log.info(`✅ [Room ${roomId}] Successfully deleted message ${lastMessageId}`);
         } else {
-            console.error(`❌ [Room ${roomId}] Failed to get message ID from Telegram response. Full response:`, JSON.stringify(result, null, 2));
+            log.warn(`⚠️ [Room ${roomId}] Could not delete message ${lastMessageId} (may be too old or already deleted)`);
         }
-        
-        // Return the message ID for context tracking
-        return {
-            success: result ? (result.ok !== false) : false,
-            messageId: messageId || null,
-            result: result
-        };
-    })();
+    } else {
+        log.info(`ℹ️ [Room ${roomId}] No previous message to delete (first message)`);
+    }
     
-    // Store the promise and clean it up when done
-    pendingRoomOperations.set(roomId, operationPromise);
+    const notification = fitConversationCard(participantName, roomId, buildHistoryLines(chatHistory), 0).text;
+
+    const chatId = getRoomTelegramChat(roomId);
+    const result = await sendTelegramMessage(
+        notification,
+        { chat_id: chatId, ...(replyMarkup ? { reply_markup: replyMarkup } : {}) },
+        { kind: 'conversation', roomId }
+    );
     
-    try {
-        const result = await operationPromise;
-        return result;
-    } finally {
-        // Remove from pending operations after a short delay to allow any immediate follow-up
-        setTimeout(() => {
-            if (pendingRoomOperations.get(roomId) === operationPromise) {
-                pendingRoomOperations.delete(roomId);
-            }
-        }, 1000);
+    // Track this message ID for final cleanup
+    // Telegram API returns: { ok: true, result: { message_id: 123, chat: {...}, ... } }
+    const messageId = result?.result?.message_id || result?.message_id;
+    
+    if (messageId) {
+        trackRoomMessage(roomId, messageId, chatId);
+        log.info(`📝 [Room ${roomId}] Tracking new message ID ${messageId} (total tracked: ${roomTelegramMessageIds.get(roomId).length})`);
+    } else {
+        log.error(`❌ [Room ${roomId}] Failed to get message ID from Telegram response`, { response: result });
     }
+    
+    // Return the message ID and chat for context tracking
+    return {
+        success: result ? (result.ok !== false) : false,
+        messageId: messageId || null,
+        chatId,
+        result: result
+    };
 }
 
 /**
@@ -363,44 +586,44 @@ async function sendUserMessageNotification(participantName, roomId, message, cha
  * When a conversation ends (user leaves, kicked, or inactive), this function:
  * 1. Waits for any pending operations to complete
  * 2. Deletes all intermediate Telegram messages for this room
- * 3. Sends a final summary message
+ * 3. Sends a final summary message, followed by the transcript file if one is given
  * 4. Clears the message ID tracking for this room
  * 
  * This ensures the Telegram chat shows only the final summary,
  * not all the intermediate notifications.
  * 
  * @param {string} participantName - Name of the participant
- * @param {number} roomId - The room ID
+ * @param {string} roomId - The room ID
  * @param {string} conversationSummary - The final summary text
+ * @param {object|null} transcriptFile - Transcript to attach ({ filename, content, contentType }, see config/transcript.js)
  * @returns {object} - { success: boolean, messageId: number, result: object }
  */
-async function sendFinalConversationSummary(participantName, roomId, conversationSummary) {
-    const time = new Date().toLocaleTimeString('en-IN', { 
-        timeZone: 'Asia/Kolkata',
-        hour12: true, 
-        hour: '2-digit', 
-        minute: '2-digit' 
-    });
+async function sendFinalConversationSummary(participantName, roomId, conversationSummary, transcriptFile = null) {
+    const time = formatTime(new Date());
     
     // Build the final summary message
-    const finalMessage = `👋 ${participantName} from Room ${roomId} - Conversation ended (${time})${conversationSummary}`;
+    const roomLabel = getRoomLabel(roomId);
+    const header = `👋 ${escapeHtml(participantName)} from ${roomLabel} - Conversation ended (${time})`;
+    const finalMessage = `${header}${conversationSummary}`;
+    // Read now: the room may be cleaned up (and forgotten) while the deletions below are queued
+    const chatId = getRoomTelegramChat(roomId);
     
     // Wait for any pending operations to complete
     if (pendingRoomOperations.has(roomId)) {
-        console.log(`⏳ Waiting for pending operations for Room ${roomId} before sending final summary...`);
+        log.info(`⏳ Waiting for pending operations for Room ${roomId} before sending final summary...`);
         try {
             await pendingRoomOperations.get(roomId);
         } catch (error) {
-            console.error(`⚠️ Previous operation for Room ${roomId} failed:`, error);
+            log.error(`⚠️ Previous operation for Room ${roomId} failed:`, error);
         }
     }
     
     // Get all message IDs for this room (these are messages that haven't been deleted yet)
     // At this point, this should typically contain only the last message sent during conversation
     const messageIds = roomTelegramMessageIds.get(roomId) || [];
-    console.log(`🗑️ Found ${messageIds.length} intermediate message(s) to delete for Room ${roomId}`);
+    log.info(`🗑️ Found ${messageIds.length} intermediate message(s) to delete for Room ${roomId}`);
     if (messageIds.length > 0) {
-        console.log(`🗑️ Message IDs: ${messageIds.join(', ')}`);
+        log.info(`🗑️ Message IDs: ${messageIds.map(entry => entry.messageId).join(', ')}`);
     }
     
     // Delete all intermediate messages sequentially for better reliability
@@ -408,58 +631,102 @@ async function sendFinalConversationSummary(participantName, roomId, conversatio
         let deletedCount = 0;
         let failedCount = 0;
         
-        // Delete messages one by one to avoid rate limits and ensure reliability
+        // Delete messages one by one (the outbox paces them and handles rate limits)
         for (let i = 0; i < messageIds.length; i++) {
-            const msgId = messageIds[i];
-            console.log(`🗑️ Deleting message ${i + 1}/${messageIds.length}: ${msgId}`);
-            const deleteResult = await deleteTelegramMessage(msgId);
+            const { messageId: msgId, chatId } = messageIds[i];
+            log.info(`🗑️ Deleting message ${i + 1}/${messageIds.length}: ${msgId}`);
+            const deleteResult = await deleteTelegramMessage(msgId, chatId);
             if (deleteResult) {
                 deletedCount++;
-                console.log(`✅ Successfully deleted message ${msgId}`);
+                log.info(`✅ Successfully deleted message ${msgId}`);
             } else {
                 failedCount++;
-                console.log(`⚠️ Failed to delete message ${msgId} (may be too old or already deleted)`);
-            }
-            
-            // Small delay between deletions to avoid rate limits
-            if (i < messageIds.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 200)); // 200ms between deletions for better reliability
+                log.warn(`⚠️ Failed to delete message ${msgId} (may be too old or already deleted)`);
             }
         }
         
-        console.log(`✅ Final cleanup: Deleted ${deletedCount} intermediate messages for Room ${roomId} (${failedCount} failed or already deleted)`);
+        log.info(`✅ Final cleanup: Deleted ${deletedCount} intermediate messages for Room ${roomId} (${failedCount} failed or already deleted)`);
     } else {
-        console.log(`ℹ️ No intermediate messages to delete for Room ${roomId} (all were already deleted during conversation)`);
+        log.info(`ℹ️ No intermediate messages to delete for Room ${roomId} (all were already deleted during conversation)`);
     }
     
-    // Small delay to ensure deletions are processed
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Send the final summary message to the chat of the admin who owned the room last
+    // (queued after the deletions above, so it always arrives last)
+    const result = await sendSummary(roomId, header, finalMessage, chatId, transcriptFile);
     
-    // Send the final summary message
-    const result = await sendTelegramMessage(finalMessage);
+    // A summary too long for one message may already have been sent as the transcript
+    if (transcriptFile && !result?.sentTranscript) {
+        await sendTelegramDocument(transcriptFile, `📄 Transcript - ${roomLabel}`, { chat_id: chatId }, { kind: 'transcript', roomId });
+    }
     
-    // Clear the message IDs for this room
-    roomTelegramMessageIds.delete(roomId);
+    // Clear the message IDs, chat routing and cards for this room
+    forgetRoomTelegramState(roomId);
     
-    console.log(`✅ Final summary sent for Room ${roomId}, all intermediate messages deleted`);
+    log.info(`✅ Final summary sent for Room ${roomId}, all intermediate messages deleted`);
     
     return {
         success: result ? true : false,
-        messageId: result ? result.message_id : null,
+        messageId: result ? result.result.message_id : null,
         result: result
     };
 }
 
+/**
+ * Send a final summary, however long it is
+ * 
+ * A summary that fits is sent as one message. A longer one is split over
+ * several messages (TELEGRAM_SUMMARY_MODE=split) or sent as a document
+ * with the header as its caption (TELEGRAM_SUMMARY_MODE=document) - the
+ * transcript file if there is one, otherwise the summary as a .txt file.
+ * 
+ * @returns {object|null} - Response for the first message ({ sentTranscript: true } when the transcript was sent), or null if any part was not delivered
+ */
+async function sendSummary(roomId, header, finalMessage, chatId, transcriptFile) {
+    const meta = { kind: 'summary', roomId };
+    if (getTelegramLength(finalMessage) <= TELEGRAM_FORMAT_CONFIG.MAX_LENGTH) {
+        return sendTelegramMessage(finalMessage, { chat_id: chatId }, meta);
+    }
+    
+    if (TELEGRAM_FORMAT_CONFIG.SUMMARY_MODE === 'document') {
+        log.info(`📎 Summary for Room ${roomId} is too long for one message - sending it as a document`);
+        const file = transcriptFile || { filename: `room-${roomNumbers.get(roomId) || roomId}-summary.txt`, content: toPlainText(finalMessage) };
+        const result = await sendTelegramDocument(file, `${header}\n📎 Full conversation attached`, { chat_id: chatId }, meta);
+        return result && { ...result, sentTranscript: Boolean(transcriptFile) };
+    }
+    
+    // Leave room for the part number on every part
+    const parts = splitMessage(finalMessage, TELEGRAM_FORMAT_CONFIG.MAX_LENGTH - 16);
+    log.info(`✂️ Summary for Room ${roomId} is too long for one message - sending it in ${parts.length} parts`);
+    let first = null;
+    for (let i = 0; i < parts.length; i++) {
+        const text = i === 0 ? parts[i] : `<i>(${i + 1}/${parts.length})</i>\n${parts[i]}`;
+        const result = await sendTelegramMessage(text, { chat_id: chatId }, meta);
+        if (!result) {
+            return null;
+        }
+        first = first || result;
+    }
+    return first;
+}
+
 // Send admin response to user
 async function sendAdminResponse(roomId, message) {
     // This will be handled by the server's socket.io system
     // We'll implement this in the server.js file
-    console.log(`📤 Admin response for Room ${roomId}: ${message}`);
+    log.info(`📤 Admin response for Room ${roomId}`, { message });
     return true;
 }
 
 module.exports = {
+    TELEGRAM_CARD_CONFIG,
+    setRoomTelegramChat,
+    getRoomTelegramChat,
+    setRoomNumber,
+    getRoomLabel,
+    forgetRoomTelegramState,
     sendTelegramMessage,
+    sendTelegramDocument,
+    answerCallbackQuery,
     deleteTelegramMessage,
     sendKnockNotification,
     sendUserMessageNotification,
@@ -0,0 +1,117 @@
+/**
+ * Timestamp Formatting Module
+ *
+ * Every timestamp shown in Telegram (knock notifications, message history,
+ * final summaries, sleep and /status reports) is formatted here, so they
+ * all agree on one timezone and locale instead of following the server's
+ * clock.
+ *
+ * The timezone (IANA name, e.g. Asia/Kolkata) and locale (e.g. en-IN) come
+ * from the deployment profile (PROFILE_TIMEZONE / PROFILE_LOCALE).
+ *
+ * Conversations that run over several days get the date added to each
+ * message time. TIMESTAMP_DATES controls this:
+ * - auto (default): Add dates only when a conversation spans more than one day
+ * - always: Always add dates
+ * - never: Times only
+ */
+
+const { PROFILE } = require('./profile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('time-format');
+
+// ============================================================================
+// FORMAT CONFIGURATION
+// ============================================================================
+
+const TIME_FORMAT_CONFIG = {
+    DATE_MODE: process.env.TIMESTAMP_DATES || 'auto'     // 'auto' | 'always' | 'never'
+};
+
+// Check that a timezone/locale pair is usable by Intl
+function isValidTimeZone(timezone, locale) {
+    try {
+        new Intl.DateTimeFormat(locale, { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * ZONE: Timezone and locale used for every timestamp
+ * A misconfigured timezone falls back to UTC instead of throwing on every message
+ */
+const ZONE = isValidTimeZone(PROFILE.timezone, PROFILE.locale)
+    ? { timezone: PROFILE.timezone, locale: PROFILE.locale }
+    : { timezone: 'UTC', locale: 'en-US' };
+
+if (ZONE.timezone !== PROFILE.timezone) {
+    log.error(`❌ Invalid timezone/locale "${PROFILE.timezone}"/"${PROFILE.locale}" - formatting timestamps in UTC`);
+}
+
+const TIME_OPTIONS = { hour12: true, hour: '2-digit', minute: '2-digit' };
+const DATE_OPTIONS = { day: 'numeric', month: 'short' };
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Format the time of day, e.g. "05:30 pm"
+ *
+ * @param {Date|string|number} value - Date, ISO string or epoch milliseconds
+ * @param {object} zone - { timezone, locale } (defaults to the profile's)
+ * @returns {string}
+ */
+function formatTime(value, zone = ZONE) {
+    return new Date(value).toLocaleTimeString(zone.locale, { timeZone: zone.timezone, ...TIME_OPTIONS });
+}
+
+/**
+ * Format the date and time, e.g. "19 Oct, 05:30 pm"
+ *
+ * @param {Date|string|number} value - Date, ISO string or epoch milliseconds
+ * @param {object} zone - { timezone, locale } (defaults to the profile's)
+ * @returns {string}
+ */
+function formatDateTime(value, zone = ZONE) {
+    return new Date(value).toLocaleString(zone.locale, { timeZone: zone.timezone, ...DATE_OPTIONS, ...TIME_OPTIONS });
+}
+
+// Get the calendar day (YYYY-MM-DD) of a timestamp in the configured timezone
+function getDayKey(value, zone = ZONE) {
+    return new Date(value).toLocaleDateString('en-CA', { timeZone: zone.timezone });
+}
+
+// Check whether timestamps fall on more than one calendar day in the configured timezone
+function spansMultipleDays(values, zone = ZONE) {
+    const days = new Set(values.filter(Boolean).map(value => getDayKey(value, zone)));
+    return days.size > 1;
+}
+
+/**
+ * Create a formatter for the message times of one conversation
+ *
+ * Adds the date to every time when TIMESTAMP_DATES is 'always', or when it
+ * is 'auto' and the conversation spans more than one day.
+ *
+ * @param {Array<object>} messages - Messages with a `timestamp` field
+ * @param {string} dateMode - 'auto' | 'always' | 'never' (defaults to TIMESTAMP_DATES)
+ * @returns {Function} - (timestamp) => formatted string
+ */
+function createConversationTimeFormatter(messages, dateMode = TIME_FORMAT_CONFIG.DATE_MODE) {
+    const includeDate = dateMode === 'always' ||
+        (dateMode === 'auto' && spansMultipleDays((messages || []).map(msg => msg.timestamp)));
+
+    return includeDate ? (value) => formatDateTime(value) : (value) => formatTime(value);
+}
+
+module.exports = {
+    TIME_FORMAT_CONFIG,
+    formatTime,
+    formatDateTime,
+    spansMultipleDays,
+    createConversationTimeFormatter
+};
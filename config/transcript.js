@@ -0,0 +1,246 @@
+/**
+ * Conversation Transcript Module
+ *
+ * When a conversation ends, this module builds a structured transcript of
+ * the room - room ID, participant, admin, start and end time, end reason
+ * and every message with its timestamp - and renders it as a file:
+ * - markdown (default): transcript-room-3-20261019-1003Z.md
+ * - text: Plain text (.txt)
+ * - json: Machine-readable (.json, ISO timestamps)
+ *
+ * The file is sent to the room's Telegram chat as a document and kept in
+ * memory, so the admin tile can offer it as a download even after the room
+ * is cleaned up. Only the last TRANSCRIPT_KEEP transcripts are kept, and
+ * transcripts are never written to disk.
+ *
+ * Configuration (environment variables):
+ * - TRANSCRIPT_FORMAT: 'markdown', 'text' or 'json' (default: markdown)
+ * - TRANSCRIPT_TELEGRAM: 'off' to keep transcripts out of Telegram (default: on)
+ * - TRANSCRIPT_KEEP: Transcripts kept for download (default: 50)
+ */
+
+const crypto = require('crypto');
+const { getAdminLabel } = require('./admins');
+const { formatDateTime } = require('./time-format');
+const { END_REASONS } = require('./room-lifecycle');
+const { createLogger } = require('./logger');
+
+const log = createLogger('transcript');
+
+// ============================================================================
+// TRANSCRIPT CONFIGURATION
+// ============================================================================
+
+/**
+ * TRANSCRIPT_FORMATS: Every supported file format
+ *   - extension: File name extension
+ *   - contentType: MIME type for downloads and Telegram
+ */
+const TRANSCRIPT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    text: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const TRANSCRIPT_CONFIG = {
+    FORMAT: TRANSCRIPT_FORMATS[process.env.TRANSCRIPT_FORMAT] ? process.env.TRANSCRIPT_FORMAT : 'markdown',
+    SEND_TO_TELEGRAM: process.env.TRANSCRIPT_TELEGRAM !== 'off',
+    KEEP: parseInt(process.env.TRANSCRIPT_KEEP, 10) || 50
+};
+
+if (process.env.TRANSCRIPT_FORMAT && !TRANSCRIPT_FORMATS[process.env.TRANSCRIPT_FORMAT]) {
+    log.error(`❌ Unknown TRANSCRIPT_FORMAT "${process.env.TRANSCRIPT_FORMAT}" - using markdown`);
+}
+
+/**
+ * END_REASON_LABELS: How each end reason is written in a transcript
+ */
+const END_REASON_LABELS = {
+    [END_REASONS.PARTICIPANT_LEFT]: 'Participant left',
+    [END_REASONS.DISCONNECTED]: 'Participant disconnected',
+    [END_REASONS.INACTIVE]: 'Inactive for too long',
+    [END_REASONS.ADMIN_CLOSED]: 'Closed by the admin in Telegram',
+    [END_REASONS.ADMIN_STOPPED]: 'Stopped by the admin on the dashboard',
+    [END_REASONS.ADMIN_API]: 'Ended by the admin through the admin API'
+};
+
+/**
+ * transcripts: Map<transcriptId, stored transcript> (oldest first)
+ *
+ * Stored transcript structure:
+ *   - id: string (random, used in the download URL)
+ *   - roomId: string
+ *   - transcript: object (see buildTranscript)
+ *   - file: { filename, content, contentType }
+ */
+const transcripts = new Map();
+
+// ============================================================================
+// BUILDING
+// ============================================================================
+
+function toIsoString(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Build the structured transcript of a room
+ *
+ * @param {string} roomId - The room ID
+ * @param {object} room - Room object from chatRooms
+ * @returns {object} - { roomId, roomNumber, participant, admin, startedAt, approvedAt, endedAt, endReason, endReasonLabel, messages: [{ timestamp, sender, role, text }] }
+ */
+function buildTranscript(roomId, room) {
+    const messages = (room.messages || []).map(msg => {
+        let role = 'participant';
+        let sender = msg.sender;
+        if (msg.isAdmin) {
+            role = 'admin';
+            sender = getAdminLabel(msg.adminId);
+        } else if (msg.sender === 'System') {
+            role = 'system';
+        }
+        return { timestamp: toIsoString(msg.timestamp), sender, role, text: msg.text };
+    });
+
+    return {
+        roomId,
+        roomNumber: room.number,
+        participant: room.participant?.name || 'Unknown',
+        admin: room.ownerId ? getAdminLabel(room.ownerId) : null,
+        startedAt: toIsoString(room.created),
+        approvedAt: toIsoString(room.activatedAt),
+        endedAt: toIsoString(room.endedAt || Date.now()),
+        endReason: room.endReason || null,
+        endReasonLabel: END_REASON_LABELS[room.endReason] || room.endReason || 'Unknown',
+        messages
+    };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function formatStamp(value) {
+    return value ? formatDateTime(value) : '-';
+}
+
+function renderMarkdown(transcript) {
+    const lines = [
+        `# Conversation transcript - Room ${transcript.roomNumber}`,
+        '',
+        `- **Participant:** ${transcript.participant}`,
+        `- **Admin:** ${transcript.admin || 'Unassigned'}`,
+        `- **Started:** ${formatStamp(transcript.startedAt)}`,
+        `- **Ended:** ${formatStamp(transcript.endedAt)}`,
+        `- **End reason:** ${transcript.endReasonLabel}`,
+        `- **Messages:** ${transcript.messages.length}`,
+        '',
+        '---',
+        ''
+    ];
+    transcript.messages.forEach(msg => {
+        lines.push(msg.role === 'system'
+            ? `_${formatStamp(msg.timestamp)} - ${msg.text}_`
+            : `**${msg.sender}** (${formatStamp(msg.timestamp)}): ${msg.text}`);
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+function renderText(transcript) {
+    const lines = [
+        `Conversation transcript - Room ${transcript.roomNumber}`,
+        `Participant: ${transcript.participant}`,
+        `Admin: ${transcript.admin || 'Unassigned'}`,
+        `Started: ${formatStamp(transcript.startedAt)}`,
+        `Ended: ${formatStamp(transcript.endedAt)}`,
+        `End reason: ${transcript.endReasonLabel}`,
+        `Messages: ${transcript.messages.length}`,
+        '----------------------------------------'
+    ];
+    transcript.messages.forEach(msg => {
+        lines.push(msg.role === 'system'
+            ? `[${formatStamp(msg.timestamp)}] * ${msg.text}`
+            : `[${formatStamp(msg.timestamp)}] ${msg.sender}: ${msg.text}`);
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a transcript as a file
+ *
+ * @param {object} transcript - From buildTranscript()
+ * @param {string} format - One of TRANSCRIPT_FORMATS (default: TRANSCRIPT_FORMAT)
+ * @returns {object} - { filename, content, contentType }
+ */
+function renderTranscript(transcript, format = TRANSCRIPT_CONFIG.FORMAT) {
+    const { extension, contentType } = TRANSCRIPT_FORMATS[format];
+    // End time in UTC, e.g. 20261019-0435Z
+    const stamp = `${transcript.endedAt.slice(0, 16).replace(/[-:]/g, '').replace('T', '-')}Z`;
+
+    let content;
+    if (format === 'json') {
+        content = `${JSON.stringify(transcript, null, 2)}\n`;
+    } else if (format === 'text') {
+        content = renderText(transcript);
+    } else {
+        content = renderMarkdown(transcript);
+    }
+
+    return { filename: `transcript-room-${transcript.roomNumber}-${stamp}.${extension}`, content, contentType };
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Build, render and keep the transcript of an ended conversation
+ *
+ * @param {string} roomId - The room ID
+ * @param {object} room - Room object from chatRooms (after its end reason is set)
+ * @returns {object} - Stored transcript ({ id, roomId, transcript, file })
+ */
+function createTranscript(roomId, room) {
+    const transcript = buildTranscript(roomId, room);
+    const stored = {
+        id: crypto.randomBytes(8).toString('hex'),
+        roomId,
+        transcript,
+        file: renderTranscript(transcript)
+    };
+
+    transcripts.set(stored.id, stored);
+    while (transcripts.size > TRANSCRIPT_CONFIG.KEEP) {
+        transcripts.delete(transcripts.keys().next().value);
+    }
+    return stored;
+}
+
+// Get a kept transcript (null once it has been dropped)
+function getTranscript(transcriptId) {
+    return transcripts.get(transcriptId) || null;
+}
+
+// What the dashboard needs to offer a transcript for download
+function toPublicTranscript(stored) {
+    if (!stored) {
+        return null;
+    }
+    return {
+        id: stored.id,
+        filename: stored.file.filename,
+        url: `/admin/transcripts/${stored.id}`
+    };
+}
+
+module.exports = {
+    TRANSCRIPT_CONFIG,
+    TRANSCRIPT_FORMATS,
+    buildTranscript,
+    renderTranscript,
+    createTranscript,
+    getTranscript,
+    toPublicTranscript
+};
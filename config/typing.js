@@ -0,0 +1,96 @@
+/**
+ * Typing Indicators Module
+ *
+ * Tracks who is typing in each room, so the other side of the
+ * conversation can see it:
+ * - participant: chat.html sends typing-start / typing-stop, shown on the admin tile
+ * - admin: the dashboard textarea sends them (or /typing from Telegram),
+ *   shown in chat.html
+ *
+ * The pages repeat typing-start every 2 seconds while the user keeps
+ * typing, and send typing-stop when they pause or send. An indicator that
+ * is neither refreshed nor stopped within TIMEOUT_MS is stopped here, so a
+ * closed tab or a lost typing-stop never leaves "typing…" on screen.
+ *
+ * Configuration (environment variables):
+ * - TYPING_TIMEOUT_MS: How long an indicator lasts without a refresh (default 6000)
+ * - TYPING_TELEGRAM: 'off' to ignore /typing from Telegram
+ * - TYPING_TELEGRAM_TIMEOUT_MS: How long /typing from Telegram lasts (default 30000)
+ */
+
+// ============================================================================
+// TYPING CONFIGURATION
+// ============================================================================
+
+const TYPING_CONFIG = {
+    TIMEOUT_MS: parseInt(process.env.TYPING_TIMEOUT_MS, 10) || 6000,
+    TELEGRAM: process.env.TYPING_TELEGRAM !== 'off',
+    TELEGRAM_TIMEOUT_MS: parseInt(process.env.TYPING_TELEGRAM_TIMEOUT_MS, 10) || 30000   // Telegram sends no refreshes
+};
+
+/**
+ * TYPING_SIDES: Who is typing in a room
+ */
+const TYPING_SIDES = {
+    PARTICIPANT: 'participant',
+    ADMIN: 'admin'
+};
+
+/**
+ * typingTimers: Map<'roomId:side', timeout>
+ * One entry per side that is typing; the timeout stops the indicator.
+ */
+const typingTimers = new Map();
+
+function typingKey(roomId, side) {
+    return `${roomId}:${side}`;
+}
+
+// ============================================================================
+// INDICATORS
+// ============================================================================
+
+/**
+ * Start or refresh a typing indicator
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} side - One of TYPING_SIDES
+ * @param {Function} onTimeout - Called when the indicator runs out without a refresh or stop
+ * @param {number} timeoutMs - How long it lasts (default TIMEOUT_MS)
+ * @returns {boolean} - true if this side was not typing yet (the caller announces it)
+ */
+function startTyping(roomId, side, onTimeout, timeoutMs = TYPING_CONFIG.TIMEOUT_MS) {
+    const key = typingKey(roomId, side);
+    const wasTyping = typingTimers.has(key);
+    clearTimeout(typingTimers.get(key));
+
+    typingTimers.set(key, setTimeout(() => {
+        typingTimers.delete(key);
+        onTimeout();
+    }, timeoutMs));
+    return !wasTyping;
+}
+
+/**
+ * Stop a typing indicator
+ *
+ * @param {string} roomId - The room ID
+ * @param {string} side - One of TYPING_SIDES
+ * @returns {boolean} - true if this side was typing (the caller announces the stop)
+ */
+function stopTyping(roomId, side) {
+    const key = typingKey(roomId, side);
+    if (!typingTimers.has(key)) {
+        return false;
+    }
+    clearTimeout(typingTimers.get(key));
+    typingTimers.delete(key);
+    return true;
+}
+
+module.exports = {
+    TYPING_CONFIG,
+    TYPING_SIDES,
+    startTyping,
+    stopTyping
+};
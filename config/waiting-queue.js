@@ -0,0 +1,131 @@
+/**
+ * Waiting Queue for Knocks
+ *
+ * This module holds knocks that arrive while every conversation slot is busy.
+ * Knocks are served first-in, first-out: when a slot frees up, the knock
+ * at the front of the queue is promoted into a room.
+ *
+ * Key Features:
+ * - Configurable concurrency cap and queue length
+ * - FIFO ordering with 1-based positions for client updates
+ * - One entry per socket (re-knocking keeps the original position)
+ * - Slot decisions take the room count, so the full-house path needs no server
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('waiting-queue');
+
+// ============================================================================
+// QUEUE CONFIGURATION
+// ============================================================================
+
+const QUEUE_CONFIG = {
+    MAX_CONCURRENT_ROOMS: parseInt(process.env.MAX_CONCURRENT_ROOMS, 10) || 8,   // Slots shown on the admin dashboard
+    MAX_QUEUE_LENGTH: parseInt(process.env.MAX_QUEUE_LENGTH, 10) || 20          // Knocks beyond this get no-rooms-available
+};
+
+// ============================================================================
+// QUEUE STORAGE
+// ============================================================================
+
+/**
+ * waitingKnocks: Array<queueEntry>
+ *
+ * Knocks waiting for a free slot, oldest first.
+ *
+ * Queue entry structure:
+ *   - socketId: string (Socket.IO socket ID)
+ *   - name: string (participant name from the knock)
+ *   - data: object (original knock payload, replayed on promotion)
+ *   - queuedAt: timestamp
+ */
+const waitingKnocks = [];
+
+// ============================================================================
+// SLOT DECISIONS
+// ============================================================================
+
+// Check whether a conversation slot is free
+// Rooms hold their slot until they are cleaned up, so every room counts
+function hasFreeSlot(roomCount) {
+    return roomCount < QUEUE_CONFIG.MAX_CONCURRENT_ROOMS;
+}
+
+// Check whether a new knock must wait in line: every slot is busy, or others are already waiting
+function mustQueueKnock(roomCount) {
+    return !hasFreeSlot(roomCount) || waitingKnocks.length > 0;
+}
+
+// ============================================================================
+// QUEUE OPERATIONS
+// ============================================================================
+
+// Add a knock to the back of the queue
+// Returns the entry's position, or null if the queue is full
+function enqueueKnock(socketId, name, data) {
+    const existingIndex = waitingKnocks.findIndex(entry => entry.socketId === socketId);
+    if (existingIndex > -1) {
+        return existingIndex + 1;
+    }
+
+    if (waitingKnocks.length >= QUEUE_CONFIG.MAX_QUEUE_LENGTH) {
+        return null;
+    }
+
+    waitingKnocks.push({
+        socketId,
+        name,
+        data,
+        queuedAt: Date.now()
+    });
+    log.info(`⏳ Queued knock (position ${waitingKnocks.length})`, { participant: name });
+    return waitingKnocks.length;
+}
+
+// Take the knock at the front of the queue
+function dequeueKnock() {
+    return waitingKnocks.shift() || null;
+}
+
+// Remove a socket's knock from the queue (e.g. on disconnect)
+function removeQueuedKnock(socketId) {
+    const index = waitingKnocks.findIndex(entry => entry.socketId === socketId);
+    if (index === -1) {
+        return false;
+    }
+    waitingKnocks.splice(index, 1);
+    return true;
+}
+
+// Check whether a socket is waiting in the queue
+function isKnockQueued(socketId) {
+    return waitingKnocks.some(entry => entry.socketId === socketId);
+}
+
+// Get a snapshot of the queue with 1-based positions
+function getQueueSnapshot() {
+    return waitingKnocks.map((entry, index) => ({
+        socketId: entry.socketId,
+        name: entry.name,
+        position: index + 1,
+        queuedAt: entry.queuedAt
+    }));
+}
+
+// Get the number of waiting knocks
+function getQueueLength() {
+    return waitingKnocks.length;
+}
+
+module.exports = {
+    QUEUE_CONFIG,
+    hasFreeSlot,
+    mustQueueKnock,
+    enqueueKnock,
+    dequeueKnock,
+    removeQueuedKnock,
+    isKnockQueued,
+    getQueueSnapshot,
+    getQueueLength
+};
@@ -0,0 +1,351 @@
+/**
+ * Outgoing Webhooks Module
+ *
+ * Sends conversation lifecycle events as signed JSON to HTTP endpoints of
+ * your own, next to the Telegram notifications:
+ *
+ *   knock.created    A knock passed admission (status: pending, or active when the service is on)
+ *   knock.approved   A participant was let in
+ *   knock.rejected   A knock was turned away
+ *   room.message     A participant or admin message was posted
+ *   room.ended       A conversation ended (reason and transcript included)
+ *   service.toggled  The service was turned on or off
+ *
+ * Every delivery is a POST of { id, event, createdAt, data } with headers:
+ *   - X-Anonymice-Event: The event name
+ *   - X-Anonymice-Delivery: Delivery ID (the same on every retry)
+ *   - X-Anonymice-Timestamp: Unix seconds when this attempt was signed
+ *   - X-Anonymice-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the endpoint's secret>
+ *
+ * Delivery works like the Telegram outbox (config/telegram-outbox.js): one
+ * queue per endpoint, in order; network errors, 5xx and 429 are retried
+ * with exponential backoff (1s, 2s, 4s, ... up to 60s) until
+ * WEBHOOK_MAX_ATTEMPTS; other 4xx responses are not retried. Deliveries
+ * are kept in memory only - events still queued when the server stops are lost.
+ *
+ * Endpoint sources (first one found wins):
+ * 1. WEBHOOKS: JSON array of { "url", "secret", "events" } ("events" optional, default all)
+ * 2. WEBHOOKS_FILE: Path to a JSON file with the same array
+ * 3. WEBHOOK_URL: A single endpoint receiving every event
+ *
+ * Configuration (environment variables):
+ * - WEBHOOK_SECRET: Signing secret for endpoints without their own "secret"
+ * - WEBHOOK_MAX_ATTEMPTS: Attempts per delivery before giving up (default: 5)
+ * - WEBHOOK_LOG_SIZE: Deliveries kept in the delivery log (default: 100)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const log = createLogger('webhooks');
+
+// ============================================================================
+// WEBHOOK CONFIGURATION
+// ============================================================================
+
+const WEBHOOKS_CONFIG = {
+    MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    BASE_DELAY_MS: 1000,              // First retry delay, doubled after every failure
+    MAX_DELAY_MS: 60 * 1000,          // Longest retry delay
+    REQUEST_TIMEOUT_MS: 10 * 1000,    // Per-attempt HTTP timeout
+    LOG_SIZE: parseInt(process.env.WEBHOOK_LOG_SIZE, 10) || 100
+};
+
+/**
+ * WEBHOOK_EVENTS: Every event an endpoint can subscribe to
+ */
+const WEBHOOK_EVENTS = {
+    KNOCK_CREATED: 'knock.created',
+    KNOCK_APPROVED: 'knock.approved',
+    KNOCK_REJECTED: 'knock.rejected',
+    ROOM_MESSAGE: 'room.message',
+    ROOM_ENDED: 'room.ended',
+    SERVICE_TOGGLED: 'service.toggled'
+};
+
+const ALL_EVENTS = Object.values(WEBHOOK_EVENTS);
+
+// Read the endpoint array from WEBHOOKS, WEBHOOKS_FILE or WEBHOOK_URL, or [] if none is set
+function readEndpointSource(env) {
+    try {
+        if (env.WEBHOOKS) {
+            return JSON.parse(env.WEBHOOKS);
+        }
+        if (env.WEBHOOKS_FILE) {
+            return JSON.parse(fs.readFileSync(path.resolve(env.WEBHOOKS_FILE), 'utf8'));
+        }
+    } catch (error) {
+        log.error(`❌ Could not read webhook endpoints: ${error.message} - no webhooks will be sent`);
+        return [];
+    }
+    return env.WEBHOOK_URL ? [{ url: env.WEBHOOK_URL }] : [];
+}
+
+/**
+ * Build the endpoint list
+ *
+ * Endpoint structure:
+ *   - id: string (position in the list, e.g. 'webhook-1')
+ *   - url: string (http or https)
+ *   - secret: string (signing secret)
+ *   - events: Array<string> (subscribed events)
+ *
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {Array<object>} - Valid endpoints (invalid entries are logged and skipped)
+ */
+function loadEndpoints(env = process.env) {
+    const source = readEndpointSource(env);
+    if (!Array.isArray(source)) {
+        log.error('❌ Webhook endpoints must be a JSON array - no webhooks will be sent');
+        return [];
+    }
+
+    const endpoints = [];
+    source.forEach((entry, index) => {
+        const id = `webhook-${index + 1}`;
+        if (!entry || !/^https?:\/\//.test(entry.url || '')) {
+            log.error(`❌ Webhook #${index + 1} needs an http(s) url - skipping it`);
+            return;
+        }
+        const secret = entry.secret || env.WEBHOOK_SECRET;
+        if (!secret) {
+            log.error(`❌ Webhook #${index + 1} (${entry.url}) has no secret and WEBHOOK_SECRET is not set - skipping it`);
+            return;
+        }
+        const events = Array.isArray(entry.events) && entry.events.length > 0 ? entry.events : ALL_EVENTS;
+        events.filter(event => !ALL_EVENTS.includes(event)).forEach(event => {
+            log.error(`❌ Webhook #${index + 1} subscribes to unknown event "${event}" - ignoring it`);
+        });
+        endpoints.push({ id, url: entry.url, secret, events: events.filter(event => ALL_EVENTS.includes(event)) });
+    });
+    return endpoints;
+}
+
+/**
+ * endpoints: Array<endpoint>
+ * The endpoints for this instance, loaded once at startup
+ */
+const endpoints = loadEndpoints();
+
+/**
+ * endpointQueues: Map<endpointId, Array<delivery>> (first delivery is the one being worked on)
+ *
+ * Delivery structure (also what the delivery log shows):
+ *   - id: string (also the event ID in the payload)
+ *   - event: string
+ *   - endpoint: string (endpoint URL)
+ *   - status: 'queued' | 'sending' | 'delivered' | 'failed'
+ *   - attempts: number
+ *   - responseStatus: number|null (HTTP status of the last attempt)
+ *   - lastError: string|null
+ *   - createdAt: ISO string
+ *   - finishedAt: ISO string|null
+ */
+const endpointQueues = new Map();
+
+// Recent deliveries, oldest first (WEBHOOK_LOG_SIZE at most)
+const deliveryLog = [];
+
+const stats = { delivered: 0, failed: 0, retried: 0 };
+
+let nextDeliveryId = 1;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// SIGNING
+// ============================================================================
+
+/**
+ * Sign a webhook body
+ *
+ * Receivers recompute this over the raw request body and the
+ * X-Anonymice-Timestamp header, compare it with X-Anonymice-Signature and
+ * reject old timestamps to stop replays.
+ *
+ * @param {string} body - The raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @param {string} secret - The endpoint's secret
+ * @returns {string} - 'sha256=<hex>'
+ */
+function signWebhookPayload(body, timestamp, secret) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+}
+
+// ============================================================================
+// EMITTING
+// ============================================================================
+
+/**
+ * Send an event to every endpoint subscribed to it
+ *
+ * Returns straight away; delivery happens in the background.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event data (must be JSON-serialisable)
+ */
+function emitWebhookEvent(event, data) {
+    const subscribers = endpoints.filter(endpoint => endpoint.events.includes(event));
+    if (subscribers.length === 0) {
+        return;
+    }
+
+    const createdAt = new Date().toISOString();
+    subscribers.forEach(endpoint => {
+        const id = `evt-${Date.now().toString(36)}-${nextDeliveryId++}`;
+        const delivery = {
+            id,
+            event,
+            endpoint: endpoint.url,
+            status: 'queued',
+            attempts: 0,
+            responseStatus: null,
+            lastError: null,
+            createdAt,
+            finishedAt: null,
+            body: JSON.stringify({ id, event, createdAt, data })
+        };
+
+        deliveryLog.push(delivery);
+        if (deliveryLog.length > WEBHOOKS_CONFIG.LOG_SIZE) {
+            deliveryLog.shift();
+        }
+
+        if (!endpointQueues.has(endpoint.id)) {
+            endpointQueues.set(endpoint.id, []);
+        }
+        endpointQueues.get(endpoint.id).push(delivery);
+        if (endpointQueues.get(endpoint.id).length === 1) {
+            drainQueue(endpoint);
+        }
+    });
+}
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+// Work through one endpoint's queue in order
+async function drainQueue(endpoint) {
+    const queue = endpointQueues.get(endpoint.id);
+
+    while (queue.length > 0) {
+        const delivery = queue[0];
+        const outcome = await attemptDelivery(endpoint, delivery);
+        if (outcome.retryInMs !== undefined) {
+            await sleep(outcome.retryInMs);
+            continue;
+        }
+
+        queue.shift();
+        delivery.status = outcome.ok ? 'delivered' : 'failed';
+        delivery.finishedAt = new Date().toISOString();
+        if (outcome.ok) {
+            stats.delivered++;
+        } else {
+            stats.failed++;
+            log.error(`❌ Webhook ${delivery.event} to ${endpoint.url} failed: ${delivery.lastError}`);
+        }
+    }
+
+    endpointQueues.delete(endpoint.id);
+}
+
+/**
+ * Make one attempt at a delivery
+ *
+ * @returns {Promise<object>} - { ok: true } | { ok: false } | { retryInMs }
+ */
+async function attemptDelivery(endpoint, delivery) {
+    delivery.status = 'sending';
+    delivery.attempts++;
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+        const response = await axios.post(endpoint.url, delivery.body, {
+            timeout: WEBHOOKS_CONFIG.REQUEST_TIMEOUT_MS,
+            maxRedirects: 0,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Anonymice-Webhooks/1.0',
+                'X-Anonymice-Event': delivery.event,
+                'X-Anonymice-Delivery': delivery.id,
+                'X-Anonymice-Timestamp': String(timestamp),
+                'X-Anonymice-Signature': signWebhookPayload(delivery.body, timestamp, endpoint.secret)
+            }
+        });
+        delivery.responseStatus = response.status;
+        delivery.lastError = null;
+        return { ok: true };
+    } catch (error) {
+        const responseStatus = error.response?.status || null;
+        delivery.status = 'queued';
+        delivery.responseStatus = responseStatus;
+        delivery.lastError = responseStatus ? `HTTP ${responseStatus}` : error.message;
+
+        // Bad request, unauthorized, not found... retrying will not help
+        if (responseStatus && responseStatus < 500 && responseStatus !== 429) {
+            return { ok: false };
+        }
+
+        if (delivery.attempts >= WEBHOOKS_CONFIG.MAX_ATTEMPTS) {
+            delivery.lastError = `${delivery.lastError} (gave up after ${delivery.attempts} attempts)`;
+            return { ok: false };
+        }
+
+        // A 429 may say how long to wait; otherwise back off exponentially
+        const retryAfterS = responseStatus === 429 ? parseInt(error.response.headers?.['retry-after'], 10) : NaN;
+        const delay = Math.min(
+            retryAfterS > 0 ? retryAfterS * 1000 : WEBHOOKS_CONFIG.BASE_DELAY_MS * 2 ** (delivery.attempts - 1),
+            WEBHOOKS_CONFIG.MAX_DELAY_MS
+        );
+        stats.retried++;
+        log.warn(`🔄 Webhook ${delivery.event} to ${endpoint.url} failed (${delivery.lastError}) - attempt ${delivery.attempts}/${WEBHOOKS_CONFIG.MAX_ATTEMPTS}, retrying in ${delay}ms`);
+        return { retryInMs: delay };
+    }
+}
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Get the delivery log for the admin dashboard
+ *
+ * @returns {object} - { endpoints: [{ url, events, queued }], delivered, failed, retried, deliveries }
+ */
+function getWebhookDeliveries() {
+    return {
+        endpoints: endpoints.map(endpoint => ({
+            url: endpoint.url,
+            events: endpoint.events,
+            queued: (endpointQueues.get(endpoint.id) || []).length
+        })),
+        ...stats,
+        deliveries: deliveryLog.map(({ body, ...delivery }) => delivery)
+    };
+}
+
+// One-line description for the startup log
+function describeWebhooks() {
+    if (endpoints.length === 0) {
+        return 'none';
+    }
+    return endpoints.map(endpoint => `${endpoint.url} (${endpoint.events.length === ALL_EVENTS.length ? 'all events' : endpoint.events.join(', ')})`).join('; ');
+}
+
+module.exports = {
+    WEBHOOKS_CONFIG,
+    WEBHOOK_EVENTS,
+    loadEndpoints,
+    signWebhookPayload,
+    emitWebhookEvent,
+    getWebhookDeliveries,
+    describeWebhooks
+};
@@ -112,7 +112,7 @@ console.log('===================');
 console.log('Your app will be available at:');
 console.log('- Public URL: https://your-app-name.railway.app');
 console.log('- Knock URL: https://your-app-name.railway.app/knock');
-console.log('- Admin URL: https://your-app-name.railway.app/admin/{ADMIN_URL}');
+console.log('- Admin URL: https://your-app-name.railway.app/admin');
 console.log('');
 
 console.log('🔗 Share with friends:');
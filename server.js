@@ -13,7 +13,7 @@
  * - Express server for HTTP endpoints
  * - Socket.IO for WebSocket connections
  * - Telegram Bot API for admin notifications
- * - File-based persistence (chat_data.json)
+ * - File-based persistence (config/storage.js: JSON snapshot or append-only journal)
  */
 
 const express = require('express');
@@ -21,18 +21,46 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const crypto = require('crypto');
-const fs = require('fs');
 require('dotenv').config();
 
+// Logging: Structured JSON logs with levels and redaction (installed first, so every module's logs go through it)
+const { LOGGER_CONFIG, createLogger, installConsoleLogger } = require('./config/logger');
+installConsoleLogger();
+const log = createLogger('server');
+
 // ============================================================================
 // MODULE IMPORTS - External configuration and utility modules
 // ============================================================================
 
 // Telegram integration: Send notifications to admin via Telegram
-const { sendKnockNotification, sendUserMessageNotification } = require('./config/telegram');
+const {
+    sendTelegramMessage,
+    answerCallbackQuery,
+    sendUserMessageNotification,
+    setRoomTelegramChat,
+    getRoomTelegramChat,
+    setRoomNumber,
+    forgetRoomTelegramState
+} = require('./config/telegram');
 
 // Telegram webhook handler: Process admin responses from Telegram
-const { handleTelegramMessage, setActiveRoomContext, clearActiveRoomContext } = require('./config/telegram-webhook');
+const {
+    handleTelegramMessage,
+    handleTelegramCallback,
+    setActiveRoomContext,
+    clearActiveRoomContext
+} = require('./config/telegram-webhook');
+
+// Inline keyboards: Approve/Reject/Away and Nudge/Close buttons on Telegram notifications
+const {
+    getRoomStamp,
+    buildKnockKeyboard,
+    buildConversationKeyboard,
+    getButtonToast
+} = require('./config/telegram-keyboards');
+
+// Telegram formatting: Escape participant text for parse_mode HTML
+const { escapeHtml } = require('./config/telegram-format');
 
 // Bot factory: Create and manage Telegram bots for each conversation
 const { createBotForRoom, sendMessageWithBot, deleteBotForRoom, getBotInfo } = require('./config/bot-factory');
@@ -45,9 +73,124 @@ const {
     validateMessage, 
     validateRoomCreation, 
     validateWebhookRequest, 
+    validateTelegramUpdate,
     getClientIP 
 } = require('./config/security');
 
+// Telegram transport: Webhook (registered once at startup) or getUpdates long polling
+const { TELEGRAM_TRANSPORT_CONFIG, createTelegramTransport } = require('./config/telegram-transport');
+
+// Telegram outbox: Per-chat delivery queue with retries, 429 handling and restart recovery
+const {
+    startTelegramOutbox,
+    flushTelegramOutbox,
+    addOutboxListener,
+    getOutboxState
+} = require('./config/telegram-outbox');
+
+// Persistence: JSON snapshot or append-only journal storage backends
+const { createStorage } = require('./config/storage');
+
+// Admin authentication: Password login, signed session tokens, handshake checks
+const {
+    verifyLogin,
+    issueSessionToken,
+    getRequestSession,
+    revokeRequestSession,
+    getHandshakeSession,
+    buildSessionCookie,
+    buildClearedSessionCookie,
+    describeCredential
+} = require('./config/admin-auth');
+
+// Telegram webhook auth: Secret-token header check, sender allow-list, audit log
+const {
+    verifyWebhookSecret,
+    isAuthorizedSender,
+    recordWebhookRejection,
+    getWebhookAuditLog,
+    describeAllowList
+} = require('./config/telegram-auth');
+
+// Admin roster: Named admins, round-robin or claim assignment, room ownership checks
+const {
+    ADMINS_CONFIG,
+    getAdmins,
+    getAdmin,
+    getAdminName,
+    getAdminLabel,
+    toPublicAdmin,
+    pickAdminForKnock,
+    checkRoomAccess
+} = require('./config/admins');
+
+// Admission pipeline: Decide whether a knock is let in or rejected
+const { ADMISSION_CHECKS, evaluateKnock, checkKnockRateLimit } = require('./config/admission');
+
+// Deployment profile: Admin display name, summary label, timezone, participant-facing texts
+const { PROFILE, profileText, getPublicProfile } = require('./config/profile');
+
+// Timestamp formatting: One timezone/locale for every Telegram timestamp
+const { formatTime, formatDateTime } = require('./config/time-format');
+
+// Room lifecycle: pending → active → ending → closed, end reasons, final summary
+const {
+    ROOM_LIFECYCLE_CONFIG,
+    ROOM_STATES,
+    END_REASONS,
+    transitionRoom,
+    createByeMessage,
+    buildConversationSummary
+} = require('./config/room-lifecycle');
+
+// Admin REST API: JSON routes for scripts, backed by the same operations as the socket handlers
+const { ADMIN_API_CONFIG, createAdminApiRouter } = require('./config/admin-api');
+
+// Outgoing webhooks: Signed lifecycle events for our own tools (retried, with a delivery log)
+const { WEBHOOK_EVENTS, emitWebhookEvent, getWebhookDeliveries, describeWebhooks } = require('./config/webhooks');
+
+// Metrics: Prometheus counters and histograms served at /metrics
+const {
+    registerGauge,
+    recordKnockOutcome,
+    recordAdmissionRejection,
+    recordKnockApproval,
+    recordMessage,
+    renderMetrics,
+    isMetricsRequestAuthorized
+} = require('./config/metrics');
+
+// Transcripts: Structured record of each ended conversation (Telegram document and dashboard download)
+const { TRANSCRIPT_CONFIG, createTranscript, getTranscript, toPublicTranscript } = require('./config/transcript');
+
+// Participant sessions: Random token issued on admission, required by join-room
+const { issueParticipantToken, verifyParticipantToken } = require('./config/participant-session');
+const { createParticipant, ensureParticipantIdentity } = require('./config/participant-identity');
+
+// Typing indicators: Who is typing in each room, stopped automatically when it goes stale
+const { TYPING_CONFIG, TYPING_SIDES, startTyping, stopTyping } = require('./config/typing');
+
+// Message status: Random message IDs and sent / delivered / read receipts
+const {
+    MESSAGE_STATUS_CONFIG,
+    MESSAGE_STATES,
+    createMessageId,
+    advanceMessageStatus,
+    advanceMessagesFrom
+} = require('./config/message-status');
+
+// Waiting queue: Hold knocks while every conversation slot is busy
+const {
+    QUEUE_CONFIG,
+    hasFreeSlot,
+    mustQueueKnock,
+    enqueueKnock,
+    dequeueKnock,
+    removeQueuedKnock,
+    getQueueSnapshot,
+    getQueueLength
+} = require('./config/waiting-queue');
+
 // ============================================================================
 // BOT MESSAGE HANDLING
 // ============================================================================
@@ -58,7 +201,7 @@ const {
  * This function processes admin responses sent via Telegram bots.
  * Each room has its own bot instance for conversation tracking.
  * 
- * @param {number} roomId - The room ID this message is for
+ * @param {string} roomId - The room ID this message is for
  * @param {object} message - The Telegram message object
  */
 function handleDynamicBotMessage(roomId, message) {
@@ -66,11 +209,11 @@ function handleDynamicBotMessage(roomId, message) {
     const botInfo = getBotInfo(roomId);
     
     if (!botInfo) {
-        console.log(`⚠️ No bot found for Room ${roomId}`);
+        log.warn(`⚠️ No bot found for Room ${roomId}`);
         return;
     }
     
-    console.log(`📱 Processing message for Room ${roomId} from bot @${botInfo.botUsername}`);
+    log.info(`📱 Processing message for Room ${roomId} from bot @${botInfo.botUsername}`);
     
     // Handle different response types based on message content
     switch (text.toLowerCase().trim()) {
@@ -80,11 +223,11 @@ function handleDynamicBotMessage(roomId, message) {
             break;
         case 'reject':
             // Admin rejected the knock - send rejection message
-            rejectUserForRoom(roomId, botInfo, 'Your request has been rejected.');
+            rejectUserForRoom(roomId, botInfo, profileText('knockRejected'));
             break;
         case 'away':
             // Admin is away - send away message
-            rejectUserForRoom(roomId, botInfo, 'The admin is currently away. Please try again later.');
+            rejectUserForRoom(roomId, botInfo, profileText('adminAway'));
             break;
         default:
             // Custom message or reply to user message
@@ -94,9 +237,9 @@ function handleDynamicBotMessage(roomId, message) {
                 if (text.toLowerCase().includes('approve')) {
                     approveUserForRoom(roomId, botInfo);
                 } else if (text.toLowerCase().includes('reject')) {
-                    rejectUserForRoom(roomId, botInfo, 'Your request has been rejected.');
+                    rejectUserForRoom(roomId, botInfo, profileText('knockRejected'));
                 } else if (text.toLowerCase().includes('away')) {
-                    rejectUserForRoom(roomId, botInfo, 'The admin is currently away. Please try again later.');
+                    rejectUserForRoom(roomId, botInfo, profileText('adminAway'));
                 }
             } else {
                 // Regular message - send to user in the chat room
@@ -120,24 +263,30 @@ function handleDynamicBotMessage(roomId, message) {
  * 4. Sends welcome message
  * 5. Notifies admin interface
  * 
- * @param {number} roomId - The room ID to approve
+ * @param {string} roomId - The room ID to approve
  * @param {object} botInfo - The bot information for this conversation
  */
 function approveUserForRoom(roomId, botInfo) {
     const room = chatRooms.get(roomId);
     if (!room) {
-        console.log(`⚠️ Room ${roomId} not found for approval`);
+        log.warn(`⚠️ Room ${roomId} not found for approval`);
         return;
     }
     
     // Activate the room - change status from 'pending' to 'active'
-    room.status = 'active';
+    const transition = transitionRoom(room, ROOM_STATES.ACTIVE);
+    if (!transition.ok) {
+        log.warn(`⚠️ Cannot approve Room ${roomId}: ${transition.error}`);
+        return;
+    }
     room.lastActivity = Date.now(); // Initialize activity tracking for inactivity timeout
     // Note: We don't enable service globally - keep it disabled for new knocks
+    recordKnockOutcome('accepted');
+    recordKnockApproval(room);
     
     // Set up user connection mapping
     const participantName = room.participant.name;
-    participantRooms.set(participantName, roomId); // Map participant name to room ID
+    participantRooms.set(room.participant.id, roomId);
     
     // Find the socket connection for this room
     // We need to find the socket that belongs to this room's participant
@@ -159,8 +308,8 @@ function approveUserForRoom(roomId, botInfo) {
         
         // Add welcome message to the room's message history
         const welcomeMessage = {
-            id: Date.now(),
-            text: `Welcome ${participantName}! You can now chat with Rajendran D.`,
+            id: createMessageId(),
+            text: profileText('welcome', { name: participantName }),
             sender: 'System',
             timestamp: new Date().toISOString(),
             isAdmin: false
@@ -170,13 +319,18 @@ function approveUserForRoom(roomId, botInfo) {
         // Notify admin interface that a new participant joined
         io.to('admin-room').emit('new-participant', {
             roomId,
-            participant: { name: participantName }
+            roomNumber: room.number,
+            participant: { name: participantName },
+            owner: toPublicAdmin(getAdmin(room.ownerId))
         });
+        emitWebhookEvent(WEBHOOK_EVENTS.KNOCK_APPROVED, { roomId, roomNumber: room.number, participant: participantName, owner: toPublicAdmin(getAdmin(room.ownerId)) });
         
-        // Send approval notification to the user's socket
-        socket.emit('knock-approved', { roomId });
+        // Send approval notification (with the session token for join-room) to the user's socket
+        const sessionToken = issueParticipantToken(room);
+        saveData();
+        socket.emit('knock-approved', { roomId, roomNumber: room.number, name: participantName, sessionToken });
         
-        console.log(`✅ Approved ${participantName} for Room ${roomId} via bot @${botInfo.botUsername}`);
+        log.info(`✅ Approved knock for Room ${roomId} via bot @${botInfo.botUsername}`, { participant: participantName });
     }
 }
 
@@ -189,14 +343,14 @@ function approveUserForRoom(roomId, botInfo) {
  * 3. Deletes the room completely
  * 4. Deletes the bot for this room
  * 
- * @param {number} roomId - The room ID to reject
+ * @param {string} roomId - The room ID to reject
  * @param {object} botInfo - The bot information for this conversation
  * @param {string} message - The rejection message to send to user
  */
 function rejectUserForRoom(roomId, botInfo, message) {
     const room = chatRooms.get(roomId);
     if (!room) {
-        console.log(`⚠️ Room ${roomId} not found for rejection`);
+        log.warn(`⚠️ Room ${roomId} not found for rejection`);
         return;
     }
     
@@ -209,146 +363,188 @@ function rejectUserForRoom(roomId, botInfo, message) {
     if (socket) {
         // Send rejection message to user
         socket.emit('knock-rejected', { message, roomId });
-        console.log(`❌ Rejected user for Room ${roomId} via bot @${botInfo.botUsername}: ${message}`);
+        log.info(`❌ Rejected user for Room ${roomId} via bot @${botInfo.botUsername}`, { message });
+        emitWebhookEvent(WEBHOOK_EVENTS.KNOCK_REJECTED, { roomId, roomNumber: room.number, participant: room.participant.name, message });
+        recordKnockOutcome('rejected');
     }
     
     // Clean up the room and bot completely
     // This frees up the room number for reuse
-    chatRooms.delete(roomId);
-    deleteBotForRoom(roomId);
+    cleanupRoom(roomId);
 }
 
 /**
  * Clean up a room after user leaves (delete completely to free up room number)
  * 
- * This is a critical function for room number reuse. When a user leaves:
+ * This is a critical function for room number reuse. It is the 'closed'
+ * transition of the room lifecycle, allowed only from 'pending' or 'ending':
  * 1. Remove participant mapping (so name can be reused)
- * 2. Delete the Telegram bot for this room
- * 3. Delete the room from chatRooms Map (frees up room number)
- * 4. Save data to persistence (excluding this deleted room)
+ * 2. Detach participant sockets still attached to the room
+ * 3. Delete the Telegram bot for this room
+ * 4. Delete the room from chatRooms Map (frees up room number)
+ * 5. Save data to persistence (excluding this deleted room)
  * 
  * IMPORTANT: This function completely removes the room, allowing the room number
  * to be reused by the next user. Without this, room numbers would increment indefinitely.
  * 
- * @param {number|string} roomId - The room ID to clean up (can be number for sequential or string for timestamp-based)
+ * @param {string} roomId - The room ID to clean up
  */
 function cleanupRoom(roomId) {
     const room = chatRooms.get(roomId);
     if (!room) {
-        console.log(`⚠️ Room ${roomId} not found for cleanup (may already be deleted)`);
+        log.warn(`⚠️ Room ${roomId} not found for cleanup (may already be deleted)`);
         return;
     }
     
-    console.log(`🧹 Cleaning up room ${roomId} (status: ${room.status})`);
-    console.log(`🧹 Room ${roomId} exists in Map before cleanup:`, chatRooms.has(roomId));
+    // Only pending and ending rooms can be closed - active rooms must end first
+    const transition = transitionRoom(room, ROOM_STATES.CLOSED);
+    if (!transition.ok) {
+        log.warn(`⚠️ Not cleaning up Room ${roomId}: ${transition.error}`);
+        return;
+    }
     
-    // Remove from participant mappings
-    // This allows the participant name to be reused by another user
-    for (const [participant, mappedRoomId] of participantRooms.entries()) {
-        if (mappedRoomId === roomId) {
-            participantRooms.delete(participant);
-            console.log(`🧹 Removed participant mapping for ${participant} -> Room ${roomId}`);
-            break;
+    log.info(`🧹 Cleaning up room ${roomId} (was: ${transition.from})`);
+    log.info(`🧹 Room ${roomId} exists in Map before cleanup:`, chatRooms.has(roomId));
+    
+    // Remove the participant mapping (the display name is free again once the room is gone)
+    if (room.participant && participantRooms.delete(room.participant.id)) {
+        log.info(`🧹 Removed participant mapping for Room ${roomId}`, { participantId: room.participant.id });
+    }
+    
+    // Detach participant sockets that are still attached to this room
+    // Their room is gone - they must not keep receiving room events
+    for (const [socketId, connection] of activeConnections.entries()) {
+        if (connection.type === 'participant' && connection.roomId === roomId) {
+            const participantSocket = io.sockets.sockets.get(socketId);
+            if (participantSocket) {
+                participantSocket.leave(`room-${roomId}`);
+            }
+            activeConnections.delete(socketId);
         }
     }
     
     // Delete the Telegram bot for this room
     // This cleans up the bot instance and conversation tracking
     deleteBotForRoom(roomId);
+    forgetRoomTelegramState(roomId);
+    clearActiveRoomContext(roomId);
     
     // Completely delete the room from the Map
-    // This is the key step that frees up the room number for reuse
+    // This frees up its room number (the room ID itself is never reused)
     const deleted = chatRooms.delete(roomId);
     
     // Verify deletion
     if (chatRooms.has(roomId)) {
-        console.error(`❌ CRITICAL: Room ${roomId} still exists in Map after delete() call!`);
+        log.error(`❌ CRITICAL: Room ${roomId} still exists in Map after delete() call!`);
         // Force delete again
         chatRooms.delete(roomId);
         if (chatRooms.has(roomId)) {
-            console.error(`❌ CRITICAL: Room ${roomId} STILL exists after second delete attempt!`);
+            log.error(`❌ CRITICAL: Room ${roomId} STILL exists after second delete attempt!`);
         }
     } else {
-        console.log(`✅ Room ${roomId} successfully deleted from Map`);
+        log.info(`✅ Room ${roomId} successfully deleted from Map`);
     }
     
     // Save data to persistence
-    // Note: saveData() filters out 'left' and 'cleaned' rooms, so this won't be saved
+    // Note: saveData() only keeps 'pending' and 'active' rooms, so this won't be saved
     saveData();
-    console.log(`🧹 Room ${roomId} cleanup complete. Room number is now available for reuse.`);
-    console.log(`🧹 Current total rooms in Map: ${chatRooms.size}`);
+    log.info(`🧹 Room ${roomId} cleanup complete. Room number is now available for reuse.`);
+    log.info(`🧹 Current total rooms in Map: ${chatRooms.size}`);
+    
+    // A slot is free now - let the next waiting knock in
+    promoteQueuedKnocks();
 }
 
-// Kick user due to inactivity (5 minutes)
-function kickInactiveUser(roomId) {
+/**
+ * End a conversation
+ * 
+ * Every way a conversation can end goes through here, so each one produces
+ * the same bye message format, Telegram summary and admin event:
+ * 1. Moves the room from 'active' to 'ending' (any other state is rejected)
+ * 2. Posts the bye message for the end reason into the room
+ * 3. Notifies the admin dashboard with `participant-left` (including the reason)
+ * 4. Sends the final conversation summary and the transcript file to Telegram
+ *    (the transcript is also offered as a download on the admin tile)
+ * 5. Closes the room after ROOM_LIFECYCLE_CONFIG.CLEANUP_DELAY_MS so the admin can read the transcript
+ * 
+ * @param {string} roomId - The room to end
+ * @param {string} reason - One of END_REASONS
+ * @returns {boolean} - true if the conversation was ended
+ */
+function endConversation(roomId, reason) {
     const room = chatRooms.get(roomId);
-    if (!room || room.status !== 'active') {
-        return; // Room doesn't exist or is not active
+    if (!room) {
+        log.warn(`⚠️ Room ${roomId} not found - cannot end conversation (${reason})`);
+        return false;
+    }
+    
+    const transition = transitionRoom(room, ROOM_STATES.ENDING);
+    if (!transition.ok) {
+        log.warn(`⚠️ Cannot end conversation in Room ${roomId} (${reason}): ${transition.error}`);
+        return false;
     }
     
     const participantName = room.participant?.name || 'Unknown';
-    console.log(`⏰ Kicking inactive user ${participantName} from Room ${roomId} (5 minutes of inactivity)`);
+    room.endReason = reason;
+    room.disconnectGracePeriod = false;
     
-    // Send bye message to user
-    const byeMessage = {
-        id: Date.now(),
-        text: "You have been inactive for 5 minutes. The conversation has been closed.",
-        sender: 'System',
-        timestamp: new Date().toISOString(),
-        isAdmin: false
-    };
+    // Nobody types into an ended conversation
+    setTyping(roomId, TYPING_SIDES.PARTICIPANT, false);
+    setTyping(roomId, TYPING_SIDES.ADMIN, false);
+    
+    // Tell everyone still in the room why the conversation ended
+    const byeMessage = createByeMessage(reason, participantName);
     room.messages.push(byeMessage);
     io.to(`room-${roomId}`).emit('new-message', byeMessage);
     
-    // Mark room as left
-    room.status = 'left';
-    room.leftAt = Date.now();
-    
-    // Build and send final summary to Telegram (only actual conversation messages)
-    const { sendFinalConversationSummary } = require('./config/telegram');
+    // The transcript includes the bye message
+    const transcript = createTranscript(roomId, room);
+    room.transcriptId = transcript.id;
+    saveData();
     
-    let conversationSummary = '';
-    if (room.messages && room.messages.length > 0) {
-        // Filter out system messages, welcome messages, and other non-conversation messages
-        const filteredMessages = room.messages.filter(msg => 
-            msg.sender !== 'System' && 
-            !msg.text.includes('Welcome') && 
-            !msg.text.includes('has left') &&
-            !msg.text.includes('has been inactive') &&
-            !msg.text.includes('not able to continue')
-        );
-        
-        if (filteredMessages.length > 0) {
-            conversationSummary = '\n\n📜 <b>Final Conversation Summary:</b>\n';
-            filteredMessages.forEach(msg => {
-                const sender = msg.isAdmin ? 'Rajendran' : msg.sender;
-                const msgTime = new Date(msg.timestamp).toLocaleTimeString('en-IN', { 
-                    timeZone: 'Asia/Kolkata', 
-                    hour12: true, 
-                    hour: '2-digit', 
-                    minute: '2-digit' 
-                });
-                conversationSummary += `${sender} (${msgTime}): ${msg.text}\n`;
-            });
-        }
-    }
+    // Notify admin interface (so admin can see transcript and clean)
+    io.to('admin-room').emit('participant-left', {
+        roomId,
+        participant: room.participant,
+        message: byeMessage,
+        reason,
+        transcript: toPublicTranscript(transcript)
+    });
+    emitWebhookEvent(WEBHOOK_EVENTS.ROOM_ENDED, {
+        roomId,
+        roomNumber: room.number,
+        participant: participantName,
+        owner: toPublicAdmin(getAdmin(room.ownerId)),
+        reason,
+        transcript: transcript.transcript
+    });
     
     // Send final summary and delete all intermediate messages
-    sendFinalConversationSummary(participantName, roomId, conversationSummary)
-        .then(() => console.log(`📱 Final summary sent and intermediate messages deleted: ${participantName} Room ${roomId} (inactivity)`))
-        .catch(error => console.error(`❌ Failed to send final summary:`, error));
+    const { sendFinalConversationSummary } = require('./config/telegram');
+    const transcriptFile = TRANSCRIPT_CONFIG.SEND_TO_TELEGRAM ? transcript.file : null;
+    sendFinalConversationSummary(participantName, roomId, buildConversationSummary(room.messages), transcriptFile)
+        .then(() => log.info(`📱 Final summary sent and intermediate messages deleted: Room ${roomId} (${reason})`))
+        .catch(error => log.error(`❌ Failed to send final summary (${reason}):`, error));
     
-    // Notify admin interface
-    io.to('admin-room').emit('participant-left', { 
-        roomId, 
-        participant: room.participant,
-        message: byeMessage
-    });
+    log.info(`🔒 Conversation in Room ${roomId} ended (${reason}), will be cleaned up in ${ROOM_LIFECYCLE_CONFIG.CLEANUP_DELAY_MS / 1000} seconds`);
     
-    // Clean up the room after a short delay (30 seconds) to allow admin to see the summary
+    // Clean up the room after a short delay to allow admin to see the summary
     setTimeout(() => {
         cleanupRoom(roomId);
-    }, 30000); // 30 second delay before cleanup
+    }, ROOM_LIFECYCLE_CONFIG.CLEANUP_DELAY_MS);
+    
+    return true;
+}
+
+// Kick user due to inactivity (5 minutes)
+function kickInactiveUser(roomId) {
+    const room = chatRooms.get(roomId);
+    if (!room || room.status !== ROOM_STATES.ACTIVE) {
+        return; // Room doesn't exist or is not active
+    }
+    
+    log.info(`⏰ Kicking inactive user from Room ${roomId} (5 minutes of inactivity)`, { participant: room.participant?.name });
+    endConversation(roomId, END_REASONS.INACTIVE);
 }
 
 // Check for inactive users and kick them
@@ -366,334 +562,1247 @@ function checkInactiveUsers() {
     }
 }
 
-// Send message to user
+// Send message to user (written in the room's own bot chat, sent in the owner's name)
 function sendMessageToUser(roomId, message, botInfo) {
     const room = chatRooms.get(roomId);
     if (!room) {
-        console.log(`⚠️ Room ${roomId} not found for message`);
+        log.warn(`⚠️ Room ${roomId} not found for message`);
         return;
     }
     
-    // Update last activity timestamp (admin message counts as activity)
-    room.lastActivity = Date.now();
-    
-    const adminMessage = {
-        id: Date.now(),
-        text: message,
-        sender: ADMIN_NAME,
-        timestamp: new Date().toISOString(),
-        isAdmin: true
-    };
-    
-    room.messages.push(adminMessage);
-    
-    // Send to user in the room
-    io.to(`room-${roomId}`).emit('new-message', adminMessage);
-    
-    // Also notify admin interface
-    io.to('admin-room').emit('admin-message', { roomId, message: adminMessage });
-    
-    console.log(`📤 Admin message sent to Room ${roomId} via bot @${botInfo.botUsername}: ${message}`);
+    const result = postAdminMessage(roomId, room.ownerId || null, message);
+    if (!result.ok) {
+        log.warn(`⚠️ Admin message via bot @${botInfo.botUsername} not sent: ${result.error}`);
+        return;
+    }
+    log.info(`📤 Admin message sent to Room ${roomId} via bot @${botInfo.botUsername}`);
 }
 
 // ============================================================================
-// SERVER INITIALIZATION
+// ROOM ASSIGNMENT - Which admin owns each room (see config/admins.js)
 // ============================================================================
 
-// Create Express app and HTTP server
-const app = express();
-const server = http.createServer(app);
-
-// Initialize Socket.IO for real-time bidirectional communication
-// This enables WebSocket connections for instant messaging
-// Configure CORS to allow connections from any origin (needed for Railway deployment)
-const io = socketIo(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"],
-        credentials: true
-    },
-    transports: ['websocket', 'polling'] // Support both WebSocket and polling
-});
-console.log('📡 Socket.IO initialized with CORS enabled');
-
-// ============================================================================
-// ADMIN CONFIGURATION
-// ============================================================================
+/**
+ * Get the Telegram chats a knock notification is sent to
+ * 
+ * An assigned knock goes to its owner's chat. An unassigned knock (claim
+ * mode) goes to the default chat and every admin's chat, so whoever
+ * answers first can take it.
+ * 
+ * @param {string|null} ownerId - Admin the room is assigned to
+ * @returns {Array<string>} - Telegram chat IDs (no duplicates)
+ */
+function getKnockChatIds(ownerId) {
+    const owner = getAdmin(ownerId);
+    if (owner) {
+        return [owner.telegramChatId || process.env.TELEGRAM_CHAT_ID];
+    }
+    
+    const chatIds = [process.env.TELEGRAM_CHAT_ID]
+        .concat(getAdmins().map(admin => admin.telegramChatId))
+        .filter(Boolean)
+        .map(String);
+    return Array.from(new Set(chatIds));
+}
 
 /**
- * Generate a secure, random admin URL
- * This creates a long hex string that's hard to guess
- * Used to protect the admin interface from unauthorized access
+ * Give a room to an admin
+ * 
+ * Used when a knock is assigned, when an admin claims an unassigned room
+ * and when the owner hands a room to a colleague. The room's Telegram
+ * notifications follow the new owner, and on a hand-off the new owner gets
+ * a Telegram note they can reply to straight away.
+ * 
+ * @param {string} roomId - The room ID
+ * @param {string} adminId - The new owner
+ * @param {string|null} byAdminId - Admin who made the change (null for automatic assignment)
+ * @returns {object} - { ok: true, owner } or { ok: false, error }
  */
-const generateAdminUrl = () => {
-    return crypto.randomBytes(32).toString('hex');
-};
+function assignRoom(roomId, adminId, byAdminId = null) {
+    const room = chatRooms.get(roomId);
+    if (!room || room.status === ROOM_STATES.ENDING || room.status === ROOM_STATES.CLOSED) {
+        return { ok: false, error: `${roomLabel(roomId)} is not open` };
+    }
+    
+    const owner = getAdmin(adminId);
+    if (!owner) {
+        return { ok: false, error: `Unknown admin: ${adminId}` };
+    }
+    
+    room.ownerId = owner.id;
+    setRoomTelegramChat(roomId, owner.telegramChatId);
+    saveData();
+    
+    io.to('admin-room').emit('room-owner-changed', {
+        roomId,
+        roomNumber: room.number,
+        owner: toPublicAdmin(owner),
+        by: toPublicAdmin(getAdmin(byAdminId))
+    });
+    
+    // The participant sees the name of the admin they are now talking to
+    io.to(`room-${roomId}`).emit('admin-presence', { status: 'online', admin: owner.name });
+    
+    if (byAdminId && byAdminId !== owner.id) {
+        const note = `🤝 ${escapeHtml(getAdminLabel(byAdminId))} handed you ${roomLabel(roomId)} (${escapeHtml(room.participant.name)}).\n` +
+                     `Reply to this message to answer them.`;
+        const keyboard = room.status === ROOM_STATES.PENDING
+            ? buildKnockKeyboard(roomId, room)
+            : buildConversationKeyboard(roomId, room);
+        sendTelegramMessage(note, { chat_id: getRoomTelegramChat(roomId), reply_markup: keyboard }).then((result) => {
+            if (result && result.ok && result.result) {
+                setActiveRoomContext({
+                    type: room.status === ROOM_STATES.PENDING ? 'knock' : 'message',
+                    roomId,
+                    participantName: room.participant.name,
+                    socketId: getParticipantSocketId(roomId),
+                    replyMessageId: result.result.message_id,
+                    chatId: getRoomTelegramChat(roomId)
+                });
+            }
+        });
+    }
+    
+    log.info(`👥 Room ${roomId} assigned to ${owner.id}${byAdminId ? ` by ${byAdminId}` : ''}`);
+    return { ok: true, owner };
+}
 
-const ADMIN_URL = generateAdminUrl(); // Random URL generated on each server restart
-const ADMIN_NAME = "Rajendran D"; // Admin's display name
+// Find the socket ID of a room's participant, or null
+function getParticipantSocketId(roomId) {
+    for (let [socketId, connection] of activeConnections) {
+        if (connection.type === 'participant' && connection.roomId === roomId) {
+            return socketId;
+        }
+    }
+    return null;
+}
 
 // ============================================================================
-// STATE MANAGEMENT - In-Memory Data Structures
+// TELEGRAM BUTTONS - Inline keyboard presses (see config/telegram-keyboards.js)
 // ============================================================================
 
-/**
- * chatRooms: Map<roomId, roomObject>
- * Stores all active and pending chat rooms
- * Room object structure:
- *   - id: string (timestamp-based room ID: ddmmyyhhmmssXXX format)
- *   - participant: { name: string }
- *   - messages: Array<messageObject>
- *   - status: 'pending' | 'active' | 'left' | 'cleaned'
- *   - created: timestamp
- *   - lastActivity: timestamp (for inactivity timeout)
- *   - lastTelegramMessageId: number (for message deletion)
- */
-const chatRooms = new Map();
-
-/**
- * activeConnections: Map<socketId, connectionInfo>
- * Tracks all active Socket.IO connections
- * Connection info structure:
- *   - type: 'admin' | 'participant'
- *   - name: string (participant name or admin name)
- *   - roomId: string (for participants - timestamp-based format: ddmmyyhhmmssXXX)
- */
-const activeConnections = new Map();
-
-/**
- * participantRooms: Map<participantName, roomId>
- * Maps participant names to their room IDs
- * Used to prevent duplicate knocks and find rooms by participant name
- */
-const participantRooms = new Map();
+// Button actions that answer a knock; the others act on a running conversation
+const KNOCK_BUTTON_ACTIONS = ['approve', 'reject', 'away'];
 
 /**
- * Room ID Generation - Sequential numbering with reuse
+ * Check a button press against the room it was made for
  * 
- * Finds the next available sequential room number (1, 2, 3, ...)
- * Reuses room numbers from cleaned/left rooms to prevent infinite incrementing
+ * A button on an old notification may point at a room that has been
+ * cleaned up, or at a knock that was already answered. Valid presses get
+ * the participant name and socket the webhook actions need.
  * 
- * Algorithm:
- * 1. First, clean up any 'left' or 'cleaned' rooms that might still be in memory
- * 2. Find the lowest available room number by checking existing rooms
- * 3. If all numbers up to current max are taken, use max + 1
- * 
- * This ensures:
- * - Room numbers are reused when possible (efficient)
- * - Room numbers increment only when necessary (no gaps)
- * - No upper limit (can go as high as needed)
+ * @param {object} response - Response from handleTelegramCallback
+ * @returns {object} - The response, ready for the webhook actions, or { success: false, message }
  */
-function generateRoomId() {
-    // First, clean up any 'left' or 'cleaned' rooms that might still be in memory
-    // This ensures we can reuse their numbers
-    const roomsToClean = [];
-    for (let [roomId, room] of chatRooms) {
-        if (room.status === 'left' || room.status === 'cleaned') {
-            roomsToClean.push(roomId);
-        }
+function resolveButtonPress(response) {
+    if (!response.success) {
+        return response;
     }
     
-    // Clean up these rooms
-    for (const roomId of roomsToClean) {
-        const room = chatRooms.get(roomId);
-        const status = room ? room.status : 'unknown';
-        console.log(`🧹 Pre-cleanup: Removing ${status} room ${roomId} before finding available room`);
-        cleanupRoom(roomId);
+    const room = chatRooms.get(response.roomId);
+    if (!room || getRoomStamp(room) !== response.stamp) {
+        return { ...response, success: false, message: 'This notification is out of date - that conversation has ended.' };
     }
     
-    // Find the lowest available room number
-    // Start from 1 and find the first number that's not in use
-    let roomId = 1;
-    const maxAttempts = 10000; // Upper limit: 10,000 rooms (safety limit - should never be reached in practice)
-    let attempts = 0;
-    
-    while (chatRooms.has(roomId) && attempts < maxAttempts) {
-        roomId++;
-        attempts++;
+    const isKnockAction = KNOCK_BUTTON_ACTIONS.includes(response.action);
+    const expectedState = isKnockAction ? ROOM_STATES.PENDING : ROOM_STATES.ACTIVE;
+    if (room.status !== expectedState) {
+        return {
+            ...response,
+            success: false,
+            message: isKnockAction
+                ? `The knock in ${roomLabel(response.roomId)} has already been answered.`
+                : `The conversation in ${roomLabel(response.roomId)} is not active.`
+        };
     }
     
-    if (attempts >= maxAttempts) {
-        console.error('❌ CRITICAL: Could not find available room number after 10000 attempts!');
-        // Fallback: use timestamp-based ID
-        return `fallback-${Date.now()}`;
+    response.participantName = room.participant.name;
+    response.socketId = getParticipantSocketId(response.roomId);
+    return response;
+}
+
+// Typed knock answers (a reply to a knock notification is a custom rejection)
+const KNOCK_TYPED_ACTIONS = ['approve', 'reject', 'away', 'custom'];
+
+/**
+ * Check a typed command against the state of the room it points at
+ * 
+ * A reply can reach a knock that was answered meanwhile, and /kick can be
+ * sent on a knock nobody answered yet. Both are refused with a message for
+ * the admin instead of failing silently.
+ * 
+ * @param {object} response - Response from handleTelegramMessage
+ * @returns {object} - The response, or { success: false, message }
+ */
+function resolveTypedCommand(response) {
+    if (!response.success) {
+        return response;
     }
     
-    console.log(`🆕 Generated sequential room ID: ${roomId} (total rooms: ${chatRooms.size})`);
-    return roomId;
+    const roomId = response.context ? response.context.roomId : response.roomId;
+    const room = chatRooms.get(roomId);
+    if (KNOCK_TYPED_ACTIONS.includes(response.action) && (!room || room.status !== ROOM_STATES.PENDING)) {
+        return { ...response, success: false, message: `The knock in ${roomLabel(roomId)} has already been answered.` };
+    }
+    if ((response.action === 'kick' || response.action === 'close') && (!room || room.status !== ROOM_STATES.ACTIVE)) {
+        return {
+            ...response,
+            success: false,
+            message: room && room.status === ROOM_STATES.PENDING
+                ? `${roomLabel(roomId)} is still waiting for an answer - use /approve or /reject.`
+                : `The conversation in ${roomLabel(roomId)} is not active.`
+        };
+    }
+    return response;
 }
 
 // ============================================================================
-// ADMIN STATUS TRACKING
+// KNOCK DECISIONS - Approve or decline a knock (from Telegram or the dashboard)
 // ============================================================================
 
 /**
- * adminStatus: Tracks whether admin is active or away
- * Used to show admin presence in the chat interface
- */
-let adminStatus = { isActive: true, lastUpdate: new Date().toISOString() };
-
-/**
- * serviceEnabled: Global service toggle
- * When false, new knocks are queued for approval
- * When true, new knocks are automatically approved
- * Default: false (requires manual approval)
+ * Let a knocking participant into their room
+ * 
+ * @param {string} roomId - The pending room
+ * @param {string} socketId - The participant's socket
+ * @param {string} participantName - The participant's name
+ * @returns {object} - { ok: true } or { ok: false, error }
  */
-let serviceEnabled = false;
+function approveKnock(roomId, socketId, participantName) {
+    const socket = io.sockets.sockets.get(socketId);
+    const room = chatRooms.get(roomId);
+    if (!socket || !room) {
+        return { ok: false, error: `${participantName} is no longer waiting in ${roomLabel(roomId)}` };
+    }
+    
+    // Activate the room
+    const transition = transitionRoom(room, ROOM_STATES.ACTIVE);
+    if (!transition.ok) {
+        log.warn(`⚠️ Cannot approve Room ${roomId}: ${transition.error}`);
+        return { ok: false, error: transition.error };
+    }
+    room.lastActivity = Date.now(); // Initialize activity tracking
+    recordKnockOutcome('accepted');
+    recordKnockApproval(room);
+    
+    // Set up user connection properly
+    participantRooms.set(room.participant.id, roomId);
+    activeConnections.set(socket.id, {
+        type: 'participant',
+        name: participantName,
+        roomId: roomId
+    });
+    
+    // Join the room
+    socket.join(`room-${roomId}`);
+    
+    // Add welcome message
+    const welcomeMessage = {
+        id: createMessageId(),
+        text: profileText('welcome', { name: participantName }),
+        sender: 'System',
+        timestamp: new Date().toISOString(),
+        isAdmin: false
+    };
+    room.messages.push(welcomeMessage);
+    
+    // Notify admin
+    io.to('admin-room').emit('new-participant', {
+        roomId: roomId,
+        roomNumber: room.number,
+        participant: { name: participantName },
+        owner: toPublicAdmin(getAdmin(room.ownerId))
+    });
+    emitWebhookEvent(WEBHOOK_EVENTS.KNOCK_APPROVED, { roomId, roomNumber: room.number, participant: participantName, owner: toPublicAdmin(getAdmin(room.ownerId)) });
+    
+    // Notify user (the session token lets their chat page join the room)
+    const sessionToken = issueParticipantToken(room);
+    saveData();
+    socket.emit('knock-approved', {
+        roomId: roomId,
+        roomNumber: room.number,
+        name: participantName,
+        message: profileText('knockApproved'),
+        sessionToken
+    });
+    
+    log.info(`✅ User approved for Room ${roomId}`, { participant: participantName });
+    return { ok: true };
+}
 
 /**
- * sleepUntil: Sleep mode timestamp
- * When set, knocks are blocked until this time
- * 0 means sleep mode is not active
- * Used when admin wants to temporarily disable new knocks
+ * Turn a knocking participant away with a message
+ * 
+ * The pending room is closed either way, so it frees its slot and its name
+ * and can no longer be approved. A participant whose socket is gone cannot
+ * be told, so that decline is reported as failed.
+ * 
+ * @param {string} roomId - The pending room
+ * @param {string} socketId - The participant's socket
+ * @param {string} participantName - The participant's name
+ * @param {string} message - Shown to the participant
+ * @returns {object} - { ok: true } or { ok: false, error }
  */
-let sleepUntil = 0; // epoch ms; 0 means not sleeping
+function declineKnock(roomId, socketId, participantName, message) {
+    const room = chatRooms.get(roomId);
+    if (!room || room.status !== ROOM_STATES.PENDING) {
+        return { ok: false, error: `The knock in ${roomLabel(roomId)} has already been answered.` };
+    }
+    
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+        socket.emit('knock-rejected', { 
+            message: message,
+            roomId: roomId 
+        });
+        log.info(`❌ Rejected knock for Room ${roomId}`, { participant: participantName, message });
+        emitWebhookEvent(WEBHOOK_EVENTS.KNOCK_REJECTED, { roomId, roomNumber: room.number, participant: participantName, message });
+        recordKnockOutcome('rejected');
+    } else {
+        log.warn(`⚠️ Socket ${socketId} not found - user may have disconnected`);
+    }
+    
+    // Close the pending room: its slot and name are free again
+    clearActiveRoomContext(roomId);
+    cleanupRoom(roomId);
+    log.info(`🗑️ Cleaned up pending room ${roomId} after ${socket ? 'the rejection' : 'socket disconnect'}`);
+    
+    return socket
+        ? { ok: true }
+        : { ok: false, error: `${participantName} is no longer waiting in ${roomLabel(roomId)}` };
+}
 
 // ============================================================================
-// PERSISTENCE CONFIGURATION
+// ADMIN OPERATIONS - Shared by the dashboard, Telegram and the admin REST API
 // ============================================================================
 
 /**
- * DATA_FILE: Path to the persistence file
- * Stores chat rooms and participant mappings to disk
- * Allows data to survive server restarts
+ * Every room operation an admin can start is written once here, so a
+ * dashboard click, a Telegram command and an admin API call (see
+ * config/admin-api.js) behave the same way.
+ * 
+ * Failed operations return { ok: false, code, error }:
+ *   - not_found: The room does not exist
+ *   - forbidden: The room belongs to another admin
+ *   - conflict: The room is not in the right state for the operation
  */
-const DATA_FILE = path.join(__dirname, 'chat_data.json');
 
 /**
- * Load existing data from persistence file on server startup
+ * Check that an admin may act on a room; acting on an unassigned room claims it
  * 
- * This function:
- * 1. Reads chat_data.json if it exists
- * 2. Restores only 'active' and 'pending' rooms (skips 'left' and 'cleaned')
- * 3. Restores participant mappings (only for rooms that still exist)
- * 4. Initializes missing fields for backward compatibility
+ * @param {string} roomId - The room ID
+ * @param {object} room - Room object from chatRooms
+ * @param {string} adminId - The acting admin
+ * @returns {object} - { ok: true } or { ok: false, code: 'forbidden', error }
+ */
+function takeRoomAccess(roomId, room, adminId) {
+    const access = checkRoomAccess(room, adminId);
+    if (!access.allowed) {
+        return { ok: false, code: 'forbidden', error: `${roomLabel(roomId)} is assigned to ${access.owner ? access.owner.name : 'another admin'}.` };
+    }
+    if (access.claim) {
+        assignRoom(roomId, adminId, adminId);
+    }
+    return { ok: true };
+}
+
+/**
+ * Approve or reject a pending knock on behalf of an admin
  * 
- * IMPORTANT: We intentionally skip 'left' and 'cleaned' rooms to prevent
- * "ghost rooms" from persisting. This ensures room numbers can be reused.
+ * @param {string} roomId - The pending room
+ * @param {string} adminId - The acting admin
+ * @param {boolean} approve - true to let the participant in
+ * @param {string} message - Shown to a rejected participant (default: the profile's knockRejected text)
+ * @returns {object} - { ok: true } or { ok: false, code, error }
  */
-function loadData() {
-    try {
-        if (fs.existsSync(DATA_FILE)) {
-            const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-            console.log('📂 Loading existing chat data...');
-            
-            // Restore chat rooms - ONLY active and pending rooms (skip 'left' and 'cleaned' rooms)
-            // This prevents "ghost" rooms from persisting after users leave
-            if (data.chatRooms) {
-                let loadedCount = 0;
-                let skippedCount = 0;
-                
-                data.chatRooms.forEach(([roomId, room]) => {
-                    // Skip rooms that should have been cleaned up
-                    if (room.status === 'left' || room.status === 'cleaned') {
-                        skippedCount++;
-                        console.log(`⏭️ Skipping ${room.status} room ${roomId} (should be cleaned up)`);
-                        return; // Don't restore this room
-                    }
-                    
-                    // Only restore active or pending rooms
-                    if (room.status === 'active' || room.status === 'pending') {
-                        // Ensure lastActivity is set for active rooms (migration for old data)
-                        if (room.status === 'active' && !room.lastActivity) {
-                            room.lastActivity = Date.now();
-                        }
-                        // Ensure lastTelegramMessageId is initialized (migration for old data)
-                        if (!room.hasOwnProperty('lastTelegramMessageId')) {
-                            room.lastTelegramMessageId = null;
-                        }
-                        chatRooms.set(roomId, room);
-                        loadedCount++;
-                    } else {
-                        skippedCount++;
-                        console.log(`⏭️ Skipping room ${roomId} with unknown status: ${room.status}`);
-                    }
-                });
-                
-                console.log(`📂 Loaded ${loadedCount} active/pending rooms, skipped ${skippedCount} left/cleaned rooms`);
-            }
-            
-            // Restore participant mappings - but only for rooms that still exist
-            if (data.participantRooms) {
-                let loadedMappings = 0;
-                let skippedMappings = 0;
-                
-                data.participantRooms.forEach(([participant, roomId]) => {
-                    // Only restore mapping if the room still exists in chatRooms
-                    if (chatRooms.has(roomId)) {
-                        participantRooms.set(participant, roomId);
-                        loadedMappings++;
-                    } else {
-                        skippedMappings++;
-                        console.log(`⏭️ Skipping participant mapping for ${participant} -> Room ${roomId} (room no longer exists)`);
-                    }
-                });
-                
-                console.log(`📂 Loaded ${loadedMappings} participant mappings, skipped ${skippedMappings} orphaned mappings`);
-            }
-        }
-    } catch (error) {
-        console.log('📂 No existing data found or error loading:', error.message);
+function answerKnockAsAdmin(roomId, adminId, approve, message) {
+    const room = chatRooms.get(roomId);
+    if (!room) {
+        return { ok: false, code: 'not_found', error: `Room ${roomId} not found` };
     }
+    if (room.status !== ROOM_STATES.PENDING) {
+        return { ok: false, code: 'conflict', error: `The knock in ${roomLabel(roomId)} has already been answered.` };
+    }
+    
+    const access = takeRoomAccess(roomId, room, adminId);
+    if (!access.ok) {
+        return access;
+    }
+    
+    const socketId = getParticipantSocketId(roomId);
+    const participantName = room.participant.name;
+    const result = approve
+        ? approveKnock(roomId, socketId, participantName)
+        : declineKnock(roomId, socketId, participantName, message || profileText('knockRejected'));
+    if (!result.ok) {
+        return { ok: false, code: 'conflict', error: result.error };
+    }
+    
+    // The knock is answered, so Telegram replies to its notification no longer apply
+    clearActiveRoomContext(roomId);
+    log.info(`✅ ${adminId} ${approve ? 'approved' : 'rejected'} the knock in Room ${roomId}`);
+    return { ok: true };
 }
 
 /**
- * Save current state to persistence file
+ * Post an admin message into a room
  * 
- * This function:
- * 1. Filters out 'left' and 'cleaned' rooms before saving
- * 2. Saves only 'active' and 'pending' rooms
- * 3. Saves participant mappings
- * 4. Writes to chat_data.json
+ * The caller checks room access first (see takeRoomAccess).
  * 
- * IMPORTANT: We intentionally exclude 'left' and 'cleaned' rooms to prevent
- * "ghost rooms" from persisting. This ensures:
- * - Room numbers can be reused
- * - No stale data accumulates
- * - Clean state on server restart
+ * @param {string} roomId - The room ID
+ * @param {string|null} adminId - The writing admin (null: unknown sender, shown with the profile's admin name)
+ * @param {string} text - Message text (already validated)
+ * @param {object|null} originSocket - Dashboard socket the message came from (it is not echoed back as admin-message)
+ * @returns {object} - { ok: true, message } or { ok: false, code, error }
+ *   ('not_found', or 'conflict' unless the conversation is active)
  */
-function saveData() {
-    try {
-        // Filter out 'left' and 'cleaned' rooms before saving
-        // This ensures they don't get restored on next startup
-        const roomsToSave = Array.from(chatRooms.entries()).filter(([roomId, room]) => {
-            return room.status === 'active' || room.status === 'pending';
-        });
-        
-        const data = {
-            chatRooms: roomsToSave,
-            participantRooms: Array.from(participantRooms.entries()),
-            timestamp: new Date().toISOString()
-        };
+function postAdminMessage(roomId, adminId, text, originSocket = null) {
+    const room = chatRooms.get(roomId);
+    if (!room) {
+        return { ok: false, code: 'not_found', error: `Room ${roomId} not found` };
+    }
+    if (room.status !== ROOM_STATES.ACTIVE) {
+        return { ok: false, code: 'conflict', error: `The conversation in ${roomLabel(roomId)} is not active.` };
+    }
+    
+    const message = {
+        id: createMessageId(),
+        text,
+        sender: getAdminName(adminId),
+        adminId: adminId || null,
+        timestamp: new Date().toISOString(),
+        isAdmin: true,
+        status: MESSAGE_STATES.SENT
+    };
+    
+    // Update last activity timestamp (admin message counts as activity)
+    room.lastActivity = Date.now();
+    room.messages.push(message);
+    saveData();
+    
+    // Send to the participant, and show other dashboards which admin replied
+    // (the message replaces the admin's typing indicator)
+    setTyping(roomId, TYPING_SIDES.ADMIN, false, adminId);
+    emitForDelivery(io.to(`room-${roomId}`), 'new-message', message, roomId, message);
+    const adminRoom = originSocket ? originSocket.to('admin-room') : io.to('admin-room');
+    adminRoom.emit('admin-message', { roomId, message, admin: toPublicAdmin(getAdmin(adminId)) });
+    emitWebhookEvent(WEBHOOK_EVENTS.ROOM_MESSAGE, { roomId, roomNumber: room.number, message });
+    recordMessage('admin');
+    
+    log.info(`📤 Admin message sent to Room ${roomId}`, { text });
+    return { ok: true, message };
+}
+
+/**
+ * End an active conversation on behalf of an admin
+ * 
+ * @param {string} roomId - The active room
+ * @param {string} adminId - The acting admin
+ * @param {string} reason - One of END_REASONS
+ * @returns {object} - { ok: true } or { ok: false, code, error }
+ */
+function stopConversationAsAdmin(roomId, adminId, reason) {
+    const room = chatRooms.get(roomId);
+    if (!room) {
+        return { ok: false, code: 'not_found', error: `Room ${roomId} not found` };
+    }
+    if (room.status !== ROOM_STATES.ACTIVE) {
+        return { ok: false, code: 'conflict', error: `The conversation in ${roomLabel(roomId)} is not active.` };
+    }
+    
+    const access = takeRoomAccess(roomId, room, adminId);
+    if (!access.ok) {
+        return access;
+    }
+    
+    log.warn(`🚫 Admin ${adminId} stopping chat in room ${roomId}`);
+    endConversation(roomId, reason);
+    return { ok: true };
+}
+
+/**
+ * Close an ended room now instead of waiting for the cleanup delay
+ * 
+ * @param {string} roomId - The ending room
+ * @returns {object} - { ok: true } or { ok: false, code, error }
+ */
+function cleanRoomNow(roomId) {
+    const room = chatRooms.get(roomId);
+    if (!room) {
+        return { ok: false, code: 'not_found', error: `Room ${roomId} not found` };
+    }
+    if (room.status !== ROOM_STATES.ENDING) {
+        return { ok: false, code: 'conflict', error: `${roomLabel(roomId)} is ${room.status} - only ended conversations can be cleaned up.` };
+    }
+    
+    log.info(`🧹 Cleaning room ${roomId} - deleting completely`);
+    log.info(`🧹 Room ${roomId} had ${room.messages.length} messages before deletion`);
+    cleanupRoom(roomId);
+    
+    // Notify admin that room is completely cleared
+    io.to('admin-room').emit('room-cleaned', { 
+        roomId, 
+        message: {
+            id: createMessageId(),
+            text: 'Room has been completely cleared and is ready for new participants.',
+            sender: 'System',
+            timestamp: new Date().toISOString(),
+            isAdmin: false
+        }
+    });
+    return { ok: true };
+}
+
+/**
+ * Turn the service on or off
+ * 
+ * Everyone connected is told; participants get the shutdown or welcome
+ * back message when the setting actually changes.
+ * 
+ * @param {boolean} enabled - New setting
+ * @returns {object} - { ok: true, enabled }
+ */
+function setServiceEnabled(enabled) {
+    const wasEnabled = serviceEnabled;
+    serviceEnabled = !!enabled;
+    
+    log.info(`🔌 Service ${serviceEnabled ? 'ENABLED' : 'DISABLED'} by admin`);
+    
+    // Broadcast service status to all connected users
+    io.emit('service-status-update', { enabled: serviceEnabled });
+    if (wasEnabled !== serviceEnabled) {
+        emitWebhookEvent(WEBHOOK_EVENTS.SERVICE_TOGGLED, { enabled: serviceEnabled });
+    }
+    
+    // If service was turned OFF, send shutdown message to all active users
+    if (wasEnabled && !serviceEnabled) {
+        log.warn('🚫 Service disabled - sending shutdown message to all users');
+        io.emit('service-shutdown', {
+            id: createMessageId(),
+            text: profileText('serviceShutdown'),
+            sender: 'System',
+            timestamp: new Date().toISOString(),
+            isAdmin: false,
+            isShutdown: true
+        });
+    }
+    
+    // If service was turned ON, send welcome back message to all active users
+    if (!wasEnabled && serviceEnabled) {
+        log.info('✅ Service enabled - sending welcome back message to all users');
+        io.emit('service-restored', {
+            id: createMessageId(),
+            text: profileText('serviceRestored'),
+            sender: 'System',
+            timestamp: new Date().toISOString(),
+            isAdmin: false,
+            isWelcomeBack: true
+        });
+    }
+    
+    return { ok: true, enabled: serviceEnabled };
+}
+
+// Block new knocks for a number of minutes
+function setSleep(minutes) {
+    sleepUntil = Date.now() + minutes * 60 * 1000;
+    log.info(`😴 Sleep mode enabled for ${minutes} minutes (until ${new Date(sleepUntil).toISOString()})`);
+    return { ok: true, sleepUntil: new Date(sleepUntil).toISOString() };
+}
+
+// Accept knocks again
+function clearSleep() {
+    sleepUntil = 0;
+    log.info('😴 Sleep mode cleared');
+    return { ok: true };
+}
+
+// Whether knocks are currently blocked by sleep mode
+function isSleeping() {
+    return sleepUntil > Date.now();
+}
+
+/**
+ * Describe a room for the admin API (everything except the messages)
+ * 
+ * @param {string} roomId - The room ID
+ * @param {object} room - Room object from chatRooms
+ * @returns {object}
+ */
+function toRoomSummary(roomId, room) {
+    const toIso = (value) => value ? new Date(value).toISOString() : null;
+    return {
+        roomId,
+        roomNumber: room.number,
+        status: room.status,
+        participant: room.participant ? room.participant.name : null,
+        owner: toPublicAdmin(getAdmin(room.ownerId)),
+        createdAt: toIso(room.created),
+        activatedAt: toIso(room.activatedAt),
+        endedAt: toIso(room.endedAt),
+        lastActivity: toIso(room.lastActivity),
+        messageCount: room.messages.length,
+        endReason: room.endReason || null,
+        knockDelivery: getKnockDeliveryState(room),
+        transcript: room.transcriptId ? toPublicTranscript(getTranscript(room.transcriptId)) : null
+    };
+}
+
+// ============================================================================
+// TYPING INDICATORS - Who is typing in each room (see config/typing.js)
+// ============================================================================
+
+/**
+ * Start, refresh or stop a typing indicator and tell the other side
+ * 
+ * Only changes are announced: participant typing goes to the dashboards
+ * (`typing-start` / `typing-stop` with from: 'participant'), admin typing to
+ * the participant's chat (from: 'admin', with the admin's display name).
+ * An indicator that is not refreshed in time is stopped and announced as well.
+ * 
+ * @param {string} roomId - The room ID
+ * @param {string} side - One of TYPING_SIDES
+ * @param {boolean} typing - true to start or refresh, false to stop
+ * @param {string|null} adminId - The typing admin (admin side only)
+ * @param {number} timeoutMs - How long the indicator lasts without a refresh
+ */
+function setTyping(roomId, side, typing, adminId = null, timeoutMs = TYPING_CONFIG.TIMEOUT_MS) {
+    const announce = (isTyping) => {
+        const event = isTyping ? 'typing-start' : 'typing-stop';
+        if (side === TYPING_SIDES.PARTICIPANT) {
+            io.to('admin-room').emit(event, { roomId, from: side });
+        } else {
+            io.to(`room-${roomId}`).emit(event, { roomId, from: side, admin: getAdminName(adminId) });
+        }
+    };
+    
+    if (!typing) {
+        if (stopTyping(roomId, side)) {
+            announce(false);
+        }
+        return;
+    }
+    if (startTyping(roomId, side, () => announce(false), timeoutMs)) {
+        announce(true);
+    }
+}
+
+/**
+ * Handle typing-start / typing-stop from a socket
+ * 
+ * Participants type in their own room; admins in a room they may write in
+ * (typing does not claim an unassigned room). Only active rooms show typing.
+ * 
+ * @param {object} socket - The sending socket
+ * @param {object} data - { roomId } (admins only)
+ * @param {boolean} typing - true for typing-start
+ */
+function handleTypingEvent(socket, data, typing) {
+    const connection = activeConnections.get(socket.id);
+    if (!connection) {
+        return;
+    }
+    
+    if (connection.type === 'participant') {
+        const room = chatRooms.get(connection.roomId);
+        if (room && room.status === ROOM_STATES.ACTIVE) {
+            setTyping(connection.roomId, TYPING_SIDES.PARTICIPANT, typing);
+        }
+        return;
+    }
+    
+    if (connection.type !== 'admin' || !isAdminSocket(socket)) {
+        return;
+    }
+    const roomId = String(data && data.roomId);
+    const room = chatRooms.get(roomId);
+    if (!room || room.status !== ROOM_STATES.ACTIVE || !checkRoomAccess(room, connection.adminId).allowed) {
+        return;
+    }
+    setTyping(roomId, TYPING_SIDES.ADMIN, typing, connection.adminId);
+}
+
+// ============================================================================
+// MESSAGE STATUS - Delivered and read receipts (see config/message-status.js)
+// ============================================================================
+
+/**
+ * Announce new statuses for messages in a room
+ * 
+ * Both sides get `message-status`: the author's page updates its tick marks,
+ * and the dashboards update their unread counts (read on one dashboard is
+ * read on all of them).
+ * 
+ * @param {string} roomId - The room ID
+ * @param {Array<string>} messageIds - Messages that changed
+ * @param {string} status - One of MESSAGE_STATES
+ */
+function emitMessageStatus(roomId, messageIds, status) {
+    if (messageIds.length === 0) {
+        return;
+    }
+    saveData();
+    const update = { roomId, messageIds, status };
+    io.to(`room-${roomId}`).emit('message-status', update);
+    io.to('admin-room').emit('message-status', update);
+}
+
+/**
+ * Move one side's messages in a room to a later status and announce the change
+ * 
+ * @param {string} roomId - The room ID
+ * @param {boolean} fromAdmin - true for admin messages, false for participant messages
+ * @param {string} status - One of MESSAGE_STATES
+ */
+function advanceRoomMessages(roomId, fromAdmin, status) {
+    const room = chatRooms.get(roomId);
+    if (room) {
+        emitMessageStatus(roomId, advanceMessagesFrom(room.messages, fromAdmin, status), status);
+    }
+}
+
+/**
+ * Send a new message to the other side, marking it delivered once a socket there acknowledges it
+ * 
+ * The pages acknowledge new-message / admin-message as soon as they receive it.
+ * Sockets that do not answer within ACK_TIMEOUT_MS are ignored.
+ * 
+ * @param {object} target - Broadcast for the other side (io.to(...))
+ * @param {string} event - Event name
+ * @param {object} payload - Event data
+ * @param {string} roomId - The room ID
+ * @param {object} message - The message being sent (from room.messages)
+ */
+function emitForDelivery(target, event, payload, roomId, message) {
+    target.timeout(MESSAGE_STATUS_CONFIG.ACK_TIMEOUT_MS).emit(event, payload, (err, responses) => {
+        if (responses && responses.length > 0 && advanceMessageStatus(message, MESSAGE_STATES.DELIVERED)) {
+            emitMessageStatus(roomId, [message.id], MESSAGE_STATES.DELIVERED);
+        }
+    });
+}
+
+/**
+ * Handle messages-read from a socket
+ * 
+ * The participant reads the admin messages in their room; an admin reads the
+ * participant messages in a room they may write in (reading does not claim an
+ * unassigned room).
+ * 
+ * @param {object} socket - The sending socket
+ * @param {object} data - { roomId } (admins only)
+ */
+function handleMessagesRead(socket, data) {
+    const connection = activeConnections.get(socket.id);
+    if (!connection) {
+        return;
+    }
+    
+    if (connection.type === 'participant') {
+        advanceRoomMessages(connection.roomId, true, MESSAGE_STATES.READ);
+        return;
+    }
+    
+    if (connection.type !== 'admin' || !isAdminSocket(socket)) {
+        return;
+    }
+    const roomId = String(data && data.roomId);
+    const room = chatRooms.get(roomId);
+    if (!room || !checkRoomAccess(room, connection.adminId).allowed) {
+        return;
+    }
+    advanceRoomMessages(roomId, false, MESSAGE_STATES.READ);
+}
+
+// ============================================================================
+// KNOCK DELIVERY - Knock notifications the Telegram outbox could not deliver
+// ============================================================================
+
+/**
+ * Start tracking a knock's Telegram notifications (one per chat)
+ * 
+ * Knock delivery structure (room.knockDelivery):
+ *   - pending: number (notifications still in the outbox)
+ *   - delivered: number
+ *   - failed: number
+ *   - error: string|null (last delivery error)
+ */
+function trackKnockDelivery(room, chatCount) {
+    room.knockDelivery = { pending: chatCount, delivered: 0, failed: 0, error: null };
+}
+
+// Get a knock's delivery state: 'sending', 'delivered' (any chat got it), 'failed' (no chat did) or null
+function getKnockDeliveryState(room) {
+    const delivery = room.knockDelivery;
+    if (!delivery) {
+        return null;
+    }
+    if (delivery.delivered > 0) {
+        return 'delivered';
+    }
+    return delivery.pending > 0 ? 'sending' : 'failed';
+}
+
+// Find the room an outbox knock notification was sent for (null if the room number was reused)
+function findKnockRoom(meta) {
+    const room = chatRooms.get(meta.roomId);
+    return room && getRoomStamp(room) === meta.roomStamp ? room : null;
+}
+
+// Tell the dashboards how a knock's notification is doing
+function emitKnockDelivery(roomId, room) {
+    io.to('admin-room').emit('knock-delivery', {
+        roomId,
+        roomNumber: room.number,
+        participant: room.participant,
+        status: room.status,
+        state: getKnockDeliveryState(room),
+        error: room.knockDelivery.error,
+        owner: toPublicAdmin(getAdmin(room.ownerId))
+    });
+}
+
+// Knock notifications report back from the outbox - including ones resumed after a restart
+addOutboxListener({
+    delivered(item, result) {
+        if (item.meta.kind !== 'knock') {
+            return;
+        }
+        const room = findKnockRoom(item.meta);
+        if (!room) {
+            return;
+        }
+        if (!room.knockDelivery) {
+            trackKnockDelivery(room, 1);
+        }
+        room.knockDelivery.pending = Math.max(0, room.knockDelivery.pending - 1);
+        room.knockDelivery.delivered++;
+        
+        // Replying to the notification answers the knock
+        setActiveRoomContext({
+            type: 'knock',
+            roomId: item.meta.roomId,
+            participantName: room.participant.name,
+            socketId: getParticipantSocketId(item.meta.roomId),
+            replyMessageId: result.message_id,
+            chatId: String(item.params.chat_id)
+        });
+        log.info(`📱 Telegram knock notification sent for Room ${item.meta.roomId}`, { chatId: item.params.chat_id });
+        emitKnockDelivery(item.meta.roomId, room);
+    },
+    
+    failed(item, error) {
+        if (item.meta.kind !== 'knock') {
+            return;
+        }
+        const room = findKnockRoom(item.meta);
+        if (!room) {
+            return;
+        }
+        if (!room.knockDelivery) {
+            trackKnockDelivery(room, 1);
+        }
+        room.knockDelivery.pending = Math.max(0, room.knockDelivery.pending - 1);
+        room.knockDelivery.failed++;
+        room.knockDelivery.error = error.description;
+        
+        // Nobody on Telegram knows about this knock - the dashboard has to answer it
+        if (getKnockDeliveryState(room) === 'failed') {
+            log.error(`🚨 Knock in Room ${item.meta.roomId} never reached Telegram: ${error.description}`, { participant: room.participant.name });
+            emitKnockDelivery(item.meta.roomId, room);
+        }
+    }
+});
+
+// ============================================================================
+// SERVER INITIALIZATION
+// ============================================================================
+
+// Create Express app and HTTP server
+const app = express();
+const server = http.createServer(app);
+
+// Initialize Socket.IO for real-time bidirectional communication
+// This enables WebSocket connections for instant messaging
+// Configure CORS to allow connections from any origin (needed for Railway deployment)
+const io = socketIo(server, {
+    cors: {
+        origin: "*",
+        methods: ["GET", "POST"],
+        credentials: true
+    },
+    transports: ['websocket', 'polling'] // Support both WebSocket and polling
+});
+log.info('📡 Socket.IO initialized with CORS enabled');
+
+// ============================================================================
+// ADMIN CONFIGURATION
+// ============================================================================
+
+/**
+ * Check whether a socket carries a valid admin session
+ * 
+ * The session token is verified once during the Socket.IO handshake
+ * (see io.use below); this re-checks its expiry on every admin-only event
+ * so a long-lived socket loses admin rights when the session ends.
+ * 
+ * @param {object} socket - The Socket.IO socket
+ * @returns {boolean} - true if the socket belongs to a logged-in admin
+ */
+function isAdminSocket(socket) {
+    const session = socket.data.adminSession;
+    return !!session && Date.now() < session.exp;
+}
+
+// Verify the admin session token during the Socket.IO handshake
+// Participants connect without a token and are simply not marked as admin
+io.use((socket, next) => {
+    const session = getHandshakeSession(socket.handshake);
+    if (session) {
+        socket.data.adminSession = session;
+        socket.data.adminId = session.sub;
+    }
+    next();
+});
+
+// ============================================================================
+// STATE MANAGEMENT - In-Memory Data Structures
+// ============================================================================
+
+/**
+ * chatRooms: Map<roomId, roomObject>
+ * Stores all active and pending chat rooms
+ * Room object structure:
+ *   - id: string (opaque random room ID, never reused - the key for everything else)
+ *   - number: number (display label "Room N", the lowest free number - reused after cleanup)
+ *   - participant: { id, name, requestedName } (see config/participant-identity.js)
+ *   - messages: Array<messageObject> ({ id, text, sender, timestamp, isAdmin, adminId?, status? };
+ *     id is random, status is 'sent' | 'delivered' | 'read' - see config/message-status.js)
+ *   - status: 'pending' | 'active' | 'ending' | 'closed' (see config/room-lifecycle.js)
+ *   - endReason: string (set when the conversation ends, one of END_REASONS)
+ *   - transcriptId: string (set when the conversation ends, see config/transcript.js)
+ *   - ownerId: string|null (admin who owns the room, see config/admins.js)
+ *   - created: timestamp
+ *   - lastActivity: timestamp (for inactivity timeout)
+ *   - lastTelegramMessageId: number (conversation card, or the notification to delete in resend mode)
+ */
+const chatRooms = new Map();
+
+/**
+ * activeConnections: Map<socketId, connectionInfo>
+ * Tracks all active Socket.IO connections
+ * Connection info structure:
+ *   - type: 'admin' | 'participant'
+ *   - name: string (participant name or admin name)
+ *   - adminId: string (for admins - roster id from the session)
+ *   - roomId: string (for participants - the opaque room ID)
+ */
+const activeConnections = new Map();
+
+/**
+ * participantRooms: Map<participantId, roomId>
+ * Maps each participant's identity (room.participant.id) to their room ID
+ * Keyed on the ID, not the name - two people can knock as "Alex" (see config/participant-identity.js)
+ */
+const participantRooms = new Map();
+
+// Gauges read from the state above when /metrics is scraped (see config/metrics.js)
+registerGauge('rooms', 'Rooms by lifecycle state', () => {
+    const counts = Object.values(ROOM_STATES).map(status => ({ labels: { status }, value: 0 }));
+    for (const room of chatRooms.values()) {
+        const entry = counts.find(count => count.labels.status === room.status);
+        if (entry) {
+            entry.value++;
+        }
+    }
+    return counts;
+});
+registerGauge('knocks_pending', 'Knocks waiting for an admin', () =>
+    Array.from(chatRooms.values()).filter(room => room.status === ROOM_STATES.PENDING).length);
+registerGauge('knocks_queued', 'Knocks waiting for a free room', () => getQueueLength());
+registerGauge('socket_connections', 'Open Socket.IO connections', () => {
+    const counts = { participant: 0, admin: 0, other: 0 };
+    for (const socketId of io.sockets.sockets.keys()) {
+        const connection = activeConnections.get(socketId);
+        counts[connection ? connection.type : 'other']++;
+    }
+    return Object.entries(counts).map(([type, value]) => ({ labels: { type }, value }));
+});
+
+/**
+ * Room IDs and numbers
+ * 
+ * Every room has two identities:
+ * - roomId: Random and never reused. chatRooms, participantRooms, Telegram
+ *   contexts, persistence and the dashboard tiles all key on it, so a stale
+ *   chat tab or Telegram reply can never reach the next occupant
+ * - room.number: The lowest free number (1, 2, 3, ...), only a display label
+ *   ("Room 3"). It stays within QUEUE_CONFIG.MAX_CONCURRENT_ROOMS, because the
+ *   knock handler queues knocks instead of creating rooms once every slot is busy
+ */
+function generateRoomId() {
+    let roomId;
+    do {
+        roomId = crypto.randomBytes(9).toString('base64url');
+    } while (chatRooms.has(roomId));
+    return roomId;
+}
+
+/**
+ * Find the lowest room number not shown by another room
+ * 
+ * An 'ending' room keeps its number until its transcript window closes -
+ * a new knock never cuts that window short.
+ */
+function allocateRoomNumber() {
+    const usedNumbers = new Set(Array.from(chatRooms.values()).map(room => room.number));
+    let number = 1;
+    while (usedNumbers.has(number)) {
+        number++;
+    }
+    return number;
+}
+
+// Create a room with a fresh ID, number and participant identity (not yet stored in chatRooms)
+function createRoom(requestedName) {
+    const roomId = generateRoomId();
+    const number = allocateRoomNumber();
+    setRoomNumber(roomId, number);
+    log.info(`🆕 Created room ${roomId} as Room ${number} (total rooms: ${chatRooms.size + 1})`);
+    return {
+        roomId,
+        room: {
+            id: roomId,
+            number,
+            participant: createParticipant(requestedName, chatRooms.values()),
+            messages: [],
+            status: serviceEnabled ? 'active' : 'pending',
+            created: Date.now(),
+            lastActivity: Date.now(),
+            lastTelegramMessageId: null,
+            ownerId: null
+        }
+    };
+}
+
+// "Room 3" for admin-facing text (the opaque ID once the room is gone)
+function roomLabel(roomId) {
+    const room = chatRooms.get(roomId);
+    return room && room.number ? `Room ${room.number}` : `Room ${roomId}`;
+}
+
+// ============================================================================
+// ADMIN STATUS TRACKING
+// ============================================================================
+
+/**
+ * adminStatus: Tracks whether admin is active or away
+ * Used to show admin presence in the chat interface
+ */
+let adminStatus = { isActive: true, lastUpdate: new Date().toISOString() };
+
+/**
+ * serviceEnabled: Global service toggle
+ * When false, new knocks are queued for approval
+ * When true, new knocks are automatically approved
+ * Default: false (requires manual approval)
+ */
+let serviceEnabled = false;
+
+/**
+ * sleepUntil: Sleep mode timestamp
+ * When set, knocks are blocked until this time
+ * 0 means sleep mode is not active
+ * Used when admin wants to temporarily disable new knocks
+ */
+let sleepUntil = 0; // epoch ms; 0 means not sleeping
+
+// ============================================================================
+// PERSISTENCE CONFIGURATION
+// ============================================================================
+
+/**
+ * DATA_DIR: Where chat data, the Telegram offset and the Telegram outbox are saved
+ * (DATA_DIR environment variable, default: next to server.js)
+ */
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : __dirname;
+
+/**
+ * storage: Persistence backend for chat rooms and participant mappings
+ * Backend is chosen by STORAGE_BACKEND ('json' snapshot file or 'journal')
+ * Allows data to survive server restarts
+ */
+const storage = createStorage(DATA_DIR);
+
+/**
+ * telegramTransport: How admin replies arrive (webhook or getUpdates polling)
+ * Remembers the last processed update_id so no reply is processed twice
+ */
+const telegramTransport = createTelegramTransport(DATA_DIR);
+
+/**
+ * Load existing data from the storage backend on server startup
+ * 
+ * This function:
+ * 1. Reads the stored snapshot/journal if it exists
+ * 2. Restores only 'active' and 'pending' rooms (skips ended rooms)
+ * 3. Restores participant mappings (only for rooms that still exist)
+ * 4. Initializes missing fields for backward compatibility
+ * 5. Reports a quarantined (corrupt) data file to the admin
+ * 
+ * IMPORTANT: We intentionally skip ended rooms to prevent
+ * "ghost rooms" from persisting. This ensures room numbers can be reused.
+ */
+function loadData() {
+    const { data, quarantined } = storage.load();
+    
+    if (quarantined) {
+        // Don't lose the evidence silently - tell the admin where the file went
+        sendTelegramMessage(
+            `🚨 <b>Chat data file was unreadable</b>\n\n` +
+            `It has been moved to <code>${path.basename(quarantined.path)}</code>.\n` +
+            `Error: ${escapeHtml(quarantined.error)}\n\n` +
+            (data ? `Recovered ${data.chatRooms.length} room(s) from before the damage.` : 'No rooms could be recovered.')
+        );
+    }
+    
+    if (!data) {
+        log.info(`📂 No existing chat data found (${storage.name} storage)`);
+        return;
+    }
+    
+    log.info('📂 Loading existing chat data...');
+    
+    // Restore chat rooms - ONLY active rooms (skip pending and ended rooms)
+    // This prevents "ghost" rooms from persisting after users leave.
+    // A pending knock's socket is gone after a restart, so nobody could be let in -
+    // the room would hold a slot (and its name) forever. The participant knocks again.
+    // Data saved before opaque room IDs keyed rooms on their number - old ID -> new ID
+    const migratedRoomIds = new Map();
+    
+    if (data.chatRooms) {
+        let loadedCount = 0;
+        let skippedCount = 0;
+        
+        data.chatRooms.forEach(([savedRoomId, room]) => {
+            // Only restore active rooms
+            if (room.status === ROOM_STATES.ACTIVE) {
+                let roomId = savedRoomId;
+                // Numbered rooms (migration for old data) keep their number as a label under a new ID
+                if (typeof room.number !== 'number') {
+                    roomId = generateRoomId();
+                    room.number = Number(savedRoomId);
+                    room.id = roomId;
+                    migratedRoomIds.set(savedRoomId, roomId);
+                    log.info(`🔁 Migrated Room ${room.number} to room ID ${roomId}`);
+                }
+                // Ensure lastActivity is set for active rooms (migration for old data)
+                if (room.status === 'active' && !room.lastActivity) {
+                    room.lastActivity = Date.now();
+                }
+                // Ensure lastTelegramMessageId is initialized (migration for old data)
+                if (!room.hasOwnProperty('lastTelegramMessageId')) {
+                    room.lastTelegramMessageId = null;
+                }
+                // Ensure the participant has an identity (migration for old data)
+                ensureParticipantIdentity(room.participant);
+                // Rooms of admins no longer on the roster become unassigned
+                room.ownerId = getAdmin(room.ownerId) ? room.ownerId : null;
+                setRoomTelegramChat(roomId, room.ownerId ? getAdmin(room.ownerId).telegramChatId : null);
+                setRoomNumber(roomId, room.number);
+                chatRooms.set(roomId, room);
+                loadedCount++;
+            } else {
+                skippedCount++;
+                log.info(`⏭️ Skipping ${room.status} room ${savedRoomId} (${room.status === ROOM_STATES.PENDING ? 'knock lost in the restart' : 'should be cleaned up'})`);
+            }
+        });
         
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+        log.info(`📂 Loaded ${loadedCount} active rooms, skipped ${skippedCount} pending/ended rooms`);
+    }
+    
+    // Restore participant mappings - but only for rooms that still exist
+    if (data.participantRooms) {
+        let loadedMappings = 0;
+        let skippedMappings = 0;
         
-        const savedCount = roomsToSave.length;
-        const totalCount = chatRooms.size;
-        if (savedCount < totalCount) {
-            console.log(`💾 Saved ${savedCount} active/pending rooms (${totalCount - savedCount} left/cleaned rooms excluded from persistence)`);
-        } else {
-            console.log('💾 Chat data saved successfully');
-        }
-    } catch (error) {
-        console.log('❌ Error saving chat data:', error.message);
+        // Older data keyed the mappings on the participant name - the room's participant ID replaces it
+        data.participantRooms.forEach(([savedKey, savedRoomId]) => {
+            const roomId = migratedRoomIds.get(savedRoomId) || savedRoomId;
+            // Only restore mapping if the room still exists in chatRooms
+            if (chatRooms.has(roomId)) {
+                participantRooms.set(chatRooms.get(roomId).participant.id, roomId);
+                loadedMappings++;
+            } else {
+                skippedMappings++;
+                log.info(`⏭️ Skipping participant mapping for Room ${roomId} (room no longer exists)`);
+            }
+        });
+        
+        log.info(`📂 Loaded ${loadedMappings} participant mappings, skipped ${skippedMappings} orphaned mappings`);
     }
 }
 
+/**
+ * Build the snapshot that gets persisted
+ * 
+ * IMPORTANT: We intentionally exclude ended rooms to prevent
+ * "ghost rooms" from persisting. This ensures:
+ * - Room numbers can be reused
+ * - No stale data accumulates
+ * - Clean state on server restart
+ */
+function buildDataSnapshot() {
+    const roomsToSave = Array.from(chatRooms.entries()).filter(([roomId, room]) => {
+        return room.status === ROOM_STATES.ACTIVE || room.status === ROOM_STATES.PENDING;
+    });
+    
+    return {
+        chatRooms: roomsToSave,
+        participantRooms: Array.from(participantRooms.entries()),
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Save current state to the storage backend
+ * 
+ * Cheap to call after every change: the backend batches calls and writes
+ * the latest snapshot once the debounce window passes.
+ */
+function saveData() {
+    storage.save(buildDataSnapshot);
+}
+
 // Load data on startup
 loadData();
-console.log('📂 File persistence enabled');
+log.info(`📂 Persistence enabled (${storage.name} storage)`);
+
+// Resume Telegram calls left unsent by the last run (after loadData, so resumed knocks find their rooms).
+// Pending rooms are not restored, so their knock notifications are dropped instead of offering dead buttons.
+startTelegramOutbox(DATA_DIR, (item) => item.meta?.kind !== 'knock' || chatRooms.has(item.meta.roomId));
+
+// Write any batched changes before the process exits (Railway sends SIGTERM on deploy)
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.once(signal, () => {
+        log.info(`💾 ${signal} received - flushing chat data before exit`);
+        Promise.all([storage.flush(), flushTelegramOutbox()]).finally(() => process.exit(0));
+    });
+});
 
 // CRITICAL: Register test routes BEFORE any other middleware or routes
 // This ensures they are matched first, before static files or other routes
 
+// Debug routes need an admin session, unless the server runs in dev mode (DEV_MODE=true)
+function requireDebugAccess(req, res, next) {
+    if (LOGGER_CONFIG.DEV_MODE || getRequestSession(req)) {
+        return next();
+    }
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+}
+
 // Test endpoint to verify server is running
-app.get('/test', (req, res) => {
-    console.log('🧪 ========== /test ENDPOINT HIT ==========');
-    console.log('🧪 Request method:', req.method);
-    console.log('🧪 Request path:', req.path);
-    console.log('🧪 Request URL:', req.url);
-    console.log('🧪 Request headers:', req.headers);
+app.get('/test', requireDebugAccess, (req, res) => {
+    log.debug('🧪 /test endpoint hit');
     try {
         res.json({ 
             status: 'ok', 
@@ -705,17 +1814,15 @@ app.get('/test', (req, res) => {
             socketIoConnected: io ? 'YES' : 'NO',
             activeConnections: io ? io.sockets.sockets.size : 0
         });
-        console.log('🧪 Response sent successfully');
     } catch (error) {
-        console.error('❌ Error sending /test response:', error);
+        log.error('❌ Error sending /test response:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
-console.log('✅ /test route registered at line ~689');
 
 // Socket.IO connection test endpoint
-app.get('/socket-test', (req, res) => {
-    console.log('🔌 /socket-test endpoint hit - checking Socket.IO status');
+app.get('/socket-test', requireDebugAccess, (req, res) => {
+    log.debug('🔌 /socket-test endpoint hit - checking Socket.IO status');
     res.json({
         socketIoInitialized: io ? 'YES' : 'NO',
         activeConnections: io ? io.sockets.sockets.size : 0,
@@ -723,7 +1830,11 @@ app.get('/socket-test', (req, res) => {
         message: 'Socket.IO server is running. Check browser console for client connection status.'
     });
 });
-console.log('✅ /socket-test route registered');
+
+// The dashboard is only served through /admin (which checks the session)
+app.get('/admin.html', (req, res) => {
+    res.redirect('/admin');
+});
 
 // Serve static files (after specific routes)
 app.use(express.static(path.join(__dirname, 'public')));
@@ -733,13 +1844,127 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.get('/admin/:adminUrl', (req, res) => {
-    const { adminUrl } = req.params;
-    if (adminUrl === ADMIN_URL) {
-        res.sendFile(path.join(__dirname, 'public', 'admin.html'));
-    } else {
-        res.status(404).send('Admin access denied');
+// Admin dashboard - requires a valid session, otherwise go to the login page
+app.get('/admin', (req, res) => {
+    if (!getRequestSession(req)) {
+        return res.redirect('/admin/login');
+    }
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/admin/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin-login.html'));
+});
+
+// Admin login: POST /admin/login { adminId, password } - sets the session cookie
+// adminId may be left out when there is only one admin
+app.post('/admin/login', express.json({ limit: '1kb' }), (req, res) => {
+    const clientIP = getClientIP(req);
+    const rateLimit = checkRateLimit(clientIP, 'admin-login');
+    if (!rateLimit.allowed) {
+        log.warn('🚫 Rate limited admin login', { clientIP });
+        return res.status(429).json({ ok: false, error: 'Too many attempts. Please wait a minute.' });
+    }
+    
+    const admin = verifyLogin(req.body?.adminId, req.body?.password);
+    if (!admin) {
+        log.warn('🚫 Failed admin login', { clientIP });
+        return res.status(401).json({ ok: false, error: 'Incorrect admin or password' });
+    }
+    
+    const { token, expiresAt } = issueSessionToken(admin.id);
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    res.setHeader('Set-Cookie', buildSessionCookie(token, expiresAt, secure));
+    log.info(`🔐 Admin ${admin.id} logged in`, { clientIP });
+    return res.json({ ok: true, token, admin: toPublicAdmin(admin), expires_at: new Date(expiresAt).toISOString() });
+});
+
+// Admin logout: revokes the session token (cookie or Bearer) and clears the cookie
+app.post('/admin/logout', (req, res) => {
+    const session = revokeRequestSession(req);
+    if (session) {
+        log.info(`🔐 Admin ${session.sub} logged out`);
+    }
+    res.setHeader('Set-Cookie', buildClearedSessionCookie());
+    return res.json({ ok: true });
+});
+
+// Admin: rejected Telegram webhook requests (newest last)
+app.get('/admin/webhook-audit', (req, res) => {
+    if (!getRequestSession(req)) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    return res.json({ ok: true, rejections: getWebhookAuditLog() });
+});
+
+// Admin: Telegram delivery state (queued calls per chat, retries, recent failures)
+app.get('/admin/telegram-outbox', (req, res) => {
+    if (!getRequestSession(req)) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    return res.json({ ok: true, outbox: getOutboxState() });
+});
+
+// Admin: outgoing webhook endpoints and recent deliveries (newest last)
+app.get('/admin/webhook-deliveries', (req, res) => {
+    if (!getRequestSession(req)) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    return res.json({ ok: true, webhooks: getWebhookDeliveries() });
+});
+
+// Prometheus metrics - needs METRICS_TOKEN as a Bearer token (see config/metrics.js)
+app.get('/metrics', (req, res) => {
+    if (!isMetricsRequestAuthorized(req)) {
+        return res.status(401).send('Unauthorized');
     }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(renderMetrics());
+});
+
+// Download the transcript of an ended conversation (linked from the admin tile)
+app.get('/admin/transcripts/:id', (req, res) => {
+    if (!getRequestSession(req)) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    const transcript = getTranscript(req.params.id);
+    if (!transcript) {
+        return res.status(404).json({ ok: false, error: 'Transcript not found (only the most recent ones are kept)' });
+    }
+    res.set('Content-Type', transcript.file.contentType);
+    res.attachment(transcript.file.filename);
+    return res.send(transcript.file.content);
+});
+
+// Admin REST API: rooms, knocks, messages, service and sleep (see config/admin-api.js)
+// Uses the same operations as the dashboard's Socket.IO events
+app.use(ADMIN_API_CONFIG.MOUNT_PATH, createAdminApiRouter({
+    listRooms: () => Array.from(chatRooms.entries()).map(([roomId, room]) => toRoomSummary(roomId, room)),
+    getRoom: (roomId) => {
+        const room = chatRooms.get(roomId);
+        return room ? { summary: toRoomSummary(roomId, room), messages: room.messages } : null;
+    },
+    answerKnock: answerKnockAsAdmin,
+    postMessage: (roomId, adminId, text) => {
+        const room = chatRooms.get(roomId);
+        // A message postAdminMessage refuses (room not active) claims nothing
+        const access = room && room.status === ROOM_STATES.ACTIVE ? takeRoomAccess(roomId, room, adminId) : { ok: true };
+        return access.ok ? postAdminMessage(roomId, adminId, text) : access;
+    },
+    kickRoom: (roomId, adminId) => stopConversationAsAdmin(roomId, adminId, END_REASONS.ADMIN_API),
+    closeRoom: cleanRoomNow,
+    getServiceState: () => ({
+        enabled: serviceEnabled,
+        sleepUntil: isSleeping() ? new Date(sleepUntil).toISOString() : null
+    }),
+    setServiceEnabled,
+    setSleep,
+    clearSleep
+}));
+
+// Public part of the deployment profile (admin name, timezone) for the browser pages
+app.get('/profile', (req, res) => {
+    res.json(getPublicProfile());
 });
 
 app.get('/chat', (req, res) => {
@@ -751,37 +1976,32 @@ app.get('/knock', (req, res) => {
 });
 
 // Admin: set sleep window in minutes (blocks new knocks)
-// Usage: POST /admin/sleep { minutes: 60 }  with header X-Admin-Secret: <ADMIN_SECRET>
+// Usage: POST /admin/sleep { minutes: 60 } with an admin session (same as POST /admin/api/sleep)
 app.post('/admin/sleep', express.json(), (req, res) => {
-    const adminSecret = req.headers['x-admin-secret'];
-    if (process.env.ADMIN_SECRET && adminSecret !== process.env.ADMIN_SECRET) {
-        return res.status(403).json({ ok: false, error: 'Forbidden' });
+    if (!getRequestSession(req)) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
     }
     const minutes = parseInt(req.body?.minutes, 10) || 60;
-    const now = Date.now();
-    sleepUntil = now + minutes * 60 * 1000;
-    console.log(`😴 Sleep mode enabled for ${minutes} minutes (until ${new Date(sleepUntil).toISOString()})`);
-    return res.json({ ok: true, sleep_until: new Date(sleepUntil).toISOString() });
+    const result = setSleep(minutes);
+    return res.json({ ok: true, sleep_until: result.sleepUntil });
 });
 
-// Admin: clear sleep window
+// Admin: clear sleep window (same as DELETE /admin/api/sleep)
 app.post('/admin/sleep/clear', (req, res) => {
-    const adminSecret = req.headers['x-admin-secret'];
-    if (process.env.ADMIN_SECRET && adminSecret !== process.env.ADMIN_SECRET) {
-        return res.status(403).json({ ok: false, error: 'Forbidden' });
+    if (!getRequestSession(req)) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
     }
-    sleepUntil = 0;
-    console.log('😴 Sleep mode cleared');
+    clearSleep();
     return res.json({ ok: true });
 });
 
-// Debug endpoint to check environment variables
-app.get('/debug-env', (req, res) => {
+// Debug endpoint to check environment variables (only whether they are set, never their values)
+app.get('/debug-env', requireDebugAccess, (req, res) => {
     res.json({
         admin_bot_token: process.env.TELEGRAM_BOT_TOKEN ? 'Set' : 'Missing',
         admin_chat_id: process.env.TELEGRAM_CHAT_ID ? 'Set' : 'Missing',
-        bot_token_preview: process.env.TELEGRAM_BOT_TOKEN ? process.env.TELEGRAM_BOT_TOKEN.substring(0, 10) + '...' : 'Not set',
-        chat_id_value: process.env.TELEGRAM_CHAT_ID || 'Not set'
+        log_level: LOGGER_CONFIG.LEVEL,
+        dev_mode: LOGGER_CONFIG.DEV_MODE
     });
 });
 
@@ -789,86 +2009,134 @@ app.get('/debug-env', (req, res) => {
 app.post('/admin-notifications', express.json({ limit: '10kb' }), async (req, res) => {
     const clientIP = getClientIP(req);
     
+    // Only Telegram knows the secret token registered with setWebhook
+    if (!verifyWebhookSecret(req)) {
+        recordWebhookRejection('bad_secret', clientIP, req.body && req.body.message);
+        return res.status(401).send('Unauthorized');
+    }
+    
     // Validate webhook request
     const webhookValidation = validateWebhookRequest(req);
     if (!webhookValidation.valid) {
-        console.log(`🚫 Invalid webhook request from ${clientIP}: ${webhookValidation.error}`);
+        log.warn(`🚫 Invalid webhook request: ${webhookValidation.error}`, { clientIP });
         return res.status(400).send('Bad Request');
     }
     
     // Check rate limit
     const rateLimit = checkRateLimit(clientIP, 'webhook');
     if (!rateLimit.allowed) {
-        console.log(`🚫 Rate limited webhook request from ${clientIP}`);
+        log.warn('🚫 Rate limited webhook request', { clientIP });
         return res.status(429).send('Too Many Requests');
     }
     
-    const message = req.body.message;
-    console.log(`📱 Received admin notification from ${clientIP}:`, message.text);
-    console.log(`📱 Message object:`, JSON.stringify(message, null, 2));
+    // Telegram redelivers webhook calls it thinks failed; process each update once
+    if (!telegramTransport.claimUpdate(req.body.update_id)) {
+        return res.status(200).json({ success: true, action: 'duplicate' });
+    }
+    
+    // The update is claimed, so a redelivery would only be skipped as a duplicate:
+    // answer 200 on failure too, so Telegram does not keep retrying it
+    try {
+        const response = await processTelegramUpdate(req.body, clientIP);
+        res.status(200).json(response);
+    } catch (error) {
+        log.error(`❌ Telegram update ${req.body.update_id} failed`, { error: error.message, stack: error.stack });
+        res.status(200).json({ success: false, action: 'error' });
+    }
+});
+
+// Process an update fetched by the getUpdates poller (already claimed by the transport)
+async function handlePolledUpdate(update) {
+    const validation = validateTelegramUpdate(update);
+    if (!validation.valid) {
+        log.warn(`🚫 Ignoring Telegram update ${update.update_id}: ${validation.error}`);
+        return;
+    }
+    try {
+        await processTelegramUpdate(update, 'getUpdates');
+    } catch (error) {
+        log.error(`❌ Telegram update ${update.update_id} failed`, { error: error.message, stack: error.stack });
+    }
+}
+
+/**
+ * Process one Telegram update from the admin (typed message or button press)
+ * 
+ * Shared by the webhook route and the getUpdates poller (config/telegram-transport.js);
+ * the caller has already validated the update and checked it was not processed before.
+ * 
+ * @param {object} update - Telegram update ({ update_id, message } or { update_id, callback_query })
+ * @param {string} source - Where the update came from, for logs and the audit log (IP or 'getUpdates')
+ * @returns {Promise<object>} - The handler's response ({ success, action, ... })
+ */
+async function processTelegramUpdate(update, source) {
+    // Typed messages arrive as message updates, button presses as callback_query updates
+    const callbackQuery = update.callback_query;
+    const message = callbackQuery
+        ? { from: callbackQuery.from, chat: callbackQuery.message.chat, text: callbackQuery.data }
+        : update.message;
+    
+    // Ignore (but audit) updates from anyone who is not the admin.
+    // The webhook still answers 200 so Telegram does not keep redelivering the update.
+    if (!isAuthorizedSender(message)) {
+        recordWebhookRejection('unauthorized_sender', source, message);
+        return { success: false, action: 'unauthorized' };
+    }
+    
+    log.info(`📱 Received admin ${callbackQuery ? 'button press' : 'notification'}`, { updateId: update.update_id, source, text: message.text });
     
-    // Handle the message using conversation tracking
-    const response = handleTelegramMessage(message);
-    // Any admin message implies presence online; broadcast to active rooms
+    // Buttons name their room directly; typed messages use conversation tracking
+    const response = callbackQuery
+        ? resolveButtonPress(handleTelegramCallback(callbackQuery))
+        : resolveTypedCommand(handleTelegramMessage(message));
+    // Any admin message implies presence online; broadcast to the rooms this admin looks after
     for (let [roomId, room] of chatRooms) {
-        io.to(`room-${roomId}`).emit('admin-presence', { status: 'online', admin: ADMIN_NAME });
+        if (!response.adminId || !room.ownerId || room.ownerId === response.adminId) {
+            io.to(`room-${roomId}`).emit('admin-presence', { status: 'online', admin: getAdminName(room.ownerId) });
+        }
+    }
+    log.debug('📱 Response from admin notification handler', response);
+    
+    // Confirmations and hints go back to the chat the admin wrote from
+    // (as a toast on the pressed button for button presses)
+    const replyOptions = { chat_id: response.chatId };
+    const notifyAdmin = (text) => callbackQuery
+        ? answerCallbackQuery(callbackQuery.id, text, true, callbackQuery.message.chat.id)
+        : sendTelegramMessage(text, replyOptions);
+    
+    // Room actions belong to the room's owner; acting on an unassigned room claims it.
+    // Senders outside the roster (shared chat members) keep the old single-admin behaviour.
+    const actionRoomId = response.context ? response.context.roomId : response.roomId;
+    const actionRoom = response.success && actionRoomId !== undefined ? chatRooms.get(actionRoomId) : null;
+    if (actionRoom && response.adminId) {
+        const access = checkRoomAccess(actionRoom, response.adminId);
+        if (!access.allowed) {
+            const ownerLabel = access.owner ? access.owner.label : 'another admin';
+            log.warn(`🚫 ${response.adminId} tried to act on Room ${actionRoomId}, owned by ${actionRoom.ownerId}`);
+            notifyAdmin(`🔒 ${roomLabel(actionRoomId)} is assigned to ${ownerLabel}.`);
+            return { success: false, action: 'not_owner', roomId: actionRoomId };
+        }
+        if (access.claim) {
+            assignRoom(actionRoomId, response.adminId, response.adminId);
+        }
     }
-    console.log(`📱 Response from admin notification handler:`, JSON.stringify(response, null, 2));
     
     // Process the response if it's successful
     if (response && response.success) {
-        console.log('📱 Processing admin response:', response);
+        log.info(`📱 Processing admin response: ${response.action}`, { roomId: response.roomId, adminId: response.adminId });
+        
+        // Stop the button's loading spinner with a short confirmation
+        if (callbackQuery) {
+            answerCallbackQuery(callbackQuery.id, getButtonToast(response.action), false, callbackQuery.message.chat.id);
+        }
         
         // Process the response based on action
-        const { sendTelegramMessage } = require('./config/telegram');
         switch (response.action) {
             case 'approve':
                 // Approve the knock
-                if (response.socketId) {
-                    const socket = io.sockets.sockets.get(response.socketId);
-                    const room = chatRooms.get(response.roomId);
-                    
-                    if (socket && room) {
-                        // Activate the room
-                        room.status = 'active';
-                        room.lastActivity = Date.now(); // Initialize activity tracking
-                        
-                        // Set up user connection properly
-                        const participantName = response.participantName;
-                        participantRooms.set(participantName, response.roomId);
-                        activeConnections.set(socket.id, {
-                            type: 'participant',
-                            name: participantName,
-                            roomId: response.roomId
-                        });
-                        
-                        // Join the room
-                        socket.join(`room-${response.roomId}`);
-                        
-                        // Add welcome message
-                        const welcomeMessage = {
-                            id: Date.now(),
-                            text: `Welcome ${participantName}! You can now chat with Rajendran D.`,
-                            sender: 'System',
-                            timestamp: new Date().toISOString(),
-                            isAdmin: false
-                        };
-                        room.messages.push(welcomeMessage);
-                        
-                        // Notify admin
-                        io.to('admin-room').emit('new-participant', {
-                            roomId: response.roomId,
-                            participant: { name: participantName }
-                        });
-                        
-                        // Notify user
-                        socket.emit('knock-approved', {
-                            roomId: response.roomId,
-                            message: 'You have been approved! Welcome to the chat.'
-                        });
-                        
-                        console.log(`✅ User ${participantName} approved for Room ${response.roomId}`);
-                    }
+                if (response.socketId && approveKnock(response.roomId, response.socketId, response.participantName).ok) {
+                    // The knock is answered, so Telegram replies to its notification no longer apply
+                    clearActiveRoomContext(response.roomId);
                 }
                 break;
                 
@@ -876,41 +2144,23 @@ app.post('/admin-notifications', express.json({ limit: '10kb' }), async (req, re
             case 'away':
             case 'custom':
                 // Reject the knock with message
-                console.log(`📱 Attempting to reject knock for ${response.participantName} in Room ${response.roomId}`);
-                console.log(`📱 Socket ID: ${response.socketId}`);
+                log.info(`📱 Attempting to reject knock in Room ${response.roomId}`, { socketId: response.socketId });
                 
                 if (response.socketId) {
-                    const socket = io.sockets.sockets.get(response.socketId);
-                    if (socket) {
-                        socket.emit('knock-rejected', { 
-                            message: response.message,
-                            roomId: response.roomId 
-                        });
-                        console.log(`❌ Rejected knock for ${response.participantName}: ${response.message}`);
-                    } else {
-                        console.log(`⚠️ Socket ${response.socketId} not found - user may have disconnected`);
-                        // Clean up the pending knock and room since socket is not available
-                        clearActiveRoomContext(response.roomId);
-                        // Also clean up the room from chatRooms
-                        const room = chatRooms.get(response.roomId);
-                        if (room && room.status === 'pending') {
-                            chatRooms.delete(response.roomId);
-                            console.log(`🗑️ Cleaned up pending room ${response.roomId} after socket disconnect`);
-                        }
-                    }
+                    declineKnock(response.roomId, response.socketId, response.participantName, response.message);
                 } else {
-                    console.log(`⚠️ No socket ID provided for rejection`);
+                    log.warn('⚠️ No socket ID provided for rejection');
                 }
                 break;
                 
             case 'nudge': {
                 // Send nudge message to everyone in the room to ensure delivery even if user hasn't sent a message yet
                 const context = response.context || response;
-                console.log(`📱 Sending nudge to Room ${context.roomId} (participant: ${context.participantName})`);
+                log.info(`📱 Sending nudge to Room ${context.roomId}`, { participant: context.participantName });
 
                 const nudgeMessage = {
-                    id: Date.now(),
-                    text: "Hello! I'm here and ready to help. What would you like to discuss?",
+                    id: createMessageId(),
+                    text: profileText('nudge'),
                     sender: 'System',
                     timestamp: new Date().toISOString(),
                     isAdmin: false
@@ -918,146 +2168,82 @@ app.post('/admin-notifications', express.json({ limit: '10kb' }), async (req, re
 
                 // Broadcast to the room
                 io.to(`room-${context.roomId}`).emit('nudge-message', nudgeMessage);
-                console.log(`👋 Nudge broadcast to room-${context.roomId}: ${nudgeMessage.text}`);
+                log.info(`👋 Nudge broadcast to room-${context.roomId}`);
                 break;
             }
 
-            // (removed) typing indicator case
+            case 'typing': {
+                // Show "typing…" in the participant's chat until the reply arrives
+                const context = response.context;
+                const room = chatRooms.get(context.roomId);
+                if (!TYPING_CONFIG.TELEGRAM) {
+                    notifyAdmin('⌨️ Typing indicators from Telegram are turned off.');
+                } else if (!room || room.status !== ROOM_STATES.ACTIVE) {
+                    notifyAdmin(`⚠️ The conversation in ${roomLabel(context.roomId)} is not active.`);
+                } else {
+                    const typingAdminId = response.adminId || room.ownerId || null;
+                    setTyping(context.roomId, TYPING_SIDES.ADMIN, true, typingAdminId, TYPING_CONFIG.TELEGRAM_TIMEOUT_MS);
+                    log.info(`⌨️ Typing indicator shown in Room ${context.roomId}`, { adminId: typingAdminId });
+                }
+                break;
+            }
                 
-                case 'reply':
+                case 'reply': {
                     // Send admin response to user
+                    // Replies from outside the roster are sent in the owner's name
                     const room = chatRooms.get(response.roomId);
-                    if (room) {
-                        const adminMessage = {
-                            id: Date.now(),
-                            text: response.message,
-                            sender: ADMIN_NAME,
-                            timestamp: new Date().toISOString(),
-                            isAdmin: true
-                        };
-                        
-                        room.messages.push(adminMessage);
-                        saveData();
-                        
-                        // Send to user in the room
-                        console.log(`📤 Broadcasting admin message to room-${response.roomId}:`, adminMessage);
-                        io.to(`room-${response.roomId}`).emit('new-message', adminMessage);
-                        
-                        // Also notify admin interface
-                        io.to('admin-room').emit('admin-message', { roomId: response.roomId, message: adminMessage });
-                        
-                        console.log(`📤 Admin response sent to Room ${response.roomId}: ${response.message}`);
-                    } else {
-                        console.log(`⚠️ Room ${response.roomId} not found for admin reply`);
+                    const replyAdminId = response.adminId || (room ? room.ownerId : null) || null;
+                    const result = postAdminMessage(response.roomId, replyAdminId, response.message);
+                    if (!result.ok) {
+                        log.warn(`⚠️ Admin reply to Room ${response.roomId} not sent: ${result.error}`);
+                        notifyAdmin(`⚠️ ${result.error}`);
                     }
                     break;
+                }
                     
                 case 'close':
                 case 'kick': {
                     // Close the conversation (explicitly kicked by admin)
                     const ctx = response.context || response;
-                    const roomToClose = chatRooms.get(ctx.roomId);
-                    if (roomToClose) {
-                        // Send polite bye message to user
-                        const byeMessage = {
-                            id: Date.now(),
-                            text: "The admin is not able to continue this conversation any longer. Thank you for chatting!",
-                            sender: 'System',
-                            timestamp: new Date().toISOString(),
-                            isAdmin: false
-                        };
-                        roomToClose.messages.push(byeMessage);
-                        io.to(`room-${ctx.roomId}`).emit('new-message', byeMessage);
-
-                        // Build and send final summary to Telegram (only actual conversation messages)
-                        const { sendFinalConversationSummary } = require('./config/telegram');
-                        const participantName = roomToClose.participant?.name || 'Unknown';
-
-                        let conversationSummary = '';
-                        if (roomToClose.messages && roomToClose.messages.length > 0) {
-                            // Filter out system messages, welcome messages, and other non-conversation messages
-                            const filteredMessages = roomToClose.messages.filter(msg => 
-                                msg.sender !== 'System' && 
-                                !msg.text.includes('Welcome') && 
-                                !msg.text.includes('has left') &&
-                                !msg.text.includes('has been inactive') &&
-                                !msg.text.includes('not able to continue')
-                            );
-                            
-                            if (filteredMessages.length > 0) {
-                                conversationSummary = '\n\n📜 <b>Final Conversation Summary:</b>\n';
-                                filteredMessages.forEach(msg => {
-                                    const sender = msg.isAdmin ? 'Rajendran' : msg.sender;
-                                    const msgTime = new Date(msg.timestamp).toLocaleTimeString('en-IN', { 
-                                        timeZone: 'Asia/Kolkata', 
-                                        hour12: true, 
-                                        hour: '2-digit', 
-                                        minute: '2-digit' 
-                                    });
-                                    conversationSummary += `${sender} (${msgTime}): ${msg.text}\n`;
-                                });
-                            }
-                        }
-                        
-                        // Send final summary and delete all intermediate messages
-                        sendFinalConversationSummary(participantName, ctx.roomId, conversationSummary)
-                            .then(() => console.log(`📱 Final summary sent and intermediate messages deleted: ${participantName} Room ${ctx.roomId} (kicked)`))
-                            .catch(error => console.error(`❌ Failed to send final summary (kick):`, error));
-
-                        // Mark room as left first, then clean up after a delay
-                        roomToClose.status = 'left';
-                        roomToClose.leftAt = Date.now();
-                        
-                        // Notify admin interface
-                        io.to('admin-room').emit('room-closed', { roomId: ctx.roomId });
-
-                        // Clean up the room after a short delay (30 seconds) to allow admin to see the summary
-                        setTimeout(() => {
-                            cleanupRoom(ctx.roomId);
-                        }, 30000); // 30 second delay before cleanup
-                        
-                        console.log(`🔒 Room ${ctx.roomId} closed by admin (kick), will be cleaned up in 30 seconds`);
-                    }
+                    endConversation(ctx.roomId, END_REASONS.ADMIN_CLOSED);
                     break;
                 }
                     
             case 'sleep_set':
                     // Set sleep time
                     if (response.minutes && response.minutes > 0) {
-                        serviceSleepUntil = new Date(Date.now() + (response.minutes * 60 * 1000));
-                        console.log(`😴 Sleep time set for ${response.minutes} minutes until ${serviceSleepUntil.toLocaleString()}`);
+                        setSleep(response.minutes);
                         
                         // Send confirmation to Telegram
-                        sendTelegramMessage(`😴 Sleep mode activated for ${response.minutes} minutes.\n⏰ Will resume at ${serviceSleepUntil.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour12: true })}`);
+                        sendTelegramMessage(`😴 Sleep mode activated for ${response.minutes} minutes.\n⏰ Will resume at ${formatTime(sleepUntil)}`, replyOptions);
                     // Broadcast admin presence as away
-                    io.to('admin-room').emit('admin-presence', { status: 'away', admin: ADMIN_NAME });
+                    io.to('admin-room').emit('admin-presence', { status: 'away', admin: getAdminName(response.adminId) });
                     for (let [roomId, room] of chatRooms) {
-                        io.to(`room-${roomId}`).emit('admin-presence', { status: 'away', admin: ADMIN_NAME });
+                        io.to(`room-${roomId}`).emit('admin-presence', { status: 'away', admin: getAdminName(room.ownerId) });
                     }
                     }
                     break;
                     
             case 'sleep_clear':
                     // Clear sleep time
-                    serviceSleepUntil = null;
-                    console.log('😴 Sleep time cleared - service is now active');
+                    clearSleep();
                     
                     // Send confirmation to Telegram
-                    sendTelegramMessage('😴 Sleep mode cleared - service is now active!');
+                    sendTelegramMessage('😴 Sleep mode cleared - service is now active!', replyOptions);
                 // Broadcast admin presence as online
-                io.to('admin-room').emit('admin-presence', { status: 'online', admin: ADMIN_NAME });
+                io.to('admin-room').emit('admin-presence', { status: 'online', admin: getAdminName(response.adminId) });
                 for (let [roomId, room] of chatRooms) {
-                    io.to(`room-${roomId}`).emit('admin-presence', { status: 'online', admin: ADMIN_NAME });
+                    io.to(`room-${roomId}`).emit('admin-presence', { status: 'online', admin: getAdminName(room.ownerId) });
                 }
                     break;
                     
                 case 'sleep_status':
                     // Check sleep status
-                    if (serviceSleepUntil) {
-                        const remainingMinutes = Math.ceil((serviceSleepUntil - new Date()) / (60 * 1000));
-                        sendTelegramMessage(`😴 Sleep mode is active.\n⏰ ${remainingMinutes} minutes remaining until ${serviceSleepUntil.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour12: true })}`);
+                    if (isSleeping()) {
+                        const remainingMinutes = Math.ceil((sleepUntil - Date.now()) / (60 * 1000));
+                        sendTelegramMessage(`😴 Sleep mode is active.\n⏰ ${remainingMinutes} minutes remaining until ${formatTime(sleepUntil)}`, replyOptions);
                     } else {
-                        sendTelegramMessage('😴 Sleep mode is not active - service is running normally.');
+                        sendTelegramMessage('😴 Sleep mode is not active - service is running normally.', replyOptions);
                     }
                     break;
                     
@@ -1066,481 +2252,584 @@ app.post('/admin-notifications', express.json({ limit: '10kb' }), async (req, re
                     const totalRooms = chatRooms.size;
                     const activeRooms = Array.from(chatRooms.values()).filter(room => room.status === 'active').length;
                     const pendingRooms = Array.from(chatRooms.values()).filter(room => room.status === 'pending').length;
-                    const leftRooms = Array.from(chatRooms.values()).filter(room => room.status === 'left').length;
-                    const cleanedRooms = Array.from(chatRooms.values()).filter(room => room.status === 'cleaned').length;
+                    const endingRooms = Array.from(chatRooms.values()).filter(room => room.status === ROOM_STATES.ENDING).length;
+                    
+                    const waiting = getQueueSnapshot();
+                    const waitingList = waiting.length > 0
+                        ? '\n' + waiting.map(entry => `   ${entry.position}. ${escapeHtml(entry.name)} (since ${formatTime(entry.queuedAt)})`).join('\n')
+                        : '';
+                    
+                    // Rooms per admin (unassigned rooms are listed separately)
+                    const ownerCounts = new Map();
+                    for (let room of chatRooms.values()) {
+                        const ownerLabel = room.ownerId ? getAdminLabel(room.ownerId) : 'Unassigned';
+                        ownerCounts.set(ownerLabel, (ownerCounts.get(ownerLabel) || 0) + 1);
+                    }
+                    const ownerLines = getAdmins().length > 1 && ownerCounts.size > 0
+                        ? '\n\n👥 <b>By admin:</b>\n' + Array.from(ownerCounts.entries()).map(([label, count]) => `   ${escapeHtml(label)}: ${count}`).join('\n')
+                        : '';
+                    
+                    // Only worth a line when something is stuck or was lost
+                    const outbox = getOutboxState();
+                    const outboxLine = outbox.queued > 0 || outbox.failed > 0
+                        ? `\n\n📮 <b>Telegram outbox:</b> ${outbox.queued} queued, ${outbox.failed} failed since start`
+                        : '';
                     
-                    const statusMessage = `📊 <b>Room Status Report</b>\n\n` +
-                        `🏠 <b>Total Rooms:</b> ${totalRooms} (unlimited)\n` +
+                    const sleepLine = isSleeping()
+                        ? `😴 <b>Sleeping until:</b> ${formatDateTime(sleepUntil)}\n`
+                        : '';
+                    
+                    const statusMessage = `📊 <b>Room Status Report</b>\n` +
+                        `🕒 ${formatDateTime(new Date())}\n\n` +
+                        `🏠 <b>Total Rooms:</b> ${totalRooms}/${QUEUE_CONFIG.MAX_CONCURRENT_ROOMS}\n` +
                         `🟢 <b>Active:</b> ${activeRooms}\n` +
                         `⏳ <b>Pending:</b> ${pendingRooms}\n` +
-                        `🚪 <b>Left:</b> ${leftRooms}\n` +
-                        `🧹 <b>Cleaned:</b> ${cleanedRooms}\n\n` +
-                        `💬 <b>Actively Engaged:</b> ${activeRooms} room${activeRooms !== 1 ? 's' : ''}`;
+                        `🚪 <b>Ending:</b> ${endingRooms}\n\n` +
+                        `💬 <b>Actively Engaged:</b> ${activeRooms} room${activeRooms !== 1 ? 's' : ''}\n` +
+                        `⏸️ <b>Waiting:</b> ${waiting.length}${waitingList}` +
+                        ownerLines +
+                        outboxLine +
+                        (sleepLine ? `\n\n${sleepLine}` : '');
                     
-                    sendTelegramMessage(statusMessage);
+                    sendTelegramMessage(statusMessage, replyOptions);
                     break;
         }
-    } else if (response && !response.success) {
-        // Send helpful message back to admin if user didn't reply properly
-        console.log('📱 Sending helpful message to admin:', response.message);
-        try {
-            const { sendTelegramMessage } = require('./config/telegram');
-            await sendTelegramMessage(response.message, process.env.TELEGRAM_CHAT_ID);
-        } catch (error) {
-            console.error('Failed to send helpful message:', error);
+    } else if (response && !response.success) {
+        // Send helpful message back to admin if user didn't reply properly
+        log.info('📱 Sending helpful message to admin', { message: response.message });
+        try {
+            await notifyAdmin(response.message);
+        } catch (error) {
+            log.error('Failed to send helpful message:', error);
+        }
+    }
+    
+    return response || { success: false, message: 'No response generated' };
+}
+
+
+// ============================================================================
+// WAITING QUEUE
+// ============================================================================
+
+/**
+ * PROMOTION_CHECKS: Admission checks for knocks promoted from the queue
+ * The rate limit was already counted when the knock was first queued
+ */
+const PROMOTION_CHECKS = ADMISSION_CHECKS.filter(check => check !== checkKnockRateLimit);
+
+// Guards against re-entrant promotion (processKnock can trigger cleanupRoom)
+let promotingKnocks = false;
+
+/**
+ * Queue a knock that arrived while every slot is busy
+ * 
+ * Runs the admission checks first so invalid or rate-limited knocks are
+ * rejected straight away instead of waiting in line.
+ * 
+ * @param {object} socket - The knocking socket
+ * @param {object} data - Knock payload ({ name })
+ */
+function queueKnock(socket, data) {
+    socket.emit('knock-acknowledged', { received: true, timestamp: Date.now() });
+    
+    const participantName = (data && data.name) ? String(data.name).trim() : `Anonymous${Math.floor(Math.random() * 1000)}`;
+    const admission = evaluateKnock(
+        { name: participantName, ip: socket.handshake.address, socketId: socket.id },
+        { chatRooms, sleepUntil }
+    );
+    if (!admission.admitted) {
+        log.warn(`🚫 Knock rejected (${admission.reason}) before queueing`, { participant: participantName });
+        socket.emit('knock-rejected', {
+            message: admission.message,
+            reason: admission.reason,
+            roomId: null
+        });
+        return;
+    }
+    
+    const position = enqueueKnock(socket.id, participantName, { ...data, name: participantName });
+    if (position === null) {
+        log.warn(`🚫 Waiting queue full (${QUEUE_CONFIG.MAX_QUEUE_LENGTH}), turning a knock away`, { participant: participantName });
+        socket.emit('no-rooms-available', {
+            message: profileText('noRoomsAvailable')
+        });
+        return;
+    }
+    
+    broadcastQueuePositions();
+    // A slot may have freed up while the queue was non-empty
+    promoteQueuedKnocks();
+}
+
+// Send every waiting participant their position and update the admin dashboard
+function broadcastQueuePositions() {
+    const snapshot = getQueueSnapshot();
+    
+    snapshot.forEach(entry => {
+        const socket = io.sockets.sockets.get(entry.socketId);
+        if (socket) {
+            socket.emit('queue-position', {
+                position: entry.position,
+                total: snapshot.length
+            });
+        }
+    });
+    
+    io.to('admin-room').emit('queue-updated', {
+        waiting: snapshot.map(({ name, position, queuedAt }) => ({ name, position, queuedAt }))
+    });
+}
+
+/**
+ * Promote waiting knocks into free slots (first in, first out)
+ * 
+ * Called whenever a room is deleted. Knocks whose socket has gone away are
+ * dropped; knocks that fail admission (e.g. sleep mode started while they
+ * waited) are rejected and the next one is tried.
+ */
+function promoteQueuedKnocks() {
+    if (promotingKnocks) {
+        return;
+    }
+    promotingKnocks = true;
+    
+    let promoted = false;
+    try {
+        while (hasFreeSlot(chatRooms.size) && getQueueLength() > 0) {
+            const entry = dequeueKnock();
+            const socket = io.sockets.sockets.get(entry.socketId);
+            if (!socket || !socket.connected) {
+                log.info('⏭️ Dropping queued knock (socket gone)', { participant: entry.name });
+                continue;
+            }
+            
+            log.info('⏫ Promoting queued knock', { participant: entry.name });
+            processKnock(socket, entry.data, PROMOTION_CHECKS);
+            promoted = true;
+        }
+    } finally {
+        promotingKnocks = false;
+    }
+    
+    if (promoted) {
+        broadcastQueuePositions();
+    }
+}
+
+/**
+ * Process a knock from a participant socket
+ * 
+ * Runs the admission checks first, so a turned-away knock never gets a
+ * room. An admitted knock gets its room and an immediate response, then
+ * the admin is notified via Telegram.
+ * 
+ * @param {object} socket - The knocking socket
+ * @param {object} data - Knock payload ({ name })
+ * @param {Array<Function>} admissionChecks - Admission checks to run (defaults to all)
+ */
+function processKnock(socket, data, admissionChecks = ADMISSION_CHECKS) {
+    log.info('🔔 Knock received', { socketId: socket.id });
+    log.debug('🔔 Knock data', { socketConnected: socket.connected, dataKeys: data ? Object.keys(data) : null });
+    
+    // CRITICAL: Send acknowledgment immediately to prove handler is running
+    try {
+        socket.emit('knock-acknowledged', { received: true, timestamp: Date.now() });
+        log.debug('✅ Sent immediate acknowledgment to client');
+    } catch (ackErr) {
+        log.error('❌ CRITICAL: Failed to send acknowledgment:', ackErr);
+        log.error('❌ Acknowledgment error stack:', ackErr.stack);
+    }
+    
+    let requestedName = null; // As typed, for the admission checks
+    let participantName = null; // Display name (requestedName, or "Alex #2" if it is taken)
+    let roomId = null;
+    let clientResponseSent = false;
+    
+    // Helper function to ensure client always gets a response
+    const sendClientResponse = (event, payload) => {
+        if (clientResponseSent) {
+            log.warn(`⚠️ Client response already sent, skipping ${event}`);
+            return;
+        }
+        try {
+            socket.emit(event, payload);
+            clientResponseSent = true;
+            log.debug(`✅ Client response sent: ${event}`, { roomId: payload?.roomId });
+        } catch (err) {
+            log.error(`❌ Failed to send ${event} to client:`, err);
+            log.error(`❌ Error details:`, err.message, err.stack);
+        }
+    };
+    
+    try {
+        requestedName = (data && data.name) ? String(data.name).trim() : `Anonymous${Math.floor(Math.random() * 1000)}`;
+        const clientIP = socket.handshake.address;
+        
+        // Admission checks - before any room exists, so a rejected knock leaves nothing behind
+        const admission = evaluateKnock(
+            { name: requestedName, ip: clientIP, socketId: socket.id },
+            { chatRooms, sleepUntil },
+            admissionChecks
+        );
+        if (!admission.admitted) {
+            log.warn(`🚫 Knock rejected (${admission.reason})`, { socketId: socket.id, clientIP });
+            recordAdmissionRejection(admission.reason);
+            sendClientResponse('knock-rejected', {
+                message: admission.message,
+                reason: admission.reason,
+                roomId: null
+            });
+            return;
+        }
+        
+        // Create the room (new opaque ID, lowest free room number, new participant identity)
+        const created = createRoom(requestedName);
+        roomId = created.roomId;
+        const newRoom = created.room;
+        participantName = newRoom.participant.name;
+        chatRooms.set(roomId, newRoom);
+        participantRooms.set(newRoom.participant.id, roomId);
+        activeConnections.set(socket.id, {
+            type: 'participant',
+            name: participantName,
+            roomId: roomId
+        });
+        socket.join(`room-${roomId}`);
+        
+        log.info(`✅ Room ${roomId} created (status: ${newRoom.status})`, { participant: participantName });
+        
+        // Respond before the Telegram notification, which may take a while
+        if (serviceEnabled) {
+            const welcomeMessage = {
+                id: createMessageId(),
+                text: profileText('welcome', { name: participantName }),
+                sender: 'System',
+                timestamp: new Date().toISOString(),
+                isAdmin: false
+            };
+            newRoom.messages.push(welcomeMessage);
+            const sessionToken = issueParticipantToken(newRoom);
+            saveData();
+            sendClientResponse('room-assigned', { roomId, roomNumber: newRoom.number, name: participantName, sessionToken });
+        } else {
+            sendClientResponse('knock-pending', { 
+                message: profileText('knockReceived'),
+                roomId: roomId,
+                roomNumber: newRoom.number
+            });
+        }
+        
+        log.info(`🔔 Processing knock for Room ${roomId}`, { participant: participantName, clientIP });
+        
+        // Give the knock to the next admin (round-robin) or leave it for the first to claim it
+        const ownerId = pickAdminForKnock();
+        if (ownerId) {
+            assignRoom(roomId, ownerId);
+        }
+        emitWebhookEvent(WEBHOOK_EVENTS.KNOCK_CREATED, {
+            roomId,
+            roomNumber: chatRooms.get(roomId).number,
+            participant: participantName,
+            status: chatRooms.get(roomId).status,
+            owner: toPublicAdmin(getAdmin(ownerId))
+        });
+        if (serviceEnabled) {
+            // Let in without an admin decision
+            recordKnockOutcome('accepted');
+        }
+        
+        // Notify admin if service enabled
+        if (serviceEnabled) {
+            const adminRoom = io.sockets.adapter.rooms.get('admin-room');
+            if (adminRoom && adminRoom.size > 0) {
+                io.to('admin-room').emit('new-participant', {
+                    roomId,
+                    roomNumber: chatRooms.get(roomId).number,
+                    participant: { name: participantName },
+                    owner: toPublicAdmin(getAdmin(ownerId))
+                });
+                log.info('✅ Notified admin of new participant');
+            }
+        }
+        
+        // Step 10: Send Telegram notification (ASYNC - non-blocking)
+        // This happens in background and failures don't affect client
+        const knockKeyboard = buildKnockKeyboard(roomId, chatRooms.get(roomId));
+        const roomNumber = chatRooms.get(roomId).number;
+        createBotForRoom(roomId, participantName)
+            .then((botInfo) => {
+                log.info(`🤖 Bot created: @${botInfo.botUsername}`);
+                const assignment = ownerId
+                    ? escapeHtml(getAdminLabel(ownerId))
+                    : 'Unassigned - the first admin to respond takes it';
+                const knockMessage = `🔔 <b>Someone Knocked!</b>\n\n` +
+                                   `👤 <b>Name:</b> ${escapeHtml(participantName)}\n` +
+                                   `🏠 <b>Room:</b> ${roomNumber}\n` +
+                                   `💬 <b>Conversation:</b> #${botInfo.conversationNumber}\n` +
+                                   `🧑‍💼 <b>Admin:</b> ${assignment}\n` +
+                                   `⏰ <b>Time:</b> ${formatDateTime(new Date())}\n\n` +
+                                   `👇 Tap a button below, or use "Reply" on THIS specific knock with:\n` +
+                                   `• <code>approve</code> - Let them in\n` +
+                                   `• <code>reject</code> - Reject them\n` +
+                                   `• <code>away</code> - Send "away" message\n` +
+                                   `• <code>nudge</code> - Send gentle prompt (after approval)\n` +
+                                   `• <code>sleep 60</code> - Set sleep for 60 minutes\n` +
+                                   `• <code>sleep clear</code> - Clear sleep time\n` +
+                                   `• <code>sleep status</code> - Check sleep status\n` +
+                                   `• Any other text - Custom message`;
+                
+                // One notification per chat: the owner's, or every admin's.
+                // The outbox retries each one; the KNOCK DELIVERY listener sets the reply
+                // context when it arrives and alerts the dashboard if none ever does.
+                const knockRoom = chatRooms.get(roomId);
+                const chatIds = getKnockChatIds(ownerId);
+                if (!knockRoom) {
+                    return;
+                }
+                trackKnockDelivery(knockRoom, chatIds.length);
+                const meta = { kind: 'knock', roomId, roomStamp: getRoomStamp(knockRoom), participantName };
+                return Promise.all(chatIds.map(chatId =>
+                    sendMessageWithBot(roomId, knockMessage, chatId, knockKeyboard, meta)
+                ));
+            })
+            .catch((error) => {
+                log.error('❌ Telegram notification failed (non-critical):', error.message);
+            });
+        
+        log.info(`✅ ========== KNOCK HANDLER COMPLETE ==========`);
+        
+    } catch (error) {
+        log.error('❌ CRITICAL ERROR IN KNOCK HANDLER', { error: error.message, stack: error.stack, roomId, participant: participantName });
+        
+        // GUARANTEE client gets a response
+        if (!clientResponseSent) {
+            if (roomId && chatRooms.has(roomId)) {
+                sendClientResponse('knock-pending', { 
+                    message: profileText('knockProcessing'),
+                    roomId: roomId
+                });
+            } else {
+                sendClientResponse('knock-rejected', { 
+                    message: 'System error: Failed to create room. Please try again.',
+                    roomId: null
+                });
+            }
         }
     }
-    
-    res.status(200).json(response || { success: false, message: 'No response generated' });
-});
-
+}
 
 // Socket.IO connection handling
-console.log('📡 Socket.IO server initialized and listening for connections...');
-console.log('📡 Socket.IO CORS: Enabled for all origins');
-console.log('📡 Socket.IO transports: websocket, polling');
+log.info('📡 Socket.IO server initialized and listening for connections...');
+log.info('📡 Socket.IO CORS: Enabled for all origins');
+log.info('📡 Socket.IO transports: websocket, polling');
 
 // Log connection attempts (even failed ones)
 io.engine.on('connection_error', (err) => {
-    console.error('❌ Socket.IO connection error:', err);
-    console.error('❌ Error details:', err.message, err.stack);
+    log.error('❌ Socket.IO connection error:', err);
+    log.error('❌ Error details:', err.message, err.stack);
 });
 
 io.on('connection', (socket) => {
-    console.log('🔌 ========== NEW SOCKET CONNECTION ==========');
-    console.log('🔌 Socket ID:', socket.id);
-    console.log('🔌 Socket connected:', socket.connected);
-    console.log('🔌 Total active connections:', io.sockets.sockets.size);
-    console.log('🔌 Socket handshake:', {
-        address: socket.handshake.address,
-        headers: socket.handshake.headers,
-        query: socket.handshake.query,
-        url: socket.handshake.url
+    log.info('🔌 New socket connection', {
+        socketId: socket.id,
+        connections: io.sockets.sockets.size,
+        transport: socket.conn.transport.name
     });
-    console.log('🔌 Socket transport:', socket.conn.transport.name);
 
-    // Log all socket events for debugging
+    // Log outgoing socket events for debugging (event names only - payloads carry participant content)
     const originalEmit = socket.emit;
     socket.emit = function(event, ...args) {
-        console.log(`📤 [Socket ${socket.id}] Emitting event: ${event}`, args.length > 0 ? JSON.stringify(args[0]).substring(0, 100) : '');
+        log.debug(`📤 [Socket ${socket.id}] Emitting event: ${event}`);
         return originalEmit.apply(this, [event, ...args]);
     };
     
     // Log socket disconnection
     socket.on('disconnect', (reason) => {
-        console.log(`🔌 Socket ${socket.id} disconnected. Reason: ${reason}`);
+        log.info(`🔌 Socket ${socket.id} disconnected. Reason: ${reason}`);
     });
     
     // Handle admin connection
     socket.on('admin-connect', () => {
-        console.log('🔐 Admin connecting with socket ID:', socket.id);
-        activeConnections.set(socket.id, { type: 'admin', name: ADMIN_NAME });
+        if (!isAdminSocket(socket)) {
+            log.warn(`🚫 Rejected admin-connect without a valid session from socket ${socket.id}`);
+            socket.emit('admin-auth-failed', { message: 'Please log in again.' });
+            return;
+        }
+        const admin = getAdmin(socket.data.adminId);
+        log.info(`🔐 Admin ${admin.id} connecting with socket ID:`, socket.id);
+        activeConnections.set(socket.id, { type: 'admin', name: admin.name, adminId: admin.id });
         socket.join('admin-room');
         
         // Verify admin joined the room
         const adminRoom = io.sockets.adapter.rooms.get('admin-room');
-        console.log('👥 Admin joined admin-room. Total users in admin-room:', adminRoom ? adminRoom.size : 0);
+        log.info('👥 Admin joined admin-room. Total users in admin-room:', adminRoom ? adminRoom.size : 0);
         
         // Send current rooms with full data
-        // Room IDs are now strings (timestamp-based), so no need to parseInt
+        // Tiles are picked by roomNumber; roomId is the opaque key for every reply
         const currentRooms = Array.from(chatRooms.entries()).map(([roomId, room]) => ({
-            roomId: roomId, // Keep as string (timestamp-based format)
+            roomId: roomId,
+            roomNumber: room.number,
             participant: room.participant,
-            messages: room.messages
+            messages: room.messages,
+            owner: toPublicAdmin(getAdmin(room.ownerId)),
+            status: room.status,
+            knockDelivery: getKnockDeliveryState(room),
+            knockDeliveryError: room.knockDelivery ? room.knockDelivery.error : null,
+            transcript: room.transcriptId ? toPublicTranscript(getTranscript(room.transcriptId)) : null
         }));
         
-        socket.emit('admin-connected', { rooms: currentRooms });
-        console.log('Admin connected, sent rooms:', currentRooms);
+        socket.emit('admin-connected', {
+            rooms: currentRooms,
+            waiting: getQueueSnapshot().map(({ name, position, queuedAt }) => ({ name, position, queuedAt })),
+            profile: getPublicProfile(),
+            self: toPublicAdmin(admin),
+            admins: getAdmins().map(toPublicAdmin),
+            assignmentMode: ADMINS_CONFIG.ASSIGNMENT_MODE
+        });
+        log.info(`Admin connected, sent ${currentRooms.length} rooms`, { adminId: admin.id });
+        
+        // The dashboard now has every participant message
+        for (const { roomId } of currentRooms) {
+            advanceRoomMessages(roomId, false, MESSAGE_STATES.DELIVERED);
+        }
     });
 
     // Handle admin status changes
     socket.on('admin-status-change', (data) => {
         const connection = activeConnections.get(socket.id);
-        if (connection && connection.type === 'admin') {
+        if (connection && connection.type === 'admin' && isAdminSocket(socket)) {
             adminStatus = {
                 isActive: data.isActive,
                 lastUpdate: data.timestamp
             };
             
-            console.log(`👨‍💼 Admin status changed to: ${data.isActive ? 'active' : 'away'}`);
+            log.info(`👨‍💼 Admin status changed to: ${data.isActive ? 'active' : 'away'}`);
             
             // Broadcast admin status to all connected users
             io.emit('admin-status-update', adminStatus);
         }
     });
 
-    // Handle service toggle
-    socket.on('toggle-service', (data) => {
+    // Handle an admin taking an unassigned room
+    socket.on('claim-room', (data) => {
         const connection = activeConnections.get(socket.id);
-        if (connection && connection.type === 'admin') {
-            const wasEnabled = serviceEnabled;
-            serviceEnabled = data.enabled;
-            
-            console.log(`🔌 Service ${serviceEnabled ? 'ENABLED' : 'DISABLED'} by admin`);
-            
-            // Broadcast service status to all connected users
-            io.emit('service-status-update', { enabled: serviceEnabled });
-            
-            // If service was turned OFF, send shutdown message to all active users
-            if (wasEnabled && !serviceEnabled) {
-                console.log('🚫 Service disabled - sending shutdown message to all users');
-                
-                // Send shutdown message to all connected users
-                const shutdownMessage = {
-                    id: Date.now(),
-                    text: "The Cat Has Left The House. Sorry. No More Play!",
-                    sender: 'System',
-                    timestamp: new Date().toISOString(),
-                    isAdmin: false,
-                    isShutdown: true
-                };
-                
-                io.emit('service-shutdown', shutdownMessage);
-            }
-            
-            // If service was turned ON, send welcome back message to all active users
-            if (!wasEnabled && serviceEnabled) {
-                console.log('✅ Service enabled - sending welcome back message to all users');
-                
-                // Send welcome back message to all connected users
-                const welcomeBackMessage = {
-                    id: Date.now(),
-                    text: "The Cat is back! You can continue chatting now.",
-                    sender: 'System',
-                    timestamp: new Date().toISOString(),
-                    isAdmin: false,
-                    isWelcomeBack: true
-                };
-                
-                io.emit('service-restored', welcomeBackMessage);
+        if (!connection || connection.type !== 'admin' || !isAdminSocket(socket)) {
+            return;
+        }
+        
+        const roomId = data.roomId;
+        const room = chatRooms.get(roomId);
+        if (!room) {
+            return;
+        }
+        
+        const access = checkRoomAccess(room, connection.adminId);
+        if (!access.allowed) {
+            socket.emit('assignment-error', { roomId, error: `${roomLabel(roomId)} is already assigned to ${access.owner ? access.owner.name : 'another admin'}.` });
+            return;
+        }
+        if (access.claim) {
+            const result = assignRoom(roomId, connection.adminId, connection.adminId);
+            if (!result.ok) {
+                socket.emit('assignment-error', { roomId, error: result.error });
             }
         }
     });
-
-    // Handle participant knock - COMPLETE REWRITE: Simple, bulletproof logic
-    // Register knock handler - this MUST happen for every connection
-    console.log('📝 Registering knock handler for socket:', socket.id);
-    console.log('📝 Handler registration timestamp:', new Date().toISOString());
     
-    socket.on('knock', (data) => {
-        console.log('🔔 ========== KNOCK RECEIVED ==========');
-        console.log('🔔 Socket ID:', socket.id);
-        console.log('🔔 Socket connected:', socket.connected);
-        console.log('🔔 Data received:', JSON.stringify(data));
-        console.log('🔔 Data type:', typeof data);
-        console.log('🔔 Data keys:', data ? Object.keys(data) : 'null');
-        
-        // CRITICAL: Send acknowledgment immediately to prove handler is running
-        try {
-            socket.emit('knock-acknowledged', { received: true, timestamp: Date.now() });
-            console.log('✅ Sent immediate acknowledgment to client');
-        } catch (ackErr) {
-            console.error('❌ CRITICAL: Failed to send acknowledgment:', ackErr);
-            console.error('❌ Acknowledgment error stack:', ackErr.stack);
+    // Handle an admin answering a knock from the dashboard
+    // (needed when the knock's Telegram notification never got through)
+    socket.on('answer-knock', (data) => {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || connection.type !== 'admin' || !isAdminSocket(socket)) {
+            return;
         }
         
-        let participantName = null;
-        let roomId = null;
-        let clientResponseSent = false;
+        const roomId = data.roomId;
+        const result = answerKnockAsAdmin(roomId, connection.adminId, !!data.approve);
+        if (!result.ok) {
+            const error = result.code === 'not_found' ? `The knock in ${roomLabel(roomId)} has already been answered.` : result.error;
+            socket.emit('assignment-error', { roomId, error });
+            return;
+        }
+        log.info(`🖥️ ${connection.adminId} answered the knock in Room ${roomId} from the dashboard`);
+    });
+    
+    // Handle the owner handing a room to a colleague
+    socket.on('assign-room', (data) => {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || connection.type !== 'admin' || !isAdminSocket(socket)) {
+            return;
+        }
         
-        // Helper function to ensure client always gets a response
-        const sendClientResponse = (event, payload) => {
-            if (clientResponseSent) {
-                console.log(`⚠️ Client response already sent, skipping ${event}`);
-                return;
-            }
-            try {
-                console.log(`📤 ATTEMPTING TO SEND: ${event}`, JSON.stringify(payload));
-                socket.emit(event, payload);
-                clientResponseSent = true;
-                console.log(`✅ CLIENT RESPONSE SENT: ${event}`, JSON.stringify(payload));
-            } catch (err) {
-                console.error(`❌ Failed to send ${event} to client:`, err);
-                console.error(`❌ Error details:`, err.message, err.stack);
-            }
-        };
+        const roomId = data.roomId;
+        const room = chatRooms.get(roomId);
+        if (!room) {
+            return;
+        }
         
-        // CRITICAL: Send response IMMEDIATELY - before any validation or processing
-        // This ensures the client knows we received the knock, even if something fails later
-        console.log('🚨 SENDING IMMEDIATE RESPONSE TO CLIENT...');
-        try {
-            // Generate sequential room ID (finds next available number)
-            // Wrap in try-catch to handle any errors
-            try {
-                roomId = generateRoomId();
-                console.log(`✅ Generated room ID: ${roomId}`);
-            } catch (roomIdError) {
-                console.error('❌ Failed to generate room ID:', roomIdError);
-                // Fallback: use a simple incrementing counter
-                let fallbackId = 1;
-                while (chatRooms.has(fallbackId) && fallbackId < 10000) {
-                    fallbackId++;
-                }
-                if (fallbackId >= 10000) {
-                    // Last resort: use timestamp
-                    roomId = `fallback-${Date.now()}`;
-                } else {
-                    roomId = fallbackId;
-                }
-                console.log(`✅ Using fallback room ID: ${roomId}`);
-            }
-            
-            participantName = (data && data.name) ? String(data.name).trim() : `Anonymous${Math.floor(Math.random() * 1000)}`;
-            
-            // Create room immediately
-            const tempRoom = {
-                id: roomId,
-                participant: { name: participantName },
-                messages: [],
-                status: serviceEnabled ? 'active' : 'pending',
-                created: Date.now(),
-                lastActivity: Date.now(),
-                lastTelegramMessageId: null
-            };
-            chatRooms.set(roomId, tempRoom);
-            participantRooms.set(participantName, roomId);
-            activeConnections.set(socket.id, {
-                type: 'participant',
-                name: participantName,
-                roomId: roomId
-            });
-            socket.join(`room-${roomId}`);
-            
-            console.log(`✅ Room ${roomId} created for ${participantName} (status: ${tempRoom.status})`);
-            
-            // Send response IMMEDIATELY - this MUST succeed
-            try {
-                if (serviceEnabled) {
-                    const welcomeMessage = {
-                        id: Date.now(),
-                        text: `Welcome ${participantName}! You can now chat with Rajendran D.`,
-                        sender: 'System',
-                        timestamp: new Date().toISOString(),
-                        isAdmin: false
-                    };
-                    tempRoom.messages.push(welcomeMessage);
-                    saveData();
-                    
-                    socket.emit('room-assigned', { roomId, name: participantName });
-                    console.log(`✅ IMMEDIATE RESPONSE SENT: room-assigned for room ${roomId}`);
-                } else {
-                    socket.emit('knock-pending', { 
-                        message: "Knock received! Waiting for admin approval...",
-                        roomId: roomId
-                    });
-                    console.log(`✅ IMMEDIATE RESPONSE SENT: knock-pending for room ${roomId}`);
-                }
-                clientResponseSent = true;
-            } catch (emitError) {
-                console.error('❌ CRITICAL: Failed to emit response:', emitError);
-                // Last resort: try to send ANY response
-                try {
-                    socket.emit('knock-pending', { 
-                        message: "Knock received! Processing...",
-                        roomId: roomId || 'unknown'
-                    });
-                    clientResponseSent = true;
-                    console.log('✅ Fallback response sent');
-                } catch (fallbackError) {
-                    console.error('❌ CRITICAL: Even fallback response failed:', fallbackError);
-                }
-            }
-            
-            // Now continue with validation and Telegram notification in background
-            console.log('✅ Client response sent, continuing with background processing...');
-        } catch (immediateError) {
-            console.error('❌ CRITICAL: Failed to send immediate response:', immediateError);
-            console.error('❌ Error stack:', immediateError.stack);
-            // Last resort: send error response
-            try {
-                socket.emit('knock-rejected', { 
-                    message: 'System error: Failed to create room. Please try again.',
-                    roomId: null
-                });
-                clientResponseSent = true;
-            } catch (finalError) {
-                console.error('❌ CRITICAL: Could not send any response to client:', finalError);
-            }
+        // Only the owner (or anyone, for an unassigned room) may hand a room over
+        const access = checkRoomAccess(room, connection.adminId);
+        if (!access.allowed) {
+            socket.emit('assignment-error', { roomId, error: `Only ${access.owner ? access.owner.name : 'the owner'} can hand over ${roomLabel(roomId)}.` });
+            return;
         }
         
-        // Continue with validation and cleanup (room already created above)
-        try {
-            const clientIP = socket.handshake.address;
-            
-            // Room should already be created above, but if not, create it now
-            if (!roomId) {
-                console.log('⚠️ Room not created in immediate response, creating now...');
-                roomId = generateRoomId();
-                participantName = (data && data.name) ? String(data.name).trim() : `Anonymous${Math.floor(Math.random() * 1000)}`;
-                
-                const newRoom = {
-                    id: roomId,
-                    participant: { name: participantName },
-                    messages: [],
-                    status: serviceEnabled ? 'active' : 'pending',
-                    created: Date.now(),
-                    lastActivity: Date.now(),
-                    lastTelegramMessageId: null
-                };
-                chatRooms.set(roomId, newRoom);
-                participantRooms.set(participantName, roomId);
-                activeConnections.set(socket.id, {
-                    type: 'participant',
-                    name: participantName,
-                    roomId: roomId
-                });
-                socket.join(`room-${roomId}`);
-                
-                if (!clientResponseSent) {
-                    if (serviceEnabled) {
-                        const welcomeMessage = {
-                            id: Date.now(),
-                            text: `Welcome ${participantName}! You can now chat with Rajendran D.`,
-                            sender: 'System',
-                            timestamp: new Date().toISOString(),
-                            isAdmin: false
-                        };
-                        newRoom.messages.push(welcomeMessage);
-                        saveData();
-                        socket.emit('room-assigned', { roomId, name: participantName });
-                        clientResponseSent = true;
-                    } else {
-                        socket.emit('knock-pending', { 
-                            message: "Knock received! Waiting for admin approval...",
-                            roomId: roomId
-                        });
-                        clientResponseSent = true;
-                    }
-                }
-            }
-            
-            console.log(`🔔 Processing knock from: ${participantName} (IP: ${clientIP}, Room: ${roomId})`);
-            
-            // Validation (non-blocking - room already created)
-            const roomValidation = validateRoomCreation(clientIP, socket.id);
-            if (!roomValidation.valid) {
-                console.log(`⚠️ Rate limit violation (room already created): ${roomValidation.error}`);
-                // Room already created, so we continue
-            }
-            
-            const nameValidation = validateMessage(participantName);
-            if (!nameValidation.valid) {
-                console.log(`⚠️ Name validation failed (room already created): ${nameValidation.error}`);
-                // Room already created, so we continue
-            }
+        const result = assignRoom(roomId, data.adminId, connection.adminId);
+        if (!result.ok) {
+            socket.emit('assignment-error', { roomId, error: result.error });
+        }
+    });
 
-            const now = Date.now();
-            if (sleepUntil && now < sleepUntil) {
-                console.log(`⚠️ Sleep window active (room already created)`);
-                // Room already created, so we continue
-            }
-            
-            // Check for duplicate (but room is already created, so just log)
-            for (let [existingRoomId, room] of chatRooms) {
-                if (room.participant && room.participant.name === participantName && room.status === 'pending' && existingRoomId !== roomId) {
-                    console.log(`⚠️ Duplicate knock detected: ${participantName} in Room ${existingRoomId}`);
-                    // Room already created, so we continue
-                }
-            }
-            
-            // Notify admin if service enabled
-            if (serviceEnabled) {
-                const adminRoom = io.sockets.adapter.rooms.get('admin-room');
-                if (adminRoom && adminRoom.size > 0) {
-                    io.to('admin-room').emit('new-participant', {
-                        roomId,
-                        participant: { name: participantName }
-                    });
-                    console.log('✅ Notified admin of new participant');
-                }
-            }
-            
-            // Step 10: Send Telegram notification (ASYNC - non-blocking)
-            // This happens in background and failures don't affect client
-            createBotForRoom(roomId, participantName)
-                .then((botInfo) => {
-                    console.log(`🤖 Bot created: @${botInfo.botUsername}`);
-                    const knockMessage = `🔔 <b>Someone Knocked!</b>\n\n` +
-                                       `👤 <b>Name:</b> ${participantName}\n` +
-                                       `🏠 <b>Room:</b> ${roomId}\n` +
-                                       `💬 <b>Conversation:</b> #${botInfo.conversationNumber}\n` +
-                                       `⏰ <b>Time:</b> ${new Date().toLocaleString()}\n\n` +
-                                       `⚠️ <b>IMPORTANT:</b> Use "Reply" button to respond to THIS specific knock!\n\n` +
-                                       `Reply with:\n` +
-                                       `• <code>approve</code> - Let them in\n` +
-                                       `• <code>reject</code> - Reject them\n` +
-                                       `• <code>away</code> - Send "away" message\n` +
-                                       `• <code>nudge</code> - Send gentle prompt (after approval)\n` +
-                                       `• <code>sleep 60</code> - Set sleep for 60 minutes\n` +
-                                       `• <code>sleep clear</code> - Clear sleep time\n` +
-                                       `• <code>sleep status</code> - Check sleep status\n` +
-                                       `• Any other text - Custom message`;
-                    return sendMessageWithBot(roomId, knockMessage);
-                })
-                .then((result) => {
-                    if (result && result.success) {
-                        setActiveRoomContext({
-                            type: 'knock',
-                            roomId: roomId,
-                            participantName: participantName,
-                            socketId: socket.id,
-                            replyMessageId: result.messageId,
-                            botInfo: result.botInfo
-                        });
-                        console.log('📱 Telegram notification sent');
-                    } else {
-                        // Fallback
-                        return sendKnockNotification(participantName, roomId);
-                    }
-                })
-                .then((result) => {
-                    if (result && result.success && !result.botInfo) {
-                        setActiveRoomContext({
-                            type: 'knock',
-                            roomId: roomId,
-                            participantName: participantName,
-                            socketId: socket.id,
-                            replyMessageId: result.messageId
-                        });
-                        console.log('📱 Fallback Telegram notification sent');
-                    }
-                })
-                .catch((error) => {
-                    console.error('❌ Telegram notification failed (non-critical):', error.message);
-                });
-            
-            console.log(`✅ ========== KNOCK HANDLER COMPLETE ==========`);
-            
-        } catch (error) {
-            console.error('❌ ========== CRITICAL ERROR IN KNOCK HANDLER ==========');
-            console.error('❌ Error:', error.message);
-            console.error('❌ Stack:', error.stack);
-            console.error('❌ Participant:', participantName);
-            console.error('❌ Room ID:', roomId);
-            
-            // GUARANTEE client gets a response
-            if (!clientResponseSent) {
-                if (roomId && chatRooms.has(roomId)) {
-                    sendClientResponse('knock-pending', { 
-                        message: "Knock received! Processing...",
-                        roomId: roomId
-                    });
-                } else {
-                    sendClientResponse('knock-rejected', { 
-                        message: 'System error: Failed to create room. Please try again.',
-                        roomId: null
-                    });
-                }
-            }
+    // Handle service toggle
+    socket.on('toggle-service', (data) => {
+        const connection = activeConnections.get(socket.id);
+        if (connection && connection.type === 'admin' && isAdminSocket(socket)) {
+            setServiceEnabled(data.enabled);
+        }
+    });
+
+    // Handle participant knock - COMPLETE REWRITE: Simple, bulletproof logic
+    // Register knock handler - this MUST happen for every connection
+    log.debug('📝 Registering knock handler', { socketId: socket.id });
+    
+    socket.on('knock', (data) => {
+        // Wait in line when every slot is busy, or when others are already waiting
+        if (mustQueueKnock(chatRooms.size)) {
+            queueKnock(socket, data);
+            return;
         }
+        processKnock(socket, data);
     });
 
     // Handle chat messages
-    socket.on('send-message', (data) => {
+    // The sender's acknowledgement gets { ok: true, message } (the stored message, status 'sent')
+    // or { ok: false, error }; senders without one get message-sent / message-error instead
+    socket.on('send-message', (data, ack) => {
+        const respond = (result) => {
+            if (typeof ack === 'function') {
+                ack(result);
+            } else if (result.ok) {
+                socket.emit('message-sent', result.message);
+            } else {
+                const { ok, ...error } = result;
+                socket.emit('message-error', error);
+            }
+        };
+        
         // Get connection info first to check room status
         const connection = activeConnections.get(socket.id);
         if (!connection) {
-            console.log('❌ No connection found for socket:', socket.id);
+            log.info('❌ No connection found for socket:', socket.id);
+            respond({ ok: false, error: 'Not connected to a room.' });
+            return;
+        }
+        
+        // Admin messages require a valid admin session
+        if (connection.type === 'admin' && !isAdminSocket(socket)) {
+            log.warn(`🚫 Admin message rejected - session expired for socket ${socket.id}`);
+            socket.emit('admin-auth-failed', { message: 'Your session has expired. Please log in again.' });
+            respond({ ok: false, error: 'Your session has expired. Please log in again.' });
             return;
         }
         
@@ -1548,8 +2837,8 @@ io.on('connection', (socket) => {
         if (connection.type === 'participant') {
             const room = chatRooms.get(connection.roomId);
             if (!room || room.status !== 'active') {
-                console.log('🚫 Message rejected - room not active for participant');
-                socket.emit('message-error', { error: 'Room is not active. Please wait for approval.' });
+                log.warn('🚫 Message rejected - room not active for participant');
+                respond({ ok: false, error: 'Room is not active. Please wait for approval.' });
                 return;
             }
         }
@@ -1557,51 +2846,51 @@ io.on('connection', (socket) => {
         // Validate message content
         const messageValidation = validateMessage(data.text);
         if (!messageValidation.valid) {
-            console.log(`🚫 Invalid message from socket ${socket.id}: ${messageValidation.error}`);
-            socket.emit('message-error', { error: messageValidation.error });
+            log.warn(`🚫 Invalid message from socket ${socket.id}: ${messageValidation.error}`);
+            respond({ ok: false, error: messageValidation.error });
             return;
         }
 
         // Check user rate limit
         const userRateLimit = checkUserRateLimit(socket.id, 'message');
         if (!userRateLimit.allowed) {
-            console.log(`🚫 Message rate limited for socket ${socket.id}`);
-            socket.emit('message-error', { 
+            log.warn(`🚫 Message rate limited for socket ${socket.id}`);
+            respond({
+                ok: false,
                 error: 'Too many messages. Please slow down.',
                 resetTime: userRateLimit.resetTime
             });
             return;
         }
 
-        console.log('📨 Message received from socket:', socket.id);
-        console.log('🔗 Connection found:', connection);
+        // Admins may only write in their own rooms; writing in an unassigned room claims it
+        if (connection.type === 'admin') {
+            const room = chatRooms.get(data.roomId);
+            const access = room && room.status === ROOM_STATES.ACTIVE ? takeRoomAccess(data.roomId, room, connection.adminId) : { ok: true };
+            if (!access.ok) {
+                respond({ ok: false, error: access.error });
+                return;
+            }
+        }
 
-        const message = {
-            id: Date.now(),
-            text: data.text,
-            sender: connection.name,
-            timestamp: new Date().toISOString(),
-            isAdmin: connection.type === 'admin'
-        };
-        
-        console.log('📅 Message timestamp created:', message.timestamp);
-        console.log('📅 Timestamp type:', typeof message.timestamp);
+        log.info('📨 Message received', { socketId: socket.id, type: connection.type, roomId: connection.type === 'admin' ? data.roomId : connection.roomId });
 
         if (connection.type === 'admin') {
-            // Admin message to specific room
-            const roomId = data.roomId;
-            const room = chatRooms.get(roomId);
-            if (room) {
-                // Update last activity timestamp (admin message counts as activity)
-                room.lastActivity = Date.now();
-                
-                room.messages.push(message);
-                saveData();
-                io.to(`room-${roomId}`).emit('new-message', message);
-                socket.emit('message-sent', message);
-            }
+            // Admin message to specific room (other dashboards see which admin replied)
+            const result = postAdminMessage(data.roomId, connection.adminId, data.text, socket);
+            respond(result.ok ? { ok: true, message: result.message } : { ok: false, error: result.error });
         } else {
             // Participant message
+            const message = {
+                id: createMessageId(),
+                text: data.text,
+                sender: connection.name,
+                timestamp: new Date().toISOString(),
+                isAdmin: false,
+                status: MESSAGE_STATES.SENT
+            };
+            log.debug('📅 Message timestamp created', { timestamp: message.timestamp });
+            
             const roomId = connection.roomId;
             const room = chatRooms.get(roomId);
             if (room) {
@@ -1610,18 +2899,22 @@ io.on('connection', (socket) => {
                 
                 room.messages.push(message);
                 saveData();
+                setTyping(roomId, TYPING_SIDES.PARTICIPANT, false);
                 io.to(`room-${roomId}`).emit('new-message', message);
-                io.to('admin-room').emit('admin-message', { roomId, message });
-                socket.emit('message-sent', message);
+                emitForDelivery(io.to('admin-room'), 'admin-message', { roomId, message }, roomId, message);
+                emitWebhookEvent(WEBHOOK_EVENTS.ROOM_MESSAGE, { roomId, roomNumber: room.number, message });
+                recordMessage('participant');
+                respond({ ok: true, message });
                 
                 // Send Telegram notification for user message with chat history
-                // Pass lastTelegramMessageId to delete previous message
+                // Pass lastTelegramMessageId (the card to edit after a restart, or the message to delete in resend mode)
                 // IMPORTANT: Store the current message ID BEFORE sending to prevent race conditions
                 const currentLastMessageId = room.lastTelegramMessageId;
                 
-                console.log(`📤 [Room ${roomId}] Sending user message notification. Previous message ID: ${currentLastMessageId || 'none'}`);
+                log.info(`📤 [Room ${roomId}] Sending user message notification. Previous message ID: ${currentLastMessageId || 'none'}`);
                 
-                sendUserMessageNotification(connection.name, roomId, data.text, room.messages, currentLastMessageId).then((result) => {
+                const conversationKeyboard = buildConversationKeyboard(roomId, room);
+                sendUserMessageNotification(connection.name, roomId, data.text, room.messages, currentLastMessageId, conversationKeyboard).then((result) => {
                     if (result.success && result.messageId) {
                         // Atomically update the message ID - this prevents race conditions
                         // Only update if this is still the current room state
@@ -1629,9 +2922,14 @@ io.on('connection', (socket) => {
                         if (currentRoom && currentRoom.lastTelegramMessageId === currentLastMessageId) {
                             currentRoom.lastTelegramMessageId = result.messageId;
                             saveData(); // Save the updated room with message ID
-                            console.log(`📱 Stored new Telegram message ID ${result.messageId} for Room ${roomId}`);
+                            log.info(`📱 Stored new Telegram message ID ${result.messageId} for Room ${roomId}`);
                         } else {
-                            console.log(`⚠️ Room ${roomId} state changed during message send, not updating message ID`);
+                            log.warn(`⚠️ Room ${roomId} state changed during message send, not updating message ID`);
+                        }
+                        
+                        // The admin has it on Telegram
+                        if (advanceMessageStatus(message, MESSAGE_STATES.DELIVERED)) {
+                            emitMessageStatus(roomId, [message.id], MESSAGE_STATES.DELIVERED);
                         }
                         
                         // Set active room context for Telegram responses
@@ -1639,62 +2937,79 @@ io.on('connection', (socket) => {
                             type: 'message',
                             roomId: roomId,
                             participantName: connection.name,
-                            replyMessageId: result.messageId
+                            replyMessageId: result.messageId,
+                            chatId: result.chatId
                         });
-                        console.log('📱 Admin message notification sent with message ID:', result.messageId);
+                        log.info('📱 Admin message notification sent with message ID:', result.messageId);
                     } else {
-                        console.error('❌ Failed to send admin message notification');
+                        log.error('❌ Failed to send admin message notification');
                     }
                 }).catch(error => {
-                    console.error('❌ Failed to send admin message notification:', error);
+                    log.error('❌ Failed to send admin message notification:', error);
                 });
             }
         }
     });
 
         socket.on('join-room', (data) => {
-        // Room IDs are sequential numbers (1, 2, 3, ...)
-        const roomId = Number(data.roomId);
+        // Room IDs are opaque strings - the room number is only a display label
+        const roomId = String(data.roomId);
         const room = chatRooms.get(roomId);
         if (!room) { 
-            console.log(`⚠️ Room ${roomId} not found for join-room`);
+            log.warn(`⚠️ Room ${roomId} not found for join-room`);
             socket.emit('room-not-found'); 
             return; 
         }
     
         if (data.isAdmin) {
+          if (!isAdminSocket(socket)) {
+              log.warn(`🚫 Admin join-room rejected for socket ${socket.id} - no valid session`);
+              socket.emit('admin-auth-failed', { message: 'Please log in again.' });
+              return;
+          }
           socket.join(`room-${roomId}`);
           socket.emit('room-joined', { roomId, messages: room.messages, participant: room.participant });
           return;
         }
     
-        const participantName = data.participantName;
-        if (!participantName || room.participant?.name !== participantName) {
-            console.log(`⚠️ Invalid participant name ${participantName} for room ${roomId}`);
+        // Only the holder of the session token issued on admission may join (room IDs and names are guessable)
+        if (!verifyParticipantToken(room, data.sessionToken)) {
+            log.warn(`🚫 Participant join-room rejected for room ${roomId} - missing or wrong session token`, { socketId: socket.id });
             socket.emit('room-not-found'); 
             return;
         }
+        const participantName = room.participant.name;
     
         // Cancel grace period if user is reconnecting (not actually leaving)
         if (room.disconnectGracePeriod) {
             room.disconnectGracePeriod = false;
-            console.log(`🔍 User ${participantName} reconnected to room ${roomId} - grace period cancelled`);
+            log.info(`🔍 Participant reconnected to room ${roomId} - grace period cancelled`, { participant: participantName });
         }
         
         activeConnections.set(socket.id, { type: 'participant', name: participantName, roomId });
         socket.join(`room-${roomId}`);
-        console.log(`🔍 Join-room: Sending ${room.messages.length} messages to participant ${participantName}`);
-        console.log(`🔍 Join-room: Room messages:`, room.messages);
-        console.log(`🔍 Join-room: Socket ${socket.id} joined room-${roomId}`);
+        log.info(`🔍 Join-room: Socket ${socket.id} joined room-${roomId}, sending ${room.messages.length} messages`, { participant: participantName });
         
         socket.emit('room-joined', { 
             roomId, 
             messages: room.messages, 
             participant: room.participant,
-            adminStatus: adminStatus
+            adminStatus: adminStatus,
+            profile: getPublicProfile(),
+            adminName: getAdminName(room.ownerId)
         });
+        
+        // The history includes admin messages sent while the participant was away
+        advanceRoomMessages(roomId, true, MESSAGE_STATES.DELIVERED);
     });
 
+    // Typing indicators (throttled by the pages, stopped here when they go stale)
+    socket.on('typing-start', (data) => handleTypingEvent(socket, data, true));
+    socket.on('typing-stop', (data) => handleTypingEvent(socket, data, false));
+
+    // Read receipts (the chat window or the room's tile is in focus)
+    socket.on('messages-read', (data) => handleMessagesRead(socket, data));
+
     // Handle participant leaving room
     socket.on('leave-room', () => {
         const connection = activeConnections.get(socket.id);
@@ -1702,73 +3017,12 @@ io.on('connection', (socket) => {
             const roomId = connection.roomId;
             const room = chatRooms.get(roomId);
             
-            if (room) {
-                // Mark room as left (not deleted)
-                room.status = 'left';
-                room.leftAt = new Date().toISOString();
-                
-                // Add leave message to room
-                const leaveMessage = {
-                    id: Date.now(),
-                    text: `${connection.name} has left the chat room.`,
-                    sender: 'System',
-                    timestamp: new Date().toISOString(),
-                    isAdmin: false
-                };
-                
-                room.messages.push(leaveMessage);
-                saveData();
-                
-                // Notify admin
-                io.to('admin-room').emit('participant-left', { 
-                    roomId, 
-                    participant: connection,
-                    message: leaveMessage
-                });
-                
-                // Build conversation summary (only actual conversation messages)
-                const { sendFinalConversationSummary } = require('./config/telegram');
-                
-                let conversationSummary = '';
-                if (room.messages && room.messages.length > 0) {
-                    // Filter out system messages, welcome messages, and other non-conversation messages
-                    const filteredMessages = room.messages.filter(msg => 
-                        msg.sender !== 'System' && 
-                        !msg.text.includes('Welcome') && 
-                        !msg.text.includes('has left') &&
-                        !msg.text.includes('has been inactive') &&
-                        !msg.text.includes('not able to continue')
-                    );
-                    
-                    if (filteredMessages.length > 0) {
-                        conversationSummary = '\n\n📜 <b>Final Conversation Summary:</b>\n';
-                        filteredMessages.forEach(msg => {
-                            const sender = msg.isAdmin ? 'Rajendran' : msg.sender;
-                            
-                            // Format time as HH:MM AM/PM in IST
-                            const msgTime = new Date(msg.timestamp).toLocaleTimeString('en-IN', { 
-                                timeZone: 'Asia/Kolkata',
-                                hour12: true, 
-                                hour: '2-digit', 
-                                minute: '2-digit' 
-                            });
-                            
-                            conversationSummary += `${sender} (${msgTime}): ${msg.text}\n`;
-                        });
-                    }
-                }
-                
-                // Send final summary and delete all intermediate messages
-                sendFinalConversationSummary(connection.name, roomId, conversationSummary)
-                    .then(() => console.log(`📱 Final conversation summary sent and intermediate messages deleted: User ${connection.name} left Room ${roomId}`))
-                    .catch(error => console.error(`❌ Failed to send final summary:`, error));
-                
-                console.log(`Participant ${connection.name} left room ${roomId}`);
-                
-                // Clean up the room after a short delay (30 seconds) to allow admin to see the summary
-                setTimeout(() => {
-                    cleanupRoom(roomId);
-                }, 30000); // 30 second delay before cleanup
+            if (room && room.status === ROOM_STATES.PENDING) {
+                // Nothing to summarise yet - just free the room
+                cleanupRoom(roomId);
+            } else if (room) {
+                endConversation(roomId, END_REASONS.PARTICIPANT_LEFT);
+                log.info(`Participant left room ${roomId}`, { participant: connection.name });
             }
             
             activeConnections.delete(socket.id);
@@ -1778,43 +3032,9 @@ io.on('connection', (socket) => {
     // Handle admin room cleanup
     socket.on('cleanup-room', (data) => {
         const connection = activeConnections.get(socket.id);
-        if (connection && connection.type === 'admin') {
-            const roomId = data.roomId;
-            const room = chatRooms.get(roomId);
-            
-            if (room && room.status === 'left') {
-                console.log(`🧹 Cleaning room ${roomId} - deleting completely`);
-                console.log(`🧹 Room ${roomId} had ${room.messages.length} messages before deletion`);
-                
-                // Completely delete the room - fresh start
-                chatRooms.delete(roomId);
-                
-                // Remove from participant mappings
-                for (const [participant, mappedRoomId] of participantRooms.entries()) {
-                    if (mappedRoomId === roomId) {
-                        participantRooms.delete(participant);
-                        console.log(`🧹 Removed participant mapping for ${participant}`);
-                        break;
-                    }
-                }
-                
-                saveData();
-                console.log(`🧹 Room ${roomId} completely deleted from chatRooms`);
-                console.log(`🧹 Current rooms after deletion:`, Array.from(chatRooms.keys()));
-                
-                // Notify admin that room is completely cleared
-                io.to('admin-room').emit('room-cleaned', { 
-                    roomId, 
-                    message: {
-                        id: Date.now(),
-                        text: 'Room has been completely cleared and is ready for new participants.',
-                        sender: 'System',
-                        timestamp: new Date().toISOString(),
-                        isAdmin: false
-                    }
-                });
-                
-                console.log(`Admin cleaned room ${roomId} - room completely deleted`);
+        if (connection && connection.type === 'admin' && isAdminSocket(socket)) {
+            if (cleanRoomNow(data.roomId).ok) {
+                log.info(`Admin cleaned room ${data.roomId} - room completely deleted`);
             }
         }
     });
@@ -1822,42 +3042,12 @@ io.on('connection', (socket) => {
     // Handle admin stop chat request
     socket.on('stop-chat', (data) => {
         const connection = activeConnections.get(socket.id);
-        if (connection && connection.type === 'admin') {
+        if (connection && connection.type === 'admin' && isAdminSocket(socket)) {
             const roomId = data.roomId;
-            const room = chatRooms.get(roomId);
-            
-            if (room && room.status === 'active') {
-                console.log(`🚫 Admin stopping chat in room ${roomId}`);
-                
-                // Send kick message to the participant
-                const kickMessage = {
-                    id: Date.now(),
-                    text: "The admin is not able to continue this conversation any longer. Bye for now!",
-                    sender: 'System',
-                    timestamp: new Date().toISOString(),
-                    isAdmin: false
-                };
-                
-                // Send the kick message to the participant
-                io.to(`room-${roomId}`).emit('new-message', kickMessage);
-                
-                // Update room status to 'left'
-                room.status = 'left';
-                
-                // Notify admin that participant has been kicked
-                io.to('admin-room').emit('participant-left', { 
-                    roomId, 
-                    participant: room.participant,
-                    message: {
-                        id: Date.now(),
-                        text: `This chat has now ended. ${room.participant.name} has been moved out of the room.`,
-                        sender: 'System',
-                        timestamp: new Date().toISOString(),
-                        isAdmin: false
-                    }
-                });
-                
-                console.log(`Admin stopped chat in room ${roomId} - participant kicked out`);
+            const result = stopConversationAsAdmin(roomId, connection.adminId, END_REASONS.ADMIN_STOPPED);
+            // A room that is no longer active was already stopped - nothing to report
+            if (!result.ok && result.code === 'forbidden') {
+                socket.emit('assignment-error', { roomId, error: result.error });
             }
         }
     });
@@ -1865,144 +3055,92 @@ io.on('connection', (socket) => {
 
     // Handle disconnection
     socket.on('disconnect', () => {
-        console.log('🔌 DISCONNECT EVENT TRIGGERED for socket:', socket.id);
+        log.debug('🔌 Disconnect event triggered', { socketId: socket.id });
+        
+        // Give up this socket's place in the waiting queue
+        if (removeQueuedKnock(socket.id)) {
+            log.info(`⏳ Removed ${socket.id} from waiting queue`);
+            broadcastQueuePositions();
+        }
         const connection = activeConnections.get(socket.id);
-        console.log('🔌 Connection found:', connection);
+        log.debug('🔌 Connection found', { found: !!connection, type: connection?.type, roomId: connection?.roomId });
         
         if (connection) {
             if (connection.type === 'participant') {
                 const roomId = connection.roomId;
                 const room = chatRooms.get(roomId);
-                console.log(`🔌 Participant ${connection.name} disconnecting from room ${roomId}`);
-                console.log(`🔌 Room exists:`, !!room);
-                console.log(`🔌 Room status:`, room ? room.status : 'N/A');
+                log.info(`🔌 Participant disconnecting from room ${roomId}`, { participant: connection.name, roomStatus: room ? room.status : null });
                 
                 // Only add "left" message if room is active (not pending)
-                if (room && room.status === 'active') {
+                if (room && room.status === ROOM_STATES.ACTIVE) {
                     // Add a grace period to distinguish between page navigation and real leaving
                     // If user reconnects within 5 seconds, don't add "left" message
                     room.disconnectTime = Date.now();
                     room.disconnectGracePeriod = true;
+                    setTyping(roomId, TYPING_SIDES.PARTICIPANT, false);
                     
-                    // Set a timeout to add the "left" message if user doesn't reconnect
+                    // End the conversation if the user doesn't reconnect
                     setTimeout(() => {
                         const currentRoom = chatRooms.get(roomId);
-                        if (currentRoom && currentRoom.disconnectGracePeriod && currentRoom.status === 'active') {
+                        if (currentRoom && currentRoom.disconnectGracePeriod && currentRoom.status === ROOM_STATES.ACTIVE) {
                             // User didn't reconnect, they actually left
-                            currentRoom.status = 'left';
-                            currentRoom.leftAt = Date.now();
-                            
-                            // Add leave message to room
-                            const leaveMessage = {
-                                id: Date.now(),
-                                text: `${connection.name} has left the chat room.`,
-                                sender: 'System',
-                                timestamp: new Date().toISOString(),
-                                isAdmin: false
-                            };
-                            
-                            currentRoom.messages.push(leaveMessage);
-                            
-                            // Notify admin that participant left (so admin can see transcript and clean)
-                            console.log(`🔌 EMITTING participant-left event for room ${roomId}`);
-                            io.to('admin-room').emit('participant-left', {
-                                roomId,
-                                participant: connection,
-                                message: leaveMessage
-                            });
-
-                            // Build and send final conversation summary (only actual conversation messages)
-                            const { sendFinalConversationSummary } = require('./config/telegram');
-                            
-                            // Build conversation summary
-                            let conversationSummary = '';
-                            if (currentRoom.messages && currentRoom.messages.length > 0) {
-                                // Filter out system messages, welcome messages, and other non-conversation messages
-                                const filteredMessages = currentRoom.messages.filter(msg => 
-                                    msg.sender !== 'System' && 
-                                    !msg.text.includes('Welcome') && 
-                                    !msg.text.includes('has left') &&
-                                    !msg.text.includes('has been inactive') &&
-                                    !msg.text.includes('not able to continue')
-                                );
-                                
-                                if (filteredMessages.length > 0) {
-                                    conversationSummary = '\n\n📜 <b>Final Conversation Summary:</b>\n';
-                                    filteredMessages.forEach(msg => {
-                                        const sender = msg.isAdmin ? 'Rajendran' : msg.sender;
-                                        
-                                        // Format time as HH:MM AM/PM in IST
-                                        const msgTime = new Date(msg.timestamp).toLocaleTimeString('en-IN', { 
-                                            timeZone: 'Asia/Kolkata',
-                                            hour12: true, 
-                                            hour: '2-digit', 
-                                            minute: '2-digit' 
-                                        });
-                                        
-                                        conversationSummary += `${sender} (${msgTime}): ${msg.text}\n`;
-                                    });
-                                }
-                            }
-                            
-                            // Send final summary and delete all intermediate messages
-                            sendFinalConversationSummary(connection.name, roomId, conversationSummary)
-                                .then(() => console.log(`📱 Final summary sent and intermediate messages deleted: User ${connection.name} left Room ${roomId}`))
-                                .catch(error => console.error(`❌ Failed to send final summary:`, error));
-                            
-                            console.log(`✅ Participant ${connection.name} actually left room ${roomId} after grace period`);
-                            
-                            // Clean up the room after a short delay (30 seconds) to allow admin to see the summary
-                            setTimeout(() => {
-                                cleanupRoom(roomId);
-                            }, 30000); // 30 second delay before cleanup
+                            endConversation(roomId, END_REASONS.DISCONNECTED);
+                            log.info(`✅ Participant actually left room ${roomId} after grace period`, { participant: connection.name });
                         }
                     }, 5000); // 5 second grace period
                     
-                    console.log(`🔌 Participant ${connection.name} disconnected from room ${roomId} - grace period started`);
-                } else if (room && room.status === 'pending') {
+                    log.info(`🔌 Participant disconnected from room ${roomId} - grace period started`, { participant: connection.name });
+                } else if (room && room.status === ROOM_STATES.PENDING) {
                     // For pending rooms, clean up immediately (no grace period needed)
-                    console.log(`🔌 Participant ${connection.name} disconnected from pending room ${roomId} - cleaning up immediately`);
+                    log.info(`🔌 Participant disconnected from pending room ${roomId} - cleaning up immediately`, { participant: connection.name });
                     // Clean up the pending room immediately
                     cleanupRoom(roomId);
                 } else {
-                    console.log(`⚠️ Room ${roomId} not found or not active, skipping participant-left event`);
+                    log.warn(`⚠️ Room ${roomId} not found or not active, skipping participant-left event`);
                 }
             }
             activeConnections.delete(socket.id);
         } else {
-            console.log('⚠️ No connection found for disconnecting socket');
+            log.warn('⚠️ No connection found for disconnecting socket');
         }
-        console.log('🔌 Client disconnected:', socket.id);
+        log.info('🔌 Client disconnected', { socketId: socket.id });
     });
 });
 
 // Add catch-all route for debugging (after all other routes)
 app.use((req, res, next) => {
-    console.log(`🔍 Unmatched route: ${req.method} ${req.path} ${req.url}`);
-    console.log(`🔍 Registered routes check: /test route should be available`);
+    log.debug(`🔍 Unmatched route: ${req.method} ${req.path}`);
     next(); // Let Express continue to 404 handler
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-    console.log('='.repeat(80));
-    console.log(`🚀 Anonymice server running on port ${PORT}`);
-    console.log(`🔐 ADMIN URL: https://web-production-8d6b4.up.railway.app/admin/${ADMIN_URL}`);
-    console.log(`🚪 Knock URL: https://web-production-8d6b4.up.railway.app/knock`);
-    console.log(`🧪 Test endpoint: https://web-production-8d6b4.up.railway.app/test`);
-    console.log(`📡 Socket.IO initialized: ${io ? 'YES' : 'NO'}`);
-    console.log(`📊 Current rooms: ${chatRooms.size}`);
-    console.log(`🔌 Service enabled: ${serviceEnabled}`);
-    console.log(`✅ /test route registered: YES`);
-    console.log('='.repeat(80));
-    console.log('✅ Server is ready to accept connections!');
+    log.info('='.repeat(80));
+    log.info(`🚀 Anonymice server running on port ${PORT}`);
+    const baseUrl = TELEGRAM_TRANSPORT_CONFIG.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+    log.info(`🔐 ADMIN URL: ${baseUrl}/admin`);
+    log.info(`🔐 Admin login: ${describeCredential()}`);
+    log.info(`📱 Telegram allow-list: ${describeAllowList()}`);
+    log.info(`📱 Telegram transport: ${telegramTransport.describe()}`);
+    log.info(`🪝 Webhooks: ${describeWebhooks()}`);
+    log.info(`🚪 Knock URL: ${baseUrl}/knock`);
+    log.info(`🧪 Debug endpoints (/test, /socket-test, /debug-env): ${LOGGER_CONFIG.DEV_MODE ? 'open (dev mode)' : 'admin session required'}`);
+    log.info(`📝 Logging: level ${LOGGER_CONFIG.LEVEL}, ${LOGGER_CONFIG.FORMAT}, redaction ${LOGGER_CONFIG.REDACT ? 'on' : 'OFF'}`);
+    log.info(`📡 Socket.IO initialized: ${io ? 'YES' : 'NO'}`);
+    log.info(`📊 Current rooms: ${chatRooms.size}`);
+    log.info(`🔌 Service enabled: ${serviceEnabled}`);
+    log.info('='.repeat(80));
+    log.info('✅ Server is ready to accept connections!');
     
     // Set up periodic check for inactive users (every minute)
     setInterval(() => {
         checkInactiveUsers();
     }, 60000); // Check every 60 seconds (1 minute)
-    console.log('⏰ Inactivity checker started (5 minute timeout)');
+    log.info('⏰ Inactivity checker started (5 minute timeout)');
+    
+    // Start receiving admin replies (registers the webhook or starts polling)
+    telegramTransport.start(handlePolledUpdate);
 });
 
 // Export for testing
-module.exports = { app, server, ADMIN_URL }; 
\ No newline at end of file
+module.exports = { app, server }; 
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Admission Pipeline Tests
+ *
+ * Every knock outcome from config/admission.js, driven with plain objects
+ * (no server, Socket.IO or Telegram).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ADMISSION_REJECTIONS,
+    ADMISSION_CHECKS,
+    evaluateKnock
+} = require('../config/admission');
+const { SECURITY_CONFIG } = require('../config/security');
+
+// Each test knocks from its own IP and socket so the rate limits do not carry over
+let nextClient = 1;
+function knockFrom(name, extra = {}) {
+    const client = nextClient++;
+    return { name, ip: `10.0.0.${client}`, socketId: `socket-${client}`, ...extra };
+}
+
+function emptyState(extra = {}) {
+    return { chatRooms: new Map(), sleepUntil: null, ...extra };
+}
+
+function pendingRoom(requestedName, status = 'pending') {
+    return {
+        number: 1,
+        status,
+        participant: { id: `participant-${requestedName}`, name: requestedName, requestedName }
+    };
+}
+
+// ============================================================================
+// ADMISSION OUTCOMES
+// ============================================================================
+
+test('admits a valid knock', () => {
+    assert.deepEqual(evaluateKnock(knockFrom('Alex'), emptyState()), { admitted: true });
+});
+
+test('rejects knocks beyond the hourly limit as rate_limited', () => {
+    const knock = knockFrom('Alex');
+    for (let i = 0; i < SECURITY_CONFIG.MAX_KNOCKS_PER_HOUR; i++) {
+        assert.equal(evaluateKnock(knock, emptyState()).admitted, true);
+    }
+
+    const result = evaluateKnock(knock, emptyState());
+    assert.equal(result.admitted, false);
+    assert.equal(result.reason, ADMISSION_REJECTIONS.RATE_LIMITED);
+    assert.ok(result.resetTime > Date.now());
+});
+
+test('rejects a name that fails message validation as invalid_name', () => {
+    for (const name of ['', '<script>alert(1)</script>', 'x'.repeat(SECURITY_CONFIG.MAX_MESSAGE_LENGTH + 1)]) {
+        const result = evaluateKnock(knockFrom(name), emptyState());
+        assert.equal(result.admitted, false, `name of length ${name.length}`);
+        assert.equal(result.reason, ADMISSION_REJECTIONS.INVALID_NAME);
+    }
+});
+
+test('rejects knocks during the sleep window as sleeping', () => {
+    const now = Date.now();
+    const result = evaluateKnock(knockFrom('Alex', { now }), emptyState({ sleepUntil: now + 60 * 1000 }));
+    assert.equal(result.admitted, false);
+    assert.equal(result.reason, ADMISSION_REJECTIONS.SLEEPING);
+    assert.equal(result.sleepUntil, new Date(now + 60 * 1000).toISOString());
+
+    // An expired window lets knocks in again
+    assert.equal(evaluateKnock(knockFrom('Alex', { now }), emptyState({ sleepUntil: now - 1 })).admitted, true);
+});
+
+test('rejects a name already waiting in a pending room as duplicate', () => {
+    const state = emptyState({ chatRooms: new Map([['room-a', pendingRoom('Alex')]]) });
+
+    const result = evaluateKnock(knockFrom('Alex'), state);
+    assert.equal(result.admitted, false);
+    assert.equal(result.reason, ADMISSION_REJECTIONS.DUPLICATE);
+    assert.equal(result.existingRoomId, 'room-a');
+});
+
+test('lets a name in that is only used by an active conversation', () => {
+    const state = emptyState({ chatRooms: new Map([['room-a', pendingRoom('Alex', 'active')]]) });
+    assert.equal(evaluateKnock(knockFrom('Alex'), state).admitted, true);
+});
+
+test('runs the rate limit first, so rejected knocks still count against it', () => {
+    assert.equal(ADMISSION_CHECKS[0].name, 'checkKnockRateLimit');
+
+    const knock = knockFrom('<script>');
+    for (let i = 0; i < SECURITY_CONFIG.MAX_KNOCKS_PER_HOUR; i++) {
+        assert.equal(evaluateKnock(knock, emptyState()).reason, ADMISSION_REJECTIONS.INVALID_NAME);
+    }
+    assert.equal(evaluateKnock(knock, emptyState()).reason, ADMISSION_REJECTIONS.RATE_LIMITED);
+});
+
+test('runs only the checks it is given', () => {
+    const knock = knockFrom('Alex', { now: Date.now() });
+    const sleeping = emptyState({ sleepUntil: Date.now() + 1000 });
+    assert.equal(evaluateKnock(knock, sleeping, ADMISSION_CHECKS.filter(check => check.name !== 'checkSleepWindow')).admitted, true);
+});
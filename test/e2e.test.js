@@ -0,0 +1,410 @@
+/**
+ * End-to-End Test: Knock → Approve → Chat → Kick → Summary
+ *
+ * Runs server.js against the fake Telegram Bot API (tools/fake-telegram-api.js)
+ * with a Socket.IO client as the participant, and checks the delete-then-send
+ * rules in TELEGRAM-DELETION-LOGIC.md for both conversation card modes.
+ *
+ * Each run gets its own port and a temporary DATA_DIR, so a developer's
+ * chat data is never touched.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+const { createFakeTelegramApi } = require('../tools/fake-telegram-api');
+
+// ============================================================================
+// E2E CONFIGURATION
+// ============================================================================
+
+const E2E_CONFIG = {
+    BASE_PORT: parseInt(process.env.E2E_PORT, 10) || 3457,
+    TOKEN: '123:e2e',
+    ADMIN_CHAT_ID: '42',
+    ADMIN_SECRET: 'e2e-secret',
+    START_TIMEOUT_MS: 10 * 1000,
+    WAIT_MS: 5000
+};
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+
+let nextPort = E2E_CONFIG.BASE_PORT;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolve with the first event of that name, or reject after E2E_CONFIG.WAIT_MS
+function waitForEvent(socket, event) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), E2E_CONFIG.WAIT_MS);
+        socket.once(event, (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+// Resolve once check() returns true, or reject after E2E_CONFIG.WAIT_MS
+async function waitUntil(check, what) {
+    const deadline = Date.now() + E2E_CONFIG.WAIT_MS;
+    while (!check()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await sleep(50);
+    }
+}
+
+// ============================================================================
+// SERVER AND CLIENTS
+// ============================================================================
+
+/**
+ * Start the fake Bot API and server.js pointed at it
+ *
+ * @param {object} env - Extra environment variables for server.js
+ * @param {object} files - Files to put in DATA_DIR first (name -> JSON value)
+ * @returns {Promise<object>} - { fake, url, connect(), stop() }
+ */
+async function startServer(env = {}, files = {}) {
+    const fake = createFakeTelegramApi({ token: E2E_CONFIG.TOKEN, adminChatId: E2E_CONFIG.ADMIN_CHAT_ID });
+    const apiBase = await fake.start();
+    const port = nextPort++;
+    const url = `http://127.0.0.1:${port}`;
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymice-e2e-'));
+    const sockets = [];
+    Object.entries(files).forEach(([name, value]) => {
+        fs.writeFileSync(path.join(dataDir, name), JSON.stringify(value));
+    });
+
+    const server = spawn(process.execPath, [SERVER_PATH], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            TELEGRAM_API_BASE: apiBase,
+            TELEGRAM_BOT_TOKEN: E2E_CONFIG.TOKEN,
+            TELEGRAM_CHAT_ID: E2E_CONFIG.ADMIN_CHAT_ID,
+            TELEGRAM_TRANSPORT: 'polling',
+            TELEGRAM_POLL_TIMEOUT: '1',
+            LOG_LEVEL: 'error',
+            ...env
+        },
+        stdio: 'ignore'
+    });
+
+    async function stop() {
+        sockets.forEach(socket => socket.close());
+        if (server.exitCode === null) {
+            const exited = new Promise(resolve => server.once('exit', resolve));
+            server.kill();
+            await exited;
+        }
+        await fake.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    // Wait until the server answers HTTP
+    const deadline = Date.now() + E2E_CONFIG.START_TIMEOUT_MS;
+    for (;;) {
+        try {
+            const response = await fetch(`${url}/`);
+            if (response.ok) break;
+        } catch (error) {
+            // Not listening yet
+        }
+        if (server.exitCode !== null || Date.now() > deadline) {
+            await stop();
+            throw new Error(`server.js did not start on port ${port}`);
+        }
+        await sleep(100);
+    }
+
+    async function connect() {
+        const socket = io(url, { transports: ['websocket'], forceNew: true });
+        sockets.push(socket);
+        await waitForEvent(socket, 'connect');
+        return socket;
+    }
+
+    return { fake, url, connect, stop };
+}
+
+/**
+ * Run one conversation: knock, approve by button, three participant
+ * messages, a Telegram reply, /kick, and the final summary
+ *
+ * @param {object} app - From startServer()
+ * @returns {Promise<object>} - { knockCall, cardCalls, summaryCall, adminReplies }
+ */
+async function runConversation(app) {
+    const { fake } = app;
+
+    // Knock and approve with the notification's Approve button
+    const knocker = await app.connect();
+    const approved = waitForEvent(knocker, 'knock-approved');
+    knocker.emit('knock', { name: 'Ada' });
+    const knockCall = await fake.waitForCall('sendMessage', call => call.params.text.includes('Ada'), { timeoutMs: E2E_CONFIG.WAIT_MS });
+    const approveButton = knockCall.params.reply_markup.inline_keyboard[0][0];
+    await fake.pressButton(knockCall.result.message_id, approveButton.callback_data);
+    const { roomId, sessionToken } = await approved;
+    knocker.close(); // knock.html moves on to chat.html
+
+    // Chat: three participant messages, each acknowledged once stored
+    const participant = await app.connect();
+    const adminReplies = [];
+    participant.on('new-message', (message, ack) => {
+        if (typeof ack === 'function') ack();
+        if (message.isAdmin) adminReplies.push(message.text);
+    });
+    const joined = waitForEvent(participant, 'room-joined');
+    participant.emit('join-room', { roomId, sessionToken });
+    await joined;
+
+    for (const text of ['first', 'second', 'third']) {
+        const since = fake.mark();
+        const sent = await new Promise(resolve => participant.emit('send-message', { text }, resolve));
+        assert.equal(sent.ok, true, `send-message "${text}"`);
+        // The card is sent or edited, depending on the card mode
+        await waitUntil(() => fake.getCalls().slice(since).some(call =>
+            (call.method === 'sendMessage' || call.method === 'editMessageText') && call.params.text.includes(text)
+        ), `a card showing "${text}"`);
+    }
+
+    // The admin answers with a threaded reply to the latest card, then kicks from it
+    const latestCard = fake.getCalls('sendMessage').filter(isCard).pop();
+    await fake.sendAdminMessage('hello from Telegram', { replyTo: latestCard.result.message_id });
+    await waitUntil(() => adminReplies.length > 0, 'the Telegram reply in the chat');
+
+    await fake.sendAdminMessage('/kick', { replyTo: latestCard.result.message_id });
+    const summaryCall = await fake.waitForCall('sendMessage', call => call.params.text.includes('Conversation ended'), { timeoutMs: E2E_CONFIG.WAIT_MS });
+    await fake.waitForCall('sendDocument', () => true, { since: callIndex(fake, summaryCall), timeoutMs: E2E_CONFIG.WAIT_MS });
+
+    return { knockCall, cardCalls: fake.getCalls('sendMessage').filter(isCard), summaryCall, adminReplies };
+}
+
+// A conversation card: a participant-message notification (not the knock or the summary)
+function isCard(call) {
+    return call.params.text.includes('Ada from Room') && !call.params.text.includes('Conversation ended');
+}
+
+// Position of a call in the fake's call log
+function callIndex(fake, call) {
+    return fake.getCalls().indexOf(call);
+}
+
+// Position of the deleteMessage call for a message, or -1
+function deleteIndex(fake, messageId) {
+    return fake.getCalls().findIndex(call => call.method === 'deleteMessage' && Number(call.params.message_id) === messageId);
+}
+
+// The inline button for an action ('approve', 'reject', ...) on a notification
+function findButton(call, action) {
+    const buttons = call.params.reply_markup.inline_keyboard.flat();
+    return buttons.find(button => button.text.toLowerCase().includes(action));
+}
+
+/**
+ * Knock as a participant and wait for the admin's knock notification
+ *
+ * @param {object} app - From startServer()
+ * @param {string} name - The participant's name
+ * @returns {Promise<object>} - { socket, roomId, knockCall }
+ */
+async function knock(app, name) {
+    const { fake } = app;
+    const socket = await app.connect();
+    const since = fake.mark();
+    const pending = waitForEvent(socket, 'knock-pending');
+    socket.emit('knock', { name });
+    const { roomId } = await pending;
+    const knockCall = await fake.waitForCall('sendMessage', call => call.params.text.includes(name), { since, timeoutMs: E2E_CONFIG.WAIT_MS });
+    return { socket, roomId, knockCall };
+}
+
+/**
+ * Log in with ADMIN_SECRET and return a caller for the admin API
+ *
+ * @param {object} app - From startServer({ ADMIN_SECRET })
+ * @returns {Promise<Function>} - (method, route, body) => { status, body }
+ */
+async function loginAdmin(app) {
+    const login = await fetch(`${app.url}/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: E2E_CONFIG.ADMIN_SECRET })
+    });
+    assert.equal(login.status, 200, 'admin login');
+    const { token } = await login.json();
+
+    return async (method, route, body) => {
+        const response = await fetch(`${app.url}/admin/api${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+test('edit mode: one card edited in place, deleted before the summary is sent', async (t) => {
+    const app = await startServer({ TELEGRAM_CARD_MODE: 'edit' });
+    t.after(app.stop);
+    const { fake } = app;
+
+    const { knockCall, cardCalls, summaryCall, adminReplies } = await runConversation(app);
+    assert.deepEqual(adminReplies, ['hello from Telegram']);
+
+    // One card, and every later message edits it instead of sending another
+    assert.equal(cardCalls.length, 1);
+    const cardId = cardCalls[0].result.message_id;
+    const edits = fake.getCalls('editMessageText');
+    assert.ok(edits.length >= 2, 'later messages edit the card');
+    assert.ok(edits.every(call => Number(call.params.message_id) === cardId));
+    assert.ok(edits[edits.length - 1].params.text.includes('third'));
+
+    // Delete, then send: the card is gone before the summary goes out
+    const cardDeleted = deleteIndex(fake, cardId);
+    assert.ok(cardDeleted > -1, 'card deleted at the end');
+    assert.ok(cardDeleted < callIndex(fake, summaryCall), 'card deleted before the summary is sent');
+
+    // Only the knock notification, the summary and the transcript remain
+    const visible = fake.getChatMessages(E2E_CONFIG.ADMIN_CHAT_ID).map(message => message.message_id);
+    const transcript = fake.getCalls('sendDocument')[0];
+    assert.deepEqual(visible, [knockCall.result.message_id, summaryCall.result.message_id, transcript.result.message_id]);
+});
+
+test('resend mode: each card deleted before the next is sent, the last before the summary', async (t) => {
+    const app = await startServer({ TELEGRAM_CARD_MODE: 'resend' });
+    t.after(app.stop);
+    const { fake } = app;
+
+    const { knockCall, cardCalls, summaryCall, adminReplies } = await runConversation(app);
+    assert.deepEqual(adminReplies, ['hello from Telegram']);
+    assert.equal(fake.getCalls('editMessageText').length, 0);
+
+    // One new card per participant message, each replacing the one before
+    assert.equal(cardCalls.length, 3);
+    for (let i = 1; i < cardCalls.length; i++) {
+        const previousDeleted = deleteIndex(fake, cardCalls[i - 1].result.message_id);
+        assert.ok(previousDeleted > -1, `card ${i} deleted`);
+        assert.ok(previousDeleted < callIndex(fake, cardCalls[i]), `card ${i} deleted before card ${i + 1} is sent`);
+    }
+
+    const lastDeleted = deleteIndex(fake, cardCalls[cardCalls.length - 1].result.message_id);
+    assert.ok(lastDeleted > -1 && lastDeleted < callIndex(fake, summaryCall), 'last card deleted before the summary is sent');
+
+    // Only the knock notification, the summary and the transcript remain
+    const visible = fake.getChatMessages(E2E_CONFIG.ADMIN_CHAT_ID).map(message => message.message_id);
+    const transcript = fake.getCalls('sendDocument')[0];
+    assert.deepEqual(visible, [knockCall.result.message_id, summaryCall.result.message_id, transcript.result.message_id]);
+});
+
+test('a knock rejected with the Telegram button frees its name and cannot be approved afterwards', async (t) => {
+    const app = await startServer({ ADMIN_SECRET: E2E_CONFIG.ADMIN_SECRET });
+    t.after(app.stop);
+    const adminApi = await loginAdmin(app);
+
+    const first = await knock(app, 'Ada');
+    const rejected = waitForEvent(first.socket, 'knock-rejected');
+    await app.fake.pressButton(first.knockCall.result.message_id, findButton(first.knockCall, 'reject').callback_data);
+    assert.equal((await rejected).roomId, first.roomId);
+
+    // The pending room is gone, so a late approval finds nothing
+    const approval = await adminApi('POST', `/rooms/${first.roomId}/approve`);
+    assert.equal(approval.status, 404);
+
+    // The same name can knock again and reaches the admin
+    const second = await knock(app, 'Ada');
+    assert.notEqual(second.roomId, first.roomId);
+});
+
+test('a knock rejected through the admin API closes its room and frees its name', async (t) => {
+    const app = await startServer({ ADMIN_SECRET: E2E_CONFIG.ADMIN_SECRET });
+    t.after(app.stop);
+    const adminApi = await loginAdmin(app);
+
+    const first = await knock(app, 'Ada');
+    const rejected = waitForEvent(first.socket, 'knock-rejected');
+    const rejection = await adminApi('POST', `/rooms/${first.roomId}/reject`, { message: 'Not today' });
+    assert.equal(rejection.status, 200);
+    assert.equal((await rejected).message, 'Not today');
+
+    // The room is closed, so it is no longer listed and cannot be answered again
+    const { body } = await adminApi('GET', '/rooms');
+    assert.ok(!body.rooms.some(room => room.roomId === first.roomId), 'rejected room no longer listed');
+    assert.equal((await adminApi('POST', `/rooms/${first.roomId}/approve`)).status, 404);
+
+    const second = await knock(app, 'Ada');
+    assert.notEqual(second.roomId, first.roomId);
+});
+
+test('saved knock notifications for rooms lost in a restart are dropped, other saved calls resumed', async (t) => {
+    const savedCall = (id, text, meta) => ({
+        id, method: 'sendMessage', params: { chat_id: E2E_CONFIG.ADMIN_CHAT_ID, text }, meta, attempts: 0, createdAt: Date.now()
+    });
+    const app = await startServer({}, {
+        'telegram_outbox.json': {
+            items: [
+                savedCall('saved-knock', 'Knock from Ghost', { kind: 'knock', roomId: 'gone', roomStamp: '0', participantName: 'Ghost' }),
+                savedCall('saved-notice', 'Saved notice', {})
+            ]
+        }
+    });
+    t.after(app.stop);
+    const { fake } = app;
+
+    // Calls to one chat go out in order, so the knock would have been sent first
+    await fake.waitForCall('sendMessage', call => call.params.text === 'Saved notice', { timeoutMs: E2E_CONFIG.WAIT_MS });
+    assert.ok(!fake.getCalls('sendMessage').some(call => call.params.text.includes('Ghost')), 'stale knock notification not sent');
+});
+
+test('a knock that fails admission is rejected without ever being given a room', async (t) => {
+    const app = await startServer({ ADMIN_SECRET: E2E_CONFIG.ADMIN_SECRET });
+    t.after(app.stop);
+    const adminApi = await loginAdmin(app);
+
+    // With the service on, an admitted knock is let in straight away
+    assert.equal((await adminApi('POST', '/service', { enabled: true })).status, 200);
+
+    const socket = await app.connect();
+    const assigned = [];
+    socket.on('room-assigned', data => assigned.push(data));
+    const rejected = waitForEvent(socket, 'knock-rejected');
+    socket.emit('knock', { name: '<script>alert(1)</script>' });
+    const rejection = await rejected;
+    assert.equal(rejection.reason, 'invalid_name');
+    assert.equal(rejection.roomId, null);
+
+    // Give a late room-assigned time to arrive, then check nothing was set up
+    await sleep(200);
+    assert.deepEqual(assigned, []);
+    assert.deepEqual((await adminApi('GET', '/rooms')).body.rooms, []);
+    assert.equal(app.fake.getCalls('sendMessage').length, 0);
+});
+
+test('a logged-out admin session token is no longer accepted', async (t) => {
+    const app = await startServer({ ADMIN_SECRET: E2E_CONFIG.ADMIN_SECRET });
+    t.after(app.stop);
+    const login = await fetch(`${app.url}/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: E2E_CONFIG.ADMIN_SECRET })
+    });
+    const { token } = await login.json();
+    const asAdmin = (route, method = 'GET') => fetch(`${app.url}${route}`, { method, headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal((await asAdmin('/admin/api/rooms')).status, 200);
+    assert.equal((await asAdmin('/admin/logout', 'POST')).status, 200);
+    assert.equal((await asAdmin('/admin/api/rooms')).status, 401);
+});
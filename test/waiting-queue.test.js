@@ -0,0 +1,86 @@
+/**
+ * Waiting Queue Tests
+ *
+ * The full-house path from config/waiting-queue.js: when a knock waits in
+ * line, FIFO promotion order and the point where knocks are turned away.
+ */
+
+// Small limits so a full house is two rooms and a full queue two knocks
+process.env.MAX_CONCURRENT_ROOMS = '2';
+process.env.MAX_QUEUE_LENGTH = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    QUEUE_CONFIG,
+    hasFreeSlot,
+    mustQueueKnock,
+    enqueueKnock,
+    dequeueKnock,
+    removeQueuedKnock,
+    isKnockQueued,
+    getQueueSnapshot,
+    getQueueLength
+} = require('../config/waiting-queue');
+
+// Empty the module's queue between tests
+test.afterEach(() => {
+    while (dequeueKnock()) { /* drain */ }
+});
+
+test('reads its limits from the environment', () => {
+    assert.equal(QUEUE_CONFIG.MAX_CONCURRENT_ROOMS, 2);
+    assert.equal(QUEUE_CONFIG.MAX_QUEUE_LENGTH, 2);
+});
+
+test('lets knocks straight in while a slot is free and nobody waits', () => {
+    assert.equal(hasFreeSlot(1), true);
+    assert.equal(mustQueueKnock(0), false);
+    assert.equal(mustQueueKnock(1), false);
+});
+
+test('queues knocks once every slot is busy', () => {
+    assert.equal(hasFreeSlot(2), false);
+    assert.equal(mustQueueKnock(2), true);
+});
+
+test('queues new knocks behind waiting ones even when a slot is free', () => {
+    enqueueKnock('socket-a', 'Alex', { name: 'Alex' });
+    assert.equal(mustQueueKnock(0), true);
+});
+
+test('turns knocks away once the queue is full', () => {
+    assert.equal(enqueueKnock('socket-a', 'Alex', { name: 'Alex' }), 1);
+    assert.equal(enqueueKnock('socket-b', 'Bea', { name: 'Bea' }), 2);
+    assert.equal(enqueueKnock('socket-c', 'Cal', { name: 'Cal' }), null);
+    assert.equal(getQueueLength(), 2);
+    assert.equal(isKnockQueued('socket-c'), false);
+});
+
+test('keeps the original position when a socket knocks again', () => {
+    enqueueKnock('socket-a', 'Alex', { name: 'Alex' });
+    enqueueKnock('socket-b', 'Bea', { name: 'Bea' });
+    assert.equal(enqueueKnock('socket-a', 'Alex', { name: 'Alex' }), 1);
+    assert.equal(getQueueLength(), 2);
+});
+
+test('promotes knocks first in, first out', () => {
+    enqueueKnock('socket-a', 'Alex', { name: 'Alex' });
+    enqueueKnock('socket-b', 'Bea', { name: 'Bea' });
+
+    const first = dequeueKnock();
+    assert.equal(first.socketId, 'socket-a');
+    assert.deepEqual(first.data, { name: 'Alex' });
+    assert.deepEqual(getQueueSnapshot().map(entry => [entry.socketId, entry.position]), [['socket-b', 1]]);
+    assert.equal(dequeueKnock().socketId, 'socket-b');
+    assert.equal(dequeueKnock(), null);
+});
+
+test('moves later knocks up when a waiting socket leaves', () => {
+    enqueueKnock('socket-a', 'Alex', { name: 'Alex' });
+    enqueueKnock('socket-b', 'Bea', { name: 'Bea' });
+
+    assert.equal(removeQueuedKnock('socket-a'), true);
+    assert.equal(removeQueuedKnock('socket-a'), false);
+    assert.deepEqual(getQueueSnapshot().map(entry => [entry.socketId, entry.position]), [['socket-b', 1]]);
+});
@@ -0,0 +1,685 @@
+/**
+ * Fake Telegram Bot API Server
+ *
+ * A small in-process stand-in for https://api.telegram.org, so the whole
+ * knock → approve → chat → kick → summary flow can run offline. Point the
+ * server at it with TELEGRAM_API_BASE (see config/telegram-api.js).
+ *
+ * What it does:
+ * - Answers the Bot API methods the server uses (sendMessage, editMessageText,
+ *   sendDocument, deleteMessage, answerCallbackQuery, setWebhook, deleteWebhook,
+ *   getUpdates, getMe) with Telegram's response shapes and error codes
+ * - Parses parse_mode: 'HTML' like Telegram: unknown or unclosed tags are
+ *   rejected ("can't parse entities"), the 4096 character limit applies to
+ *   the text without tags, and messages keep only that plain text
+ * - Records every call, and keeps each chat's visible messages, so a test can
+ *   check the delete-then-send rules in TELEGRAM-DELETION-LOGIC.md
+ * - Injects admin replies and button presses, delivered to the registered
+ *   webhook (with the secret token header) or queued for getUpdates
+ * - Fails chosen calls on demand (e.g. 429 Too Many Requests)
+ *
+ * Usage in a test:
+ *   const fake = createFakeTelegramApi({ token: '123:test', adminChatId: '42' });
+ *   const baseUrl = await fake.start();
+ *   // start server.js with TELEGRAM_API_BASE=baseUrl, TELEGRAM_BOT_TOKEN=123:test, TELEGRAM_CHAT_ID=42
+ *   const knock = await fake.waitForCall('sendMessage', call => call.params.text.includes('Knock'));
+ *   await fake.sendAdminMessage('/approve', { replyTo: knock.result.message_id });
+ *
+ * Standalone (manual testing): node tools/fake-telegram-api.js [port]
+ * Logs every call; each line typed on stdin is sent as an admin reply to
+ * the bot's latest message in TELEGRAM_CHAT_ID.
+ */
+
+const express = require('express');
+const axios = require('axios');
+
+// ============================================================================
+// FAKE API CONFIGURATION
+// ============================================================================
+
+const FAKE_TELEGRAM_CONFIG = {
+    DEFAULT_PORT: 8081,
+    MAX_UPDATES_PER_POLL: 100,
+    MAX_POLL_TIMEOUT_S: 50,
+    DEFAULT_WAIT_MS: 2000,
+    SECRET_HEADER: 'X-Telegram-Bot-Api-Secret-Token',
+    MAX_MESSAGE_LENGTH: 4096,
+    MAX_CAPTION_LENGTH: 1024
+};
+
+// Tags Telegram accepts with parse_mode: 'HTML'
+const SUPPORTED_TAGS = new Set([
+    'b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'span',
+    'tg-spoiler', 'a', 'tg-emoji', 'code', 'pre', 'blockquote'
+]);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"' };
+
+// Error thrown by a method handler; becomes Telegram's { ok: false, error_code, description }
+function apiError(errorCode, description, parameters) {
+    const error = new Error(description);
+    error.apiError = { ok: false, error_code: errorCode, description, ...(parameters ? { parameters } : {}) };
+    return error;
+}
+
+/**
+ * Parse parse_mode: 'HTML' text the way Telegram does
+ *
+ * @param {string} text - Message text
+ * @returns {string} - Text without tags, entities decoded; throws Telegram's 400 on bad markup
+ */
+function parseHtmlText(text) {
+    const openTags = [];
+    let plain = '';
+    let index = 0;
+
+    while (index < text.length) {
+        const rest = text.slice(index);
+
+        if (rest[0] === '<') {
+            const tag = rest.match(/^<(\/?)([a-zA-Z][\w-]*)[^<>]*>/);
+            if (!tag) {
+                throw apiError(400, `Bad Request: can't parse entities: Unexpected character "<" at byte offset ${index}`);
+            }
+            const [whole, closing, rawName] = tag;
+            const name = rawName.toLowerCase();
+            if (!SUPPORTED_TAGS.has(name)) {
+                throw apiError(400, `Bad Request: can't parse entities: Unsupported start tag "${name}" at byte offset ${index}`);
+            }
+            if (closing) {
+                const expected = openTags.pop();
+                if (expected !== name) {
+                    throw apiError(400, `Bad Request: can't parse entities: Unmatched end tag at byte offset ${index}, expected "</${expected}>", found "</${name}>"`);
+                }
+            } else {
+                openTags.push(name);
+            }
+            index += whole.length;
+            continue;
+        }
+
+        const entity = rest.match(/^&(amp|lt|gt|quot|#\d+|#x[0-9a-fA-F]+);/);
+        if (entity) {
+            const name = entity[1];
+            plain += name[0] === '#'
+                ? String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10))
+                : NAMED_ENTITIES[name];
+            index += entity[0].length;
+            continue;
+        }
+
+        plain += rest[0];
+        index++;
+    }
+
+    if (openTags.length > 0) {
+        throw apiError(400, `Bad Request: can't parse entities: Can't find end tag corresponding to start tag "${openTags.pop()}"`);
+    }
+    return plain;
+}
+
+// Get the text a message will show (checks markup and length)
+function getVisibleText(text, parseMode, maxLength, tooLong) {
+    const visible = parseMode === 'HTML' ? parseHtmlText(String(text)) : String(text);
+    if (visible.length > maxLength) {
+        throw apiError(400, tooLong);
+    }
+    return visible;
+}
+
+/**
+ * Read a multipart/form-data body (as sent for sendDocument)
+ *
+ * Files are returned as { filename, content, contentType } with the content
+ * as UTF-8 text - enough for the text files the server uploads.
+ *
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {object} - Params
+ */
+function parseMultipart(body, contentType) {
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+    if (!boundaryMatch) {
+        return {};
+    }
+    const boundary = boundaryMatch[1] || boundaryMatch[2];
+
+    const params = {};
+    body.toString('utf8').split(`--${boundary}`).slice(1, -1).forEach(part => {
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.slice(0, headerEnd);
+        const content = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+        const name = headers.match(/; name="([^"]*)"/);
+        const filename = headers.match(/; filename="([^"]*)"/);
+        const type = headers.match(/content-type:\s*([^\r\n]+)/i);
+        if (!name) {
+            return;
+        }
+        params[name[1]] = filename
+            ? { filename: filename[1], content, contentType: type ? type[1] : null }
+            : content;
+    });
+    return params;
+}
+
+// ============================================================================
+// FAKE API FACTORY
+// ============================================================================
+
+/**
+ * Create a fake Bot API server (not started yet)
+ *
+ * @param {object} options
+ *   - token: Bot token to accept (any token if not set)
+ *   - adminChatId: Default chat for injected admin messages
+ *   - onCall: Called with every recorded call (for logging)
+ * @returns {object} - Fake API (see the returned methods)
+ */
+function createFakeTelegramApi(options = {}) {
+    const adminChatId = options.adminChatId ? String(options.adminChatId) : '1';
+    const botUser = { id: 1000, is_bot: true, first_name: 'Anonymice', username: 'AnonymiceBot' };
+
+    const calls = [];                 // { method, params, result, error, at }
+    const files = new Map();          // file_id -> { filename, content, contentType } (uploaded documents)
+    const chats = new Map();          // chatId -> Map<messageId, message> (currently visible messages)
+    const failures = [];              // { method, error } queued by failNext()
+    const callWaiters = new Set();    // waitForCall() promises
+    let pendingUpdates = [];          // Updates waiting for getUpdates
+    let pollWaiters = [];             // getUpdates requests waiting for an update
+    let webhook = null;               // { url, secretToken, allowedUpdates }
+    let nextMessageId = 1;
+    let nextUpdateId = 1;
+    let nextCallbackId = 1;
+    let httpServer = null;
+
+    // ------------------------------------------------------------------------
+    // Chat state
+    // ------------------------------------------------------------------------
+
+    function getChat(chatId) {
+        const key = String(chatId);
+        if (!chats.has(key)) {
+            chats.set(key, new Map());
+        }
+        return chats.get(key);
+    }
+
+    function findMessage(chatId, messageId) {
+        return getChat(chatId).get(Number(messageId)) || null;
+    }
+
+    function toChat(chatId) {
+        const numericId = Number(chatId);
+        return { id: Number.isNaN(numericId) ? chatId : numericId, type: 'private' };
+    }
+
+    // Parse reply_markup, which clients may send as a JSON string
+    function parseMarkup(replyMarkup) {
+        if (!replyMarkup) {
+            return undefined;
+        }
+        return typeof replyMarkup === 'string' ? JSON.parse(replyMarkup) : replyMarkup;
+    }
+
+    // ------------------------------------------------------------------------
+    // Bot API methods
+    // ------------------------------------------------------------------------
+
+    const METHODS = {
+        getMe() {
+            return botUser;
+        },
+
+        sendMessage(params) {
+            if (!params.chat_id) {
+                throw apiError(400, 'Bad Request: chat_id is empty');
+            }
+            if (!params.text || !String(params.text).trim()) {
+                throw apiError(400, 'Bad Request: message text is empty');
+            }
+            const text = getVisibleText(params.text, params.parse_mode,
+                FAKE_TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH, 'Bad Request: message is too long');
+            const message = {
+                message_id: nextMessageId++,
+                from: botUser,
+                chat: toChat(params.chat_id),
+                date: Math.floor(Date.now() / 1000),
+                text,
+                reply_markup: parseMarkup(params.reply_markup)
+            };
+            getChat(params.chat_id).set(message.message_id, message);
+            return message;
+        },
+
+        editMessageText(params) {
+            const message = findMessage(params.chat_id, params.message_id);
+            if (!message) {
+                throw apiError(400, 'Bad Request: message to edit not found');
+            }
+            const replyMarkup = parseMarkup(params.reply_markup);
+            const text = getVisibleText(params.text, params.parse_mode,
+                FAKE_TELEGRAM_CONFIG.MAX_MESSAGE_LENGTH, 'Bad Request: MESSAGE_TOO_LONG');
+            if (message.text === text &&
+                JSON.stringify(message.reply_markup) === JSON.stringify(replyMarkup)) {
+                throw apiError(400, 'Bad Request: message is not modified: specified new message content and reply markup are exactly the same as a current content and reply markup of the message');
+            }
+            message.text = text;
+            message.reply_markup = replyMarkup;
+            message.edit_date = Math.floor(Date.now() / 1000);
+            return message;
+        },
+
+        sendDocument(params) {
+            if (!params.chat_id) {
+                throw apiError(400, 'Bad Request: chat_id is empty');
+            }
+            const upload = params.document;
+            if (!upload || typeof upload !== 'object') {
+                throw apiError(400, 'Bad Request: there is no document in the request');
+            }
+            const fileId = `file-${nextMessageId}`;
+            files.set(fileId, upload);
+            const message = {
+                message_id: nextMessageId++,
+                from: botUser,
+                chat: toChat(params.chat_id),
+                date: Math.floor(Date.now() / 1000),
+                document: {
+                    file_id: fileId,
+                    file_unique_id: fileId,
+                    file_name: upload.filename,
+                    mime_type: upload.contentType || 'application/octet-stream',
+                    file_size: Buffer.byteLength(upload.content)
+                },
+                reply_markup: parseMarkup(params.reply_markup)
+            };
+            if (params.caption) {
+                message.caption = getVisibleText(params.caption, params.parse_mode,
+                    FAKE_TELEGRAM_CONFIG.MAX_CAPTION_LENGTH, 'Bad Request: message caption is too long');
+            }
+            getChat(params.chat_id).set(message.message_id, message);
+            return message;
+        },
+
+        deleteMessage(params) {
+            const chat = getChat(params.chat_id);
+            if (!chat.delete(Number(params.message_id))) {
+                throw apiError(400, 'Bad Request: message to delete not found');
+            }
+            return true;
+        },
+
+        answerCallbackQuery() {
+            return true;
+        },
+
+        setWebhook(params) {
+            if (!params.url) {
+                webhook = null;
+                return true;
+            }
+            webhook = {
+                url: params.url,
+                secretToken: params.secret_token || null,
+                allowedUpdates: params.allowed_updates || null
+            };
+            return true;
+        },
+
+        deleteWebhook(params) {
+            webhook = null;
+            if (params.drop_pending_updates) {
+                pendingUpdates = [];
+            }
+            return true;
+        },
+
+        getWebhookInfo() {
+            return { url: webhook ? webhook.url : '', pending_update_count: pendingUpdates.length };
+        },
+
+        async getUpdates(params) {
+            if (webhook) {
+                throw apiError(409, "Conflict: can't use getUpdates method while webhook is active; use deleteWebhook to delete the webhook first");
+            }
+            // Passing an offset confirms every update before it
+            const offset = Number(params.offset) || 0;
+            if (offset) {
+                pendingUpdates = pendingUpdates.filter(update => update.update_id >= offset);
+            }
+            const timeoutS = Math.min(Number(params.timeout) || 0, FAKE_TELEGRAM_CONFIG.MAX_POLL_TIMEOUT_S);
+            if (pendingUpdates.length === 0 && timeoutS > 0) {
+                await new Promise(resolve => {
+                    const waiter = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                    const timer = setTimeout(() => {
+                        pollWaiters = pollWaiters.filter(other => other !== waiter);
+                        resolve();
+                    }, timeoutS * 1000);
+                    pollWaiters.push(waiter);
+                });
+            }
+            const limit = Number(params.limit) || FAKE_TELEGRAM_CONFIG.MAX_UPDATES_PER_POLL;
+            return pendingUpdates.slice(0, limit);
+        }
+    };
+
+    // ------------------------------------------------------------------------
+    // Call recording
+    // ------------------------------------------------------------------------
+
+    function recordCall(call) {
+        calls.push(call);
+        if (options.onCall) {
+            options.onCall(call);
+        }
+        for (const waiter of callWaiters) {
+            waiter.check();
+        }
+    }
+
+    async function callMethod(method, params) {
+        const handler = METHODS[method];
+        const call = { method, params, result: undefined, error: null, at: Date.now() };
+
+        const failureIndex = failures.findIndex(failure => failure.method === method);
+        try {
+            if (failureIndex !== -1) {
+                throw failures.splice(failureIndex, 1)[0].error;
+            }
+            if (!handler) {
+                throw apiError(404, 'Not Found: method not found');
+            }
+            call.result = await handler(params);
+        } catch (error) {
+            call.error = error.apiError || { ok: false, error_code: 500, description: `Internal Server Error: ${error.message}` };
+        }
+
+        // Long polls are not worth recording when they come back empty
+        if (method !== 'getUpdates' || call.error || call.result.length > 0) {
+            recordCall(call);
+        }
+        return call;
+    }
+
+    // ------------------------------------------------------------------------
+    // HTTP server
+    // ------------------------------------------------------------------------
+
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use(express.urlencoded({ extended: true }));
+    app.use(express.raw({ type: 'multipart/form-data', limit: '10mb' }));
+
+    app.all('/bot:token/:method', async (req, res) => {
+        if (options.token && req.params.token !== options.token) {
+            return res.status(401).json({ ok: false, error_code: 401, description: 'Unauthorized' });
+        }
+        const body = Buffer.isBuffer(req.body) ? parseMultipart(req.body, req.headers['content-type']) : req.body;
+        const params = { ...req.query, ...(body || {}) };
+        const call = await callMethod(req.params.method, params);
+        if (call.error) {
+            return res.status(call.error.error_code).json(call.error);
+        }
+        return res.json({ ok: true, result: call.result });
+    });
+
+    /**
+     * Start listening
+     *
+     * @param {number} port - Port to listen on (0 picks a free one)
+     * @returns {Promise<string>} - Base URL for TELEGRAM_API_BASE
+     */
+    function start(port = 0) {
+        return new Promise((resolve, reject) => {
+            httpServer = app.listen(port, '127.0.0.1', () => {
+                resolve(getBaseUrl());
+            });
+            httpServer.on('error', reject);
+        });
+    }
+
+    // Stop listening and release waiting long polls
+    function stop() {
+        pollWaiters.forEach(waiter => waiter());
+        pollWaiters = [];
+        for (const waiter of callWaiters) {
+            waiter.cancel();
+        }
+        if (!httpServer) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            httpServer.close(() => resolve());
+            httpServer.closeAllConnections();
+            httpServer = null;
+        });
+    }
+
+    function getBaseUrl() {
+        return httpServer ? `http://127.0.0.1:${httpServer.address().port}` : null;
+    }
+
+    // ------------------------------------------------------------------------
+    // Injecting admin activity
+    // ------------------------------------------------------------------------
+
+    /**
+     * Deliver an update like Telegram would
+     *
+     * With a webhook registered it is POSTed there (with the secret token
+     * header); otherwise it waits for the next getUpdates call.
+     *
+     * @param {object} update - Update without update_id (one is assigned)
+     * @returns {Promise<object>} - { update, status, body } (status/body only for webhooks)
+     */
+    async function deliverUpdate(update) {
+        const numbered = { update_id: nextUpdateId++, ...update };
+
+        if (!webhook) {
+            pendingUpdates.push(numbered);
+            const waiters = pollWaiters;
+            pollWaiters = [];
+            waiters.forEach(waiter => waiter());
+            return { update: numbered };
+        }
+
+        const headers = webhook.secretToken ? { [FAKE_TELEGRAM_CONFIG.SECRET_HEADER]: webhook.secretToken } : {};
+        const response = await axios.post(webhook.url, numbered, { headers, validateStatus: () => true });
+        return { update: numbered, status: response.status, body: response.data };
+    }
+
+    function buildAdmin(fromId) {
+        return { id: Number(fromId) || fromId, is_bot: false, first_name: 'Admin' };
+    }
+
+    /**
+     * Send a message to the bot as the admin
+     *
+     * @param {string} text - Message text
+     * @param {object} messageOptions
+     *   - chatId: Chat it is sent in (default: adminChatId)
+     *   - fromId: Sender's user ID (default: the chat ID, as in a private chat)
+     *   - replyTo: message_id of the bot message being replied to
+     * @returns {Promise<object>} - See deliverUpdate()
+     */
+    function sendAdminMessage(text, messageOptions = {}) {
+        const chatId = String(messageOptions.chatId || adminChatId);
+        const message = {
+            message_id: nextMessageId++,
+            from: buildAdmin(messageOptions.fromId || chatId),
+            chat: toChat(chatId),
+            date: Math.floor(Date.now() / 1000),
+            text
+        };
+        if (messageOptions.replyTo) {
+            const original = findMessage(chatId, messageOptions.replyTo);
+            message.reply_to_message = original || { message_id: Number(messageOptions.replyTo), chat: toChat(chatId) };
+        }
+        getChat(chatId).set(message.message_id, message);
+        return deliverUpdate({ message });
+    }
+
+    /**
+     * Press an inline keyboard button as the admin
+     *
+     * @param {number} messageId - message_id of the bot message with the keyboard
+     * @param {string} callbackData - The button's callback_data
+     * @param {object} pressOptions - { chatId, fromId } as for sendAdminMessage()
+     * @returns {Promise<object>} - See deliverUpdate()
+     */
+    function pressButton(messageId, callbackData, pressOptions = {}) {
+        const chatId = String(pressOptions.chatId || adminChatId);
+        const message = findMessage(chatId, messageId) || { message_id: Number(messageId), chat: toChat(chatId) };
+        return deliverUpdate({
+            callback_query: {
+                id: String(nextCallbackId++),
+                from: buildAdmin(pressOptions.fromId || chatId),
+                message,
+                chat_instance: chatId,
+                data: callbackData
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // Inspecting calls and chats
+    // ------------------------------------------------------------------------
+
+    // Get recorded calls, optionally only one method's, in call order
+    function getCalls(method) {
+        return method ? calls.filter(call => call.method === method) : calls.slice();
+    }
+
+    // Get the bot messages currently visible in a chat (deleted ones are gone), oldest first
+    function getChatMessages(chatId = adminChatId) {
+        return Array.from(getChat(chatId).values())
+            .filter(message => message.from && message.from.is_bot)
+            .sort((a, b) => a.message_id - b.message_id);
+    }
+
+    // Get an uploaded document ({ filename, content, contentType }) by its file_id
+    function getFile(fileId) {
+        return files.get(fileId) || null;
+    }
+
+    // Get the number of calls recorded so far (pass it as `since` to waitForCall)
+    function mark() {
+        return calls.length;
+    }
+
+    /**
+     * Wait for a call matching a method and an optional predicate
+     *
+     * @param {string} method - Bot API method
+     * @param {Function} predicate - (call) => boolean (optional)
+     * @param {object} waitOptions - { since: mark() value to skip older calls, timeoutMs }
+     * @returns {Promise<object>} - The matching call; rejects on timeout
+     */
+    function waitForCall(method, predicate = () => true, waitOptions = {}) {
+        const since = waitOptions.since || 0;
+        const timeoutMs = waitOptions.timeoutMs || FAKE_TELEGRAM_CONFIG.DEFAULT_WAIT_MS;
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                check() {
+                    const match = calls.slice(since).find(call => call.method === method && predicate(call));
+                    if (match) {
+                        finish();
+                        resolve(match);
+                    }
+                },
+                cancel() {
+                    finish();
+                    reject(new Error(`Stopped while waiting for ${method}`));
+                }
+            };
+            const timer = setTimeout(() => {
+                finish();
+                reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${method}`));
+            }, timeoutMs);
+            function finish() {
+                clearTimeout(timer);
+                callWaiters.delete(waiter);
+            }
+            callWaiters.add(waiter);
+            waiter.check();
+        });
+    }
+
+    /**
+     * Make the next call to a method fail
+     *
+     * @param {string} method - Bot API method
+     * @param {number} errorCode - HTTP status / error_code (default: 500)
+     * @param {string} description - Error description
+     * @param {object} parameters - e.g. { retry_after: 3 } for 429
+     */
+    function failNext(method, errorCode = 500, description = 'Internal Server Error', parameters) {
+        failures.push({ method, error: apiError(errorCode, description, parameters) });
+    }
+
+    // Forget every call, message, update and queued failure (the webhook stays registered)
+    function reset() {
+        calls.length = 0;
+        chats.clear();
+        files.clear();
+        failures.length = 0;
+        pendingUpdates = [];
+    }
+
+    return {
+        start,
+        stop,
+        getBaseUrl,
+        getWebhook: () => webhook,
+        sendAdminMessage,
+        pressButton,
+        deliverUpdate,
+        getCalls,
+        getChatMessages,
+        getFile,
+        mark,
+        waitForCall,
+        failNext,
+        reset
+    };
+}
+
+// ============================================================================
+// STANDALONE MODE
+// ============================================================================
+
+if (require.main === module) {
+    require('dotenv').config();
+    const adminChatId = process.env.TELEGRAM_CHAT_ID || '1';
+    const fake = createFakeTelegramApi({
+        adminChatId,
+        onCall: (call) => {
+            const status = call.error ? `❌ ${call.error.description}` : '✅';
+            const text = call.params.text ? `: ${String(call.params.text).split('\n')[0]}` : '';
+            console.log(`📨 ${call.method} ${status}${text}`);
+        }
+    });
+
+    fake.start(Number(process.argv[2]) || FAKE_TELEGRAM_CONFIG.DEFAULT_PORT).then(baseUrl => {
+        console.log(`🤖 Fake Telegram Bot API listening at ${baseUrl}`);
+        console.log(`   Start the server with TELEGRAM_API_BASE=${baseUrl}`);
+        console.log(`   Type a line to reply as the admin (chat ${adminChatId})`);
+    });
+
+    // Each stdin line replies to the bot's latest message
+    require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+        const latest = fake.getChatMessages(adminChatId).pop();
+        fake.sendAdminMessage(line, { replyTo: latest ? latest.message_id : undefined })
+            .then(({ update }) => console.log(`💬 Admin reply queued as update ${update.update_id}`))
+            .catch(error => console.error('❌ Could not deliver admin reply:', error.message));
+    });
+}
+
+module.exports = {
+    FAKE_TELEGRAM_CONFIG,
+    createFakeTelegramApi
+};